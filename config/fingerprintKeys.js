@@ -0,0 +1,154 @@
+// config/fingerprintKeys.js
+const { LEGACY_KEY_ID, createEnvKeyProvider } = require('../utils/keyProviders/envKeyProvider');
+const { createKeystoreKeyProvider } = require('../utils/keyProviders/keystoreKeyProvider');
+
+/**
+ * Fingerprint Master Key Configuration
+ *
+ * Templates use envelope encryption (see models/fingerprint.js):
+ * - Each Fingerprint document gets its own random 256-bit data key
+ * - The data key is wrapped (encrypted) by a MASTER key
+ * - The master key id is stored on the document (keyId)
+ *
+ * Master keys are held by a pluggable KEY PROVIDER (interface documented in
+ * utils/keyProviders/localKeyProvider.js). Select one with:
+ * - FINGERPRINT_KEY_PROVIDER=env        (default) keys from environment
+ *                                       variables, see envKeyProvider.js
+ * - FINGERPRINT_KEY_PROVIDER=keystore   password-protected keystore file:
+ *     FINGERPRINT_KEYSTORE_PATH         path to the keystore JSON file
+ *     FINGERPRINT_KEYSTORE_PASSWORD     keystore password
+ *
+ * Other providers (HSM, cloud KMS) can be installed with setProvider().
+ *
+ * Keep retired keys available until scripts/rotateFingerprintKeys.js has
+ * re-wrapped every record under the active key.
+ */
+
+let provider = null;
+
+/**
+ * Build the provider selected by the environment
+ */
+function createProviderFromEnv() {
+  const type = (process.env.FINGERPRINT_KEY_PROVIDER || 'env').toLowerCase();
+
+  switch (type) {
+    case 'env':
+      return createEnvKeyProvider();
+    case 'keystore':
+      if (!process.env.FINGERPRINT_KEYSTORE_PATH) {
+        throw new Error('FINGERPRINT_KEYSTORE_PATH is required for the keystore key provider');
+      }
+      return createKeystoreKeyProvider({
+        path: process.env.FINGERPRINT_KEYSTORE_PATH,
+        password: process.env.FINGERPRINT_KEYSTORE_PASSWORD,
+      });
+    default:
+      throw new Error(`Unknown FINGERPRINT_KEY_PROVIDER "${type}"`);
+  }
+}
+
+/**
+ * Get the current provider (created from the environment on first use)
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Install a key provider (HSM/KMS integrations, tests)
+ *
+ * @param {Object|null} keyProvider - Provider, or null to fall back to the environment
+ */
+function setProvider(keyProvider) {
+  provider = keyProvider;
+}
+
+/**
+ * Throw unless the provider has an active master key
+ * Called at server startup: templates written with a throwaway key would be
+ * unreadable after a restart.
+ */
+function assertConfigured() {
+  if (!getProvider().getActiveKeyId()) {
+    throw new Error(
+      `No fingerprint master key configured (provider: ${getProvider().name}). ` +
+      'Set FINGERPRINT_MASTER_KEYS or configure a keystore.'
+    );
+  }
+}
+
+/**
+ * Get the key id used to wrap new data keys
+ *
+ * @returns {string} - Active master key id
+ */
+function getActiveKeyId() {
+  assertConfigured();
+  return getProvider().getActiveKeyId();
+}
+
+/**
+ * Whether a master key id is available
+ */
+function hasKey(keyId) {
+  return getProvider().hasKey(keyId);
+}
+
+/**
+ * Wrap a data key under a master key
+ *
+ * @param {Buffer} dataKey - 256-bit data key
+ * @param {string} keyId - Master key id
+ * @returns {Buffer} - Wrapped data key
+ */
+function wrapDataKey(dataKey, keyId) {
+  return getProvider().wrapKey(dataKey, keyId);
+}
+
+/**
+ * Unwrap a data key
+ *
+ * @param {Buffer} wrappedKey - Wrapped data key
+ * @param {string} keyId - Master key id it was wrapped with
+ * @returns {Buffer} - 256-bit data key
+ */
+function unwrapDataKey(wrappedKey, keyId) {
+  return getProvider().unwrapKey(wrappedKey, keyId);
+}
+
+/**
+ * Get the pre-envelope key used to read legacy records
+ *
+ * @returns {Buffer} - 32-byte key
+ */
+function getLegacyKey() {
+  const key = getProvider().getLegacyKey();
+  if (!key) {
+    throw new Error('Legacy fingerprint key is not configured (needed for records created before envelope encryption)');
+  }
+  return key;
+}
+
+/**
+ * List available master key ids
+ */
+function listKeyIds() {
+  return getProvider().listKeyIds();
+}
+
+module.exports = {
+  LEGACY_KEY_ID,
+  getProvider,
+  setProvider,
+  assertConfigured,
+  getActiveKeyId,
+  hasKey,
+  wrapDataKey,
+  unwrapDataKey,
+  getLegacyKey,
+  listKeyIds,
+};
@@ -0,0 +1,151 @@
+// jobs/biometricRetention.js
+const Fingerprint = require('../models/fingerprint');
+const Employee = require('../models/Employee');
+const Consent = require('../models/Consent');
+const { recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Biometric Retention Job
+ *
+ * Enforces the retention policy for fingerprint templates:
+ * 1. ACTIVE (and PENDING_REVIEW) templates are moved to EXPIRED when
+ *    - they are older than BIOMETRIC_RETENTION_DAYS (since enrollment)
+ *    - the employee has been removed
+ *    - the employee withdrew consent (and has not consented again)
+ * 2. EXPIRED templates are purged (hard deleted) once they have been expired
+ *    for BIOMETRIC_PURGE_AFTER_DAYS
+ *
+ * Runs every BIOMETRIC_RETENTION_INTERVAL_HOURS while the server is up,
+ * or on demand with scripts/runBiometricRetention.js.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RETENTION_DAYS = parseInt(process.env.BIOMETRIC_RETENTION_DAYS) || 1095;   // 3 years
+const PURGE_AFTER_DAYS = parseInt(process.env.BIOMETRIC_PURGE_AFTER_DAYS) || 30;
+const INTERVAL_HOURS = parseInt(process.env.BIOMETRIC_RETENTION_INTERVAL_HOURS) || 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Templates still subject to the retention policy
+const RETAINED_STATUSES = { $in: ['ACTIVE', 'PENDING_REVIEW'] };
+
+/**
+ * Expire a set of templates one by one (so model hooks run)
+ */
+async function expireAll(fingerprints, reason) {
+  for (const fp of fingerprints) {
+    fp.expire(reason);
+    await fp.save(); // audited by the model as FINGERPRINT_EXPIRED (actor: system)
+  }
+  return fingerprints.length;
+}
+
+/**
+ * Run one retention pass
+ *
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Promise<Object>} - { expiredByAge, expiredEmployeeRemoved, expiredConsentWithdrawn, purged }
+ */
+async function runRetention(now = new Date()) {
+  const summary = {
+    expiredByAge: 0,
+    expiredEmployeeRemoved: 0,
+    expiredConsentWithdrawn: 0,
+    purged: 0,
+  };
+
+  // ============================================
+  // 1a. Retention period exceeded
+  // ============================================
+
+  const retentionCutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const aged = await Fingerprint.find({
+    status: RETAINED_STATUSES,
+    enrolledAt: { $lt: retentionCutoff },
+  });
+  summary.expiredByAge = await expireAll(aged, `Retention period of ${RETENTION_DAYS} days exceeded`);
+
+  // ============================================
+  // 1b/1c. Employee removed or consent withdrawn
+  // ============================================
+
+  const activeEmployeeIds = await Fingerprint.distinct('employeeId', { status: RETAINED_STATUSES });
+
+  for (const employeeId of activeEmployeeIds) {
+    const employeeExists = await Employee.exists({ employeeId });
+
+    if (!employeeExists) {
+      const orphaned = await Fingerprint.find({ employeeId, status: RETAINED_STATUSES });
+      summary.expiredEmployeeRemoved += await expireAll(orphaned, 'Employee removed');
+      continue;
+    }
+
+    // Only withdrawals count: employees enrolled before consent capture
+    // existed have no Consent records at all
+    const withdrawn = await Consent.exists({ employeeId, status: 'WITHDRAWN' });
+    if (withdrawn && !(await Consent.hasActiveConsent(employeeId))) {
+      const unconsented = await Fingerprint.find({ employeeId, status: RETAINED_STATUSES });
+      summary.expiredConsentWithdrawn += await expireAll(unconsented, 'Biometric consent withdrawn');
+    }
+  }
+
+  // ============================================
+  // 2. Purge templates expired long enough ago
+  // ============================================
+
+  const purgeCutoff = new Date(now.getTime() - PURGE_AFTER_DAYS * DAY_MS);
+  const purgeFilter = {
+    status: 'EXPIRED',
+    $or: [
+      { expiredAt: { $lt: purgeCutoff } },
+      // Expired before expiredAt existed: fall back to last update
+      { expiredAt: { $exists: false }, updatedAt: { $lt: purgeCutoff } },
+    ],
+  };
+
+  const toPurge = await Fingerprint.find(purgeFilter).select('_id employeeId');
+  if (toPurge.length > 0) {
+    const result = await Fingerprint.deleteMany({ _id: { $in: toPurge.map(fp => fp._id) } });
+    summary.purged = result.deletedCount;
+    for (const fp of toPurge) {
+      await recordAuditEvent({
+        action: 'FINGERPRINT_PURGED',
+        targetType: 'Fingerprint',
+        targetId: fp._id,
+        employeeId: fp.employeeId,
+        reason: `Expired for more than ${PURGE_AFTER_DAYS} days`,
+      });
+    }
+  }
+
+  console.log('[Biometric Retention] Pass complete:', summary);
+  return summary;
+}
+
+/**
+ * Start the periodic retention job
+ *
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function scheduleRetention() {
+  const run = () => runRetention().catch(error => {
+    console.error('[Biometric Retention] Pass failed:', error);
+  });
+
+  run();
+  const handle = setInterval(run, INTERVAL_HOURS * 60 * 60 * 1000);
+  handle.unref();
+
+  console.log(`✅ Biometric retention job scheduled every ${INTERVAL_HOURS}h`);
+  return handle;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  PURGE_AFTER_DAYS,
+  runRetention,
+  scheduleRetention,
+};
@@ -0,0 +1,196 @@
+// jobs/templateExpiry.js
+const Fingerprint = require('../models/fingerprint');
+const Employee = require('../models/Employee');
+const Consent = require('../models/Consent');
+const ReenrollmentTask = require('../models/ReenrollmentTask');
+const { buildWorklist } = require('../utils/reenrollmentWorklist');
+
+/**
+ * Template Expiry Job
+ *
+ * Keeps ACTIVE templates fit for matching and tells site admins whom to
+ * rescan (GET /api/admin/reenrollment/worklist):
+ * 1. Templates older than FINGERPRINT_TEMPLATE_LIFETIME_DAYS (since
+ *    enrollment) are moved to EXPIRED
+ * 2. Templates whose lifetime ends within FINGERPRINT_REENROLL_NOTICE_DAYS
+ *    are put on the worklist while they still work
+ * 3. Quality decay: templates whose latest verifications (at least
+ *    FINGERPRINT_DECAY_MIN_ATTEMPTS) succeed less often than
+ *    FINGERPRINT_DECAY_MIN_SUCCESS_RATE percent are moved to EXPIRED
+ * 4. Worklist entries of removed employees, or employees who withdrew
+ *    consent, are cancelled
+ *
+ * Expired templates are purged later by jobs/biometricRetention.js; their
+ * worklist entries stay until the finger is re-enrolled.
+ *
+ * Runs every FINGERPRINT_EXPIRY_INTERVAL_HOURS while the server is up,
+ * or on demand with scripts/runTemplateExpiry.js.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const LIFETIME_DAYS = parseInt(process.env.FINGERPRINT_TEMPLATE_LIFETIME_DAYS) || 730;   // 2 years
+const NOTICE_DAYS = parseInt(process.env.FINGERPRINT_REENROLL_NOTICE_DAYS) || 30;
+const DECAY_MIN_SUCCESS_RATE = parseFloat(process.env.FINGERPRINT_DECAY_MIN_SUCCESS_RATE) || 70;   // percent
+// At most the verification history kept per template (20)
+const DECAY_MIN_ATTEMPTS = parseInt(process.env.FINGERPRINT_DECAY_MIN_ATTEMPTS) || 10;
+const INTERVAL_HOURS = parseInt(process.env.FINGERPRINT_EXPIRY_INTERVAL_HOURS) || 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a newer ACTIVE template already covers the same finger
+ */
+function isSuperseded(fp) {
+  return Fingerprint.exists({
+    employeeId: fp.employeeId,
+    fingerIndex: fp.fingerIndex ?? null,
+    status: 'ACTIVE',
+    enrolledAt: { $gt: fp.enrolledAt },
+  });
+}
+
+/**
+ * Run one expiry pass
+ *
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Promise<Object>} - { expiredByLifetime, expiredByDecay, noticed, cancelled, worklist }
+ */
+async function runTemplateExpiry(now = new Date()) {
+  const summary = {
+    expiredByLifetime: 0,
+    expiredByDecay: 0,
+    noticed: 0,
+    cancelled: 0,
+  };
+
+  const lifetimeMs = LIFETIME_DAYS * DAY_MS;
+  const lifetimeCutoff = new Date(now.getTime() - lifetimeMs);
+
+  // ============================================
+  // 1. Lifetime exceeded
+  // ============================================
+
+  const aged = await Fingerprint.find({
+    status: 'ACTIVE',
+    enrolledAt: { $lt: lifetimeCutoff },
+  });
+
+  for (const fp of aged) {
+    fp.expire(`Template lifetime of ${LIFETIME_DAYS} days exceeded`);
+    await fp.save(); // audited by the model as FINGERPRINT_EXPIRED (actor: system)
+    summary.expiredByLifetime += 1;
+
+    if (!(await isSuperseded(fp))) {
+      await ReenrollmentTask.request(fp, {
+        reason: 'LIFETIME',
+        dueAt: new Date(fp.enrolledAt.getTime() + lifetimeMs),
+        templateExpiredAt: fp.expiredAt,
+      });
+    }
+  }
+
+  // ============================================
+  // 2. Lifetime ending soon
+  // ============================================
+
+  const expiring = await Fingerprint.find({
+    status: 'ACTIVE',
+    enrolledAt: {
+      $gte: lifetimeCutoff,
+      $lt: new Date(lifetimeCutoff.getTime() + NOTICE_DAYS * DAY_MS),
+    },
+  });
+
+  for (const fp of expiring) {
+    if (await isSuperseded(fp)) continue;
+
+    const { created } = await ReenrollmentTask.request(fp, {
+      reason: 'LIFETIME',
+      dueAt: new Date(fp.enrolledAt.getTime() + lifetimeMs),
+    });
+    if (created) summary.noticed += 1;
+  }
+
+  // ============================================
+  // 3. Verification success rate decayed
+  // ============================================
+
+  const measured = await Fingerprint.find({
+    status: 'ACTIVE',
+    [`recentVerifications.${DECAY_MIN_ATTEMPTS - 1}`]: { $exists: true },
+  });
+
+  for (const fp of measured) {
+    const { attempts, successRate } = fp.getVerificationSuccessRate();
+    if (successRate >= DECAY_MIN_SUCCESS_RATE) continue;
+
+    fp.expire(`Verification success rate fell to ${successRate}% over the last ${attempts} attempts`);
+    await fp.save();
+    summary.expiredByDecay += 1;
+
+    if (!(await isSuperseded(fp))) {
+      await ReenrollmentTask.request(fp, {
+        reason: 'QUALITY_DECAY',
+        dueAt: now,
+        templateExpiredAt: fp.expiredAt,
+        successRate,
+        attempts,
+      });
+    }
+  }
+
+  // ============================================
+  // 4. Employees no longer to be rescanned
+  // ============================================
+
+  const listedEmployeeIds = await ReenrollmentTask.distinct('employeeId', { status: 'OPEN' });
+
+  for (const employeeId of listedEmployeeIds) {
+    if (!(await Employee.exists({ employeeId }))) {
+      summary.cancelled += await ReenrollmentTask.cancelForEmployee(employeeId, 'Employee removed');
+      continue;
+    }
+
+    const withdrawn = await Consent.exists({ employeeId, status: 'WITHDRAWN' });
+    if (withdrawn && !(await Consent.hasActiveConsent(employeeId))) {
+      summary.cancelled += await ReenrollmentTask.cancelForEmployee(employeeId, 'Biometric consent withdrawn');
+    }
+  }
+
+  // Per-department worklist size, for the logs
+  const worklist = await buildWorklist({ now });
+  summary.worklist = Object.fromEntries(worklist.departments.map(d => [d.department, d.employees]));
+
+  console.log('[Template Expiry] Pass complete:', summary);
+  return summary;
+}
+
+/**
+ * Start the periodic expiry job
+ *
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function scheduleTemplateExpiry() {
+  const run = () => runTemplateExpiry().catch(error => {
+    console.error('[Template Expiry] Pass failed:', error);
+  });
+
+  run();
+  const handle = setInterval(run, INTERVAL_HOURS * 60 * 60 * 1000);
+  handle.unref();
+
+  console.log(`✅ Template expiry job scheduled every ${INTERVAL_HOURS}h`);
+  return handle;
+}
+
+module.exports = {
+  LIFETIME_DAYS,
+  NOTICE_DAYS,
+  DECAY_MIN_SUCCESS_RATE,
+  DECAY_MIN_ATTEMPTS,
+  runTemplateExpiry,
+  scheduleTemplateExpiry,
+};
@@ -1,12 +1,119 @@
 // models/Attendance.js
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geofence');
+
+// An IN punch left open longer than this no longer takes the next OUT
+// (the employee forgot to punch out)
+const MAX_OPEN_PUNCH_HOURS = 16;
+
+const ATTENDANCE_STATUSES = ['PRESENT', 'ABSENT', 'HALF_DAY', 'LATE'];
+
+// Capturing scanner, from the RDService PID XML, and whether it attested
+// (utils/deviceAttestation.js)
+const captureDeviceDefinition = {
+  vendor: String,
+  model: String,
+  serialNumber: String,
+  rdServiceId: String,
+  rdServiceVersion: String,
+  dpId: String,
+  attested: Boolean,
+  attestationStatus: String,
+  certificateFingerprint: String,
+};
+
+// Outcome of the geofence check of a location (utils/geofence.js)
+const geofenceCheckDefinition = {
+  status: {
+    type: String,
+    enum: ['INSIDE', 'OUTSIDE', 'NOT_CHECKED'],
+  },
+  source: String, // EMPLOYEE, SITE or BASE_LOCATION
+  site: String,
+  shape: String, // RADIUS or POLYGON
+  radiusMeters: Number,
+};
+
+/**
+ * Punch Schema (check-in / check-out)
+ * One punch per scan at the terminal, with the outcome of its own
+ * fingerprint verification (method MANUAL when entered by an admin).
+ */
+const punchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['IN', 'OUT'],
+    required: true,
+  },
+  
+  time: {
+    type: Date,
+    required: true,
+  },
+  
+  location: {
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+  },
+  distanceFromBase: Number, // Meters from the employee's base location
+  geofence: geofenceCheckDefinition,
+  
+  method: {
+    type: String,
+    enum: ['FINGERPRINT', 'MANUAL', 'LEGACY'],
+    default: 'MANUAL',
+  },
+  
+  fingerprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+  },
+  
+  verification: {
+    decision: {
+      type: String,
+      enum: ['MATCH', 'NO_MATCH', 'NOT_VERIFIED'],
+      default: 'NOT_VERIFIED',
+    },
+    score: Number,
+    fingerIndex: Number,
+    fingerName: String,
+    device: captureDeviceDefinition,
+    registeredDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+    },
+  },
+  
+  // Admin who recorded the punch
+  recordedBy: String,
+});
 
 /**
  * Attendance Schema
  * 
- * Records attendance marks made by Admin for employees.
- * Includes the fingerprint template at the time of marking
- * (copied from Employee record) and location where attendance was marked.
+ * One record per employee and day: the daily summary.
+ * 
+ * Check-in / check-out punches (POST /api/admin/attendance/punch) are kept
+ * on the record; first-in, last-out, worked and break minutes are derived
+ * from them on every save (see summarizePunches). Records made with
+ * POST /api/admin/attendance/mark carry the mark as an IN punch when it
+ * is made on the day itself; older records may have no punches at all
+ * (see scripts/migrateAttendancePunches.js).
+ * 
+ * When the employee has a shift that day (utils/shiftSchedule.js), the
+ * status is derived from the punches against it (see classifyAgainstShift)
+ * unless an admin has overridden it with a reason.
+ * 
+ * Includes the outcome of the fingerprint verification done at the time
+ * of marking (a reference to the matched Fingerprint document, never the
+ * template itself) and location where attendance was marked.
  */
 const attendanceSchema = new mongoose.Schema({
   // Reference to Employee document
@@ -50,21 +157,89 @@ const attendanceSchema = new mongoose.Schema({
   // Attendance status
   status: {
     type: String,
-    enum: ['PRESENT', 'ABSENT', 'HALF_DAY', 'LATE'],
+    enum: ATTENDANCE_STATUSES,
     required: true,
     default: 'PRESENT',
   },
   
+  // Shift the day is judged against, as it was defined that day
+  shift: {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+    },
+    name: String,
+    start: Date,
+    end: Date,
+    graceMinutes: Number,
+    halfDayLateMinutes: Number,
+    minFullDayMinutes: Number,
+    roster: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShiftRoster',
+    },
+  },
+  
+  // Derived from the first IN against the shift (see classifyAgainstShift)
+  derivedStatus: {
+    type: String,
+    enum: ATTENDANCE_STATUSES,
+  },
+  lateMinutes: Number,
+  
+  // Admin decision that replaces the derived status
+  statusOverride: {
+    status: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+    },
+    reason: String,
+    by: String, // Admin username
+    at: Date,
+  },
+  
   /**
-   * Fingerprint Template at time of marking
-   * This is copied from the Employee record when attendance is marked
-   * Stored in the same format as provided by MFS100/Precision PB100 SDK
-   * 
-   * Purpose: Provides audit trail and can be used for verification
+   * Fingerprint Verification at time of marking
+   * The live capture is matched against the employee's ACTIVE templates
+   * (utils/fingerprintVerification.js); only the outcome is kept.
+   *
+   * method:
+   * - FINGERPRINT  probe matched 1:1 when marking
+   * - MANUAL       marked by the admin without a capture
+   * - LEGACY       migrated record that held a template copy
    */
-  fingerprintTemplate: {
-    type: String,
-    required: true,
+  fingerprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+  },
+  
+  verification: {
+    method: {
+      type: String,
+      enum: ['FINGERPRINT', 'MANUAL', 'LEGACY'],
+      default: 'MANUAL',
+    },
+    decision: {
+      type: String,
+      enum: ['MATCH', 'NO_MATCH', 'NOT_VERIFIED'],
+      default: 'NOT_VERIFIED',
+    },
+    score: Number,
+    verifiedAt: Date,
+    
+    // Finger that matched
+    fingerIndex: Number,
+    fingerName: String,
+    
+    // Scanner that captured the probe
+    device: captureDeviceDefinition,
+    
+    // Registered scanner (models/Device.js)
+    registeredDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      index: true,
+    },
   },
   
   // Location where attendance was marked
@@ -79,6 +254,43 @@ const attendanceSchema = new mongoose.Schema({
     },
   },
   
+  // The same location as a GeoJSON point, for 2dsphere queries (set on save)
+  locationPoint: {
+    type: {
+      type: String,
+      enum: ['Point'],
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
+  
+  // Meters from the employee's base location, and the geofence check
+  // (OUTSIDE: flagged, accepted because GEOFENCE_MODE is not enforce)
+  distanceFromBase: Number,
+  geofence: geofenceCheckDefinition,
+  
+  // Check-in / check-out punches, in time order
+  punches: [punchSchema],
+  
+  // Derived from punches (see summarizePunches)
+  firstIn: Date,
+  lastOut: Date,
+  workedMinutes: {
+    type: Number,
+    default: 0,
+  },
+  breakMinutes: {
+    type: Number,
+    default: 0,
+  },
+  // Time of the IN punch still waiting for its OUT (null when punched out)
+  openPunchAt: {
+    type: Date,
+    index: true,
+  },
+  
   // Admin who marked this attendance
   markedBy: {
     type: String, // Username of the admin
@@ -94,6 +306,13 @@ const attendanceSchema = new mongoose.Schema({
   
 }, {
   timestamps: true,
+  toJSON: {
+    // A plaintext template not migrated yet never reaches an API response
+    transform: (doc, ret) => {
+      delete ret.fingerprintTemplate;
+      return ret;
+    },
+  },
 });
 
 // Compound index for efficient date-based queries per employee
@@ -102,4 +321,221 @@ attendanceSchema.index({ employeeId: 1, date: -1 });
 // Index for date range queries
 attendanceSchema.index({ date: -1 });
 
+// Flagged marks in the superadmin feed
+attendanceSchema.index({ 'geofence.status': 1, date: -1 });
+
+// Marks near a site (GET /api/sites/:id/attendance/nearby)
+attendanceSchema.index({ locationPoint: '2dsphere', date: -1 });
+
+// Keep the GeoJSON point in step with the location
+attendanceSchema.pre('save', function() {
+  if (this.isModified('location') || !this.locationPoint || !this.locationPoint.coordinates) {
+    this.locationPoint = toGeoPoint(this.location);
+  }
+});
+
+// ============================================
+// PUNCHES
+// ============================================
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Derive the daily summary from punches
+ * 
+ * Punches are paired in time order: each IN opens a work period, the next
+ * OUT closes it, and the time between an OUT and the next IN is a break.
+ * Repeated punches are folded, keeping the first of consecutive INs and
+ * the last of consecutive OUTs (a forgotten punch in between does not
+ * create a break); an OUT before any IN is ignored.
+ * 
+ * @param {Array} punches - Punch subdocuments
+ * @returns {Object} - { firstIn, lastOut, workedMinutes, breakMinutes, openPunchAt }
+ */
+function summarizePunches(punches) {
+  const sorted = [...punches].sort((a, b) => a.time - b.time);
+  
+  // Work periods as [in, out]; out is null while still open
+  const periods = [];
+  for (const punch of sorted) {
+    const current = periods[periods.length - 1];
+    
+    if (punch.type === 'IN') {
+      if (!current || current[1]) periods.push([punch.time, null]);
+    } else if (current) {
+      current[1] = punch.time;
+    }
+  }
+  
+  let worked = 0;
+  let breaks = 0;
+  periods.forEach(([start, end], i) => {
+    if (end) worked += end - start;
+    if (i > 0) breaks += start - periods[i - 1][1];
+  });
+  
+  const closed = periods.filter(p => p[1]);
+  const last = periods[periods.length - 1];
+  
+  return {
+    firstIn: periods.length > 0 ? periods[0][0] : undefined,
+    lastOut: closed.length > 0 ? closed[closed.length - 1][1] : undefined,
+    workedMinutes: Math.round(worked / MINUTE_MS),
+    breakMinutes: Math.round(breaks / MINUTE_MS),
+    openPunchAt: last && !last[1] ? last[0] : null,
+  };
+}
+
+// Keep punches in time order and the summary in step with them
+attendanceSchema.pre('save', function() {
+  if (!this.isModified('punches')) return;
+  
+  this.punches.sort((a, b) => a.time - b.time);
+  Object.assign(this, summarizePunches(this.punches));
+});
+
+// ============================================
+// SHIFT CLASSIFICATION
+// ============================================
+
+/**
+ * Status of a day from its punches against the shift
+ * 
+ * - HALF_DAY  first IN later than start + halfDayLateMinutes, or the day
+ *             is closed (punched out) with fewer than minFullDayMinutes worked
+ * - LATE      first IN later than start + graceMinutes
+ * - PRESENT   otherwise
+ * 
+ * @param {Object} shift - Attendance.shift snapshot
+ * @param {Object} summary - { firstIn, lastOut, workedMinutes, openPunchAt }
+ * @returns {Object} - { status, lateMinutes }
+ */
+function classifyAgainstShift(shift, { firstIn, lastOut, workedMinutes, openPunchAt }) {
+  const lateMinutes = Math.max(0, Math.floor((firstIn - shift.start) / MINUTE_MS));
+  const closed = Boolean(lastOut) && !openPunchAt;
+  
+  let status = 'PRESENT';
+  if (lateMinutes > shift.halfDayLateMinutes ||
+      (closed && shift.minFullDayMinutes && workedMinutes < shift.minFullDayMinutes)) {
+    status = 'HALF_DAY';
+  } else if (lateMinutes > shift.graceMinutes) {
+    status = 'LATE';
+  }
+  
+  return { status, lateMinutes };
+}
+
+/**
+ * Status derived from the punches, if the day has a shift and a first IN
+ * 
+ * @returns {Object|null} - { status, lateMinutes }
+ */
+attendanceSchema.methods.deriveStatus = function() {
+  if (!this.shift || !this.shift.start || !this.firstIn) return null;
+  return classifyAgainstShift(this.shift, this);
+};
+
+// Derived status follows the punches; an override stays until removed
+attendanceSchema.pre('save', function() {
+  const derived = this.deriveStatus();
+  if (!derived) return;
+  
+  this.derivedStatus = derived.status;
+  this.lateMinutes = derived.lateMinutes;
+  if (!this.statusOverride || !this.statusOverride.status) {
+    this.status = derived.status;
+  }
+});
+
+/**
+ * Override the status with an admin decision
+ * 
+ * @param {string} status - New status
+ * @param {string} reason - Why
+ * @param {string} by - Admin username
+ */
+attendanceSchema.methods.overrideStatus = function(status, reason, by) {
+  this.status = status;
+  this.statusOverride = { status, reason, by, at: new Date() };
+};
+
+/**
+ * Remove an override: the derived status applies again on save
+ */
+attendanceSchema.methods.clearStatusOverride = function() {
+  this.statusOverride = undefined;
+  if (this.derivedStatus) this.status = this.derivedStatus;
+};
+
+/**
+ * Add a punch (the summary is recomputed on save)
+ * 
+ * @param {Object} punch - { type, time, location, method, fingerprint, verification, recordedBy }
+ * @returns {Object} - Added punch subdocument
+ */
+attendanceSchema.methods.addPunch = function(punch) {
+  this.punches.push(punch);
+  return this.punches[this.punches.length - 1];
+};
+
+/**
+ * Whether the record has an IN punch at or before a time
+ * 
+ * @param {Date} time - Reference time
+ * @returns {boolean}
+ */
+attendanceSchema.methods.hasPunchInBefore = function(time) {
+  return this.punches.some(p => p.type === 'IN' && p.time <= time);
+};
+
+/**
+ * Start of the (server-local) day of a time
+ * 
+ * @param {Date} time - Any time of the day
+ * @returns {Date}
+ */
+function startOfDay(time) {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Find an employee's record for the day of a time
+ * 
+ * @param {string} employeeId - Employee ID
+ * @param {Date} time - Any time of the day
+ * @returns {Promise<Object|null>} - Attendance document
+ */
+attendanceSchema.statics.findDayRecord = function(employeeId, time) {
+  const dayStart = startOfDay(time);
+  const nextDay = new Date(dayStart);
+  nextDay.setDate(nextDay.getDate() + 1);
+  
+  return this.findOne({ employeeId, date: { $gte: dayStart, $lt: nextDay } });
+};
+
+/**
+ * Find the record holding an employee's open IN punch, if it is recent
+ * enough to be closed by an OUT at the given time (night shifts close on
+ * the previous day's record)
+ * 
+ * @param {string} employeeId - Employee ID
+ * @param {Date} time - Time of the OUT punch
+ * @returns {Promise<Object|null>} - Attendance document
+ */
+attendanceSchema.statics.findOpenRecord = function(employeeId, time) {
+  return this.findOne({
+    employeeId,
+    openPunchAt: {
+      $gte: new Date(time.getTime() - MAX_OPEN_PUNCH_HOURS * 60 * MINUTE_MS),
+      $lte: time,
+    },
+  }).sort({ openPunchAt: -1 });
+};
+
+attendanceSchema.statics.STATUSES = ATTENDANCE_STATUSES;
+attendanceSchema.statics.summarizePunches = summarizePunches;
+attendanceSchema.statics.classifyAgainstShift = classifyAgainstShift;
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,82 @@
+// models/AuditEvent.js
+const mongoose = require('mongoose');
+
+/**
+ * Audit Event Schema
+ * 
+ * Persistent, tamper-evident log of biometric data access and changes
+ * (template decryptions, enrollments, revocations, consent changes, ...).
+ * 
+ * Events form a hash chain: each event stores the hash of the previous
+ * event and its own SHA-256 hash over its fields + prevHash. Editing,
+ * deleting or reordering any event breaks the chain from that point on.
+ * 
+ * ⚠️ Write events ONLY through utils/auditLog.js (it maintains the chain).
+ * Never update or delete audit events.
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Position in the chain (1, 2, 3, ...)
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  
+  timestamp: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+  
+  // Who did it (admin username, or "system" for jobs/scripts)
+  actor: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  
+  actorRole: String,
+  
+  // What happened, e.g. FINGERPRINT_TEMPLATE_ACCESSED
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  
+  // What it happened to
+  targetType: String, // e.g. Fingerprint, Consent
+  targetId: {
+    type: String,
+    index: true,
+  },
+  employeeId: {
+    type: String,
+    index: true,
+  },
+  
+  ip: String,
+  reason: String,
+  
+  // Additional non-sensitive details (never template data)
+  metadata: mongoose.Schema.Types.Mixed,
+  
+  // Hash chain
+  prevHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+  
+}, {
+  // Chain covers `timestamp`; Mongoose timestamps would add unhashed fields
+  timestamps: false,
+  minimize: false,
+});
+
+auditEventSchema.index({ action: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
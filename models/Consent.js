@@ -0,0 +1,100 @@
+// models/Consent.js
+const mongoose = require('mongoose');
+
+/**
+ * Biometric Consent Schema
+ * 
+ * Records an employee's explicit consent to fingerprint capture and storage.
+ * Fingerprint enrollment is refused unless the employee has an ACTIVE consent.
+ * 
+ * - One document per consent given (history is kept)
+ * - Withdrawal marks the consent WITHDRAWN and expires the employee's
+ *   templates (see jobs/biometricRetention.js for purging)
+ */
+const consentSchema = new mongoose.Schema({
+  // Reference to Employee document
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee reference is required'],
+    index: true,
+  },
+  
+  // Denormalized employeeId for quick queries
+  employeeId: {
+    type: String,
+    required: [true, 'Employee ID is required'],
+    index: true,
+  },
+  
+  // Version of the consent text the employee agreed to
+  consentVersion: {
+    type: String,
+    required: [true, 'Consent version is required'],
+    trim: true,
+  },
+  
+  // When consent was given
+  givenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  
+  // Admin who captured the consent
+  capturedBy: {
+    type: String, // Admin username
+    required: [true, 'Captured by is required'],
+  },
+  
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'WITHDRAWN'],
+    default: 'ACTIVE',
+    index: true,
+  },
+  
+  withdrawnAt: Date,
+  withdrawnBy: String,
+  withdrawalReason: String,
+  
+}, {
+  timestamps: true,
+});
+
+consentSchema.index({ employeeId: 1, status: 1 });
+
+/**
+ * Withdraw consent
+ * 
+ * @param {string} withdrawnBy - Admin username
+ * @param {string} reason - Withdrawal reason
+ */
+consentSchema.methods.withdraw = function(withdrawnBy, reason) {
+  this.status = 'WITHDRAWN';
+  this.withdrawnAt = new Date();
+  this.withdrawnBy = withdrawnBy;
+  this.withdrawalReason = reason || 'No reason provided';
+};
+
+/**
+ * Find the employee's active consent (most recent)
+ * 
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object|null>} - Consent document
+ */
+consentSchema.statics.findActiveByEmployeeId = function(employeeId) {
+  return this.findOne({ employeeId, status: 'ACTIVE' }).sort({ givenAt: -1 });
+};
+
+/**
+ * Check whether the employee currently consents to biometric capture
+ * 
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<boolean>}
+ */
+consentSchema.statics.hasActiveConsent = async function(employeeId) {
+  const count = await this.countDocuments({ employeeId, status: 'ACTIVE' });
+  return count > 0;
+};
+
+module.exports = mongoose.model('Consent', consentSchema);
@@ -0,0 +1,207 @@
+// models/Device.js
+const mongoose = require('mongoose');
+
+/**
+ * Registered Device Schema
+ *
+ * Fingerprint scanners known to the organization (admin API:
+ * /api/devices). Captures are linked to the registered device they came
+ * from (utils/deviceRegistry.js), which also tracks when a device was
+ * last seen and which RDService version it ran.
+ *
+ * - A device is identified by vendor + serial number, or by the SHA-256
+ *   fingerprint of its attestation certificate when one is pinned
+ * - DISABLED devices (lost, stolen, faulty) are refused for every capture
+ * - Usage and failure counters feed GET /api/superadmin/devices/statistics
+ */
+const deviceSchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true,
+  },
+
+  vendor: {
+    type: String,
+    default: 'Mantra',
+    trim: true,
+  },
+
+  model: {
+    type: String,
+    trim: true,
+  },
+
+  // Human-readable name, e.g. "Front desk scanner"
+  label: {
+    type: String,
+    trim: true,
+  },
+
+  dpId: String, // RDService device provider id, e.g. MANTRA.MSIPL
+  rdServiceId: String,
+  rdServiceVersion: String,
+  firmwareVersion: String,
+
+  // Versions the device has reported or been updated to (newest last)
+  versionHistory: [{
+    rdServiceVersion: String,
+    firmwareVersion: String,
+    seenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    _id: false,
+  }],
+
+  // SHA-256 of the device's attestation certificate (utils/deviceAttestation.js)
+  certificateFingerprint: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+
+  // Where the device is deployed and who may be handed it
+  site: {
+    type: String,
+    trim: true,
+    index: true,
+  },
+  assignedAdmins: [String], // Admin usernames
+
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'DISABLED'],
+    default: 'ACTIVE',
+    index: true,
+  },
+
+  disabledAt: Date,
+  disabledBy: String,
+  disabledReason: String,
+
+  lastSeenAt: Date,
+  lastSeenBy: String, // Admin username of the last capture
+
+  usage: {
+    captures: { type: Number, default: 0 },
+    enrollments: { type: Number, default: 0 },
+    verifications: { type: Number, default: 0 },
+    identifications: { type: Number, default: 0 },
+    attendanceMarks: { type: Number, default: 0 },
+  },
+
+  failures: {
+    attestation: { type: Number, default: 0 }, // Capture did not attest (enforce mode)
+    noMatch: { type: Number, default: 0 }, // Verification/identification without a match
+    rejectedCaptures: { type: Number, default: 0 }, // Refused by the enrollment policy
+  },
+
+  registeredBy: {
+    type: String, // Admin username
+    required: [true, 'Registered by is required'],
+  },
+
+}, {
+  timestamps: true,
+});
+
+deviceSchema.index({ vendor: 1, serialNumber: 1 }, { unique: true });
+deviceSchema.index(
+  { certificateFingerprint: 1 },
+  { unique: true, partialFilterExpression: { certificateFingerprint: { $type: 'string' } } }
+);
+
+// Capture outcome → counter incremented by trackUse
+const USAGE_COUNTERS = {
+  ENROLLMENT: 'usage.enrollments',
+  VERIFICATION: 'usage.verifications',
+  IDENTIFICATION: 'usage.identifications',
+  ATTENDANCE: 'usage.attendanceMarks',
+  ATTESTATION_FAILED: 'failures.attestation',
+  NO_MATCH: 'failures.noMatch',
+  CAPTURE_REJECTED: 'failures.rejectedCaptures',
+};
+
+/**
+ * Disable a device (lost, stolen, faulty)
+ *
+ * @param {string} disabledBy - Admin username
+ * @param {string} reason - Why the device was disabled
+ */
+deviceSchema.methods.disable = function(disabledBy, reason) {
+  this.status = 'DISABLED';
+  this.disabledAt = new Date();
+  this.disabledBy = disabledBy;
+  this.disabledReason = reason || 'No reason provided';
+};
+
+/**
+ * Put a disabled device back into service
+ */
+deviceSchema.methods.enable = function() {
+  this.status = 'ACTIVE';
+  this.disabledAt = undefined;
+  this.disabledBy = undefined;
+  this.disabledReason = undefined;
+};
+
+/**
+ * Record a version change (no-op when nothing changed)
+ *
+ * @param {Object} versions - { rdServiceVersion, firmwareVersion }
+ * @returns {boolean} - Whether a version changed
+ */
+deviceSchema.methods.recordVersions = function({ rdServiceVersion, firmwareVersion } = {}) {
+  const changed = (rdServiceVersion && rdServiceVersion !== this.rdServiceVersion)
+    || (firmwareVersion && firmwareVersion !== this.firmwareVersion);
+  if (!changed) return false;
+
+  if (rdServiceVersion) this.rdServiceVersion = rdServiceVersion;
+  if (firmwareVersion) this.firmwareVersion = firmwareVersion;
+  this.versionHistory.push({
+    rdServiceVersion: this.rdServiceVersion,
+    firmwareVersion: this.firmwareVersion,
+  });
+  return true;
+};
+
+/**
+ * Find the registered device a capture came from
+ * A certificate fingerprint (attested captures) wins over the serial
+ * number the capture claims.
+ *
+ * @param {Object} device - Capture device fields { vendor, serialNumber, certificateFingerprint }
+ * @returns {Promise<Object|null>} - Device document
+ */
+deviceSchema.statics.findForCapture = async function(device = {}) {
+  if (device.certificateFingerprint) {
+    const pinned = await this.findOne({ certificateFingerprint: device.certificateFingerprint.toUpperCase() });
+    if (pinned) return pinned;
+  }
+
+  if (!device.serialNumber) return null;
+
+  return this.findOne({
+    serialNumber: String(device.serialNumber).trim(),
+    vendor: device.vendor || 'Mantra',
+  });
+};
+
+/**
+ * Increment a usage or failure counter
+ *
+ * @param {ObjectId} deviceId - Device _id
+ * @param {string} outcome - Key of USAGE_COUNTERS (ENROLLMENT, NO_MATCH, ...)
+ */
+deviceSchema.statics.trackUse = function(deviceId, outcome) {
+  const counter = USAGE_COUNTERS[outcome];
+  if (!counter) {
+    throw new Error(`Unknown device usage outcome: ${outcome}`);
+  }
+  return this.updateOne({ _id: deviceId }, { $inc: { [counter]: 1 } });
+};
+
+deviceSchema.statics.USAGE_COUNTERS = USAGE_COUNTERS;
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,91 @@
+// models/DuplicateReview.js
+const mongoose = require('mongoose');
+
+/**
+ * Duplicate Enrollment Review Schema
+ * 
+ * Queue entry for an enrollment whose template matched ACTIVE templates
+ * of other employees (see utils/duplicateDetection.js). The new template
+ * stays PENDING_REVIEW until a superadmin decides:
+ * - APPROVED: template becomes ACTIVE (e.g. a false match)
+ * - REJECTED: template is revoked
+ */
+const duplicateReviewSchema = new mongoose.Schema({
+  // Template awaiting review
+  fingerprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+    required: [true, 'Fingerprint reference is required'],
+    index: true,
+  },
+  
+  // Employee the template was enrolled for
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+  },
+  employeeId: {
+    type: String,
+    required: [true, 'Employee ID is required'],
+    index: true,
+  },
+  fingerName: String,
+  
+  // Existing templates it matched
+  matches: [{
+    fingerprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fingerprint',
+    },
+    employeeId: String,
+    fingerName: String,
+    score: Number,
+    pairedMinutiae: Number,
+  }],
+  
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING',
+    index: true,
+  },
+  
+  flaggedBy: String, // Admin who ran the enrollment
+  
+  decidedBy: String, // Superadmin username
+  decidedAt: Date,
+  decisionNote: String,
+  
+}, {
+  timestamps: true, // createdAt, updatedAt
+});
+
+duplicateReviewSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Queue a review for a PENDING_REVIEW template
+ * 
+ * @param {Object} fingerprint - Saved Fingerprint document
+ * @param {Array} duplicates - Matches from findDuplicateEnrollments
+ * @param {string} flaggedBy - Admin username
+ * @param {Object} [options] - Save options, e.g. { session } inside a transaction
+ * @returns {Promise<Object>} - Saved review
+ */
+duplicateReviewSchema.statics.flag = function(fingerprint, duplicates, flaggedBy, options = {}) {
+  return new this({
+    fingerprint: fingerprint._id,
+    employee: fingerprint.employee,
+    employeeId: fingerprint.employeeId,
+    fingerName: fingerprint.fingerName,
+    matches: duplicates.map(d => ({
+      fingerprint: d.fingerprintId,
+      employeeId: d.employeeId,
+      fingerName: d.fingerName,
+      score: d.score,
+      pairedMinutiae: d.pairedMinutiae,
+    })),
+    flaggedBy,
+  }).save(options);
+};
+
+module.exports = mongoose.model('DuplicateReview', duplicateReviewSchema);
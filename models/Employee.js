@@ -4,12 +4,10 @@ const mongoose = require('mongoose');
 /**
  * Employee Schema
  * 
- * Stores employee information including their fingerprint template.
- * The fingerprintTemplate field stores the raw biometric data as captured
- * from MFS100 or Precision PB100 fingerprint scanner SDK.
- * 
- * IMPORTANT: fingerprintTemplate is stored "as-is" from the SDK output.
- * No transformation or processing is done on this field.
+ * Stores employee information. Fingerprint templates are NOT stored here:
+ * they live encrypted in the Fingerprint collection (models/fingerprint.js).
+ * Legacy plaintext templates are moved there by
+ * scripts/migrateFingerprintsToEncrypted.js.
  */
 const employeeSchema = new mongoose.Schema({
   name: {
@@ -35,20 +33,8 @@ const employeeSchema = new mongoose.Schema({
     trim: true,
   },
   
-  /**
-   * Fingerprint Template
-   * This field stores the raw fingerprint template from MFS100/Precision PB100 SDK
-   * Format: String (can be base64, hex, or any format the SDK provides)
-   * 
-   * ⚠️ SDK INTEGRATION POINT:
-   * In production, this value comes from the fingerprint scanner SDK
-   * (MFS100 or Precision PB100). The SDK captures the fingerprint and
-   * returns a template string which is stored here without modification.
-   */
-  fingerprintTemplate: {
-    type: String,
-    required: [true, 'Fingerprint template is required'],
-  },
+  // Set when biometric data was erased on a data-subject request
+  biometricsErasedAt: Date,
   
   // Base location where employee is registered
   baseLocation: {
@@ -62,6 +48,33 @@ const employeeSchema = new mongoose.Schema({
     },
   },
   
+  // Site the employee works at (same names as Device.site); its geofence
+  // (models/Geofence.js) applies unless the employee has their own
+  site: {
+    type: String,
+    trim: true,
+    index: true,
+  },
+  
+  // Own attendance geofence (utils/geofence.js): RADIUS (centred on the
+  // base location unless center is set) or POLYGON
+  geofence: {
+    shape: {
+      type: String,
+      enum: ['RADIUS', 'POLYGON'],
+    },
+    center: {
+      latitude: Number,
+      longitude: Number,
+    },
+    radiusMeters: Number,
+    polygon: [{
+      _id: false,
+      latitude: Number,
+      longitude: Number,
+    }],
+  },
+  
   // Reference to the Admin who created this employee
   createdBy: {
     type: String, // We store username since Admin is not in DB
@@ -70,6 +83,13 @@ const employeeSchema = new mongoose.Schema({
   
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt fields
+  toJSON: {
+    // A plaintext template not migrated yet never reaches an API response
+    transform: (doc, ret) => {
+      delete ret.fingerprintTemplate;
+      return ret;
+    },
+  },
 });
 
 // Index for faster search queries
@@ -0,0 +1,229 @@
+// models/EnrollmentSession.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fingerprintKeys = require('../config/fingerprintKeys');
+const { encryptTemplate, decryptTemplate, hashTemplate } = require('../utils/templateCrypto');
+const { evaluateProgress } = require('../utils/enrollmentPolicy');
+
+/**
+ * Enrollment Session Schema
+ *
+ * Collects several captures per finger before any Fingerprint document is
+ * created (see routes/enrollmentSessionRoutes.js):
+ * 1. Start a session for an employee (policy is snapshotted)
+ * 2. Add captures; low-quality or inconsistent captures are rejected
+ * 3. Finalize once the policy is met: one Fingerprint per finger
+ *
+ * ⚠️ Samples are biometric data: they are encrypted like templates (one
+ * data key per session) and wiped when the session is finalized or
+ * cancelled. Open sessions are deleted by a TTL index after expiresAt.
+ */
+
+const sampleSchema = new mongoose.Schema({
+  fingerIndex: {
+    type: Number,
+    min: 0,
+    max: 9,
+    required: true,
+  },
+  fingerName: String,
+  format: {
+    type: String,
+    enum: ['ISO_19794_2', 'ANSI_378'],
+    required: true,
+  },
+  quality: Number,
+  minutiaeCount: Number,
+
+  encryptedTemplate: {
+    type: Buffer,
+    required: true,
+  },
+  templateHash: String,
+
+  device: {
+    vendor: String,
+    model: String,
+    serialNumber: String,
+    rdServiceId: String,
+    rdServiceVersion: String,
+    dpId: String,
+    attested: Boolean,
+    attestationStatus: String,
+    certificateFingerprint: String,
+  },
+  registeredDevice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
+
+  capturedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: true });
+
+const enrollmentSessionSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee reference is required'],
+  },
+
+  employeeId: {
+    type: String,
+    required: [true, 'Employee ID is required'],
+    index: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['OPEN', 'FINALIZED', 'CANCELLED'],
+    default: 'OPEN',
+    index: true,
+  },
+
+  // Policy in force when the session started
+  policy: {
+    minFingers: Number,
+    samplesPerFinger: Number,
+    minQuality: Number,
+  },
+
+  // Session data key (wrapped by the master key provider)
+  wrappedDataKey: Buffer,
+  keyId: String,
+
+  samples: [sampleSchema],
+  rejectedCaptures: {
+    type: Number,
+    default: 0,
+  },
+
+  startedBy: {
+    type: String, // Admin username
+    required: [true, 'Started by is required'],
+  },
+
+  finalizedAt: Date,
+  finalizedBy: String,
+  cancelledAt: Date,
+  cancelledBy: String,
+
+  // Fingerprint documents created on finalize
+  fingerprints: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+  }],
+
+  // TTL: MongoDB deletes the session after this time while it is OPEN
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+});
+
+// Finalized and cancelled sessions are kept: Fingerprint.enrollmentSession
+// points at them
+enrollmentSessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { status: 'OPEN' } }
+);
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Whether captures can still be added / the session finalized
+ */
+enrollmentSessionSchema.methods.isOpen = function() {
+  return this.status === 'OPEN' && this.expiresAt > new Date();
+};
+
+/**
+ * Get (creating on first use) the session data key
+ *
+ * @returns {Buffer} - 256-bit data key
+ */
+enrollmentSessionSchema.methods.getDataKey = function() {
+  if (!this.wrappedDataKey || this.wrappedDataKey.length === 0) {
+    const keyId = fingerprintKeys.getActiveKeyId();
+    const dataKey = crypto.randomBytes(32);
+    this.wrappedDataKey = fingerprintKeys.wrapDataKey(dataKey, keyId);
+    this.keyId = keyId;
+    return dataKey;
+  }
+
+  return fingerprintKeys.unwrapDataKey(this.wrappedDataKey, this.keyId);
+};
+
+/**
+ * Add an accepted sample (encrypts the template)
+ *
+ * @param {Buffer} templateBuffer - Raw template bytes
+ * @param {Object} info - { fingerIndex, fingerName, format, quality, minutiaeCount, device }
+ * @returns {Object} - The stored sample subdocument
+ */
+enrollmentSessionSchema.methods.addSample = function(templateBuffer, info) {
+  this.samples.push({
+    ...info,
+    encryptedTemplate: encryptTemplate(templateBuffer, this.getDataKey()),
+    templateHash: hashTemplate(templateBuffer),
+  });
+  return this.samples[this.samples.length - 1];
+};
+
+/**
+ * Decrypt a sample's template
+ * ⚠️ Only for consistency checks and finalization.
+ *
+ * @param {Object} sample - Sample subdocument
+ * @returns {Buffer} - Template bytes
+ */
+enrollmentSessionSchema.methods.getSampleTemplate = function(sample) {
+  return decryptTemplate(sample.encryptedTemplate, this.getDataKey());
+};
+
+/**
+ * Samples of one finger
+ */
+enrollmentSessionSchema.methods.getFingerSamples = function(fingerIndex) {
+  return this.samples.filter(sample => sample.fingerIndex === fingerIndex);
+};
+
+/**
+ * Progress towards the session policy
+ *
+ * @returns {Object} - See utils/enrollmentPolicy.evaluateProgress
+ */
+enrollmentSessionSchema.methods.getProgress = function() {
+  return evaluateProgress(this.policy, this.samples);
+};
+
+/**
+ * Drop all biometric data held by the session
+ */
+enrollmentSessionSchema.methods.wipeSamples = function() {
+  this.samples = [];
+  this.wrappedDataKey = undefined;
+  this.keyId = undefined;
+};
+
+// ============================================
+// SECURITY: Don't expose sample data in JSON
+// ============================================
+
+enrollmentSessionSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+
+  delete obj.wrappedDataKey;
+  obj.samples = (obj.samples || []).map(({ encryptedTemplate, templateHash, ...sample }) => sample);
+
+  return obj;
+};
+
+module.exports = mongoose.model('EnrollmentSession', enrollmentSessionSchema);
@@ -0,0 +1,49 @@
+// models/Geofence.js
+const mongoose = require('mongoose');
+
+/**
+ * Site Geofence Schema
+ *
+ * Area attendance must be marked in for employees assigned to a site
+ * (Employee.site; same site names as Device.site). Employees with their
+ * own geofence use that instead (see utils/geofence.js).
+ *
+ * shape:
+ * - RADIUS   center + radiusMeters
+ * - POLYGON  at least three points, in order, not closed
+ */
+const geofenceSchema = new mongoose.Schema({
+  site: {
+    type: String,
+    required: [true, 'Site is required'],
+    unique: true,
+    trim: true,
+  },
+
+  shape: {
+    type: String,
+    enum: ['RADIUS', 'POLYGON'],
+    required: [true, 'Shape is required'],
+  },
+
+  center: {
+    latitude: Number,
+    longitude: Number,
+  },
+  radiusMeters: Number,
+
+  polygon: [{
+    _id: false,
+    latitude: Number,
+    longitude: Number,
+  }],
+
+  // Admin usernames
+  createdBy: String,
+  updatedBy: String,
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+});
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
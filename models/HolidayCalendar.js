@@ -0,0 +1,152 @@
+// models/HolidayCalendar.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Holiday Calendar Schema
+ *
+ * Non-working days of the whole organization, of a site (Employee.site)
+ * or of a department (admin API: /api/calendars). Dashboards and alerts
+ * leave non-working days out of attendance rates (utils/workingCalendar.js).
+ *
+ * - holidays    dated days off (public and local holidays)
+ * - weeklyOffs  recurring days off. A weekday alone is off every week;
+ *               weeksOfMonth limits it to those weeks of the month
+ *               (e.g. Saturday, [2, 4]); alternateFrom makes it every
+ *               other week, starting with the week of that date
+ *
+ * Holidays of every calendar that applies to an employee add up. Weekly
+ * offs come from the most specific calendar that sets them (department,
+ * then site, then organization); an empty list means no weekly off, a
+ * missing list means the next calendar's weekly offs apply.
+ */
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: Date, // Start of the (server-local) day
+    required: [true, 'Holiday date is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+  },
+}, { _id: false });
+
+const weeklyOffSchema = new mongoose.Schema({
+  weekday: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: [true, 'Weekday is required'],
+    min: 0,
+    max: 6,
+  },
+  weeksOfMonth: {
+    type: [{ type: Number, min: 1, max: 5 }],
+    default: undefined,
+  },
+  alternateFrom: Date,
+}, { _id: false });
+
+const holidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Calendar name is required'],
+    unique: true,
+    trim: true,
+  },
+
+  scope: {
+    type: String,
+    enum: ['ORGANIZATION', 'SITE', 'DEPARTMENT'],
+    required: [true, 'Scope is required'],
+  },
+
+  // SITE calendars (same names as Employee.site)
+  site: {
+    type: String,
+    trim: true,
+  },
+
+  // DEPARTMENT calendars
+  department: {
+    type: String,
+    trim: true,
+  },
+
+  holidays: [holidaySchema],
+
+  weeklyOffs: {
+    type: [weeklyOffSchema],
+    default: undefined,
+  },
+
+  // Admin usernames
+  createdBy: {
+    type: String,
+    required: [true, 'Created by is required'],
+  },
+  updatedBy: String,
+
+}, {
+  timestamps: true,
+});
+
+// One calendar per organization, site and department
+holidayCalendarSchema.index({ scope: 1, site: 1, department: 1 }, { unique: true });
+
+holidayCalendarSchema.pre('validate', function() {
+  if (this.scope === 'SITE' && !this.site) {
+    this.invalidate('site', 'Site calendars need a site');
+  }
+  if (this.scope === 'DEPARTMENT' && !this.department) {
+    this.invalidate('department', 'Department calendars need a department');
+  }
+  if (this.scope !== 'SITE') this.site = undefined;
+  if (this.scope !== 'DEPARTMENT') this.department = undefined;
+
+  (this.weeklyOffs || []).forEach((off, i) => {
+    if (off.weeksOfMonth && off.weeksOfMonth.length > 0 && off.alternateFrom) {
+      this.invalidate(`weeklyOffs.${i}`, 'A weekly off takes weeksOfMonth or alternateFrom, not both');
+    }
+  });
+
+  // Holidays are whole days
+  this.holidays.forEach(holiday => {
+    if (holiday.date) holiday.date = startOfDay(holiday.date);
+  });
+});
+
+/**
+ * Start of the (server-local) day of a time
+ */
+function startOfDay(time) {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Whether a weekly off falls on a day
+ *
+ * @param {Object} off - { weekday, weeksOfMonth, alternateFrom }
+ * @param {Date} day - Any time of the day
+ * @returns {boolean}
+ */
+function isWeeklyOffOn(off, day) {
+  if (day.getDay() !== off.weekday) return false;
+
+  if (off.weeksOfMonth && off.weeksOfMonth.length > 0) {
+    return off.weeksOfMonth.includes(Math.ceil(day.getDate() / 7));
+  }
+
+  if (off.alternateFrom) {
+    const weeks = Math.floor(Math.round((startOfDay(day) - startOfDay(off.alternateFrom)) / DAY_MS) / 7);
+    return weeks % 2 === 0;
+  }
+
+  return true;
+}
+
+holidayCalendarSchema.statics.isWeeklyOffOn = isWeeklyOffOn;
+
+module.exports = mongoose.model('HolidayCalendar', holidayCalendarSchema);
@@ -0,0 +1,67 @@
+// models/OrganizationSettings.js
+const mongoose = require('mongoose');
+
+/**
+ * Organization Settings Schema
+ *
+ * Organization-wide switches a superadmin can change at runtime
+ * (GET/PUT /api/superadmin/settings). A single document keyed 'default';
+ * it is created on first read with the defaults below.
+ *
+ * attendance.requireBiometricVerification:
+ *   When true, POST /api/admin/attendance/mark refuses marks without a
+ *   live fingerprint that matches the employee's ACTIVE templates.
+ *   Default: ATTENDANCE_REQUIRE_BIOMETRIC=true|false (false)
+ *
+ * devices.requireRegistration:
+ *   When true, captures from scanners that are not in the device registry
+ *   (/api/devices) are refused. Disabled devices are always refused.
+ *   Default: DEVICE_REQUIRE_REGISTRATION=true|false (false)
+ */
+const organizationSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+
+  attendance: {
+    requireBiometricVerification: {
+      type: Boolean,
+      default: () => process.env.ATTENDANCE_REQUIRE_BIOMETRIC === 'true',
+    },
+  },
+
+  devices: {
+    requireRegistration: {
+      type: Boolean,
+      default: () => process.env.DEVICE_REQUIRE_REGISTRATION === 'true',
+    },
+  },
+
+  // Superadmin who last changed a setting
+  updatedBy: String,
+
+}, {
+  timestamps: true,
+});
+
+/**
+ * Get the organization settings (created with defaults on first use)
+ *
+ * @returns {Promise<Object>} - OrganizationSettings document
+ */
+organizationSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne({ key: 'default' });
+  if (settings) return settings;
+
+  try {
+    return await new this({ key: 'default' }).save();
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) return this.findOne({ key: 'default' });
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('OrganizationSettings', organizationSettingsSchema);
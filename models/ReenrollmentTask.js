@@ -0,0 +1,151 @@
+// models/ReenrollmentTask.js
+const mongoose = require('mongoose');
+
+/**
+ * Re-enrollment Task Schema
+ *
+ * Worklist entry asking a site admin to rescan one finger of an employee
+ * (GET /api/admin/reenrollment/worklist). Opened by jobs/templateExpiry.js:
+ * - LIFETIME: the template reaches (or passed) the end of its lifetime
+ * - QUALITY_DECAY: the template's recent verification success rate fell
+ *   below the minimum
+ *
+ * A task is closed as DONE when a newer ACTIVE template is saved for the
+ * same finger (see Fingerprint.finishSave), or CANCELLED when the employee
+ * is removed or withdraws consent. It outlives the purge of the expired
+ * template, so the finger stays on the worklist until it is rescanned.
+ */
+const reenrollmentTaskSchema = new mongoose.Schema({
+  // Template to be replaced (may since have been purged)
+  fingerprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+    required: [true, 'Fingerprint reference is required'],
+    index: true,
+  },
+  templateEnrolledAt: Date,
+
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+  },
+  employeeId: {
+    type: String,
+    required: [true, 'Employee ID is required'],
+    index: true,
+  },
+  fingerIndex: Number,
+  fingerName: String,
+
+  reason: {
+    type: String,
+    enum: ['LIFETIME', 'QUALITY_DECAY'],
+    required: [true, 'Reason is required'],
+  },
+
+  // End of the template lifetime (LIFETIME) or when the decay was found
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required'],
+  },
+
+  // Set once the job expired the template
+  templateExpiredAt: Date,
+
+  // Recent verifications behind a QUALITY_DECAY task
+  successRate: Number, // Percent
+  attempts: Number,
+
+  status: {
+    type: String,
+    enum: ['OPEN', 'DONE', 'CANCELLED'],
+    default: 'OPEN',
+    index: true,
+  },
+
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint', // Replacement template (DONE)
+  },
+  cancelReason: String,
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+});
+
+// One open task per template
+reenrollmentTaskSchema.index(
+  { fingerprint: 1 },
+  { unique: true, partialFilterExpression: { status: 'OPEN' }, name: 'fingerprint_open_unique' }
+);
+reenrollmentTaskSchema.index({ status: 1, employeeId: 1 });
+
+/**
+ * Open (or update) the task for a template
+ *
+ * @param {Object} fingerprint - Fingerprint document
+ * @param {Object} details - { reason, dueAt, templateExpiredAt, successRate, attempts }
+ * @returns {Promise<Object>} - { task, created }
+ */
+reenrollmentTaskSchema.statics.request = async function(fingerprint, details) {
+  const existing = await this.findOne({ fingerprint: fingerprint._id, status: 'OPEN' });
+
+  if (existing) {
+    Object.assign(existing, details);
+    return { task: await existing.save(), created: false };
+  }
+
+  const task = await this.create({
+    fingerprint: fingerprint._id,
+    templateEnrolledAt: fingerprint.enrolledAt,
+    employee: fingerprint.employee,
+    employeeId: fingerprint.employeeId,
+    fingerIndex: fingerprint.fingerIndex,
+    fingerName: fingerprint.fingerName,
+    ...details,
+  });
+
+  return { task, created: true };
+};
+
+/**
+ * Close the open tasks a newly ACTIVE template satisfies
+ * (same employee and finger, older template)
+ *
+ * @param {Object} fingerprint - ACTIVE Fingerprint document
+ * @returns {Promise<number>} - Number of tasks closed
+ */
+reenrollmentTaskSchema.statics.resolveFor = async function(fingerprint) {
+  const result = await this.updateMany(
+    {
+      employeeId: fingerprint.employeeId,
+      fingerIndex: fingerprint.fingerIndex ?? null,
+      fingerprint: { $ne: fingerprint._id },
+      status: 'OPEN',
+    },
+    {
+      $set: { status: 'DONE', resolvedAt: new Date(), resolvedBy: fingerprint._id },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Cancel an employee's open tasks
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {string} reason - Cancel reason
+ * @returns {Promise<number>} - Number of tasks cancelled
+ */
+reenrollmentTaskSchema.statics.cancelForEmployee = async function(employeeId, reason) {
+  const result = await this.updateMany(
+    { employeeId, status: 'OPEN' },
+    { $set: { status: 'CANCELLED', resolvedAt: new Date(), cancelReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('ReenrollmentTask', reenrollmentTaskSchema);
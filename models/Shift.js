@@ -0,0 +1,114 @@
+// models/Shift.js
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Shift Schema
+ *
+ * Working hours an attendance day is judged against (admin API:
+ * /api/shifts). Employees get shifts through rosters (models/ShiftRoster.js);
+ * the shift of the day is copied onto the Attendance record, which derives
+ * PRESENT / LATE / HALF_DAY from its punches.
+ *
+ * Times are "HH:mm" in server-local time, like attendance days. A shift
+ * whose end is not after its start crosses midnight (night shift) and
+ * belongs to the day it starts on.
+ *
+ * - graceMinutes        arriving later than start + grace is LATE
+ * - halfDayLateMinutes  arriving later than start + this is HALF_DAY
+ * - minFullDayMinutes   a day closed with fewer worked minutes is HALF_DAY
+ *                       (optional)
+ */
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shift name is required'],
+    unique: true,
+    trim: true,
+  },
+
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be HH:mm'],
+  },
+
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be HH:mm'],
+  },
+
+  graceMinutes: {
+    type: Number,
+    default: 10,
+    min: 0,
+  },
+
+  halfDayLateMinutes: {
+    type: Number,
+    default: 120,
+    min: 0,
+  },
+
+  minFullDayMinutes: {
+    type: Number,
+    min: 0,
+  },
+
+  // Admin usernames
+  createdBy: {
+    type: String,
+    required: [true, 'Created by is required'],
+  },
+  updatedBy: String,
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+shiftSchema.pre('validate', function() {
+  if (this.startTime && this.startTime === this.endTime) {
+    this.invalidate('endTime', 'End time must differ from start time');
+  }
+  if (this.halfDayLateMinutes < this.graceMinutes) {
+    this.invalidate('halfDayLateMinutes', 'Half-day threshold must not be shorter than the grace period');
+  }
+});
+
+shiftSchema.virtual('crossesMidnight').get(function() {
+  return this.endTime <= this.startTime;
+});
+
+/**
+ * Time of day on a date
+ *
+ * @param {Date} day - Any time of the day
+ * @param {string} time - "HH:mm"
+ * @returns {Date}
+ */
+function atTime(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+/**
+ * Start and end of the shift on an attendance day
+ *
+ * @param {Date} day - Any time of the attendance day
+ * @returns {Object} - { start, end } (end is on the next day for night shifts)
+ */
+shiftSchema.methods.windowOn = function(day) {
+  const start = atTime(day, this.startTime);
+  const end = atTime(day, this.endTime);
+  if (this.crossesMidnight) end.setDate(end.getDate() + 1);
+
+  return { start, end };
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,134 @@
+// models/ShiftRoster.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shift Roster Schema
+ *
+ * Which shift an employee, or every employee of a department, works on
+ * each day over a period. A roster with one shift is a fixed shift; with
+ * several, the employees work rotationDays days on each shift in turn,
+ * counting from the first day of the roster.
+ *
+ * Days run from effectiveFrom (inclusive) to effectiveTo (exclusive), both
+ * the start of a server-local day; a roster without effectiveTo is
+ * open-ended. An employee's own roster takes precedence over their
+ * department's (utils/shiftSchedule.js). Rosters of the same employee or
+ * department do not overlap.
+ */
+const shiftRosterSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['EMPLOYEE', 'DEPARTMENT'],
+    required: true,
+  },
+
+  // EMPLOYEE rosters
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+  },
+  employeeId: String,
+
+  // DEPARTMENT rosters
+  department: String,
+
+  // Rotation order
+  shifts: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+    }],
+    validate: [value => value.length > 0, 'At least one shift is required'],
+  },
+
+  // Days worked on each shift before rotating to the next
+  rotationDays: {
+    type: Number,
+    default: 7,
+    min: 1,
+  },
+
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required'],
+  },
+
+  effectiveTo: {
+    type: Date,
+    default: null,
+  },
+
+  // Admin usernames
+  assignedBy: {
+    type: String,
+    required: true,
+  },
+  endedBy: String,
+  endReason: String,
+
+}, {
+  timestamps: true,
+});
+
+shiftRosterSchema.index({ employeeId: 1, effectiveFrom: -1 });
+shiftRosterSchema.index({ department: 1, effectiveFrom: -1 });
+
+shiftRosterSchema.pre('validate', function() {
+  if (this.scope === 'EMPLOYEE' && !this.employeeId) {
+    this.invalidate('employeeId', 'Employee rosters need an employeeId');
+  }
+  if (this.scope === 'DEPARTMENT' && !this.department) {
+    this.invalidate('department', 'Department rosters need a department');
+  }
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after the effective from date');
+  }
+});
+
+/**
+ * Query conditions for rosters in effect on a day
+ *
+ * @param {Date} day - Start of the day
+ * @returns {Object} - Mongo filter
+ */
+shiftRosterSchema.statics.activeOn = function(day) {
+  return {
+    effectiveFrom: { $lte: day },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: day } }],
+  };
+};
+
+/**
+ * Roster of the same employee or department overlapping a period
+ *
+ * @param {Object} target - { employeeId } or { department }
+ * @param {Date} from - First day
+ * @param {Date|null} to - End (exclusive; null: open-ended)
+ * @returns {Promise<Object|null>} - { _id } of the overlapping roster
+ */
+shiftRosterSchema.statics.findOverlapping = function(target, from, to) {
+  const filter = {
+    ...target,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: from } }],
+  };
+  if (to) filter.effectiveFrom = { $lt: to };
+
+  return this.exists(filter);
+};
+
+/**
+ * Shift worked on a day (rotation)
+ *
+ * @param {Date} day - Start of the day
+ * @returns {ObjectId} - Shift _id
+ */
+shiftRosterSchema.methods.shiftIdOn = function(day) {
+  const days = Math.round((day - this.effectiveFrom) / DAY_MS); // round: DST days
+  const turn = Math.floor(days / this.rotationDays) % this.shifts.length;
+
+  return this.shifts[turn];
+};
+
+module.exports = mongoose.model('ShiftRoster', shiftRosterSchema);
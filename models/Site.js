@@ -0,0 +1,79 @@
+// models/Site.js
+const mongoose = require('mongoose');
+
+/**
+ * Work Site Schema
+ *
+ * Places employees work at (admin API: /api/sites). Field staff rotate
+ * between sites through SiteAssignment records; Employee.site is their
+ * home site.
+ *
+ * - name is the key other records use (Employee.site, Device.site,
+ *   Geofence.site) and cannot be changed
+ * - location is a GeoJSON point ([longitude, latitude]) with a 2dsphere
+ *   index, for nearby queries
+ * - A site without a Geofence counts as GEOFENCE_DEFAULT_RADIUS_METERS
+ *   around its location for employees assigned to it (utils/geofence.js)
+ * - CLOSED sites take no new assignments; closing ends the open ones
+ */
+const siteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    unique: true,
+    trim: true,
+  },
+
+  address: {
+    type: String,
+    trim: true,
+  },
+
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Site location is required'],
+      default: undefined,
+    },
+  },
+
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'CLOSED'],
+    default: 'ACTIVE',
+    index: true,
+  },
+
+  closedAt: Date,
+  closedBy: String,
+
+  // Admin usernames
+  createdBy: {
+    type: String,
+    required: [true, 'Created by is required'],
+  },
+  updatedBy: String,
+
+}, {
+  timestamps: true,
+});
+
+siteSchema.index({ location: '2dsphere' });
+
+/**
+ * Close the site (the caller ends its open assignments)
+ *
+ * @param {string} closedBy - Admin username
+ */
+siteSchema.methods.close = function(closedBy) {
+  this.status = 'CLOSED';
+  this.closedAt = new Date();
+  this.closedBy = closedBy;
+};
+
+module.exports = mongoose.model('Site', siteSchema);
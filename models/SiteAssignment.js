@@ -0,0 +1,141 @@
+// models/SiteAssignment.js
+const mongoose = require('mongoose');
+
+/**
+ * Site Assignment Schema
+ *
+ * An employee working at a site over a period: many-to-many between
+ * employees and sites, for field staff who rotate. The period runs from
+ * effectiveFrom (inclusive) to effectiveTo (exclusive); an assignment
+ * without effectiveTo is open-ended.
+ *
+ * Assignments are never deleted: ending one sets effectiveTo, so past
+ * attendance can be read against the sites of its day.
+ */
+const siteAssignmentSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+  },
+
+  // Denormalized for queries without population
+  employeeId: {
+    type: String,
+    required: true,
+  },
+
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    required: true,
+  },
+
+  // Site.name, the key of the site's geofence
+  siteName: {
+    type: String,
+    required: true,
+  },
+
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required'],
+  },
+
+  effectiveTo: {
+    type: Date,
+    default: null,
+  },
+
+  // Admin usernames
+  assignedBy: {
+    type: String,
+    required: true,
+  },
+  endedBy: String,
+  endReason: String,
+
+}, {
+  timestamps: true,
+});
+
+siteAssignmentSchema.index({ employeeId: 1, effectiveFrom: -1 });
+siteAssignmentSchema.index({ site: 1, effectiveFrom: -1 });
+
+siteAssignmentSchema.pre('validate', function() {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after the effective from date');
+  }
+});
+
+/**
+ * Query conditions for assignments in effect at a time
+ *
+ * @param {Date} [at] - Reference time (default: now)
+ * @returns {Object} - Mongo filter
+ */
+siteAssignmentSchema.statics.activeAt = function(at = new Date()) {
+  return {
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }],
+  };
+};
+
+/**
+ * Whether an employee already has an assignment to a site that overlaps
+ * a period
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {ObjectId} siteId - Site _id
+ * @param {Date} from - Start of the period
+ * @param {Date|null} to - End of the period (null: open-ended)
+ * @returns {Promise<Object|null>} - { _id } of the overlapping assignment
+ */
+siteAssignmentSchema.statics.findOverlapping = function(employeeId, siteId, from, to) {
+  const filter = {
+    employeeId,
+    site: siteId,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: from } }],
+  };
+  if (to) filter.effectiveFrom = { $lt: to };
+
+  return this.exists(filter);
+};
+
+/**
+ * Names of the sites an employee is assigned to at a time
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {Date} [at] - Reference time (default: now)
+ * @returns {Promise<Array>} - Site names
+ */
+siteAssignmentSchema.statics.siteNamesFor = function(employeeId, at = new Date()) {
+  return this.distinct('siteName', { employeeId, ...this.activeAt(at) });
+};
+
+/**
+ * End an employee's current and future assignments (employee removed)
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {string} endedBy - Admin username
+ * @param {string} reason - Why they were ended
+ * @returns {Promise<number>} - Number of assignments ended
+ */
+siteAssignmentSchema.statics.endForEmployee = async function(employeeId, endedBy, reason) {
+  const now = new Date();
+
+  const current = await this.updateMany(
+    { employeeId, effectiveFrom: { $lte: now }, $or: [{ effectiveTo: null }, { effectiveTo: { $gt: now } }] },
+    { effectiveTo: now, endedBy, endReason: reason }
+  );
+
+  // Not started yet: the period shrinks to nothing (ends where it starts)
+  const future = await this.updateMany(
+    { employeeId, effectiveFrom: { $gt: now } },
+    [{ $set: { effectiveTo: '$effectiveFrom', endedBy, endReason: reason } }]
+  );
+
+  return current.modifiedCount + future.modifiedCount;
+};
+
+module.exports = mongoose.model('SiteAssignment', siteAssignmentSchema);
@@ -1,22 +1,41 @@
 // models/Fingerprint.js
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const fingerprintIndex = require('../utils/fingerprintIndex');
+const { CANONICAL_FORMAT, toCanonical } = require('../utils/templateConverter');
+const fingerprintKeys = require('../config/fingerprintKeys');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { encryptTemplate, decryptTemplate, hashTemplate } = require('../utils/templateCrypto');
+const { getImageInfo } = require('../utils/fingerImage');
+const { templateFromImageRecord } = require('../utils/minutiaeExtractor');
+const ReenrollmentTask = require('./ReenrollmentTask');
+
+// Verification outcomes kept per template for the quality-decay rule
+// (jobs/templateExpiry.js)
+const VERIFICATION_HISTORY_SIZE = 20;
+
+// Template data is required until the record is erased
+function isNotErased() {
+  return this.status !== 'ERASED';
+}
 
 /**
  * Fingerprint Template Schema
  * 
  * Stores biometric fingerprint templates from MFS110 L1 RDService.
  * Implements security best practices:
- * - Application-level encryption (AES-256-GCM)
+ * - Application-level envelope encryption (AES-256-GCM, per-record data keys)
  * - Template hash for deduplication
  * - Comprehensive audit trail
  * - ISO format compliance
+ * - Optional finger image (ISO 19794-4, WSQ) kept to regenerate the template
  * 
  * ⚠️ IMPORTANT SECURITY NOTES:
  * - Templates are encrypted before storage
  * - Never log or expose raw template data
- * - Require explicit consent for biometric capture
- * - Implement data retention policies
+ * - Explicit consent is required for capture (models/Consent.js)
+ * - Retention is enforced by jobs/biometricRetention.js
+ * - Lifetime and quality decay are enforced by jobs/templateExpiry.js
  */
 
 const fingerprintSchema = new mongoose.Schema({
@@ -67,12 +86,12 @@ const fingerprintSchema = new mongoose.Schema({
    * Encrypted Template Data
    * Stored as Buffer (binary data)
    * 
-   * Encryption: AES-256-GCM
+   * Encryption: AES-256-GCM under this record's data key (see wrappedDataKey)
    * Structure: iv (16 bytes) + authTag (16 bytes) + encrypted data
    */
   encryptedTemplate: {
     type: Buffer,
-    required: [true, 'Encrypted template is required'],
+    required: [isNotErased, 'Encrypted template is required'],
     // Max size check (templates typically 500 bytes to 4KB)
     validate: {
       validator: function(v) {
@@ -82,6 +101,61 @@ const fingerprintSchema = new mongoose.Schema({
     }
   },
   
+  /**
+   * Encrypted Canonical Template (ISO 19794-2)
+   * Only set when the original is in another convertible format (ANSI_378),
+   * so matching and export work regardless of the capturing scanner.
+   * Same encryption structure as encryptedTemplate.
+   */
+  encryptedCanonicalTemplate: {
+    type: Buffer,
+  },
+  
+  /**
+   * Encrypted Finger Image (ISO 19794-4 record, WSQ-compressed)
+   * Set when the capture was an image: the template is then the minutiae
+   * extracted from it (see extractorVersion) and can be regenerated.
+   * Same encryption structure as encryptedTemplate.
+   */
+  encryptedImage: {
+    type: Buffer,
+  },
+  
+  // Finger image metadata (readable without decrypting)
+  image: {
+    compression: String, // WSQ
+    width: Number,
+    height: Number,
+    resolution: Number, // Pixels per inch
+    size: Number, // Compressed record bytes
+  },
+  
+  // Minutiae extractor version that produced the template from the image
+  // (utils/minutiaeExtractor.EXTRACTOR_VERSION)
+  extractorVersion: {
+    type: String,
+    index: true,
+  },
+  templateRegeneratedAt: Date,
+  
+  /**
+   * Envelope Encryption
+   * wrappedDataKey: per-record 256-bit data key, encrypted (AES-256-GCM)
+   *                 by the master key identified by keyId
+   * keyId:          master key id (see config/fingerprintKeys.js)
+   * 
+   * Records written before envelope encryption have no wrappedDataKey and
+   * are encrypted directly with the legacy key until rotated.
+   */
+  wrappedDataKey: {
+    type: Buffer,
+  },
+  
+  keyId: {
+    type: String,
+    index: true,
+  },
+  
   /**
    * Template Hash (SHA-256)
    * Used for:
@@ -91,9 +165,9 @@ const fingerprintSchema = new mongoose.Schema({
    */
   templateHash: {
     type: String,
-    required: [true, 'Template hash is required'],
-    unique: true, // Prevent duplicate templates
-    index: true,
+    required: [isNotErased, 'Template hash is required'],
+    // Unique among ACTIVE templates only (see INDEXES), so a revoked
+    // template can be enrolled again
   },
   
   // Quality Score (0-100, higher is better)
@@ -115,7 +189,21 @@ const fingerprintSchema = new mongoose.Schema({
       default: 'MFS110',
     },
     serialNumber: String,
+    rdServiceId: String,
     rdServiceVersion: String,
+    dpId: String, // RDService device provider id, e.g. MANTRA.MSIPL
+    
+    // Device attestation of the capture (utils/deviceAttestation.js)
+    attested: Boolean,
+    attestationStatus: String, // ATTESTED, UNSIGNED, UNTRUSTED_CERTIFICATE, ...
+    certificateFingerprint: String, // SHA-256 of the device certificate
+  },
+  
+  // Registered scanner the template was captured on (models/Device.js)
+  registeredDevice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    index: true,
   },
   
   // Enrollment Metadata
@@ -130,10 +218,31 @@ const fingerprintSchema = new mongoose.Schema({
     index: true,
   },
   
+  // Set when created by a multi-sample enrollment session
+  enrollmentSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EnrollmentSession',
+  },
+  sampleCount: Number, // Samples captured for this finger in the session
+  
+  // Re-enrollment chain (POST /api/fingerprints/:id/reenroll)
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fingerprint',
+  },
+  
   // Status
+  // PENDING_REVIEW: enrollment flagged as a possible cross-employee
+  // duplicate (see models/DuplicateReview.js); not used for matching
+  // ERASED: template data shredded on a data-subject erasure request;
+  // only the metadata remains
   status: {
     type: String,
-    enum: ['ACTIVE', 'REVOKED', 'EXPIRED'],
+    enum: ['ACTIVE', 'PENDING_REVIEW', 'REVOKED', 'EXPIRED', 'ERASED'],
     default: 'ACTIVE',
     index: true,
   },
@@ -142,12 +251,36 @@ const fingerprintSchema = new mongoose.Schema({
   revokedBy: String,
   revokeReason: String,
   
+  // Retention (see jobs/biometricRetention.js)
+  expiredAt: {
+    type: Date,
+    index: true,
+  },
+  expiryReason: String,
+  
+  // Erasure (data-subject request)
+  erasedAt: Date,
+  erasedBy: String,
+  
   // Audit Trail
   lastVerifiedAt: Date,
   verificationCount: {
     type: Number,
     default: 0,
   },
+  lastFailedVerificationAt: Date,
+  failedVerificationCount: {
+    type: Number,
+    default: 0,
+  },
+  
+  // Latest verification outcomes, oldest first (at most VERIFICATION_HISTORY_SIZE)
+  recentVerifications: [{
+    _id: false,
+    at: Date,
+    matched: Boolean,
+    score: Number,
+  }],
   
 }, {
   timestamps: true, // createdAt, updatedAt
@@ -162,71 +295,49 @@ fingerprintSchema.index({ employeeId: 1, status: 1 });
 fingerprintSchema.index({ employeeId: 1, fingerIndex: 1 });
 fingerprintSchema.index({ status: 1, createdAt: -1 });
 
+// Duplicate detection: no two ACTIVE templates with the same bytes.
+// Replaces the old global unique index on templateHash; run
+// scripts/syncFingerprintIndexes.js once to drop it.
+fingerprintSchema.index(
+  { templateHash: 1 },
+  {
+    name: 'templateHash_active_unique',
+    unique: true,
+    partialFilterExpression: { status: 'ACTIVE' },
+  }
+);
+
 // ============================================
 // ENCRYPTION UTILITIES
 // ============================================
 
 /**
- * Encryption key management
- * ⚠️ PRODUCTION: Store this in environment variable or key management service (KMS)
+ * Key management: master keys are held by the key provider configured in
+ * config/fingerprintKeys.js (startup refuses to run without one).
+ * Each record has its own data key, wrapped and unwrapped by the provider.
+ * AES-256-GCM primitives live in utils/templateCrypto.js.
  */
-const ENCRYPTION_KEY = process.env.FINGERPRINT_ENCRYPTION_KEY || 
-  crypto.randomBytes(32); // 256-bit key
-
-if (!process.env.FINGERPRINT_ENCRYPTION_KEY) {
-  console.warn('⚠️  WARNING: Using default encryption key. Set FINGERPRINT_ENCRYPTION_KEY in production!');
-}
 
 /**
- * Encrypt template data
- * Algorithm: AES-256-GCM (Galois/Counter Mode)
+ * Wrap a data key under a master key (delegates to the key provider)
  * 
- * @param {Buffer} plaintext - Raw template bytes
- * @returns {Buffer} - Concatenated buffer: [iv(16) + authTag(16) + ciphertext]
+ * @param {Buffer} dataKey - 256-bit data key
+ * @param {string} keyId - Master key id
+ * @returns {Buffer} - Wrapped data key
  */
-function encryptTemplate(plaintext) {
-  const iv = crypto.randomBytes(16); // 128-bit IV
-  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
-  
-  const ciphertext = Buffer.concat([
-    cipher.update(plaintext),
-    cipher.final()
-  ]);
-  
-  const authTag = cipher.getAuthTag(); // 128-bit authentication tag
-  
-  // Combine: iv + authTag + ciphertext
-  return Buffer.concat([iv, authTag, ciphertext]);
+function wrapDataKey(dataKey, keyId) {
+  return fingerprintKeys.wrapDataKey(dataKey, keyId);
 }
 
 /**
- * Decrypt template data
+ * Unwrap a data key (delegates to the key provider)
  * 
- * @param {Buffer} encrypted - Encrypted buffer from database
- * @returns {Buffer} - Decrypted template bytes
+ * @param {Buffer} wrappedKey - Wrapped data key
+ * @param {string} keyId - Master key id it was wrapped with
+ * @returns {Buffer} - 256-bit data key
  */
-function decryptTemplate(encrypted) {
-  const iv = encrypted.slice(0, 16);
-  const authTag = encrypted.slice(16, 32);
-  const ciphertext = encrypted.slice(32);
-  
-  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
-  decipher.setAuthTag(authTag);
-  
-  return Buffer.concat([
-    decipher.update(ciphertext),
-    decipher.final()
-  ]);
-}
-
-/**
- * Generate SHA-256 hash of template
- * 
- * @param {Buffer} templateBuffer - Raw template bytes
- * @returns {string} - Hex-encoded hash
- */
-function hashTemplate(templateBuffer) {
-  return crypto.createHash('sha256').update(templateBuffer).digest('hex');
+function unwrapDataKey(wrappedKey, keyId) {
+  return fingerprintKeys.unwrapDataKey(wrappedKey, keyId);
 }
 
 // ============================================
@@ -250,11 +361,29 @@ fingerprintSchema.methods.setTemplate = function(template) {
     throw new Error('Template must be between 1 byte and 10MB');
   }
   
+  // A stored finger image moves to the new data key with the template
+  const image = this.hasImage() ? this.getImage() : null;
+  
   // Generate hash (before encryption)
   this.templateHash = hashTemplate(templateBuffer);
   
+  // Fresh data key per record, wrapped by the active master key
+  const keyId = fingerprintKeys.getActiveKeyId();
+  const dataKey = crypto.randomBytes(32);
+  this.wrappedDataKey = wrapDataKey(dataKey, keyId);
+  this.keyId = keyId;
+  
   // Encrypt
-  this.encryptedTemplate = encryptTemplate(templateBuffer);
+  this.encryptedTemplate = encryptTemplate(templateBuffer, dataKey);
+  
+  // Store canonical (ISO 19794-2) copy for non-canonical minutiae formats
+  this.encryptedCanonicalTemplate = this.format === 'ANSI_378'
+    ? encryptTemplate(toCanonical(templateBuffer), dataKey)
+    : undefined;
+  
+  if (image) {
+    this.encryptedImage = encryptTemplate(image, dataKey);
+  }
   
   return {
     templateHash: this.templateHash,
@@ -263,6 +392,59 @@ fingerprintSchema.methods.setTemplate = function(template) {
   };
 };
 
+/**
+ * Get this record's data key
+ * Legacy records (no wrappedDataKey) were encrypted with the legacy key directly.
+ * 
+ * @returns {Buffer} - 256-bit data key
+ */
+fingerprintSchema.methods.getDataKey = function() {
+  if (!this.wrappedDataKey || this.wrappedDataKey.length === 0) {
+    return fingerprintKeys.getLegacyKey();
+  }
+  
+  return unwrapDataKey(this.wrappedDataKey, this.keyId);
+};
+
+/**
+ * Re-wrap this record's data key under another master key
+ * Template ciphertext is untouched; legacy records are re-encrypted
+ * under a fresh data key.
+ * 
+ * @param {string} [targetKeyId] - Master key id (default: active key)
+ * @returns {boolean} - True if the document changed
+ */
+fingerprintSchema.methods.rewrapDataKey = function(targetKeyId) {
+  const keyId = targetKeyId || fingerprintKeys.getActiveKeyId();
+  
+  if (this.keyId === keyId && this.wrappedDataKey && this.wrappedDataKey.length > 0) {
+    return false;
+  }
+  
+  if (!this.wrappedDataKey || this.wrappedDataKey.length === 0) {
+    const legacyKey = this.getDataKey();
+    const dataKey = crypto.randomBytes(32);
+    
+    this.encryptedTemplate = encryptTemplate(decryptTemplate(this.encryptedTemplate, legacyKey), dataKey);
+    if (this.encryptedCanonicalTemplate && this.encryptedCanonicalTemplate.length > 0) {
+      this.encryptedCanonicalTemplate = encryptTemplate(
+        decryptTemplate(this.encryptedCanonicalTemplate, legacyKey),
+        dataKey
+      );
+    }
+    if (this.hasImage()) {
+      this.encryptedImage = encryptTemplate(decryptTemplate(this.encryptedImage, legacyKey), dataKey);
+    }
+    
+    this.wrappedDataKey = wrapDataKey(dataKey, keyId);
+  } else {
+    this.wrappedDataKey = wrapDataKey(this.getDataKey(), keyId);
+  }
+  
+  this.keyId = keyId;
+  return true;
+};
+
 /**
  * Get decrypted template
  * ⚠️ Use sparingly! Only for verification purposes.
@@ -275,13 +457,124 @@ fingerprintSchema.methods.getTemplate = function() {
   }
   
   try {
-    return decryptTemplate(this.encryptedTemplate);
+    return decryptTemplate(this.encryptedTemplate, this.getDataKey());
   } catch (error) {
     console.error('Template decryption failed:', error);
     throw new Error('Failed to decrypt template');
   }
 };
 
+/**
+ * Get decrypted template in the canonical format (ISO 19794-2)
+ * ⚠️ Use sparingly! Only for verification and export.
+ * 
+ * @returns {Buffer} - Decrypted canonical template bytes
+ * @throws {Error} - If the template has no canonical form (image/proprietary)
+ */
+fingerprintSchema.methods.getCanonicalTemplate = function() {
+  if (this.format === CANONICAL_FORMAT) {
+    return this.getTemplate();
+  }
+  
+  if (!this.encryptedCanonicalTemplate || this.encryptedCanonicalTemplate.length === 0) {
+    throw new Error(`No canonical template available for format ${this.format}`);
+  }
+  
+  try {
+    return decryptTemplate(this.encryptedCanonicalTemplate, this.getDataKey());
+  } catch (error) {
+    console.error('Canonical template decryption failed:', error);
+    throw new Error('Failed to decrypt template');
+  }
+};
+
+/**
+ * Store the finger image record (encrypted under this record's data key)
+ * Call after setTemplate, which creates the data key.
+ * 
+ * @param {Buffer} record - ISO 19794-4 record, already compressed for storage
+ * @returns {Object} - { encryptedSize, size }
+ */
+fingerprintSchema.methods.setImage = function(record) {
+  const info = getImageInfo(record);
+  
+  this.encryptedImage = encryptTemplate(record, this.getDataKey());
+  this.image = {
+    compression: info.compression,
+    width: info.width,
+    height: info.height,
+    resolution: info.resolution.x,
+    size: record.length,
+  };
+  
+  return {
+    encryptedSize: this.encryptedImage.length,
+    size: record.length,
+  };
+};
+
+/**
+ * Whether a finger image is stored with the template
+ * 
+ * @returns {boolean}
+ */
+fingerprintSchema.methods.hasImage = function() {
+  return Boolean(this.encryptedImage && this.encryptedImage.length > 0);
+};
+
+/**
+ * Get the decrypted finger image record (ISO 19794-4)
+ * ⚠️ Callers that show the image must audit the access.
+ * 
+ * @returns {Buffer} - Image record bytes
+ */
+fingerprintSchema.methods.getImage = function() {
+  if (!this.hasImage()) {
+    throw new Error('No finger image stored');
+  }
+  
+  try {
+    return decryptTemplate(this.encryptedImage, this.getDataKey());
+  } catch (error) {
+    console.error('Image decryption failed:', error);
+    throw new Error('Failed to decrypt finger image');
+  }
+};
+
+/**
+ * Re-extract the template from the stored finger image
+ * Records enrolled as raw ISO 19794-4 templates (before images were
+ * decoded) get their image moved to encryptedImage on the way.
+ * 
+ * @returns {Object} - { minutiaeCount, quality, extractorVersion }
+ * @throws {Error} - If there is no image or too few minutiae are found
+ */
+fingerprintSchema.methods.regenerateTemplate = function() {
+  let record;
+  if (this.hasImage()) {
+    record = this.getImage();
+  } else if (this.format === 'ISO_19794_4') {
+    record = this.getTemplate();
+  } else {
+    throw new Error('No finger image stored');
+  }
+  
+  const extracted = templateFromImageRecord(record);
+  
+  this.format = CANONICAL_FORMAT;
+  this.setTemplate(extracted.template);
+  this.setImage(extracted.imageRecord);
+  this.quality = extracted.quality;
+  this.extractorVersion = extracted.extractorVersion;
+  this.templateRegeneratedAt = new Date();
+  
+  return {
+    minutiaeCount: extracted.minutiaeCount,
+    quality: extracted.quality,
+    extractorVersion: extracted.extractorVersion,
+  };
+};
+
 /**
  * Get template as Base64 string
  * 
@@ -305,12 +598,74 @@ fingerprintSchema.methods.revoke = function(revokedBy, reason) {
   this.revokeReason = reason || 'No reason provided';
 };
 
+/**
+ * Expire template (retention policy, consent withdrawal, employee removal)
+ * Expired templates are purged after the retention grace period.
+ * 
+ * @param {string} reason - Expiry reason
+ */
+fingerprintSchema.methods.expire = function(reason) {
+  this.status = 'EXPIRED';
+  this.expiredAt = new Date();
+  this.expiryReason = reason || 'Retention policy';
+};
+
+/**
+ * Crypto-shred the template (data-subject erasure)
+ * The data key and every ciphertext/hash derived from the template are
+ * removed; metadata (finger, dates, status history) is kept.
+ * 
+ * @param {string} erasedBy - Superadmin username
+ */
+fingerprintSchema.methods.shred = function(erasedBy) {
+  this.wrappedDataKey = undefined;
+  this.encryptedTemplate = undefined;
+  this.encryptedCanonicalTemplate = undefined;
+  this.encryptedImage = undefined;
+  this.templateHash = undefined;
+  
+  this.status = 'ERASED';
+  this.erasedAt = new Date();
+  this.erasedBy = erasedBy;
+};
+
 /**
  * Record verification attempt
+ * 
+ * @param {boolean} [matched] - Whether the probe matched this template (default: true)
+ * @param {number} [score] - Matcher score
+ */
+fingerprintSchema.methods.recordVerification = function(matched = true, score) {
+  const now = new Date();
+  
+  if (matched) {
+    this.lastVerifiedAt = now;
+    this.verificationCount += 1;
+  } else {
+    this.lastFailedVerificationAt = now;
+    this.failedVerificationCount += 1;
+  }
+  
+  this.recentVerifications.push({ at: now, matched, score });
+  if (this.recentVerifications.length > VERIFICATION_HISTORY_SIZE) {
+    this.recentVerifications.splice(0, this.recentVerifications.length - VERIFICATION_HISTORY_SIZE);
+  }
+};
+
+/**
+ * Success rate of the latest verifications
+ * 
+ * @returns {Object} - { attempts, matched, successRate (percent, null without attempts) }
  */
-fingerprintSchema.methods.recordVerification = function() {
-  this.lastVerifiedAt = new Date();
-  this.verificationCount += 1;
+fingerprintSchema.methods.getVerificationSuccessRate = function() {
+  const attempts = this.recentVerifications.length;
+  const matched = this.recentVerifications.filter(v => v.matched).length;
+  
+  return {
+    attempts,
+    matched,
+    successRate: attempts > 0 ? Math.round((matched / attempts) * 100) : null,
+  };
 };
 
 // ============================================
@@ -330,6 +685,30 @@ fingerprintSchema.statics.findActiveByEmployeeId = function(employeeId) {
   }).sort({ createdAt: -1 });
 };
 
+/**
+ * Expire all active (and pending review) templates of an employee
+ * Used on employee removal and consent withdrawal, so the employee's
+ * re-enrollment tasks are cancelled too.
+ * 
+ * @param {string} employeeId - Employee ID
+ * @param {string} reason - Expiry reason
+ * @param {Object} [auditCtx] - Audit context of the admin doing it (default: system)
+ * @returns {Promise<number>} - Number of templates expired
+ */
+fingerprintSchema.statics.expireForEmployee = async function(employeeId, reason, auditCtx) {
+  const fingerprints = await this.find({ employeeId, status: { $in: ['ACTIVE', 'PENDING_REVIEW'] } });
+  
+  for (const fp of fingerprints) {
+    fp.expire(reason);
+    if (auditCtx) fp.setAuditContext(auditCtx);
+    await fp.save();
+  }
+  
+  await ReenrollmentTask.cancelForEmployee(employeeId, reason);
+  
+  return fingerprints.length;
+};
+
 /**
  * Check if template already exists (duplicate detection)
  * 
@@ -351,8 +730,11 @@ fingerprintSchema.statics.templateExists = async function(templateHash) {
 fingerprintSchema.methods.toJSON = function() {
   const obj = this.toObject();
   
-  // Remove encrypted template from JSON responses
+  // Remove encrypted templates from JSON responses
   delete obj.encryptedTemplate;
+  delete obj.encryptedCanonicalTemplate;
+  delete obj.encryptedImage;
+  delete obj.wrappedDataKey;
   
   // Optionally remove template hash in some contexts
   // delete obj.templateHash;
@@ -361,15 +743,132 @@ fingerprintSchema.methods.toJSON = function() {
 };
 
 // ============================================
-// AUDIT LOGGING (optional but recommended)
+// AUDIT LOGGING
 // ============================================
 
-fingerprintSchema.post('save', function(doc) {
-  console.log(`[AUDIT] Fingerprint saved: Employee ${doc.employeeId}, Status: ${doc.status}`);
+/**
+ * Attach the audit context (actor, IP, reason) for the next save
+ * Without one, the event is attributed to enrolledBy/revokedBy or "system".
+ * 
+ * @param {Object} context - { actor, actorRole, ip, reason } (see utils/auditLog.auditContext)
+ * @returns {Object} - this (chainable)
+ */
+fingerprintSchema.methods.setAuditContext = function(context) {
+  this.$locals.auditContext = context;
+  return this;
+};
+
+/**
+ * Work out which audit event a save represents
+ * Verification counter updates are audited by the verify/identify routes.
+ */
+function getSaveAuditAction(doc) {
+  if (doc.isNew) return 'FINGERPRINT_ENROLLED';
+  
+  if (doc.isModified('status')) {
+    if (doc.status === 'REVOKED') return 'FINGERPRINT_REVOKED';
+    if (doc.status === 'EXPIRED') return 'FINGERPRINT_EXPIRED';
+    if (doc.status === 'ERASED') return 'FINGERPRINT_ERASED';
+    return 'FINGERPRINT_STATUS_CHANGED';
+  }
+  
+  if (doc.isModified('templateRegeneratedAt')) return 'FINGERPRINT_TEMPLATE_REGENERATED';
+  if (doc.isModified('encryptedTemplate') || doc.isModified('format')) return 'FINGERPRINT_TEMPLATE_REPLACED';
+  if (doc.isModified('keyId') || doc.isModified('wrappedDataKey')) return 'FINGERPRINT_KEY_REWRAPPED';
+  
+  return null;
+}
+
+// Remember what this save does before the modified paths are reset:
+// - whether it changes the identification candidate set
+//   (verification counters alone do not)
+// - whether it activates a template (closing re-enrollment tasks)
+// - which audit event to record
+fingerprintSchema.pre('save', function() {
+  this.$locals.affectsIndex = this.isNew ||
+    this.isModified('status') ||
+    this.isModified('encryptedTemplate') ||
+    this.isModified('encryptedCanonicalTemplate') ||
+    this.isModified('format');
+  
+  this.$locals.activated = this.status === 'ACTIVE' && (this.isNew || this.isModified('status'));
+  
+  this.$locals.auditAction = getSaveAuditAction(this);
+});
+
+/**
+ * Run the post-save side effects: index invalidation, re-enrollment task
+ * resolution and audit event
+ * Saves inside a transaction skip the hook; the caller runs this on each
+ * saved document once the transaction has committed.
+ */
+fingerprintSchema.methods.finishSave = async function() {
+  if (this.$locals.affectsIndex) {
+    fingerprintIndex.invalidate();
+  }
+  
+  if (this.$locals.activated) {
+    delete this.$locals.activated;
+    try {
+      await ReenrollmentTask.resolveFor(this);
+    } catch (error) {
+      console.error('[Reenrollment Error]: Failed to close re-enrollment tasks:', error);
+    }
+  }
+  
+  const action = this.$locals.auditAction;
+  if (!action) return;
+  
+  const context = this.$locals.auditContext || {};
+  delete this.$locals.auditContext;
+  delete this.$locals.auditAction;
+  
+  try {
+    await recordAuditEvent({
+      actor: context.actor || (action === 'FINGERPRINT_ENROLLED' ? this.enrolledBy : this.revokedBy) || 'system',
+      actorRole: context.actorRole,
+      action,
+      targetType: 'Fingerprint',
+      targetId: this._id,
+      employeeId: this.employeeId,
+      ip: context.ip,
+      reason: context.reason || this.revokeReason || this.expiryReason,
+      metadata: {
+        status: this.status,
+        fingerName: this.fingerName,
+        format: this.format,
+        keyId: this.keyId,
+        extractorVersion: this.extractorVersion,
+        replaces: this.replaces ? String(this.replaces) : undefined,
+        replacedBy: this.replacedBy ? String(this.replacedBy) : undefined,
+      },
+    });
+  } catch (error) {
+    // The save itself succeeded; surface the gap loudly
+    console.error('[Audit Error]: Failed to record fingerprint save:', error);
+  }
+};
+
+fingerprintSchema.post('save', async function(doc) {
+  const session = doc.$session();
+  if (session && session.inTransaction()) return;
+  
+  await doc.finishSave();
 });
 
-fingerprintSchema.post('remove', function(doc) {
-  console.log(`[AUDIT] Fingerprint removed: Employee ${doc.employeeId}`);
+fingerprintSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  fingerprintIndex.invalidate();
+  
+  try {
+    await recordAuditEvent({
+      action: 'FINGERPRINT_DELETED',
+      targetType: 'Fingerprint',
+      targetId: doc._id,
+      employeeId: doc.employeeId,
+    });
+  } catch (error) {
+    console.error('[Audit Error]: Failed to record fingerprint deletion:', error);
+  }
 });
 
 // ============================================
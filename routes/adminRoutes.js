@@ -3,7 +3,18 @@ const express = require('express');
 const Employee = require('../models/Employee');
 const Fingerprint = require('../models/fingerprint');
 const Attendance = require('../models/Attendance');
+const Consent = require('../models/Consent');
+const SiteAssignment = require('../models/SiteAssignment');
+const OrganizationSettings = require('../models/OrganizationSettings');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+const { readProbe, verifyEmployeeFingerprint } = require('../utils/fingerprintVerification');
+const { parseDeviceInfoXml } = require('../utils/rdService');
+const { checkCaptureDevice, trackDeviceUse } = require('../utils/deviceRegistry');
+const { REASONS: REENROLLMENT_REASONS, buildWorklist } = require('../utils/reenrollmentWorklist');
+const { readGeofence, checkAttendanceLocation } = require('../utils/geofence');
+const { resolveShift, attendanceDayFor } = require('../utils/shiftSchedule');
+const { loadWorkingCalendar } = require('../utils/workingCalendar');
 
 const router = express.Router();
 
@@ -17,8 +28,10 @@ router.use(requireAdmin);
 
 /**
  * @route   POST /api/admin/employees
- * @desc    Create a new employee with encrypted fingerprint storage
+ * @desc    Create a new employee
  * @access  Admin only
+ *
+ * Fingerprints are enrolled afterwards via POST /api/fingerprints/enroll.
  */
 router.post('/employees', async (req, res) => {
   try {
@@ -29,15 +42,18 @@ router.post('/employees', async (req, res) => {
       department,
       fingerprintTemplate,
       baseLocation,
+      site,
+      geofence,
       phone,
       email,
+      consentVersion,
     } = req.body;
 
     // Validate required fields
-    if (!name || !employeeId || !jobRole || !department || !fingerprintTemplate) {
+    if (!name || !employeeId || !jobRole || !department) {
       return res.status(400).json({
         success: false,
-        message: 'Required fields: name, employeeId, jobRole, department, fingerprintTemplate',
+        message: 'Required fields: name, employeeId, jobRole, department',
       });
     }
 
@@ -48,6 +64,27 @@ router.post('/employees', async (req, res) => {
       });
     }
 
+    // Templates are only enrolled through the validated, duplicate-checked path
+    if (fingerprintTemplate !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'fingerprintTemplate is not accepted here; create the employee, then enroll via POST /api/fingerprints/enroll',
+      });
+    }
+
+    // Own geofence (optional; a radius without a center is centred on the base location)
+    let ownGeofence;
+    if (geofence) {
+      try {
+        ownGeofence = readGeofence(geofence, { requireCenter: false });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+        });
+      }
+    }
+
     // Check if employee with same employeeId already exists
     const existingEmployee = await Employee.findOne({ employeeId });
     if (existingEmployee) {
@@ -57,7 +94,7 @@ router.post('/employees', async (req, res) => {
       });
     }
 
-    // ✅ CREATE EMPLOYEE (with simple template for backward compatibility)
+    // ✅ CREATE EMPLOYEE
     const employee = new Employee({
       name,
       employeeId,
@@ -65,38 +102,35 @@ router.post('/employees', async (req, res) => {
       department,
       phone,
       email,
-      fingerprintTemplate, // Keep for backward compatibility
       baseLocation: {
         latitude: baseLocation.latitude,
         longitude: baseLocation.longitude,
       },
+      site,
+      geofence: ownGeofence,
       createdBy: req.user.username,
     });
 
     await employee.save();
     console.log(`✅ Employee created: ${employeeId}`);
 
-    // ✅ CREATE ENCRYPTED FINGERPRINT ENTRY
-    try {
-      const fingerprint = new Fingerprint({
+    // ✅ RECORD BIOMETRIC CONSENT (captured together with the employee)
+    if (consentVersion) {
+      const consent = await new Consent({
         employee: employee._id,
         employeeId: employee.employeeId,
-        fingerIndex: 1, // Default to right index finger
-        fingerName: 'RIGHT_INDEX',
-        format: 'ISO_19794_2',
-        enrolledBy: req.user.username,
-        quality: req.body.quality || null, // Optional quality score from frontend
+        consentVersion,
+        capturedBy: req.user.username,
+      }).save();
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: 'CONSENT_RECORDED',
+        targetType: 'Consent',
+        targetId: consent._id,
+        employeeId: employee.employeeId,
+        metadata: { consentVersion },
       });
-
-      // Set and encrypt the template
-      fingerprint.setTemplate(fingerprintTemplate);
-      await fingerprint.save();
-      
-      console.log(`✅ Encrypted fingerprint created for ${employeeId}`);
-    } catch (fingerprintError) {
-      console.error('⚠️ Warning: Failed to create encrypted fingerprint:', fingerprintError.message);
-      // Don't fail the entire request - employee is already created
-      // The simple template in Employee model will still work
     }
 
     res.status(201).json({
@@ -111,9 +145,12 @@ router.post('/employees', async (req, res) => {
         phone: employee.phone,
         email: employee.email,
         baseLocation: employee.baseLocation,
+        site: employee.site,
+        geofence: employee.geofence,
         createdBy: employee.createdBy,
         createdAt: employee.createdAt,
       },
+      consentRecorded: Boolean(consentVersion),
     });
 
   } catch (error) {
@@ -157,7 +194,6 @@ router.get('/employees', async (req, res) => {
 
     // Fetch employees
     const employees = await Employee.find(query)
-      .select('-fingerprintTemplate')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum);
@@ -190,8 +226,7 @@ router.get('/employees', async (req, res) => {
  */
 router.get('/employees/:id', async (req, res) => {
   try {
-    const employee = await Employee.findById(req.params.id)
-      .select('-fingerprintTemplate');
+    const employee = await Employee.findById(req.params.id);
 
     if (!employee) {
       return res.status(404).json({
@@ -200,13 +235,16 @@ router.get('/employees/:id', async (req, res) => {
       });
     }
 
-    // Get attendance statistics
-    const attendanceRecords = await Attendance.find({ 
+    // Get attendance statistics (working days only)
+    const allRecords = await Attendance.find({ 
       employeeId: employee.employeeId 
     });
+    const calendar = await loadWorkingCalendar();
+    const attendanceRecords = calendar.workingRecords(allRecords, [employee]);
 
     const stats = {
       totalRecords: attendanceRecords.length,
+      nonWorkingDayRecords: allRecords.length - attendanceRecords.length,
       present: attendanceRecords.filter(r => r.status === 'PRESENT').length,
       absent: attendanceRecords.filter(r => r.status === 'ABSENT').length,
       late: attendanceRecords.filter(r => r.status === 'LATE').length,
@@ -237,6 +275,8 @@ router.get('/employees/:id', async (req, res) => {
  * @route   PUT /api/admin/employees/:id
  * @desc    Update employee details
  * @access  Admin only
+ *
+ * Fingerprints are replaced via POST /api/fingerprints/:id/reenroll.
  */
 router.put('/employees/:id', async (req, res) => {
   try {
@@ -248,9 +288,19 @@ router.put('/employees/:id', async (req, res) => {
       phone,
       email,
       baseLocation,
+      site,
+      geofence,
       fingerprintTemplate,
     } = req.body;
 
+    // Templates are replaced through the transactional re-enrollment
+    if (fingerprintTemplate !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'fingerprintTemplate is not accepted here; replace a template via POST /api/fingerprints/:id/reenroll',
+      });
+    }
+
     const employee = await Employee.findById(id);
     
     if (!employee) {
@@ -260,6 +310,21 @@ router.put('/employees/:id', async (req, res) => {
       });
     }
 
+    // Own geofence: null clears it (the site or default geofence applies again)
+    if (geofence !== undefined) {
+      try {
+        employee.geofence = geofence === null
+          ? undefined
+          : readGeofence(geofence, { requireCenter: false });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+        });
+      }
+    }
+    if (site !== undefined) employee.site = site || undefined;
+
     // Update fields if provided
     if (name) employee.name = name;
     if (jobRole) employee.jobRole = jobRole;
@@ -267,43 +332,6 @@ router.put('/employees/:id', async (req, res) => {
     if (phone) employee.phone = phone;
     if (email) employee.email = email;
     
-    // ✅ Handle fingerprint template update
-    if (fingerprintTemplate && fingerprintTemplate !== employee.fingerprintTemplate) {
-      employee.fingerprintTemplate = fingerprintTemplate;
-      
-      // Also update encrypted fingerprint
-      try {
-        // Revoke old fingerprint
-        const oldFingerprint = await Fingerprint.findOne({ 
-          employeeId: employee.employeeId,
-          status: 'ACTIVE' 
-        });
-        
-        if (oldFingerprint) {
-          oldFingerprint.revoke(req.user.username, 'Updated by admin');
-          await oldFingerprint.save();
-        }
-        
-        // Create new encrypted fingerprint
-        const newFingerprint = new Fingerprint({
-          employee: employee._id,
-          employeeId: employee.employeeId,
-          fingerIndex: 1,
-          fingerName: 'RIGHT_INDEX',
-          format: 'ISO_19794_2',
-          enrolledBy: req.user.username,
-          quality: req.body.quality || null,
-        });
-        
-        newFingerprint.setTemplate(fingerprintTemplate);
-        await newFingerprint.save();
-        
-        console.log(`✅ Fingerprint updated for ${employee.employeeId}`);
-      } catch (fpError) {
-        console.error('⚠️ Warning: Failed to update encrypted fingerprint:', fpError.message);
-      }
-    }
-    
     if (baseLocation && baseLocation.latitude && baseLocation.longitude) {
       employee.baseLocation = {
         latitude: baseLocation.latitude,
@@ -325,6 +353,8 @@ router.put('/employees/:id', async (req, res) => {
         phone: employee.phone,
         email: employee.email,
         baseLocation: employee.baseLocation,
+        site: employee.site,
+        geofence: employee.geofence,
         updatedAt: employee.updatedAt,
       },
     });
@@ -364,6 +394,12 @@ router.delete('/employees/:id', async (req, res) => {
     // Delete employee
     await Employee.findByIdAndDelete(id);
 
+    // Biometric data must not outlive the employee: expire now, purge later
+    const expiredTemplates = await Fingerprint.expireForEmployee(employee.employeeId, 'Employee removed', auditContext(req));
+
+    // Field staff rotation: the employee leaves every site
+    const endedSiteAssignments = await SiteAssignment.endForEmployee(employee.employeeId, req.user.username, 'Employee removed');
+
     res.json({
       success: true,
       message: 'Employee deleted successfully',
@@ -371,6 +407,8 @@ router.delete('/employees/:id', async (req, res) => {
         employeeId: employee.employeeId,
         name: employee.name,
         attendanceRecordsCount: attendanceCount,
+        expiredFingerprintTemplates: expiredTemplates,
+        endedSiteAssignments,
       },
       note: attendanceCount > 0 
         ? `${attendanceCount} attendance records still exist for this employee in the database`
@@ -391,20 +429,288 @@ router.delete('/employees/:id', async (req, res) => {
 // ATTENDANCE MANAGEMENT ROUTES
 // ============================================
 
+/**
+ * Log an attendance mark refused because the fingerprint did not verify
+ * or the location is outside the geofence
+ *
+ * @param {Object} req - Express request (admin, ip)
+ * @param {Object} employee - Employee the mark was attempted for
+ * @param {string} reason - NO_MATCH | NO_ACTIVE_TEMPLATES | OUTSIDE_GEOFENCE
+ * @param {Object} details - { score, device, distanceFromBase }
+ */
+async function recordMarkRejected(req, employee, reason, { score, device, distanceFromBase } = {}) {
+  console.warn(`⚠️ Attendance mark rejected for ${employee.employeeId} by ${req.user.username}: ${reason}`);
+
+  await recordAuditEvent({
+    ...auditContext(req),
+    action: 'ATTENDANCE_MARK_REJECTED',
+    targetType: 'Employee',
+    targetId: employee._id,
+    employeeId: employee.employeeId,
+    metadata: {
+      reason,
+      score,
+      date: req.body.date,
+      status: req.body.status,
+      punchType: req.body.type,
+      device: device || null,
+      distanceFromBase,
+    },
+  });
+}
+
+/**
+ * Log an admin decision replacing an attendance status
+ *
+ * @param {Object} req - Express request (admin, ip)
+ * @param {Object} attendance - Attendance with its new statusOverride
+ * @param {string} from - Status before (derived or previous)
+ * @param {string} reason - Reason given by the admin
+ */
+async function recordStatusOverride(req, attendance, from, reason) {
+  await recordAuditEvent({
+    ...auditContext(req, reason),
+    action: 'ATTENDANCE_STATUS_OVERRIDDEN',
+    targetType: 'Attendance',
+    targetId: attendance._id,
+    employeeId: attendance.employeeId,
+    metadata: {
+      date: attendance.date,
+      from,
+      to: attendance.status,
+      derivedStatus: attendance.derivedStatus,
+      shift: attendance.shift.name,
+    },
+  });
+}
+
+/**
+ * Verify the live capture sent with an attendance mark or punch
+ * (probeTemplateBase64 or pidXml, optional fingerIndex and deviceInfo)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} employee - Employee being marked
+ * @returns {Promise<Object>} - { rejection: { status, body } } when refused,
+ *   otherwise { fingerprint, verification } (MANUAL / NOT_VERIFIED without a capture)
+ */
+async function verifyAttendanceCapture(req, employee) {
+  const { probeTemplateBase64, pidXml, fingerIndex, deviceInfo } = req.body;
+
+  if (!probeTemplateBase64 && !pidXml) {
+    return { verification: { method: 'MANUAL', decision: 'NOT_VERIFIED' } };
+  }
+
+  let probe;
+  let device;
+  try {
+    probe = readProbe(req.body);
+    device = probe.pid && probe.pid.device
+      ? probe.pid.device
+      : (typeof deviceInfo === 'string' ? parseDeviceInfoXml(deviceInfo) : deviceInfo);
+  } catch (error) {
+    return { rejection: { status: 400, body: { success: false, message: error.message } } };
+  }
+
+  // Device attestation and registry (utils/deviceRegistry.js)
+  const capture = await checkCaptureDevice(req, {
+    pidXml,
+    templateBase64: probeTemplateBase64,
+    pid: probe.pid,
+    deviceInfo: device,
+    employeeId: employee.employeeId,
+    purpose: 'ATTENDANCE',
+  });
+  if (capture.rejection) {
+    return { rejection: { status: 403, body: { success: false, ...capture.rejection } } };
+  }
+  const { registeredDevice } = capture;
+  device = capture.device;
+
+  const result = await verifyEmployeeFingerprint(employee.employeeId, probe.record.minutiae, { fingerIndex });
+
+  if (result.enrolled === 0) {
+    await recordMarkRejected(req, employee, 'NO_ACTIVE_TEMPLATES', { device });
+    return {
+      rejection: {
+        status: 404,
+        body: {
+          success: false,
+          message: `No active minutiae fingerprints enrolled for employee ${employee.employeeId}`,
+        },
+      },
+    };
+  }
+
+  await recordAuditEvent({
+    ...auditContext(req),
+    action: 'FINGERPRINT_VERIFIED',
+    targetType: 'Fingerprint',
+    targetId: result.best ? result.best.fingerprint._id : undefined,
+    employeeId: employee.employeeId,
+    metadata: {
+      purpose: 'ATTENDANCE',
+      decision: result.decision,
+      score: result.score,
+      templatesCompared: result.candidates.map(c => String(c.fingerprint._id)),
+      deviceId: registeredDevice ? String(registeredDevice._id) : undefined,
+    },
+  });
+
+  if (!result.matched) {
+    await trackDeviceUse(registeredDevice, 'NO_MATCH');
+    await recordMarkRejected(req, employee, 'NO_MATCH', { score: result.score, device });
+    return {
+      rejection: {
+        status: 401,
+        body: {
+          success: false,
+          message: 'Fingerprint does not match the employee',
+          verification: { decision: result.decision, score: result.score },
+        },
+      },
+    };
+  }
+
+  const matchedFinger = result.best.fingerprint;
+  return {
+    fingerprint: matchedFinger._id,
+    verification: {
+      method: 'FINGERPRINT',
+      decision: result.decision,
+      score: result.score,
+      verifiedAt: new Date(),
+      fingerIndex: matchedFinger.fingerIndex,
+      fingerName: matchedFinger.fingerName,
+      device,
+      registeredDevice: registeredDevice ? registeredDevice._id : undefined,
+    },
+  };
+}
+
+/**
+ * Check the location of a mark or punch against the employee's geofence
+ * (their site assignments at time `at`)
+ *
+ * @returns {Promise<Object>} - { rejection: { status, body } } when refused
+ *   (GEOFENCE_MODE=enforce), otherwise { distanceFromBase, geofence }
+ */
+async function checkAttendanceGeofence(req, employee, location, at) {
+  const place = await checkAttendanceLocation(employee, location, at);
+
+  if (place.rejected) {
+    await recordMarkRejected(req, employee, 'OUTSIDE_GEOFENCE', { distanceFromBase: place.distanceFromBase });
+    return {
+      rejection: {
+        status: 403,
+        body: {
+          success: false,
+          message: `Location is outside the geofence of employee ${employee.employeeId}`,
+          distanceFromBase: place.distanceFromBase,
+          geofence: place.geofence,
+        },
+      },
+    };
+  }
+
+  return place;
+}
+
+/**
+ * Punch built from a verified (or manual) capture and its geofence check
+ */
+function buildPunch(req, type, time, location, { fingerprint, verification }, place) {
+  return {
+    type,
+    time,
+    location: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+    },
+    distanceFromBase: place.distanceFromBase,
+    geofence: place.geofence,
+    method: verification.method,
+    fingerprint,
+    verification: {
+      decision: verification.decision,
+      score: verification.score,
+      fingerIndex: verification.fingerIndex,
+      fingerName: verification.fingerName,
+      device: verification.device,
+      registeredDevice: verification.registeredDevice,
+    },
+    recordedBy: req.user.username,
+  };
+}
+
+/**
+ * Daily summary fields of an attendance record, for responses
+ */
+function punchSummary(attendance) {
+  return {
+    firstIn: attendance.firstIn,
+    lastOut: attendance.lastOut,
+    workedMinutes: attendance.workedMinutes,
+    breakMinutes: attendance.breakMinutes,
+    punchedIn: Boolean(attendance.openPunchAt),
+    punches: attendance.punches,
+  };
+}
+
+/**
+ * Shift fields of an attendance record for responses
+ */
+function shiftSummary(attendance) {
+  const { shift } = attendance;
+  return {
+    shift: shift && shift.start
+      ? { name: shift.name, start: shift.start, end: shift.end }
+      : undefined,
+    derivedStatus: attendance.derivedStatus,
+    lateMinutes: attendance.lateMinutes,
+    statusOverride: attendance.statusOverride && attendance.statusOverride.status
+      ? attendance.statusOverride
+      : undefined,
+  };
+}
+
 /**
  * @route   POST /api/admin/attendance/mark
  * @desc    Mark attendance for an employee
  * @access  Admin only
+ *
+ * Live capture (probeTemplateBase64 or pidXml, optional fingerIndex and
+ * deviceInfo) is verified 1:1 against the employee's ACTIVE templates; the
+ * record keeps the matched Fingerprint reference and the outcome (score,
+ * finger, device), never the template. Failed verifications are rejected
+ * and logged as ATTENDANCE_MARK_REJECTED.
+ *
+ * The capture is optional unless the organization setting
+ * attendance.requireBiometricVerification is on (ABSENT marks never need one).
+ *
+ * When the employee has a shift and the mark is made on the day, the status
+ * is derived from the check-in time (status may be left out). A LATE or
+ * HALF_DAY status that differs from the derived one needs statusReason and
+ * is kept as an override; PRESENT without a reason takes the derived status.
+ * LATE or HALF_DAY with nothing derived (backdated marks, no shift) is an
+ * override as well and needs statusReason.
  */
 router.post('/attendance/mark', async (req, res) => {
   try {
-    const { employeeId, date, status, location } = req.body;
+    const {
+      employeeId,
+      date,
+      status,
+      statusReason,
+      location,
+      probeTemplateBase64,
+      pidXml,
+    } = req.body;
 
     // Validate required fields
-    if (!employeeId || !date || !status || !location) {
+    if (!employeeId || !date || !location) {
       return res.status(400).json({
         success: false,
-        message: 'employeeId, date, status, and location are required',
+        message: 'employeeId, date, and location are required',
       });
     }
 
@@ -415,15 +721,24 @@ router.post('/attendance/mark', async (req, res) => {
       });
     }
 
-    // Validate status
+    // Validate status (optional: derived from the shift, or PRESENT)
     const validStatuses = ['PRESENT', 'ABSENT', 'HALF_DAY', 'LATE'];
-    if (!validStatuses.includes(status)) {
+    if (status !== undefined && !validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
         message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
       });
     }
 
+    // Organization setting: presence must be proven with a live fingerprint
+    const settings = await OrganizationSettings.getSettings();
+    if (settings.attendance.requireBiometricVerification && status !== 'ABSENT' && !probeTemplateBase64 && !pidXml) {
+      return res.status(400).json({
+        success: false,
+        message: 'Biometric verification is required: send pidXml or probeTemplateBase64',
+      });
+    }
+
     // Find employee
     const employee = await Employee.findOne({ employeeId });
     
@@ -464,6 +779,50 @@ router.post('/attendance/mark', async (req, res) => {
       });
     }
 
+    // A mark made on the attendance day itself doubles as the check-in,
+    // which the status is derived from when the employee has a shift
+    const now = new Date();
+    const checkIn = status !== 'ABSENT' && now >= startOfDay && now <= endOfDay;
+    const shift = status !== 'ABSENT' ? await resolveShift(employee, startOfDay) : null;
+    const derived = shift && checkIn
+      ? Attendance.classifyAgainstShift(shift, { firstIn: now })
+      : null;
+
+    const overriding = Boolean(derived && status && status !== derived.status);
+    if (overriding && !statusReason && status !== 'PRESENT') {
+      return res.status(400).json({
+        success: false,
+        message: `Shift ${shift.name} gives status ${derived.status}; send statusReason to record ${status} instead`,
+        derivedStatus: derived.status,
+        lateMinutes: derived.lateMinutes,
+      });
+    }
+
+    // LATE and HALF_DAY come from the punches; chosen by hand (backdated
+    // marks, employees without a shift) they are overrides too
+    const handPicked = !derived && ['LATE', 'HALF_DAY'].includes(status);
+    if (handPicked && !statusReason) {
+      return res.status(400).json({
+        success: false,
+        message: `${status} is derived from the shift when the employee checks in; send statusReason to record it by hand`,
+      });
+    }
+
+    // Geofence: ABSENT marks are recorded wherever they are made
+    const place = status === 'ABSENT'
+      ? await checkAttendanceLocation(employee, location)
+      : await checkAttendanceGeofence(req, employee, location);
+    if (place.rejection) {
+      return res.status(place.rejection.status).json(place.rejection.body);
+    }
+
+    // Verify the live capture, if one was sent
+    const captured = await verifyAttendanceCapture(req, employee);
+    if (captured.rejection) {
+      return res.status(captured.rejection.status).json(captured.rejection.body);
+    }
+    const { fingerprint, verification } = captured;
+
     // Create attendance record
     const attendance = new Attendance({
       employee: employee._id,
@@ -472,16 +831,32 @@ router.post('/attendance/mark', async (req, res) => {
       department: employee.department,
       jobRole: employee.jobRole,
       date: attendanceDate,
-      status: status,
-      fingerprintTemplate: employee.fingerprintTemplate,
+      status: status || 'PRESENT',
+      fingerprint,
+      verification,
       location: {
         latitude: location.latitude,
         longitude: location.longitude,
       },
+      distanceFromBase: place.distanceFromBase,
+      geofence: place.geofence,
       markedBy: req.user.username,
     });
 
+    if (checkIn) {
+      attendance.addPunch(buildPunch(req, 'IN', now, location, captured, place));
+    }
+    if (shift) attendance.shift = shift;
+    if ((overriding || handPicked) && statusReason) {
+      attendance.overrideStatus(status, statusReason, req.user.username);
+    }
+
     await attendance.save();
+    await trackDeviceUse(verification.registeredDevice, 'ATTENDANCE');
+
+    if (attendance.statusOverride && attendance.statusOverride.status) {
+      await recordStatusOverride(req, attendance, derived ? derived.status : null, statusReason);
+    }
 
     res.status(201).json({
       success: true,
@@ -493,9 +868,15 @@ router.post('/attendance/mark', async (req, res) => {
         department: attendance.department,
         date: attendance.date,
         status: attendance.status,
+        fingerprint: attendance.fingerprint,
+        verification: attendance.verification,
         location: attendance.location,
+        distanceFromBase: attendance.distanceFromBase,
+        geofence: attendance.geofence,
         markedBy: attendance.markedBy,
         createdAt: attendance.createdAt,
+        ...shiftSummary(attendance),
+        ...punchSummary(attendance),
       },
     });
 
@@ -509,6 +890,208 @@ router.post('/attendance/mark', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/admin/attendance/punch
+ * @desc    Record a check-in or check-out punch
+ * @access  Admin only
+ *
+ * Body: employeeId, location, optional type (IN | OUT; default: OUT when
+ * the employee is punched in, otherwise IN) and the same live capture as
+ * /attendance/mark. Manual punches (no capture) may set time to record a
+ * missed punch; captured punches use the server time.
+ *
+ * The punch goes to the employee's record for the day, created on the
+ * first punch. An OUT closes the open IN even when it started the day
+ * before (night shifts), and an IN while the previous day's night shift
+ * is running belongs to that day. Worked and break minutes, first-in and
+ * last-out are recomputed from the punches, and the status from the
+ * employee's shift.
+ */
+router.post('/attendance/punch', async (req, res) => {
+  try {
+    const { employeeId, location, time, probeTemplateBase64, pidXml } = req.body;
+    let { type } = req.body;
+
+    if (!employeeId || !location) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId and location are required',
+      });
+    }
+
+    if (!location.latitude || !location.longitude) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location must include latitude and longitude',
+      });
+    }
+
+    if (type && !['IN', 'OUT'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid type. Must be one of: IN, OUT',
+      });
+    }
+
+    const captureSent = Boolean(probeTemplateBase64 || pidXml);
+
+    // Organization setting: presence must be proven with a live fingerprint
+    const settings = await OrganizationSettings.getSettings();
+    if (settings.attendance.requireBiometricVerification && !captureSent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Biometric verification is required: send pidXml or probeTemplateBase64',
+      });
+    }
+
+    // Punch time: now, or the time of a missed punch entered by hand
+    const now = new Date();
+    let punchTime = now;
+    if (time) {
+      if (captureSent) {
+        return res.status(400).json({
+          success: false,
+          message: 'time can only be set for manual punches',
+        });
+      }
+
+      punchTime = new Date(time);
+      if (isNaN(punchTime.getTime()) || punchTime > now) {
+        return res.status(400).json({
+          success: false,
+          message: 'time must be a past ISO date string',
+        });
+      }
+    }
+
+    const employee = await Employee.findOne({ employeeId });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee with ID ${employeeId} not found`,
+      });
+    }
+
+    // ============================================
+    // FIND THE DAY RECORD
+    // ============================================
+
+    const openRecord = await Attendance.findOpenRecord(employee.employeeId, punchTime);
+    type = type || (openRecord ? 'OUT' : 'IN');
+
+    const attendanceDay = await attendanceDayFor(employee, punchTime);
+    let attendance = type === 'OUT' && openRecord
+      ? openRecord
+      : await Attendance.findDayRecord(employee.employeeId, attendanceDay);
+
+    if (type === 'OUT' && !(attendance && attendance.hasPunchInBefore(punchTime))) {
+      return res.status(409).json({
+        success: false,
+        message: `Employee ${employeeId} has not punched in`,
+      });
+    }
+
+    // ============================================
+    // VERIFY & RECORD
+    // ============================================
+
+    const place = await checkAttendanceGeofence(req, employee, location, punchTime);
+    if (place.rejection) {
+      return res.status(place.rejection.status).json(place.rejection.body);
+    }
+
+    const captured = await verifyAttendanceCapture(req, employee);
+    if (captured.rejection) {
+      return res.status(captured.rejection.status).json(captured.rejection.body);
+    }
+
+    if (!attendance) {
+      attendance = new Attendance({
+        employee: employee._id,
+        employeeId: employee.employeeId,
+        employeeName: employee.name,
+        department: employee.department,
+        jobRole: employee.jobRole,
+        date: attendanceDay,
+        status: 'PRESENT',
+        fingerprint: captured.fingerprint,
+        verification: captured.verification,
+        location: {
+          latitude: location.latitude,
+          longitude: location.longitude,
+        },
+        distanceFromBase: place.distanceFromBase,
+        geofence: place.geofence,
+        markedBy: req.user.username,
+      });
+    }
+
+    // Shift of the day, for the derived status
+    if (!attendance.shift.start) {
+      const shift = await resolveShift(employee, attendance.date);
+      if (shift) attendance.shift = shift;
+    }
+
+    // Marked absent, then turned up: the punches decide the status again
+    const turnedUp = attendance.status === 'ABSENT' && type === 'IN';
+    const { statusOverride } = attendance;
+    const clearedOverride = turnedUp && statusOverride && statusOverride.status
+      ? { reason: statusOverride.reason, by: statusOverride.by, at: statusOverride.at }
+      : null;
+    if (clearedOverride) attendance.clearStatusOverride();
+    if (turnedUp && !attendance.shift.start) {
+      // Nothing to derive from without a shift
+      attendance.status = 'PRESENT';
+    }
+
+    const punch = attendance.addPunch(buildPunch(req, type, punchTime, location, captured, place));
+
+    await attendance.save();
+    await trackDeviceUse(captured.verification.registeredDevice, 'ATTENDANCE');
+
+    if (clearedOverride) {
+      await recordAuditEvent({
+        ...auditContext(req, 'Punched in after being marked absent'),
+        action: 'ATTENDANCE_STATUS_OVERRIDE_CLEARED',
+        targetType: 'Attendance',
+        targetId: attendance._id,
+        employeeId: attendance.employeeId,
+        metadata: {
+          date: attendance.date,
+          from: 'ABSENT',
+          to: attendance.status,
+          override: clearedOverride,
+        },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Punched ${type === 'IN' ? 'in' : 'out'} successfully`,
+      punch,
+      attendance: {
+        _id: attendance._id,
+        employeeId: attendance.employeeId,
+        employeeName: attendance.employeeName,
+        department: attendance.department,
+        date: attendance.date,
+        status: attendance.status,
+        ...shiftSummary(attendance),
+        ...punchSummary(attendance),
+      },
+    });
+
+  } catch (error) {
+    console.error('Error recording punch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording punch',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/attendance/history/:employeeId
  * @desc    Get attendance history for a specific employee
@@ -528,7 +1111,6 @@ router.get('/attendance/history/:employeeId', async (req, res) => {
     }
 
     const attendanceRecords = await Attendance.find(query)
-      .select('-fingerprintTemplate')
       .sort({ date: -1 })
       .limit(parseInt(limit));
 
@@ -553,11 +1135,15 @@ router.get('/attendance/history/:employeeId', async (req, res) => {
  * @route   PUT /api/admin/attendance/:id
  * @desc    Update attendance record
  * @access  Admin only
+ *
+ * The new status is kept as an override of the status derived from the
+ * shift, which needs a reason (also on records without a shift). Setting
+ * the derived status again removes the override.
  */
 router.put('/attendance/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -584,9 +1170,40 @@ router.put('/attendance/:id', async (req, res) => {
     }
 
     const oldStatus = attendance.status;
-    attendance.status = status;
+    const { derivedStatus } = attendance;
+    const hadOverride = Boolean(attendance.statusOverride && attendance.statusOverride.status);
+
+    if (derivedStatus && status === derivedStatus) {
+      attendance.clearStatusOverride();
+    } else {
+      // Every override is recorded with its reason
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: derivedStatus
+            ? `Shift ${attendance.shift.name} gives status ${derivedStatus}; a reason is required to override it`
+            : 'A reason is required to change the status',
+          derivedStatus,
+        });
+      }
+      attendance.overrideStatus(status, reason, req.user.username);
+    }
+
     await attendance.save();
 
+    if (attendance.statusOverride && attendance.statusOverride.status) {
+      await recordStatusOverride(req, attendance, oldStatus, reason);
+    } else if (hadOverride) {
+      await recordAuditEvent({
+        ...auditContext(req, reason),
+        action: 'ATTENDANCE_STATUS_OVERRIDE_CLEARED',
+        targetType: 'Attendance',
+        targetId: attendance._id,
+        employeeId: attendance.employeeId,
+        metadata: { date: attendance.date, from: oldStatus, to: attendance.status },
+      });
+    }
+
     res.json({
       success: true,
       message: 'Attendance updated successfully',
@@ -597,6 +1214,7 @@ router.put('/attendance/:id', async (req, res) => {
         date: attendance.date,
         oldStatus: oldStatus,
         newStatus: attendance.status,
+        ...shiftSummary(attendance),
         updatedAt: attendance.updatedAt,
       },
     });
@@ -665,7 +1283,9 @@ router.delete('/attendance/:id', async (req, res) => {
 router.get('/dashboard/stats', async (req, res) => {
   try {
     // Total employees
-    const totalEmployees = await Employee.countDocuments();
+    const employees = await Employee.find().select('employeeId department site');
+    const totalEmployees = employees.length;
+    const calendar = await loadWorkingCalendar();
 
     // Today's attendance stats
     const today = new Date();
@@ -673,23 +1293,26 @@ router.get('/dashboard/stats', async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    const todayAttendance = await Attendance.find({
+    // Employees on a holiday or weekly off today are not expected
+    const expectedToday = employees.filter(e => calendar.isWorkingDay(e, today));
+
+    const todayAttendance = calendar.workingRecords(await Attendance.find({
       date: { $gte: today, $lt: tomorrow }
-    });
+    }), employees);
 
     const todayPresent = todayAttendance.filter(a => a.status === 'PRESENT').length;
     const todayAbsent = todayAttendance.filter(a => a.status === 'ABSENT').length;
     const todayLate = todayAttendance.filter(a => a.status === 'LATE').length;
     const todayHalfDay = todayAttendance.filter(a => a.status === 'HALF_DAY').length;
-    const todayNotMarked = totalEmployees - todayAttendance.length;
+    const todayNotMarked = expectedToday.length - todayAttendance.length;
 
     // This month's stats
     const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
     const monthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59);
 
-    const monthlyAttendance = await Attendance.find({
+    const monthlyAttendance = calendar.workingRecords(await Attendance.find({
       date: { $gte: monthStart, $lte: monthEnd }
-    });
+    }), employees);
 
     const monthlyPresent = monthlyAttendance.filter(a => a.status === 'PRESENT').length;
     const monthlyAbsent = monthlyAttendance.filter(a => a.status === 'ABSENT').length;
@@ -697,26 +1320,21 @@ router.get('/dashboard/stats', async (req, res) => {
     const monthlyHalfDay = monthlyAttendance.filter(a => a.status === 'HALF_DAY').length;
 
     // Department-wise stats
-    const departments = await Employee.aggregate([
-      {
-        $group: {
-          _id: '$department',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    const departments = [...new Set(employees.map(e => e.department))];
 
     const departmentStats = [];
-    for (const dept of departments) {
-      const deptEmployees = dept.count;
+    for (const department of departments) {
+      const deptTotal = employees.filter(e => e.department === department).length;
+      const deptEmployees = expectedToday.filter(e => e.department === department).length;
       const deptAttendance = todayAttendance.filter(
-        a => a.department === dept._id
+        a => a.department === department
       );
       const deptPresent = deptAttendance.filter(a => a.status === 'PRESENT').length;
 
       departmentStats.push({
-        department: dept._id,
-        totalEmployees: deptEmployees,
+        department,
+        totalEmployees: deptTotal,
+        expectedToday: deptEmployees,
         presentToday: deptPresent,
         absentToday: deptEmployees - deptPresent,
         attendanceRate: deptEmployees > 0 
@@ -736,8 +1354,10 @@ router.get('/dashboard/stats', async (req, res) => {
           late: todayLate,
           halfDay: todayHalfDay,
           notMarked: todayNotMarked,
-          attendanceRate: totalEmployees > 0 
-            ? ((todayPresent / totalEmployees) * 100).toFixed(2) 
+          expected: expectedToday.length,
+          nonWorking: totalEmployees - expectedToday.length,
+          attendanceRate: expectedToday.length > 0 
+            ? ((todayPresent / expectedToday.length) * 100).toFixed(2) 
             : 0
         },
         monthly: {
@@ -778,7 +1398,6 @@ router.get('/dashboard/daily-attendance', async (req, res) => {
 
     // Get all employees
     const allEmployees = await Employee.find()
-      .select('-fingerprintTemplate')
       .sort({ department: 1, name: 1 });
 
     // Get attendance for the target date
@@ -786,6 +1405,8 @@ router.get('/dashboard/daily-attendance', async (req, res) => {
       date: { $gte: targetDate, $lt: nextDay }
     });
 
+    const calendar = await loadWorkingCalendar();
+
     // Create a map of employee attendance
     const attendanceMap = {};
     attendanceRecords.forEach(record => {
@@ -801,6 +1422,7 @@ router.get('/dashboard/daily-attendance', async (req, res) => {
     // Combine employee data with attendance
     const dailyAttendance = allEmployees.map(employee => {
       const attendance = attendanceMap[employee.employeeId];
+      const nonWorking = calendar.nonWorkingReason(employee, targetDate);
       return {
         _id: employee._id,
         employeeId: employee.employeeId,
@@ -815,7 +1437,8 @@ router.get('/dashboard/daily-attendance', async (req, res) => {
           location: attendance.location,
           attendanceId: attendance._id
         } : {
-          status: 'NOT_MARKED',
+          status: nonWorking ? 'NON_WORKING_DAY' : 'NOT_MARKED',
+          nonWorkingReason: nonWorking || undefined,
           markedAt: null,
           markedBy: null,
           location: null,
@@ -824,14 +1447,18 @@ router.get('/dashboard/daily-attendance', async (req, res) => {
       };
     });
 
-    // Calculate summary
+    // Calculate summary (employees off that day are not counted as not marked,
+    // and records of employees off that day are counted apart)
+    const workingRecords = calendar.workingRecords(attendanceRecords, allEmployees);
     const summary = {
       total: allEmployees.length,
-      present: attendanceRecords.filter(a => a.status === 'PRESENT').length,
-      absent: attendanceRecords.filter(a => a.status === 'ABSENT').length,
-      late: attendanceRecords.filter(a => a.status === 'LATE').length,
-      halfDay: attendanceRecords.filter(a => a.status === 'HALF_DAY').length,
-      notMarked: allEmployees.length - attendanceRecords.length
+      present: workingRecords.filter(a => a.status === 'PRESENT').length,
+      absent: workingRecords.filter(a => a.status === 'ABSENT').length,
+      late: workingRecords.filter(a => a.status === 'LATE').length,
+      halfDay: workingRecords.filter(a => a.status === 'HALF_DAY').length,
+      notMarked: dailyAttendance.filter(e => e.attendance.status === 'NOT_MARKED').length,
+      nonWorking: dailyAttendance.filter(e => e.attendance.status === 'NON_WORKING_DAY').length,
+      markedOnNonWorkingDay: attendanceRecords.length - workingRecords.length
     };
 
     res.json({
@@ -862,8 +1489,7 @@ router.get('/dashboard/employee-history/:employeeId', async (req, res) => {
     const { startDate, endDate, limit = 30 } = req.query;
 
     // Find employee
-    const employee = await Employee.findOne({ employeeId })
-      .select('-fingerprintTemplate');
+    const employee = await Employee.findOne({ employeeId });
 
     if (!employee) {
       return res.status(404).json({
@@ -886,12 +1512,15 @@ router.get('/dashboard/employee-history/:employeeId', async (req, res) => {
       .sort({ date: -1 })
       .limit(parseInt(limit));
 
-    // Calculate statistics
-    const totalRecords = attendanceRecords.length;
-    const presentCount = attendanceRecords.filter(r => r.status === 'PRESENT').length;
-    const absentCount = attendanceRecords.filter(r => r.status === 'ABSENT').length;
-    const lateCount = attendanceRecords.filter(r => r.status === 'LATE').length;
-    const halfDayCount = attendanceRecords.filter(r => r.status === 'HALF_DAY').length;
+    // Calculate statistics (working days only)
+    const calendar = await loadWorkingCalendar();
+    const workingRecords = calendar.workingRecords(attendanceRecords, [employee]);
+
+    const totalRecords = workingRecords.length;
+    const presentCount = workingRecords.filter(r => r.status === 'PRESENT').length;
+    const absentCount = workingRecords.filter(r => r.status === 'ABSENT').length;
+    const lateCount = workingRecords.filter(r => r.status === 'LATE').length;
+    const halfDayCount = workingRecords.filter(r => r.status === 'HALF_DAY').length;
 
     const attendanceRate = totalRecords > 0 
       ? ((presentCount / totalRecords) * 100).toFixed(2) 
@@ -913,15 +1542,28 @@ router.get('/dashboard/employee-history/:employeeId', async (req, res) => {
         absent: absentCount,
         late: lateCount,
         halfDay: halfDayCount,
-        attendanceRate: `${attendanceRate}%`
+        nonWorkingDayRecords: attendanceRecords.length - totalRecords,
+        attendanceRate: `${attendanceRate}%`,
+        workedHours: (attendanceRecords.reduce((sum, r) => sum + (r.workedMinutes || 0), 0) / 60).toFixed(2)
       },
       history: attendanceRecords.map(record => ({
         _id: record._id,
         date: record.date,
         status: record.status,
+        workingDay: calendar.isWorkingDay(employee, record.date),
+        shift: record.shift && record.shift.name,
+        lateMinutes: record.lateMinutes,
+        statusOverridden: Boolean(record.statusOverride && record.statusOverride.status),
         location: record.location,
         markedBy: record.markedBy,
-        markedAt: record.createdAt
+        markedAt: record.createdAt,
+        distanceFromBase: record.distanceFromBase,
+        geofenceStatus: record.geofence ? record.geofence.status : undefined,
+        firstIn: record.firstIn,
+        lastOut: record.lastOut,
+        workedMinutes: record.workedMinutes,
+        breakMinutes: record.breakMinutes,
+        punches: record.punches.length
       }))
     });
 
@@ -950,11 +1592,22 @@ router.get('/dashboard/monthly-report', async (req, res) => {
     const monthStart = new Date(targetYear, targetMonth, 1);
     const monthEnd = new Date(targetYear, targetMonth + 1, 0, 23, 59, 59);
 
-    // Get all attendance for the month
-    const attendanceRecords = await Attendance.find({
+    // Get all attendance for the month, leaving out holidays and weekly offs
+    const allRecords = await Attendance.find({
       date: { $gte: monthStart, $lte: monthEnd }
     }).sort({ date: 1 });
 
+    const employees = await Employee.find().select('employeeId department site');
+    const calendar = await loadWorkingCalendar();
+    const attendanceRecords = calendar.workingRecords(allRecords, employees);
+
+    // Organization-wide days off in the month
+    const nonWorkingDays = [];
+    for (const day = new Date(monthStart); day <= monthEnd; day.setDate(day.getDate() + 1)) {
+      const reason = calendar.nonWorkingReason({}, day);
+      if (reason) nonWorkingDays.push({ date: day.toISOString(), ...reason });
+    }
+
     // Group by date
     const dateWiseAttendance = {};
     attendanceRecords.forEach(record => {
@@ -988,10 +1641,12 @@ router.get('/dashboard/monthly-report', async (req, res) => {
         month: monthStart.toLocaleString('default', { month: 'long' }),
         year: targetYear,
         startDate: monthStart.toISOString(),
-        endDate: monthEnd.toISOString()
+        endDate: monthEnd.toISOString(),
+        workingDays: calendar.countWorkingDays({}, monthStart, monthEnd)
       },
       summary: {
         totalRecords: attendanceRecords.length,
+        nonWorkingDayRecords: allRecords.length - attendanceRecords.length,
         present: totalPresent,
         absent: totalAbsent,
         late: totalLate,
@@ -1000,7 +1655,8 @@ router.get('/dashboard/monthly-report', async (req, res) => {
           ? ((totalPresent / attendanceRecords.length) * 100).toFixed(2) 
           : 0
       },
-      dailyBreakdown
+      dailyBreakdown,
+      nonWorkingDays
     });
 
   } catch (error) {
@@ -1027,43 +1683,43 @@ router.get('/dashboard/department-wise', async (req, res) => {
     const nextDay = new Date(targetDate);
     nextDay.setDate(nextDay.getDate() + 1);
 
-    // Get all departments
-    const departments = await Employee.aggregate([
-      {
-        $group: {
-          _id: '$department',
-          totalEmployees: { $sum: 1 }
-        }
-      }
-    ]);
+    // Get all departments, with the employees expected to work that day
+    const employees = await Employee.find().select('employeeId department site');
+    const calendar = await loadWorkingCalendar();
+    const expected = employees.filter(e => calendar.isWorkingDay(e, targetDate));
+    const departments = [...new Set(employees.map(e => e.department))];
 
     // Get attendance for the target date
-    const attendanceRecords = await Attendance.find({
+    const attendanceRecords = calendar.workingRecords(await Attendance.find({
       date: { $gte: targetDate, $lt: nextDay }
-    });
+    }), employees);
 
     // Calculate stats for each department
-    const departmentStats = departments.map(dept => {
+    const departmentStats = departments.map(department => {
+      const totalEmployees = employees.filter(e => e.department === department).length;
+      const expectedEmployees = expected.filter(e => e.department === department).length;
       const deptAttendance = attendanceRecords.filter(
-        a => a.department === dept._id
+        a => a.department === department
       );
 
       const present = deptAttendance.filter(a => a.status === 'PRESENT').length;
       const absent = deptAttendance.filter(a => a.status === 'ABSENT').length;
       const late = deptAttendance.filter(a => a.status === 'LATE').length;
       const halfDay = deptAttendance.filter(a => a.status === 'HALF_DAY').length;
-      const notMarked = dept.totalEmployees - deptAttendance.length;
+      const notMarked = expectedEmployees - deptAttendance.length;
 
       return {
-        department: dept._id,
-        totalEmployees: dept.totalEmployees,
+        department,
+        totalEmployees,
+        expectedEmployees,
+        nonWorking: totalEmployees - expectedEmployees,
         present,
         absent,
         late,
         halfDay,
         notMarked,
-        attendanceRate: dept.totalEmployees > 0 
-          ? ((present / dept.totalEmployees) * 100).toFixed(2) 
+        attendanceRate: expectedEmployees > 0 
+          ? ((present / expectedEmployees) * 100).toFixed(2) 
           : 0
       };
     });
@@ -1084,4 +1740,42 @@ router.get('/dashboard/department-wise', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/reenrollment/worklist
+ * @desc    Employees whose fingers need rescanning, grouped by department
+ * @access  Admin only
+ *
+ * Query: optional department, reason (LIFETIME | QUALITY_DECAY).
+ * Entries are opened by the template expiry job (jobs/templateExpiry.js)
+ * and close when the finger is re-enrolled.
+ */
+router.get('/reenrollment/worklist', async (req, res) => {
+  try {
+    const { department, reason } = req.query;
+
+    if (reason && !REENROLLMENT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${REENROLLMENT_REASONS.join(', ')}`,
+      });
+    }
+
+    const worklist = await buildWorklist({ department, reason });
+
+    res.json({
+      success: true,
+      generatedAt: new Date().toISOString(),
+      ...worklist,
+    });
+
+  } catch (error) {
+    console.error('Error fetching re-enrollment worklist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching re-enrollment worklist',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,359 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const router = express.Router();
+const HolidayCalendar = require('../models/HolidayCalendar');
+const Employee = require('../models/Employee');
+const { protect, authorize } = require('../middleware/auth');
+const { startOfDay } = require('../utils/shiftSchedule');
+const { buildWorkingCalendar } = require('../utils/workingCalendar');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Holiday Calendar Routes
+ *
+ * Holidays and weekly offs of the organization, of sites and of
+ * departments (models/HolidayCalendar.js). Dashboards and alerts leave
+ * these days out of attendance rates.
+ *
+ * Base path: /api/calendars
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+// Fields a superadmin may change after creating a calendar
+const EDITABLE_FIELDS = ['name', 'holidays', 'weeklyOffs'];
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Parse an optional date query field to the start of its day
+ *
+ * @param {string} value - ISO date string
+ * @param {Date} fallback - Used when value is not given
+ * @returns {Date|undefined} - undefined if value is not a valid date
+ */
+function readDay(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : startOfDay(date);
+}
+
+// ============================================
+// @route   GET /api/calendars
+// @desc    List holiday calendars
+// @access  Admin only
+//
+// Query: scope, site, department
+// ============================================
+
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    ['scope', 'site', 'department'].forEach(key => {
+      if (req.query[key]) filter[key] = String(req.query[key]);
+    });
+
+    const calendars = await HolidayCalendar.find(filter).sort({ scope: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: calendars.length,
+      calendars,
+    });
+
+  } catch (error) {
+    console.error('[List Calendars Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching calendars',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/calendars/working-days
+// @desc    Working and non-working days in a period
+// @access  Admin only
+//
+// Query: employeeId (optional; default: organization calendar only),
+// startDate (default: first day of this month), endDate (inclusive;
+// default: last day of the start month). At most 366 days.
+// ============================================
+
+router.get('/working-days', async (req, res) => {
+  try {
+    const { employeeId } = req.query;
+    const now = new Date();
+    const from = readDay(req.query.startDate, new Date(now.getFullYear(), now.getMonth(), 1));
+    const to = from && readDay(req.query.endDate, new Date(from.getFullYear(), from.getMonth() + 1, 0));
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid ISO date strings',
+      });
+    }
+
+    const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+    if (!(days >= 1 && days <= MAX_RANGE_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        message: `The period must be between 1 and ${MAX_RANGE_DAYS} days`,
+      });
+    }
+
+    let employee = {};
+    if (employeeId) {
+      employee = await Employee.findOne({ employeeId }).select('employeeId department site');
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: `Employee with ID ${employeeId} not found`,
+        });
+      }
+    }
+
+    const calendar = buildWorkingCalendar(await HolidayCalendar.find());
+
+    const nonWorkingDays = [];
+    for (const day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+      const reason = calendar.nonWorkingReason(employee, day);
+      if (reason) nonWorkingDays.push({ date: new Date(day), ...reason });
+    }
+
+    res.json({
+      success: true,
+      employeeId: employee.employeeId,
+      department: employee.department,
+      site: employee.site,
+      startDate: from,
+      endDate: to,
+      totalDays: days,
+      workingDays: days - nonWorkingDays.length,
+      nonWorkingDays,
+    });
+
+  } catch (error) {
+    console.error('[Working Days Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error computing working days',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/calendars
+// @desc    Create a holiday calendar
+// @access  Superadmin only
+//
+// Body: name, scope (ORGANIZATION | SITE | DEPARTMENT), site or department,
+// holidays [{ date, name }], weeklyOffs [{ weekday (0 = Sunday),
+// weeksOfMonth | alternateFrom }] (leave out to inherit the weekly offs
+// of the wider calendar; [] for none)
+// ============================================
+
+router.post('/', authorize('superadmin'), async (req, res) => {
+  try {
+    const { scope, site, department } = req.body;
+
+    const calendar = new HolidayCalendar({
+      scope,
+      site,
+      department,
+      createdBy: req.user.username,
+    });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== null) calendar[field] = req.body[field];
+    }
+
+    try {
+      await calendar.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    await calendar.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'CALENDAR_CREATED',
+      targetType: 'HolidayCalendar',
+      targetId: calendar._id,
+      metadata: {
+        name: calendar.name,
+        scope: calendar.scope,
+        site: calendar.site,
+        department: calendar.department,
+        holidays: calendar.holidays.length,
+        weeklyOffs: calendar.weeklyOffs,
+      },
+    });
+
+    console.log(`✅ Holiday calendar created: ${calendar.name} (${calendar.scope}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar created successfully',
+      calendar,
+    });
+
+  } catch (error) {
+    console.error('[Create Calendar Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A calendar with this name or for this scope already exists',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating calendar',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   PUT /api/calendars/:id
+// @desc    Update a calendar's name, holidays or weekly offs
+// @access  Superadmin only
+//
+// holidays and weeklyOffs replace the stored lists; weeklyOffs: null
+// goes back to inheriting. Scope, site and department are fixed.
+// ============================================
+
+router.put('/:id', authorize('superadmin'), async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found',
+      });
+    }
+
+    for (const field of ['scope', 'site', 'department']) {
+      if (req.body[field] !== undefined && req.body[field] !== calendar[field]) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} cannot be changed; create a new calendar instead`,
+        });
+      }
+    }
+
+    const changed = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      calendar[field] = req.body[field] === null ? undefined : req.body[field];
+      changed.push(field);
+    }
+    calendar.updatedBy = req.user.username;
+
+    try {
+      await calendar.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    await calendar.save();
+
+    if (changed.length > 0) {
+      await recordAuditEvent({
+        ...auditContext(req, req.body.reason),
+        action: 'CALENDAR_UPDATED',
+        targetType: 'HolidayCalendar',
+        targetId: calendar._id,
+        metadata: {
+          name: calendar.name,
+          changed,
+          holidays: calendar.holidays.length,
+          weeklyOffs: calendar.weeklyOffs,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar updated successfully',
+      calendar,
+    });
+
+  } catch (error) {
+    console.error('[Update Calendar Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Calendar ${req.body.name} already exists`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating calendar',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   DELETE /api/calendars/:id
+// @desc    Delete a calendar (its days count as working days again)
+// @access  Superadmin only
+// ============================================
+
+router.delete('/:id', authorize('superadmin'), async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found',
+      });
+    }
+
+    await HolidayCalendar.deleteOne({ _id: calendar._id });
+
+    await recordAuditEvent({
+      ...auditContext(req, req.body && req.body.reason),
+      action: 'CALENDAR_DELETED',
+      targetType: 'HolidayCalendar',
+      targetId: calendar._id,
+      metadata: {
+        name: calendar.name,
+        scope: calendar.scope,
+        site: calendar.site,
+        department: calendar.department,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar deleted successfully',
+    });
+
+  } catch (error) {
+    console.error('[Delete Calendar Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting calendar',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+// routes/consentRoutes.js
+const express = require('express');
+const router = express.Router();
+const Consent = require('../models/Consent');
+const Employee = require('../models/Employee');
+const Fingerprint = require('../models/fingerprint');
+const { protect, authorize } = require('../middleware/auth');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Biometric Consent Routes
+ * 
+ * Fingerprint enrollment requires an ACTIVE consent for the employee.
+ * Withdrawing consent expires the employee's templates immediately;
+ * the retention job purges them later.
+ * 
+ * Base path: /api/consents
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+// ============================================
+// @route   POST /api/consents
+// @desc    Record biometric consent for an employee
+// @access  Admin only
+// ============================================
+
+router.post('/', async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+    const consentVersion = req.body.consentVersion || process.env.BIOMETRIC_CONSENT_VERSION;
+
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId is required',
+      });
+    }
+
+    if (!consentVersion) {
+      return res.status(400).json({
+        success: false,
+        message: 'consentVersion is required (no BIOMETRIC_CONSENT_VERSION configured)',
+      });
+    }
+
+    const employee = await Employee.findOne({ employeeId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee ${employeeId} not found`,
+      });
+    }
+
+    const existing = await Consent.findActiveByEmployeeId(employeeId);
+
+    if (existing && existing.consentVersion === consentVersion) {
+      return res.status(409).json({
+        success: false,
+        message: `Employee ${employeeId} already has active consent (version ${consentVersion})`,
+      });
+    }
+
+    // Consent to a newer text supersedes the previous one
+    if (existing) {
+      existing.withdraw(req.user.username, `Superseded by consent version ${consentVersion}`);
+      await existing.save();
+    }
+
+    const consent = new Consent({
+      employee: employee._id,
+      employeeId: employee.employeeId,
+      consentVersion,
+      capturedBy: req.user.username,
+    });
+
+    await consent.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'CONSENT_RECORDED',
+      targetType: 'Consent',
+      targetId: consent._id,
+      employeeId: consent.employeeId,
+      metadata: {
+        consentVersion,
+        supersededVersion: existing ? existing.consentVersion : undefined,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent recorded successfully',
+      consent,
+    });
+
+  } catch (error) {
+    console.error('[Record Consent Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording consent',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/consents/:employeeId
+// @desc    Get consent history for an employee
+// @access  Admin only
+// ============================================
+
+router.get('/:employeeId', async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    const consents = await Consent.find({ employeeId }).sort({ givenAt: -1 });
+    const active = consents.find(c => c.status === 'ACTIVE') || null;
+
+    res.json({
+      success: true,
+      employeeId,
+      hasActiveConsent: Boolean(active),
+      activeConsent: active,
+      history: consents,
+      count: consents.length,
+    });
+
+  } catch (error) {
+    console.error('[Get Consent Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching consent',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/consents/:employeeId/withdraw
+// @desc    Withdraw consent and expire the employee's templates
+// @access  Admin only
+// ============================================
+
+router.post('/:employeeId/withdraw', async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { reason } = req.body;
+
+    const consent = await Consent.findActiveByEmployeeId(employeeId);
+
+    if (!consent) {
+      return res.status(404).json({
+        success: false,
+        message: `No active consent found for employee ${employeeId}`,
+      });
+    }
+
+    consent.withdraw(req.user.username, reason);
+    await consent.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'CONSENT_WITHDRAWN',
+      targetType: 'Consent',
+      targetId: consent._id,
+      employeeId,
+      metadata: { consentVersion: consent.consentVersion },
+    });
+
+    const expiredTemplates = await Fingerprint.expireForEmployee(
+      employeeId,
+      'Biometric consent withdrawn',
+      auditContext(req, reason)
+    );
+
+    res.json({
+      success: true,
+      message: 'Consent withdrawn successfully',
+      consent,
+      expiredTemplates,
+    });
+
+  } catch (error) {
+    console.error('[Withdraw Consent Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing consent',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
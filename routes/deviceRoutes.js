@@ -0,0 +1,505 @@
+// routes/deviceRoutes.js
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Device = require('../models/Device');
+const Fingerprint = require('../models/fingerprint');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { parseDeviceInfoXml } = require('../utils/rdService');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Device Registry Routes
+ *
+ * Register fingerprint scanners, assign them to sites and admins, and
+ * disable lost or faulty units. Captures are linked to their registered
+ * device by utils/deviceRegistry.js.
+ *
+ * Base path: /api/devices
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+// Fields an admin may set on registration or update
+const EDITABLE_FIELDS = ['label', 'model', 'site', 'dpId', 'rdServiceId'];
+
+/**
+ * SHA-256 fingerprint of a device certificate (PEM or base64 DER)
+ *
+ * @param {string} certificate - Certificate text
+ * @returns {string} - Colon-separated uppercase hex (as in attestation results)
+ * @throws {Error} - If the certificate cannot be parsed
+ */
+function certificateFingerprint(certificate) {
+  const input = certificate.includes('-----BEGIN')
+    ? certificate
+    : Buffer.from(certificate.replace(/\s+/g, ''), 'base64');
+  return new crypto.X509Certificate(input).fingerprint256;
+}
+
+/**
+ * Check that usernames belong to active admins
+ *
+ * @param {Array} usernames - Admin usernames
+ * @returns {Promise<Array>} - Usernames that are not active admins
+ */
+async function unknownAdmins(usernames) {
+  const admins = await User.find({
+    username: { $in: usernames },
+    role: { $in: ['admin', 'superadmin'] },
+    isActive: true,
+  }).select('username');
+
+  const known = new Set(admins.map(admin => admin.username));
+  return usernames.filter(username => !known.has(username));
+}
+
+/**
+ * Normalize an assignedAdmins body field
+ *
+ * @returns {Array|null} - Lowercased usernames, or null if malformed
+ */
+function readAssignedAdmins(value) {
+  if (!Array.isArray(value) || value.some(username => typeof username !== 'string')) {
+    return null;
+  }
+  return [...new Set(value.map(username => username.trim().toLowerCase()).filter(Boolean))];
+}
+
+// ============================================
+// @route   POST /api/devices
+// @desc    Register a fingerprint scanner
+// @access  Admin only
+//
+// Body: serialNumber, vendor, model, label, site, assignedAdmins,
+// firmwareVersion, rdServiceVersion, certificate (PEM or base64 DER),
+// deviceInfo (DeviceInfo XML from the RDService DEVICEINFO call or an
+// object; fills fields not given explicitly).
+// ============================================
+
+router.post('/', async (req, res) => {
+  try {
+    let { deviceInfo } = req.body;
+    const { certificate, firmwareVersion } = req.body;
+
+    if (typeof deviceInfo === 'string') {
+      try {
+        deviceInfo = parseDeviceInfoXml(deviceInfo);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid DeviceInfo XML: ${error.message}`,
+        });
+      }
+    }
+    deviceInfo = deviceInfo || {};
+
+    const serialNumber = req.body.serialNumber || deviceInfo.serialNumber;
+    if (!serialNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'serialNumber (or deviceInfo with a serial number) is required',
+      });
+    }
+
+    const device = new Device({
+      serialNumber,
+      vendor: req.body.vendor || deviceInfo.vendor || undefined,
+      registeredBy: req.user.username,
+    });
+
+    for (const field of EDITABLE_FIELDS) {
+      const value = req.body[field] !== undefined ? req.body[field] : deviceInfo[field];
+      if (value !== undefined) device[field] = value;
+    }
+    device.recordVersions({
+      rdServiceVersion: req.body.rdServiceVersion || deviceInfo.rdServiceVersion,
+      firmwareVersion,
+    });
+
+    if (req.body.assignedAdmins !== undefined) {
+      const assignedAdmins = readAssignedAdmins(req.body.assignedAdmins);
+      if (!assignedAdmins) {
+        return res.status(400).json({
+          success: false,
+          message: 'assignedAdmins must be an array of admin usernames',
+        });
+      }
+
+      const unknown = await unknownAdmins(assignedAdmins);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Not active admins: ${unknown.join(', ')}`,
+        });
+      }
+      device.assignedAdmins = assignedAdmins;
+    }
+
+    if (certificate) {
+      try {
+        device.certificateFingerprint = certificateFingerprint(certificate);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid device certificate: ${error.message}`,
+        });
+      }
+    }
+
+    await device.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'DEVICE_REGISTERED',
+      targetType: 'Device',
+      targetId: device._id,
+      metadata: {
+        vendor: device.vendor,
+        serialNumber: device.serialNumber,
+        site: device.site,
+        certificateFingerprint: device.certificateFingerprint,
+      },
+    });
+
+    console.log(`✅ Device registered: ${device.vendor} ${device.serialNumber} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully',
+      device,
+    });
+
+  } catch (error) {
+    console.error('[Register Device Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: error.keyPattern && error.keyPattern.certificateFingerprint
+          ? 'A device with this certificate is already registered'
+          : 'A device with this vendor and serial number is already registered',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error registering device',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/devices
+// @desc    List registered devices
+// @access  Admin only
+//
+// Query: status, site, assignedTo (admin username), mine=true (devices
+// assigned to the caller)
+// ============================================
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, site, assignedTo, mine } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (site) query.site = site;
+    if (assignedTo) query.assignedAdmins = String(assignedTo).toLowerCase();
+    if (mine === 'true') query.assignedAdmins = req.user.username;
+
+    const devices = await Device.find(query)
+      .select('-versionHistory')
+      .sort({ site: 1, serialNumber: 1 });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      devices,
+    });
+
+  } catch (error) {
+    console.error('[List Devices Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching devices',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/devices/:id
+// @desc    Get a device with its version history and enrolled templates
+// @access  Admin only
+// ============================================
+
+router.get('/:id', async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    const enrolledTemplates = await Fingerprint.countDocuments({
+      registeredDevice: device._id,
+      status: 'ACTIVE',
+    });
+
+    res.json({
+      success: true,
+      device,
+      enrolledTemplates,
+    });
+
+  } catch (error) {
+    console.error('[Get Device Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching device',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   PUT /api/devices/:id
+// @desc    Update a device: label, model, site, assigned admins,
+//          firmware/RDService version, certificate
+// @access  Admin only
+// ============================================
+
+router.put('/:id', async (req, res) => {
+  try {
+    const { assignedAdmins, certificate, firmwareVersion, rdServiceVersion, reason } = req.body;
+
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    const changes = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== device[field]) {
+        changes[field] = { from: device[field], to: req.body[field] };
+        device[field] = req.body[field];
+      }
+    }
+
+    const versionsBefore = { rdServiceVersion: device.rdServiceVersion, firmwareVersion: device.firmwareVersion };
+    if (device.recordVersions({ rdServiceVersion, firmwareVersion })) {
+      changes.versions = {
+        from: versionsBefore,
+        to: { rdServiceVersion: device.rdServiceVersion, firmwareVersion: device.firmwareVersion },
+      };
+    }
+
+    if (assignedAdmins !== undefined) {
+      const admins = readAssignedAdmins(assignedAdmins);
+      if (!admins) {
+        return res.status(400).json({
+          success: false,
+          message: 'assignedAdmins must be an array of admin usernames',
+        });
+      }
+
+      const unknown = await unknownAdmins(admins);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Not active admins: ${unknown.join(', ')}`,
+        });
+      }
+
+      changes.assignedAdmins = { from: [...device.assignedAdmins], to: admins };
+      device.assignedAdmins = admins;
+    }
+
+    if (certificate) {
+      let fingerprint256;
+      try {
+        fingerprint256 = certificateFingerprint(certificate);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid device certificate: ${error.message}`,
+        });
+      }
+
+      if (fingerprint256 !== device.certificateFingerprint) {
+        changes.certificateFingerprint = { from: device.certificateFingerprint, to: fingerprint256 };
+        device.certificateFingerprint = fingerprint256;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes',
+        device,
+      });
+    }
+
+    await device.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'DEVICE_UPDATED',
+      targetType: 'Device',
+      targetId: device._id,
+      metadata: { changes },
+    });
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      device,
+    });
+
+  } catch (error) {
+    console.error('[Update Device Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A device with this certificate is already registered',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating device',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/devices/:id/disable
+// @desc    Disable a lost, stolen or faulty device; its captures are refused
+// @access  Admin only
+// ============================================
+
+router.post('/:id/disable', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason is required',
+      });
+    }
+
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    if (device.status === 'DISABLED') {
+      return res.status(409).json({
+        success: false,
+        message: `Device was already disabled by ${device.disabledBy}`,
+      });
+    }
+
+    device.disable(req.user.username, reason);
+    await device.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'DEVICE_DISABLED',
+      targetType: 'Device',
+      targetId: device._id,
+      metadata: { vendor: device.vendor, serialNumber: device.serialNumber, site: device.site },
+    });
+
+    console.log(`⚠️ Device disabled: ${device.vendor} ${device.serialNumber} by ${req.user.username} (${reason})`);
+
+    res.json({
+      success: true,
+      message: 'Device disabled successfully',
+      device,
+    });
+
+  } catch (error) {
+    console.error('[Disable Device Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling device',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/devices/:id/enable
+// @desc    Put a disabled device back into service
+// @access  Superadmin only
+// ============================================
+
+router.post('/:id/enable', authorize('superadmin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    if (device.status !== 'DISABLED') {
+      return res.status(409).json({
+        success: false,
+        message: 'Device is not disabled',
+      });
+    }
+
+    const disabledReason = device.disabledReason;
+    device.enable();
+    await device.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'DEVICE_ENABLED',
+      targetType: 'Device',
+      targetId: device._id,
+      metadata: { vendor: device.vendor, serialNumber: device.serialNumber, disabledReason },
+    });
+
+    res.json({
+      success: true,
+      message: 'Device enabled successfully',
+      device,
+    });
+
+  } catch (error) {
+    console.error('[Enable Device Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling device',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,724 @@
+// routes/enrollmentSessionRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const EnrollmentSession = require('../models/EnrollmentSession');
+const Fingerprint = require('../models/fingerprint');
+const Employee = require('../models/Employee');
+const Consent = require('../models/Consent');
+const DuplicateReview = require('../models/DuplicateReview');
+const { protect, authorize } = require('../middleware/auth');
+const { parseMinutiae, matchMinutiae, isMatch } = require('../utils/fingerprintMatcher');
+const { FINGER_NAMES, getTemplateInfo } = require('../utils/fingerprint');
+const { parsePidXml, parseDeviceInfoXml } = require('../utils/rdService');
+const { CONVERTIBLE_FORMATS, toCanonical } = require('../utils/templateConverter');
+const {
+  DEFAULT_POLICY,
+  SESSION_TTL_MINUTES,
+  consolidateSamples,
+} = require('../utils/enrollmentPolicy');
+const { hashTemplate } = require('../utils/templateCrypto');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+const { checkCaptureDevice, trackDeviceUse } = require('../utils/deviceRegistry');
+const {
+  DUPLICATE_ACTION,
+  findDuplicateEnrollments,
+  summarizeDuplicates,
+} = require('../utils/duplicateDetection');
+
+/**
+ * Enrollment Session Routes
+ *
+ * Multi-finger, multi-sample enrollment with a quality policy
+ * (utils/enrollmentPolicy.js). Fingerprint documents are only created
+ * when the session is finalized with the policy satisfied.
+ *
+ * Base path: /api/enrollment-sessions
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+/**
+ * Load a session, responding 404/409 unless it is open
+ *
+ * @returns {Promise<Object|null>} - Session, or null if a response was sent
+ */
+async function loadOpenSession(req, res) {
+  const session = await EnrollmentSession.findById(req.params.id);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Enrollment session not found',
+    });
+    return null;
+  }
+
+  if (!session.isOpen()) {
+    res.status(409).json({
+      success: false,
+      message: session.status === 'OPEN'
+        ? 'Enrollment session has expired; start a new one'
+        : `Enrollment session is ${session.status}`,
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Canonical minutiae of a stored sample
+ */
+function sampleMinutiae(session, sample) {
+  return parseMinutiae(toCanonical(session.getSampleTemplate(sample))).minutiae;
+}
+
+/**
+ * Session summary returned by every endpoint
+ */
+function sessionResponse(session) {
+  return {
+    _id: session._id,
+    employeeId: session.employeeId,
+    status: session.status,
+    policy: session.policy,
+    progress: session.getProgress(),
+    sampleCount: session.samples.length,
+    rejectedCaptures: session.rejectedCaptures,
+    startedBy: session.startedBy,
+    expiresAt: session.expiresAt,
+    fingerprints: session.fingerprints,
+  };
+}
+
+// ============================================
+// @route   POST /api/enrollment-sessions
+// @desc    Start an enrollment session for an employee
+// @access  Admin only
+// ============================================
+
+router.post('/', async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId is required',
+      });
+    }
+
+    const employee = await Employee.findOne({ employeeId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee ${employeeId} not found`,
+      });
+    }
+
+    if (!(await Consent.hasActiveConsent(employeeId))) {
+      return res.status(403).json({
+        success: false,
+        message: `Employee ${employeeId} has no active biometric consent. Record consent via POST /api/consents first.`,
+      });
+    }
+
+    // One open session per employee
+    const existing = await EnrollmentSession.findOne({
+      employeeId,
+      status: 'OPEN',
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Employee ${employeeId} already has an open enrollment session`,
+        sessionId: existing._id,
+      });
+    }
+
+    const session = new EnrollmentSession({
+      employee: employee._id,
+      employeeId: employee.employeeId,
+      policy: DEFAULT_POLICY,
+      startedBy: req.user.username,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000),
+    });
+
+    await session.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'ENROLLMENT_SESSION_STARTED',
+      targetType: 'EnrollmentSession',
+      targetId: session._id,
+      employeeId,
+      metadata: { policy: DEFAULT_POLICY },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Enrollment session started',
+      session: sessionResponse(session),
+    });
+
+  } catch (error) {
+    console.error('[Start Enrollment Session Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting enrollment session',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/enrollment-sessions/:id
+// @desc    Get session status and remaining requirements
+// @access  Admin only
+// ============================================
+
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await EnrollmentSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      session: {
+        ...sessionResponse(session),
+        samples: session.toJSON().samples,
+      },
+    });
+
+  } catch (error) {
+    console.error('[Get Enrollment Session Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching enrollment session',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/enrollment-sessions/:id/captures
+// @desc    Add a capture to the session
+// @access  Admin only
+//
+// Body: templateBase64 or pidXml, optional format, fingerIndex,
+// fingerName, quality, deviceInfo (same fields as /api/fingerprints/enroll).
+// Captures are rejected (422) when below the quality minimum, when they
+// do not match the finger's earlier samples, or when they match a
+// different finger of the session.
+// ============================================
+
+router.post('/:id/captures', async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const { format, fingerIndex, pidXml } = req.body;
+    let { templateBase64, fingerName, quality, deviceInfo } = req.body;
+
+    // ============================================
+    // UNWRAP CAPTURE
+    // ============================================
+
+    let pid = null;
+    if (pidXml) {
+      try {
+        pid = parsePidXml(pidXml);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid PID XML: ${error.message}`,
+        });
+      }
+
+      templateBase64 = templateBase64 || pid.templateBase64;
+      fingerName = fingerName || pid.fingerName;
+      if (quality === undefined || quality === null) quality = pid.qScore;
+      if (!deviceInfo && pid.device) deviceInfo = pid.device;
+    }
+
+    if (typeof deviceInfo === 'string') {
+      try {
+        deviceInfo = parseDeviceInfoXml(deviceInfo);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid DeviceInfo XML: ${error.message}`,
+        });
+      }
+    }
+
+    // Device attestation and registry (utils/deviceRegistry.js)
+    const capture = await checkCaptureDevice(req, {
+      pidXml,
+      templateBase64: req.body.templateBase64,
+      pid,
+      deviceInfo,
+      employeeId: session.employeeId,
+      purpose: 'ENROLLMENT',
+    });
+    if (capture.rejection) {
+      return res.status(403).json({ success: false, ...capture.rejection });
+    }
+    deviceInfo = capture.device;
+
+    if (!templateBase64) {
+      return res.status(400).json({
+        success: false,
+        message: 'templateBase64 or pidXml is required',
+      });
+    }
+
+    if (format && !CONVERTIBLE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Enrollment sessions accept minutiae templates only: ${CONVERTIBLE_FORMATS.join(', ')}`,
+      });
+    }
+
+    const templateBuffer = Buffer.from(templateBase64, 'base64');
+
+    let recordInfo;
+    let minutiae;
+    try {
+      recordInfo = getTemplateInfo(templateBuffer);
+      minutiae = parseMinutiae(toCanonical(templateBuffer)).minutiae;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Malformed fingerprint template: ${error.message}`,
+      });
+    }
+
+    if (format && format !== recordInfo.format) {
+      return res.status(400).json({
+        success: false,
+        message: `Template is an ${recordInfo.format} record but format ${format} was given`,
+      });
+    }
+
+    // ============================================
+    // RESOLVE FINGER AND QUALITY
+    // ============================================
+
+    const resolvedFingerIndex = fingerIndex !== undefined && fingerIndex !== null
+      ? parseInt(fingerIndex)
+      : recordInfo.fingerIndex;
+
+    if (resolvedFingerIndex === null || isNaN(resolvedFingerIndex) ||
+        resolvedFingerIndex < 0 || resolvedFingerIndex > 9) {
+      return res.status(400).json({
+        success: false,
+        message: 'fingerIndex (0-9) is required when the template does not carry a finger position',
+      });
+    }
+
+    const resolvedQuality = quality !== undefined && quality !== null
+      ? parseInt(quality)
+      : recordInfo.quality;
+
+    const sampleInfo = {
+      fingerIndex: resolvedFingerIndex,
+      fingerName: fingerName || FINGER_NAMES[resolvedFingerIndex + 1],
+      format: recordInfo.format,
+      quality: resolvedQuality,
+      minutiaeCount: recordInfo.minutiaeCount,
+      device: deviceInfo || undefined,
+      registeredDevice: capture.registeredDevice ? capture.registeredDevice._id : undefined,
+    };
+
+    // ============================================
+    // QUALITY POLICY
+    // ============================================
+
+    const reject = async (status, message, details = {}) => {
+      session.rejectedCaptures += 1;
+      await session.save();
+      await trackDeviceUse(capture.registeredDevice, 'CAPTURE_REJECTED');
+
+      return res.status(status).json({
+        success: false,
+        message,
+        ...details,
+        session: sessionResponse(session),
+      });
+    };
+
+    if (resolvedQuality === undefined || resolvedQuality === null || isNaN(resolvedQuality) ||
+        resolvedQuality < session.policy.minQuality) {
+      return reject(422, `Capture quality ${resolvedQuality ?? 'unknown'} is below the minimum of ${session.policy.minQuality}; recapture`);
+    }
+
+    const fingerSamples = session.getFingerSamples(resolvedFingerIndex);
+
+    if (fingerSamples.length >= session.policy.samplesPerFinger) {
+      return res.status(409).json({
+        success: false,
+        message: `Finger ${resolvedFingerIndex} already has ${fingerSamples.length} sample(s); capture another finger`,
+        session: sessionResponse(session),
+      });
+    }
+
+    const templateHash = hashTemplate(templateBuffer);
+    if (session.samples.some(sample => sample.templateHash === templateHash)) {
+      return reject(409, 'This exact capture was already submitted; take a fresh capture');
+    }
+
+    // Consistency: every sample of a finger must match the earlier ones
+    for (const sample of fingerSamples) {
+      const result = matchMinutiae(minutiae, sampleMinutiae(session, sample));
+      if (!isMatch(result)) {
+        return reject(422, 'Capture does not match the earlier samples of this finger (wrong finger or poor placement); recapture', {
+          score: result.score,
+        });
+      }
+    }
+
+    // Distinct fingers: the capture must not match another finger of the session
+    const otherFingers = new Map();
+    session.samples
+      .filter(sample => sample.fingerIndex !== resolvedFingerIndex)
+      .forEach(sample => {
+        if (!otherFingers.has(sample.fingerIndex)) otherFingers.set(sample.fingerIndex, sample);
+      });
+
+    for (const sample of otherFingers.values()) {
+      const result = matchMinutiae(minutiae, sampleMinutiae(session, sample));
+      if (isMatch(result)) {
+        return reject(422, `Capture matches finger ${sample.fingerName || sample.fingerIndex} already captured in this session; present the requested finger`, {
+          score: result.score,
+        });
+      }
+    }
+
+    // ============================================
+    // ACCEPT SAMPLE
+    // ============================================
+
+    session.addSample(templateBuffer, sampleInfo);
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Capture accepted',
+      sample: {
+        fingerIndex: sampleInfo.fingerIndex,
+        fingerName: sampleInfo.fingerName,
+        format: sampleInfo.format,
+        quality: sampleInfo.quality,
+        minutiaeCount: sampleInfo.minutiaeCount,
+      },
+      session: sessionResponse(session),
+    });
+
+  } catch (error) {
+    console.error('[Add Enrollment Capture Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding capture',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/enrollment-sessions/:id/finalize
+// @desc    Consolidate samples and enroll one template per finger
+// @access  Admin only
+//
+// Fails with 422 (and the remaining requirements) until the policy is met.
+// Earlier ACTIVE templates of the enrolled fingers are revoked in the same
+// transaction that saves the new ones (requires a replica set, e.g. Atlas):
+// on any failure nothing is revoked and the session stays open.
+// ============================================
+
+router.post('/:id/finalize', async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const progress = session.getProgress();
+
+    if (!progress.complete) {
+      return res.status(422).json({
+        success: false,
+        message: `Enrollment policy not met. ${progress.message}`,
+        session: sessionResponse(session),
+      });
+    }
+
+    if (!(await Consent.hasActiveConsent(session.employeeId))) {
+      return res.status(403).json({
+        success: false,
+        message: `Employee ${session.employeeId} has no active biometric consent`,
+      });
+    }
+
+    // ============================================
+    // CONSOLIDATE SAMPLES PER FINGER
+    // ============================================
+
+    const fingerprints = [];
+
+    for (const finger of progress.fingers.filter(f => f.complete)) {
+      const samples = session.getFingerSamples(finger.fingerIndex).map(sample => {
+        const template = session.getSampleTemplate(sample);
+        return {
+          sample,
+          template,
+          quality: sample.quality,
+          minutiae: parseMinutiae(toCanonical(template)).minutiae,
+        };
+      });
+
+      const { index, agreement } = consolidateSamples(samples);
+      const chosen = samples[index];
+
+      const fingerprint = new Fingerprint({
+        employee: session.employee,
+        employeeId: session.employeeId,
+        fingerIndex: finger.fingerIndex,
+        fingerName: chosen.sample.fingerName || finger.fingerName,
+        format: chosen.sample.format,
+        quality: chosen.sample.quality,
+        device: chosen.sample.device && chosen.sample.device.model
+          ? chosen.sample.device
+          : { vendor: 'Mantra', model: 'MFS110' },
+        registeredDevice: chosen.sample.registeredDevice,
+        enrolledBy: req.user.username,
+        enrollmentSession: session._id,
+        sampleCount: samples.length,
+      });
+      fingerprint.setTemplate(chosen.template);
+
+      if (await Fingerprint.templateExists(fingerprint.templateHash)) {
+        return res.status(409).json({
+          success: false,
+          message: `The ${fingerprint.fingerName} template is already enrolled (duplicate detected)`,
+        });
+      }
+
+      // Same finger already enrolled for another employee?
+      const duplicates = await findDuplicateEnrollments(chosen.minutiae, session.employeeId);
+
+      if (duplicates.length > 0 && DUPLICATE_ACTION === 'block') {
+        await recordAuditEvent({
+          ...auditContext(req),
+          action: 'FINGERPRINT_DUPLICATE_BLOCKED',
+          targetType: 'EnrollmentSession',
+          targetId: session._id,
+          employeeId: session.employeeId,
+          metadata: { fingerName: fingerprint.fingerName, duplicates: summarizeDuplicates(duplicates) },
+        });
+
+        return res.status(409).json({
+          success: false,
+          message: `The ${fingerprint.fingerName} capture matches a template enrolled for another employee (${duplicates[0].employeeId})`,
+          duplicates: summarizeDuplicates(duplicates),
+        });
+      }
+
+      if (duplicates.length > 0) {
+        fingerprint.status = 'PENDING_REVIEW';
+      }
+
+      fingerprints.push({ fingerprint, agreement, duplicates });
+    }
+
+    // ============================================
+    // COMMIT: revoke replaced templates, save new ones atomically
+    // ============================================
+
+    // Templates held for duplicate review do not replace anything yet
+    const context = auditContext(req);
+    const activeFingers = fingerprints
+      .filter(({ fingerprint }) => fingerprint.status === 'ACTIVE')
+      .map(({ fingerprint }) => fingerprint.fingerIndex);
+
+    let replaced = [];
+    const reviews = [];
+
+    await mongoose.connection.transaction(async (dbSession) => {
+      // Re-check inside the transaction: a concurrent finalize or cancel wins
+      const stillOpen = await EnrollmentSession.exists({ _id: session._id, status: 'OPEN' }).session(dbSession);
+      if (!stillOpen) {
+        const error = new Error('Enrollment session was finalized or cancelled meanwhile');
+        error.status = 409;
+        throw error;
+      }
+
+      replaced = await Fingerprint.find({
+        employeeId: session.employeeId,
+        status: 'ACTIVE',
+        fingerIndex: { $in: activeFingers },
+      }).session(dbSession);
+      reviews.length = 0;
+
+      for (const old of replaced) {
+        const reason = `Replaced by enrollment session ${session._id}`;
+        const successor = fingerprints.find(({ fingerprint }) => fingerprint.fingerIndex === old.fingerIndex).fingerprint;
+
+        old.revoke(req.user.username, reason);
+        old.replacedBy = successor._id;
+        if (!successor.replaces) successor.replaces = old._id;
+        await old.setAuditContext({ ...context, reason }).save({ session: dbSession });
+      }
+
+      for (const { fingerprint, duplicates } of fingerprints) {
+        await fingerprint.setAuditContext(context).save({ session: dbSession });
+
+        if (duplicates.length > 0) {
+          reviews.push({
+            review: await DuplicateReview.flag(fingerprint, duplicates, req.user.username, { session: dbSession }),
+            duplicates,
+          });
+        }
+      }
+
+      session.status = 'FINALIZED';
+      session.finalizedAt = new Date();
+      session.finalizedBy = req.user.username;
+      session.fingerprints = fingerprints.map(({ fingerprint }) => fingerprint._id);
+      session.wipeSamples();
+      await session.save({ session: dbSession });
+    });
+
+    // Hooks are deferred inside the transaction (see Fingerprint.finishSave)
+    for (const old of replaced) {
+      await old.finishSave();
+    }
+
+    for (const { fingerprint } of fingerprints) {
+      await fingerprint.finishSave();
+      await trackDeviceUse(fingerprint.registeredDevice, 'ENROLLMENT');
+    }
+
+    for (const { review, duplicates } of reviews) {
+      await recordAuditEvent({
+        ...context,
+        action: 'FINGERPRINT_DUPLICATE_FLAGGED',
+        targetType: 'DuplicateReview',
+        targetId: review._id,
+        employeeId: session.employeeId,
+        metadata: { fingerprintId: String(review.fingerprint), duplicates: summarizeDuplicates(duplicates) },
+      });
+    }
+
+    await recordAuditEvent({
+      ...context,
+      action: 'ENROLLMENT_SESSION_FINALIZED',
+      targetType: 'EnrollmentSession',
+      targetId: session._id,
+      employeeId: session.employeeId,
+      metadata: {
+        fingerprints: session.fingerprints.map(String),
+        replaced: replaced.map(fp => String(fp._id)),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: reviews.length > 0
+        ? `Enrolled ${fingerprints.length} finger(s); ${reviews.length} queued for duplicate review`
+        : `Enrolled ${fingerprints.length} finger(s)`,
+      fingerprints: fingerprints.map(({ fingerprint, agreement }) => ({
+        _id: fingerprint._id,
+        fingerIndex: fingerprint.fingerIndex,
+        fingerName: fingerprint.fingerName,
+        format: fingerprint.format,
+        quality: fingerprint.quality,
+        sampleCount: fingerprint.sampleCount,
+        sampleAgreement: agreement,
+        status: fingerprint.status,
+      })),
+      revokedFingerprints: replaced.length,
+      duplicateReviews: reviews.map(({ review }) => ({
+        _id: review._id,
+        fingerprint: review.fingerprint,
+        fingerName: review.fingerName,
+        status: review.status,
+      })),
+      session: sessionResponse(session),
+    });
+
+  } catch (error) {
+    console.error('[Finalize Enrollment Session Error]:', error);
+
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Duplicate fingerprint template detected',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error finalizing enrollment session',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   DELETE /api/enrollment-sessions/:id
+// @desc    Cancel a session and discard its samples
+// @access  Admin only
+// ============================================
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    session.status = 'CANCELLED';
+    session.cancelledAt = new Date();
+    session.cancelledBy = req.user.username;
+    session.wipeSamples();
+    await session.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, req.body && req.body.reason),
+      action: 'ENROLLMENT_SESSION_CANCELLED',
+      targetType: 'EnrollmentSession',
+      targetId: session._id,
+      employeeId: session.employeeId,
+    });
+
+    res.json({
+      success: true,
+      message: 'Enrollment session cancelled',
+      session: sessionResponse(session),
+    });
+
+  } catch (error) {
+    console.error('[Cancel Enrollment Session Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling enrollment session',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,43 @@
 // routes/fingerprintRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Fingerprint = require('../models/fingerprint');
 const Employee = require('../models/Employee');
+const Consent = require('../models/Consent');
+const DuplicateReview = require('../models/DuplicateReview');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  MATCH_THRESHOLD,
+  parseMinutiae,
+  matchMinutiae,
+  isMatch,
+} = require('../utils/fingerprintMatcher');
+const fingerprintIndex = require('../utils/fingerprintIndex');
+const { getTemplateInfo } = require('../utils/fingerprint');
+const { parsePidXml, parseDeviceInfoXml } = require('../utils/rdService');
+const {
+  CANONICAL_FORMAT,
+  CONVERTIBLE_FORMATS,
+  convertTemplate,
+  toCanonical,
+} = require('../utils/templateConverter');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+const {
+  DUPLICATE_ACTION,
+  findDuplicateEnrollments,
+  summarizeDuplicates,
+} = require('../utils/duplicateDetection');
+const { readProbe, verifyEmployeeFingerprint } = require('../utils/fingerprintVerification');
+const { checkCaptureDevice, trackDeviceUse } = require('../utils/deviceRegistry');
+const {
+  DEFAULT_THUMBNAIL_SIZE,
+  isImageRecord,
+  parseImageRecord,
+  decodeViewImage,
+  renderThumbnail,
+} = require('../utils/fingerImage');
+const { templateFromImageRecord } = require('../utils/minutiaeExtractor');
 
 /**
  * Fingerprint Management Routes
@@ -30,13 +64,10 @@ router.post('/enroll', authorize('admin', 'superadmin'), async (req, res) => {
   try {
     const {
       employeeId,
-      templateBase64,
       format,
-      fingerIndex,
-      fingerName,
-      quality,
-      deviceInfo,
+      pidXml,
     } = req.body;
+    let { templateBase64, fingerIndex, fingerName, quality, deviceInfo } = req.body;
 
     // ============================================
     // VALIDATION
@@ -50,10 +81,61 @@ router.post('/enroll', authorize('admin', 'superadmin'), async (req, res) => {
       });
     }
 
+    // Raw RDService PID XML: unwrap template, qScore and device details
+    let pid = null;
+    if (pidXml) {
+      try {
+        pid = parsePidXml(pidXml);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid PID XML: ${error.message}`,
+        });
+      }
+
+      templateBase64 = templateBase64 || pid.templateBase64;
+      if (quality === undefined || quality === null) quality = pid.qScore;
+      if (!deviceInfo && pid.device) deviceInfo = pid.device;
+
+      // The finger the device captured wins over the form's selection
+      if (pid.fingerIndex !== undefined) {
+        fingerIndex = pid.fingerIndex;
+        fingerName = pid.fingerName;
+      } else {
+        fingerName = fingerName || pid.fingerName;
+      }
+    }
+
+    // DeviceInfo XML from the RDService DEVICEINFO call
+    if (typeof deviceInfo === 'string') {
+      try {
+        deviceInfo = parseDeviceInfoXml(deviceInfo);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid DeviceInfo XML: ${error.message}`,
+        });
+      }
+    }
+
+    // Device attestation and registry (utils/deviceRegistry.js)
+    const capture = await checkCaptureDevice(req, {
+      pidXml,
+      templateBase64: req.body.templateBase64,
+      pid,
+      deviceInfo,
+      employeeId: employeeId,
+      purpose: 'ENROLLMENT',
+    });
+    if (capture.rejection) {
+      return res.status(403).json({ success: false, ...capture.rejection });
+    }
+    deviceInfo = capture.device;
+
     if (!templateBase64) {
       return res.status(400).json({
         success: false,
-        message: 'templateBase64 is required',
+        message: 'templateBase64 or pidXml is required',
       });
     }
 
@@ -100,6 +182,17 @@ router.post('/enroll', authorize('admin', 'superadmin'), async (req, res) => {
       });
     }
 
+    // ============================================
+    // CHECK: Biometric consent
+    // ============================================
+
+    if (!(await Consent.hasActiveConsent(employeeId))) {
+      return res.status(403).json({
+        success: false,
+        message: `Employee ${employeeId} has no active biometric consent. Record consent via POST /api/consents first.`,
+      });
+    }
+
     // ============================================
     // DECODE AND VALIDATE TEMPLATE
     // ============================================
@@ -122,27 +215,86 @@ router.post('/enroll', authorize('admin', 'superadmin'), async (req, res) => {
       });
     }
 
+    // ============================================
+    // FINGER IMAGE RECORD (ISO 19794-4)
+    // ============================================
+
+    // Images are stored WSQ-compressed next to the minutiae template
+    // extracted from them, which is what gets matched
+    let image = null;
+
+    if (format === 'ISO_19794_4' || (!format && isImageRecord(templateBuffer))) {
+      try {
+        image = templateFromImageRecord(templateBuffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Unusable finger image record: ${error.message}`,
+        });
+      }
+
+      templateBuffer = image.template;
+    }
+
+    // ============================================
+    // PARSE TEMPLATE RECORD (ISO 19794-2 / ANSI 378)
+    // ============================================
+
+    // Minutiae records are parsed and validated; proprietary templates
+    // are stored as declared.
+    let recordInfo = null;
+
+    if (image || !format || ['ISO_19794_2', 'ANSI_378'].includes(format)) {
+      try {
+        recordInfo = getTemplateInfo(templateBuffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Malformed fingerprint template: ${error.message}`,
+        });
+      }
+
+      if (!image && format && format !== recordInfo.format) {
+        return res.status(400).json({
+          success: false,
+          message: `Template is an ${recordInfo.format} record but format ${format} was given`,
+        });
+      }
+    }
+
     // ============================================
     // CREATE FINGERPRINT DOCUMENT
     // ============================================
 
+    // Explicit request values win; otherwise auto-fill from the parsed record
+    const resolvedFingerIndex = fingerIndex !== undefined && fingerIndex !== null
+      ? parseInt(fingerIndex)
+      : (recordInfo && recordInfo.fingerIndex !== null ? recordInfo.fingerIndex : undefined);
+
+    const resolvedQuality = quality !== undefined && quality !== null
+      ? parseInt(quality)
+      : (recordInfo ? recordInfo.quality : undefined);
+
     const fingerprint = new Fingerprint({
       employee: employee._id,
       employeeId: employee.employeeId,
-      fingerIndex: fingerIndex !== undefined ? parseInt(fingerIndex) : undefined,
-      fingerName: fingerName || 'UNKNOWN',
-      format: format || 'ISO_19794_2',
-      quality: quality !== undefined ? parseInt(quality) : undefined,
+      fingerIndex: resolvedFingerIndex,
+      fingerName: fingerName || (recordInfo ? recordInfo.fingerName : 'UNKNOWN'),
+      format: recordInfo ? recordInfo.format : format,
+      quality: resolvedQuality,
       device: deviceInfo || {
         vendor: 'Mantra',
         model: 'MFS110',
       },
+      registeredDevice: capture.registeredDevice ? capture.registeredDevice._id : undefined,
+      extractorVersion: image ? image.extractorVersion : undefined,
       enrolledBy: req.user.username,
     });
 
     // Set template (automatically encrypts and hashes)
     try {
       const templateInfo = fingerprint.setTemplate(templateBuffer);
+      if (image) fingerprint.setImage(image.imageRecord);
       
       console.log('[Fingerprint Enroll] Template info:', {
         employeeId,
@@ -169,19 +321,69 @@ router.post('/enroll', authorize('admin', 'superadmin'), async (req, res) => {
       });
     }
 
+    // ============================================
+    // CHECK: Same finger enrolled for another employee
+    // ============================================
+
+    // Captures of one finger never hash the same, so search by match score
+    const duplicates = recordInfo
+      ? await findDuplicateEnrollments(parseMinutiae(toCanonical(templateBuffer)).minutiae, employeeId)
+      : [];
+
+    if (duplicates.length > 0 && DUPLICATE_ACTION === 'block') {
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: 'FINGERPRINT_DUPLICATE_BLOCKED',
+        targetType: 'Employee',
+        targetId: employee._id,
+        employeeId,
+        metadata: { duplicates: summarizeDuplicates(duplicates) },
+      });
+
+      return res.status(409).json({
+        success: false,
+        message: `Fingerprint matches a template enrolled for another employee (${duplicates[0].employeeId})`,
+        duplicates: summarizeDuplicates(duplicates),
+      });
+    }
+
+    if (duplicates.length > 0) {
+      fingerprint.status = 'PENDING_REVIEW';
+    }
+
     // ============================================
     // SAVE TO DATABASE
     // ============================================
 
-    await fingerprint.save();
+    await fingerprint.setAuditContext(auditContext(req)).save();
+    await trackDeviceUse(capture.registeredDevice, 'ENROLLMENT');
+
+    let review = null;
+    if (duplicates.length > 0) {
+      review = await DuplicateReview.flag(fingerprint, duplicates, req.user.username);
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: 'FINGERPRINT_DUPLICATE_FLAGGED',
+        targetType: 'DuplicateReview',
+        targetId: review._id,
+        employeeId,
+        metadata: { fingerprintId: String(fingerprint._id), duplicates: summarizeDuplicates(duplicates) },
+      });
+    }
 
     // ============================================
     // RESPONSE
     // ============================================
 
-    res.status(201).json({
+    res.status(review ? 202 : 201).json({
       success: true,
-      message: 'Fingerprint enrolled successfully',
+      message: review
+        ? 'Fingerprint matches another employee; enrollment queued for superadmin review'
+        : 'Fingerprint enrolled successfully',
+      duplicateReview: review
+        ? { _id: review._id, status: review.status, duplicates: summarizeDuplicates(duplicates) }
+        : undefined,
       fingerprint: {
         _id: fingerprint._id,
         employeeId: fingerprint.employeeId,
@@ -189,6 +391,11 @@ router.post('/enroll', authorize('admin', 'superadmin'), async (req, res) => {
         fingerName: fingerprint.fingerName,
         format: fingerprint.format,
         quality: fingerprint.quality,
+        minutiaeCount: recordInfo ? recordInfo.minutiaeCount : undefined,
+        image: fingerprint.hasImage() ? fingerprint.image : undefined,
+        extractorVersion: fingerprint.extractorVersion,
+        device: fingerprint.device,
+        registeredDevice: fingerprint.registeredDevice,
         status: fingerprint.status,
         enrolledBy: fingerprint.enrolledBy,
         enrolledAt: fingerprint.enrolledAt,
@@ -227,7 +434,7 @@ router.get('/:employeeId', authorize('admin', 'superadmin'), async (req, res) =>
 
     // Find all fingerprints for this employee
     const fingerprints = await Fingerprint.find({ employeeId })
-      .select('-encryptedTemplate') // Don't send encrypted data
+      .select('-encryptedTemplate -encryptedCanonicalTemplate -encryptedImage') // Don't send encrypted data
       .sort({ createdAt: -1 });
 
     // Get employee info
@@ -279,11 +486,23 @@ router.get('/:employeeId', authorize('admin', 'superadmin'), async (req, res) =>
 // @route   GET /api/fingerprints/template/:id
 // @desc    Get decrypted template by fingerprint ID
 // @access  Admin only (use with extreme caution!)
+//
+// Optional ?format=ISO_19794_2|ANSI_378 exports the template converted
+// to that format (defaults to the format it was captured in).
+// Optional ?reason= is stored on the audit event.
 // ============================================
 
 router.get('/template/:id', authorize('admin', 'superadmin'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { format, reason } = req.query;
+
+    if (format && !CONVERTIBLE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Export format must be one of: ${CONVERTIBLE_FORMATS.join(', ')}`,
+      });
+    }
 
     const fingerprint = await Fingerprint.findById(id);
 
@@ -302,12 +521,33 @@ router.get('/template/:id', authorize('admin', 'superadmin'), async (req, res) =
       });
     }
 
+    if (format && format !== fingerprint.format && !CONVERTIBLE_FORMATS.includes(fingerprint.format)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${fingerprint.format} template cannot be exported as ${format}`,
+      });
+    }
+
     // Decrypt and return template
     try {
-      const templateBase64 = fingerprint.getTemplateBase64();
+      let templateBuffer;
+
+      if (!format || format === fingerprint.format) {
+        templateBuffer = fingerprint.getTemplate();
+      } else {
+        // Convert from the canonical copy (always ISO 19794-2)
+        templateBuffer = convertTemplate(fingerprint.getCanonicalTemplate(), format);
+      }
 
-      // Log access for audit
-      console.log(`[AUDIT] Template accessed: Fingerprint ${id}, Employee ${fingerprint.employeeId}, By: ${req.user.username}`);
+      // Record access before the template leaves the server
+      await recordAuditEvent({
+        ...auditContext(req, reason),
+        action: 'FINGERPRINT_TEMPLATE_ACCESSED',
+        targetType: 'Fingerprint',
+        targetId: fingerprint._id,
+        employeeId: fingerprint.employeeId,
+        metadata: { exportFormat: format || fingerprint.format },
+      });
 
       res.json({
         success: true,
@@ -317,7 +557,8 @@ router.get('/template/:id', authorize('admin', 'superadmin'), async (req, res) =
           fingerIndex: fingerprint.fingerIndex,
           format: fingerprint.format,
         },
-        template: templateBase64,
+        exportFormat: format || fingerprint.format,
+        template: templateBuffer.toString('base64'),
       });
 
     } catch (error) {
@@ -337,6 +578,146 @@ router.get('/template/:id', authorize('admin', 'superadmin'), async (req, res) =
   }
 });
 
+// ============================================
+// @route   GET /api/fingerprints/:id/thumbnail
+// @desc    Render the stored finger image as a PNG thumbnail for review
+// @access  Admin only
+//
+// Optional ?size= (longest side in pixels, 32-512) and ?reason=.
+// The access is audited before the image is decrypted.
+// ============================================
+
+router.get('/:id/thumbnail', authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.query;
+    const size = req.query.size ? parseInt(req.query.size) : DEFAULT_THUMBNAIL_SIZE;
+
+    if (isNaN(size) || size < 32 || size > 512) {
+      return res.status(400).json({
+        success: false,
+        message: 'size must be between 32 and 512',
+      });
+    }
+
+    const fingerprint = await Fingerprint.findById(id);
+
+    if (!fingerprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fingerprint not found',
+      });
+    }
+
+    // Images of revoked templates are not shown for review
+    if (!['ACTIVE', 'PENDING_REVIEW'].includes(fingerprint.status)) {
+      return res.status(403).json({
+        success: false,
+        message: `Cannot render image: status is ${fingerprint.status}`,
+      });
+    }
+
+    if (!fingerprint.hasImage()) {
+      return res.status(404).json({
+        success: false,
+        message: 'No finger image stored for this template',
+      });
+    }
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'FINGERPRINT_IMAGE_ACCESSED',
+      targetType: 'Fingerprint',
+      targetId: fingerprint._id,
+      employeeId: fingerprint.employeeId,
+      metadata: { purpose: 'THUMBNAIL', size },
+    });
+
+    const image = decodeViewImage(parseImageRecord(fingerprint.getImage()));
+    const thumbnail = renderThumbnail(image, size);
+
+    res.set('Cache-Control', 'no-store').type('png').send(thumbnail.png);
+
+  } catch (error) {
+    console.error('[Fingerprint Thumbnail Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rendering finger image',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/fingerprints/:id/regenerate-template
+// @desc    Re-extract the minutiae template from the stored finger image
+// @access  Superadmin only
+//
+// Body: optional reason. Use scripts/regenerateTemplates.js to
+// regenerate every template after the extractor changes.
+// ============================================
+
+router.post('/:id/regenerate-template', authorize('superadmin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const fingerprint = await Fingerprint.findById(id);
+
+    if (!fingerprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fingerprint not found',
+      });
+    }
+
+    if (!['ACTIVE', 'PENDING_REVIEW'].includes(fingerprint.status)) {
+      return res.status(403).json({
+        success: false,
+        message: `Cannot regenerate template: status is ${fingerprint.status}`,
+      });
+    }
+
+    let result;
+    try {
+      result = fingerprint.regenerateTemplate();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot regenerate template: ${error.message}`,
+      });
+    }
+
+    await fingerprint.setAuditContext(auditContext(req, reason)).save();
+
+    console.log(`[Template Regenerated] ID: ${id}, Employee: ${fingerprint.employeeId}, Minutiae: ${result.minutiaeCount}`);
+
+    res.json({
+      success: true,
+      message: 'Template regenerated from the stored finger image',
+      fingerprint: {
+        _id: fingerprint._id,
+        employeeId: fingerprint.employeeId,
+        fingerIndex: fingerprint.fingerIndex,
+        format: fingerprint.format,
+        quality: fingerprint.quality,
+        image: fingerprint.image,
+        extractorVersion: fingerprint.extractorVersion,
+        templateRegeneratedAt: fingerprint.templateRegeneratedAt,
+      },
+      minutiaeCount: result.minutiaeCount,
+    });
+
+  } catch (error) {
+    console.error('[Regenerate Template Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating template',
+      error: error.message,
+    });
+  }
+});
+
 // ============================================
 // @route   DELETE /api/fingerprints/:id
 // @desc    Delete (revoke) a fingerprint template
@@ -359,7 +740,7 @@ router.delete('/:id', authorize('admin', 'superadmin'), async (req, res) => {
 
     // Soft delete: Revoke instead of hard delete
     fingerprint.revoke(req.user.username, reason);
-    await fingerprint.save();
+    await fingerprint.setAuditContext(auditContext(req, reason)).save();
 
     console.log(`[Fingerprint Revoked] ID: ${id}, Employee: ${fingerprint.employeeId}, By: ${req.user.username}`);
 
@@ -386,6 +767,344 @@ router.delete('/:id', authorize('admin', 'superadmin'), async (req, res) => {
   }
 });
 
+// ============================================
+// @route   POST /api/fingerprints/:id/reenroll
+// @desc    Replace a template with a fresh capture of the same finger
+// @access  Admin only
+//
+// Body: templateBase64 or pidXml, optional format, quality, deviceInfo,
+// reason. The finger is taken from the template being replaced.
+// The old template is revoked and the new one activated in a single
+// transaction (requires a replica set, e.g. Atlas), and the two are
+// linked through replaces / replacedBy.
+// ============================================
+
+router.post('/:id/reenroll', authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format, pidXml, reason } = req.body;
+    let { templateBase64, quality, deviceInfo } = req.body;
+
+    // ============================================
+    // TEMPLATE BEING REPLACED
+    // ============================================
+
+    const previous = await Fingerprint.findById(id);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fingerprint not found',
+      });
+    }
+
+    if (previous.replacedBy) {
+      return res.status(409).json({
+        success: false,
+        message: `Fingerprint was already re-enrolled as ${previous.replacedBy}`,
+        replacedBy: previous.replacedBy,
+      });
+    }
+
+    if (previous.status === 'PENDING_REVIEW') {
+      return res.status(409).json({
+        success: false,
+        message: 'Fingerprint is pending duplicate review; resolve the review first',
+      });
+    }
+
+    const employee = await Employee.findOne({ employeeId: previous.employeeId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee ${previous.employeeId} not found`,
+      });
+    }
+
+    if (!(await Consent.hasActiveConsent(previous.employeeId))) {
+      return res.status(403).json({
+        success: false,
+        message: `Employee ${previous.employeeId} has no active biometric consent. Record consent via POST /api/consents first.`,
+      });
+    }
+
+    // ============================================
+    // NEW CAPTURE
+    // ============================================
+
+    let pid = null;
+    if (pidXml) {
+      try {
+        pid = parsePidXml(pidXml);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid PID XML: ${error.message}`,
+        });
+      }
+
+      templateBase64 = templateBase64 || pid.templateBase64;
+      if (quality === undefined || quality === null) quality = pid.qScore;
+      if (!deviceInfo && pid.device) deviceInfo = pid.device;
+    }
+
+    if (typeof deviceInfo === 'string') {
+      try {
+        deviceInfo = parseDeviceInfoXml(deviceInfo);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid DeviceInfo XML: ${error.message}`,
+        });
+      }
+    }
+
+    // Device attestation and registry (utils/deviceRegistry.js)
+    const capture = await checkCaptureDevice(req, {
+      pidXml,
+      templateBase64: req.body.templateBase64,
+      pid,
+      deviceInfo,
+      employeeId: previous.employeeId,
+      purpose: 'REENROLLMENT',
+    });
+    if (capture.rejection) {
+      return res.status(403).json({ success: false, ...capture.rejection });
+    }
+    deviceInfo = capture.device;
+
+    if (!templateBase64) {
+      return res.status(400).json({
+        success: false,
+        message: 'templateBase64 or pidXml is required',
+      });
+    }
+
+    let templateFormat = format || previous.format;
+    let templateBuffer = Buffer.from(templateBase64, 'base64');
+
+    // Finger image records: store the image, match on the extracted minutiae
+    let image = null;
+    if (format === 'ISO_19794_4' || (!format && isImageRecord(templateBuffer))) {
+      try {
+        image = templateFromImageRecord(templateBuffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Unusable finger image record: ${error.message}`,
+        });
+      }
+
+      templateBuffer = image.template;
+      templateFormat = CANONICAL_FORMAT;
+    }
+
+    let recordInfo = null;
+    if (CONVERTIBLE_FORMATS.includes(templateFormat)) {
+      try {
+        recordInfo = getTemplateInfo(templateBuffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Malformed fingerprint template: ${error.message}`,
+        });
+      }
+
+      if (!image && format && format !== recordInfo.format) {
+        return res.status(400).json({
+          success: false,
+          message: `Template is an ${recordInfo.format} record but format ${format} was given`,
+        });
+      }
+    }
+
+    // The capture must be of the finger being replaced
+    if (recordInfo && recordInfo.fingerIndex !== null &&
+        previous.fingerIndex !== undefined && previous.fingerIndex !== null &&
+        recordInfo.fingerIndex !== previous.fingerIndex) {
+      return res.status(400).json({
+        success: false,
+        message: `Capture is of ${recordInfo.fingerName} but the template being replaced is ${previous.fingerName}`,
+      });
+    }
+
+    const fingerprint = new Fingerprint({
+      employee: employee._id,
+      employeeId: employee.employeeId,
+      fingerIndex: previous.fingerIndex !== undefined && previous.fingerIndex !== null
+        ? previous.fingerIndex
+        : (recordInfo ? recordInfo.fingerIndex : undefined),
+      fingerName: previous.fingerName !== 'UNKNOWN' || !recordInfo ? previous.fingerName : recordInfo.fingerName,
+      format: recordInfo ? recordInfo.format : templateFormat,
+      quality: quality !== undefined && quality !== null
+        ? parseInt(quality)
+        : (recordInfo ? recordInfo.quality : undefined),
+      device: deviceInfo || previous.device,
+      registeredDevice: deviceInfo
+        ? (capture.registeredDevice ? capture.registeredDevice._id : undefined)
+        : previous.registeredDevice,
+      extractorVersion: image ? image.extractorVersion : undefined,
+      enrolledBy: req.user.username,
+      replaces: previous._id,
+    });
+
+    try {
+      fingerprint.setTemplate(templateBuffer);
+      if (image) fingerprint.setImage(image.imageRecord);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Template processing failed: ${error.message}`,
+      });
+    }
+
+    // ============================================
+    // CHECK: Duplicates
+    // ============================================
+
+    // Identical bytes to the template being replaced are fine; it is revoked below
+    const identicalActive = await Fingerprint.countDocuments({
+      templateHash: fingerprint.templateHash,
+      status: 'ACTIVE',
+      _id: { $ne: previous._id },
+    });
+
+    if (identicalActive > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This fingerprint template is already enrolled (duplicate detected)',
+      });
+    }
+
+    const duplicates = recordInfo
+      ? await findDuplicateEnrollments(parseMinutiae(toCanonical(templateBuffer)).minutiae, employee.employeeId)
+      : [];
+
+    if (duplicates.length > 0 && DUPLICATE_ACTION === 'block') {
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: 'FINGERPRINT_DUPLICATE_BLOCKED',
+        targetType: 'Fingerprint',
+        targetId: previous._id,
+        employeeId: employee.employeeId,
+        metadata: { duplicates: summarizeDuplicates(duplicates) },
+      });
+
+      return res.status(409).json({
+        success: false,
+        message: `Fingerprint matches a template enrolled for another employee (${duplicates[0].employeeId})`,
+        duplicates: summarizeDuplicates(duplicates),
+      });
+    }
+
+    // Held for review: the old template stays active until a superadmin
+    // approves (the approval performs the replacement)
+    if (duplicates.length > 0) {
+      fingerprint.status = 'PENDING_REVIEW';
+      await fingerprint.setAuditContext(auditContext(req, reason)).save();
+      await trackDeviceUse(capture.registeredDevice, 'ENROLLMENT');
+
+      const review = await DuplicateReview.flag(fingerprint, duplicates, req.user.username);
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: 'FINGERPRINT_DUPLICATE_FLAGGED',
+        targetType: 'DuplicateReview',
+        targetId: review._id,
+        employeeId: employee.employeeId,
+        metadata: { fingerprintId: String(fingerprint._id), duplicates: summarizeDuplicates(duplicates) },
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Fingerprint matches another employee; re-enrollment queued for superadmin review',
+        duplicateReview: { _id: review._id, status: review.status, duplicates: summarizeDuplicates(duplicates) },
+        fingerprint: {
+          _id: fingerprint._id,
+          status: fingerprint.status,
+          replaces: fingerprint.replaces,
+        },
+      });
+    }
+
+    // ============================================
+    // REPLACE: revoke old + activate new atomically
+    // ============================================
+
+    let replaced;
+
+    await mongoose.connection.transaction(async (session) => {
+      // Re-read inside the transaction: a concurrent re-enrollment wins
+      replaced = await Fingerprint.findById(previous._id).session(session);
+
+      if (replaced.replacedBy) {
+        const error = new Error(`Fingerprint was already re-enrolled as ${replaced.replacedBy}`);
+        error.status = 409;
+        throw error;
+      }
+
+      const revokeReason = reason || 'Re-enrolled';
+      if (replaced.status === 'ACTIVE') {
+        replaced.revoke(req.user.username, revokeReason);
+      }
+      replaced.replacedBy = fingerprint._id;
+
+      await replaced.setAuditContext(auditContext(req, revokeReason)).save({ session });
+      await fingerprint.setAuditContext(auditContext(req, reason)).save({ session });
+    });
+
+    // Hooks are deferred inside the transaction (see Fingerprint.finishSave)
+    await replaced.finishSave();
+    await fingerprint.finishSave();
+    await trackDeviceUse(capture.registeredDevice, 'ENROLLMENT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Fingerprint re-enrolled successfully',
+      fingerprint: {
+        _id: fingerprint._id,
+        employeeId: fingerprint.employeeId,
+        fingerIndex: fingerprint.fingerIndex,
+        fingerName: fingerprint.fingerName,
+        format: fingerprint.format,
+        quality: fingerprint.quality,
+        status: fingerprint.status,
+        replaces: fingerprint.replaces,
+        enrolledBy: fingerprint.enrolledBy,
+        enrolledAt: fingerprint.enrolledAt,
+      },
+      replaced: {
+        _id: replaced._id,
+        status: replaced.status,
+        replacedBy: replaced.replacedBy,
+      },
+    });
+
+  } catch (error) {
+    console.error('[Re-enroll Fingerprint Error]:', error);
+
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Duplicate fingerprint template detected',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error re-enrolling fingerprint',
+      error: error.message,
+    });
+  }
+});
+
 // ============================================
 // @route   GET /api/fingerprints/list/all
 // @desc    Get all fingerprints (admin overview)
@@ -406,7 +1125,7 @@ router.get('/list/all', authorize('superadmin'), async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const fingerprints = await Fingerprint.find(query)
-      .select('-encryptedTemplate')
+      .select('-encryptedTemplate -encryptedCanonicalTemplate -encryptedImage')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip)
@@ -448,31 +1167,118 @@ router.get('/list/all', authorize('superadmin'), async (req, res) => {
 });
 
 // ============================================
-// @route   POST /api/fingerprints/verify (OPTIONAL)
-// @desc    Verify a live fingerprint against stored template
+// @route   POST /api/fingerprints/verify
+// @desc    Verify a live fingerprint against stored templates (1:1)
 // @access  Admin only
-// 
-// NOTE: This is a PLACEHOLDER. Real verification requires:
-// - Matching algorithm (SDK-specific or third-party library)
-// - MFS110 doesn't provide server-side matching
-// - Consider device-side matching instead
+//
+// Matching runs server-side (utils/fingerprintMatcher.js) because
+// MFS110 RDService does not provide a matcher.
 // ============================================
 
 router.post('/verify', authorize('admin', 'superadmin'), async (req, res) => {
   try {
-    const { employeeId, probeTemplateBase64, format } = req.body;
+    const { employeeId, fingerIndex } = req.body;
 
-    // This is a PLACEHOLDER implementation
-    // In production, you would:
-    // 1. Use Mantra's matching library (if available for Node.js)
-    // 2. Use a third-party biometric matching library
-    // 3. OR implement device-side matching (capture on device, match on device, send result)
+    // ============================================
+    // VALIDATION
+    // ============================================
 
-    res.status(501).json({
-      success: false,
-      message: 'Server-side verification not implemented',
-      note: 'MFS110 RDService does not provide server-side matching. Consider device-side verification.',
-      alternativeApproach: 'Capture probe template on device, compare with stored templates on device, send match result to server.',
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId is required',
+      });
+    }
+
+    let probe;
+    try {
+      probe = readProbe(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    const { pid } = probe;
+
+    const capture = await checkCaptureDevice(req, {
+      pidXml: req.body.pidXml,
+      templateBase64: req.body.probeTemplateBase64,
+      pid,
+      deviceInfo: pid ? pid.device : undefined,
+      employeeId,
+      purpose: 'VERIFICATION',
+    });
+    if (capture.rejection) {
+      return res.status(403).json({ success: false, ...capture.rejection });
+    }
+    const { attestation, registeredDevice } = capture;
+
+    // ============================================
+    // MATCH AGAINST ACTIVE TEMPLATES
+    // ============================================
+
+    const { enrolled, candidates, best, matched } = await verifyEmployeeFingerprint(
+      employeeId,
+      probe.record.minutiae,
+      { fingerIndex }
+    );
+
+    if (enrolled === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No active minutiae fingerprints enrolled for employee ${employeeId}`,
+      });
+    }
+
+    // ============================================
+    // RECORD VERIFICATION
+    // ============================================
+
+    // Every compared template was decrypted, matched or not
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'FINGERPRINT_VERIFIED',
+      targetType: 'Fingerprint',
+      targetId: best ? best.fingerprint._id : undefined,
+      employeeId,
+      metadata: {
+        decision: matched ? 'MATCH' : 'NO_MATCH',
+        score: best ? best.score : 0,
+        templatesCompared: candidates.map(c => String(c.fingerprint._id)),
+        attestation: attestation ? attestation.status : undefined,
+        deviceId: registeredDevice ? String(registeredDevice._id) : undefined,
+      },
+    });
+
+    await trackDeviceUse(registeredDevice, 'VERIFICATION');
+    if (!matched) await trackDeviceUse(registeredDevice, 'NO_MATCH');
+
+    res.json({
+      success: true,
+      employeeId,
+      decision: matched ? 'MATCH' : 'NO_MATCH',
+      matched,
+      score: best ? best.score : 0,
+      threshold: MATCH_THRESHOLD,
+      probe: pid
+        ? { qScore: pid.qScore, device: capture.device, registeredDevice: registeredDevice ? registeredDevice._id : null }
+        : undefined,
+      attestation: attestation ? { status: attestation.status, reason: attestation.reason } : undefined,
+      finger: matched
+        ? {
+            _id: best.fingerprint._id,
+            fingerIndex: best.fingerprint.fingerIndex,
+            fingerName: best.fingerprint.fingerName,
+          }
+        : null,
+      candidates: candidates.map(c => ({
+        fingerprintId: c.fingerprint._id,
+        fingerIndex: c.fingerprint.fingerIndex,
+        fingerName: c.fingerprint.fingerName,
+        score: c.score,
+        pairedMinutiae: c.pairedMinutiae,
+      })),
     });
 
   } catch (error) {
@@ -485,4 +1291,148 @@ router.post('/verify', authorize('admin', 'superadmin'), async (req, res) => {
   }
 });
 
+// ============================================
+// @route   POST /api/fingerprints/identify
+// @desc    Identify an employee from a live fingerprint (1:N)
+// @access  Admin only
+//
+// Used by kiosks to mark attendance without an employeeId.
+// Candidates come from the in-memory index (utils/fingerprintIndex.js).
+// ============================================
+
+router.post('/identify', authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { limit = 5 } = req.body;
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    let probe;
+    try {
+      probe = readProbe(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    const { pid, record: probeRecord } = probe;
+
+    const capture = await checkCaptureDevice(req, {
+      pidXml: req.body.pidXml,
+      templateBase64: req.body.probeTemplateBase64,
+      pid,
+      deviceInfo: pid ? pid.device : undefined,
+      purpose: 'IDENTIFICATION',
+    });
+    if (capture.rejection) {
+      return res.status(403).json({ success: false, ...capture.rejection });
+    }
+    const { attestation, registeredDevice } = capture;
+
+    // ============================================
+    // SEARCH CANDIDATE INDEX
+    // ============================================
+
+    const candidates = await fingerprintIndex.getCandidates();
+
+    // Keep the best-scoring finger per employee
+    const bestByEmployee = new Map();
+
+    for (const candidate of candidates) {
+      const result = matchMinutiae(probeRecord.minutiae, candidate.minutiae);
+      const current = bestByEmployee.get(candidate.employeeId);
+
+      if (!current || result.score > current.score) {
+        bestByEmployee.set(candidate.employeeId, { candidate, ...result });
+      }
+    }
+
+    const ranked = [...bestByEmployee.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.max(1, parseInt(limit) || 5));
+
+    const best = ranked[0];
+    const matched = Boolean(best) && isMatch(best);
+
+    // ============================================
+    // RESOLVE EMPLOYEE & RECORD VERIFICATION
+    // ============================================
+
+    let employee = null;
+
+    if (matched) {
+      employee = await Employee.findById(best.candidate.employee)
+        .select('name employeeId department jobRole');
+
+      const fingerprint = await Fingerprint.findById(best.candidate.fingerprintId);
+      if (fingerprint) {
+        fingerprint.recordVerification(true, best.score);
+        await fingerprint.save();
+      }
+    }
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'FINGERPRINT_IDENTIFIED',
+      targetType: 'Fingerprint',
+      targetId: matched ? best.candidate.fingerprintId : undefined,
+      employeeId: matched ? best.candidate.employeeId : undefined,
+      metadata: {
+        decision: matched ? 'MATCH' : 'NO_MATCH',
+        score: best ? best.score : 0,
+        candidatesSearched: candidates.length,
+        attestation: attestation ? attestation.status : undefined,
+        deviceId: registeredDevice ? String(registeredDevice._id) : undefined,
+      },
+    });
+
+    await trackDeviceUse(registeredDevice, 'IDENTIFICATION');
+    if (!matched) await trackDeviceUse(registeredDevice, 'NO_MATCH');
+
+    res.json({
+      success: true,
+      decision: matched ? 'MATCH' : 'NO_MATCH',
+      matched,
+      score: best ? best.score : 0,
+      threshold: MATCH_THRESHOLD,
+      attestation: attestation ? { status: attestation.status, reason: attestation.reason } : undefined,
+      employee: matched
+        ? {
+            _id: best.candidate.employee,
+            employeeId: best.candidate.employeeId,
+            name: employee ? employee.name : null,
+            department: employee ? employee.department : null,
+            jobRole: employee ? employee.jobRole : null,
+          }
+        : null,
+      finger: matched
+        ? {
+            _id: best.candidate.fingerprintId,
+            fingerIndex: best.candidate.fingerIndex,
+            fingerName: best.candidate.fingerName,
+          }
+        : null,
+      candidates: ranked.map(r => ({
+        employeeId: r.candidate.employeeId,
+        fingerprintId: r.candidate.fingerprintId,
+        fingerIndex: r.candidate.fingerIndex,
+        fingerName: r.candidate.fingerName,
+        score: r.score,
+        pairedMinutiae: r.pairedMinutiae,
+      })),
+      searched: candidates.length,
+    });
+
+  } catch (error) {
+    console.error('[Identify Fingerprint Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during identification',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,168 @@
+// routes/geofenceRoutes.js
+const express = require('express');
+const router = express.Router();
+const Geofence = require('../models/Geofence');
+const Employee = require('../models/Employee');
+const { protect, authorize } = require('../middleware/auth');
+const { readGeofence, GEOFENCE_MODE, DEFAULT_RADIUS_METERS } = require('../utils/geofence');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Site Geofence Routes
+ *
+ * Areas attendance must be marked in, per site (Employee.site). Employees
+ * with their own geofence (PUT /api/admin/employees/:id) use that instead;
+ * employees with neither get GEOFENCE_DEFAULT_RADIUS_METERS around their
+ * base location. Checked by utils/geofence.js.
+ *
+ * Base path: /api/geofences
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+// ============================================
+// @route   GET /api/geofences
+// @desc    List site geofences with the number of employees at each site
+// @access  Admin only
+// ============================================
+
+router.get('/', async (req, res) => {
+  try {
+    const geofences = await Geofence.find().sort({ site: 1 });
+
+    const counts = await Employee.aggregate([
+      { $match: { site: { $in: geofences.map(geofence => geofence.site) } } },
+      { $group: { _id: '$site', employees: { $sum: 1 } } },
+    ]);
+    const employeesBySite = new Map(counts.map(count => [count._id, count.employees]));
+
+    res.json({
+      success: true,
+      mode: GEOFENCE_MODE,
+      defaultRadiusMeters: DEFAULT_RADIUS_METERS,
+      count: geofences.length,
+      geofences: geofences.map(geofence => ({
+        ...geofence.toObject(),
+        employees: employeesBySite.get(geofence.site) || 0,
+      })),
+    });
+
+  } catch (error) {
+    console.error('[List Geofences Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing geofences',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   PUT /api/geofences/:site
+// @desc    Create or replace the geofence of a site
+// @access  Superadmin only
+//
+// Body: shape RADIUS (center, radiusMeters) or POLYGON (polygon: at least
+// three { latitude, longitude } points)
+// ============================================
+
+router.put('/:site', authorize('superadmin'), async (req, res) => {
+  try {
+    const site = req.params.site.trim();
+
+    let definition;
+    try {
+      definition = readGeofence(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    let geofence = await Geofence.findOne({ site });
+    const created = !geofence;
+
+    if (created) {
+      geofence = new Geofence({ site, createdBy: req.user.username });
+    }
+    geofence.shape = definition.shape;
+    geofence.center = definition.center;
+    geofence.radiusMeters = definition.radiusMeters;
+    geofence.polygon = definition.polygon || [];
+    geofence.updatedBy = req.user.username;
+
+    await geofence.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, req.body.reason),
+      action: 'GEOFENCE_UPDATED',
+      targetType: 'Geofence',
+      targetId: geofence._id,
+      metadata: { site, created, ...definition },
+    });
+
+    console.log(`✅ Geofence ${created ? 'created' : 'updated'} for site ${site} by ${req.user.username}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Geofence ${created ? 'created' : 'updated'} successfully`,
+      geofence,
+    });
+
+  } catch (error) {
+    console.error('[Save Geofence Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving geofence',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   DELETE /api/geofences/:site
+// @desc    Remove the geofence of a site (its employees fall back to the
+//          default radius around their base location)
+// @access  Superadmin only
+// ============================================
+
+router.delete('/:site', authorize('superadmin'), async (req, res) => {
+  try {
+    const site = req.params.site.trim();
+    const geofence = await Geofence.findOneAndDelete({ site });
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: `No geofence for site ${site}`,
+      });
+    }
+
+    await recordAuditEvent({
+      ...auditContext(req, req.body && req.body.reason),
+      action: 'GEOFENCE_DELETED',
+      targetType: 'Geofence',
+      targetId: geofence._id,
+      metadata: { site, shape: geofence.shape },
+    });
+
+    console.log(`⚠️ Geofence deleted for site ${site} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Geofence deleted successfully',
+    });
+
+  } catch (error) {
+    console.error('[Delete Geofence Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting geofence',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
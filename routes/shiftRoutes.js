@@ -0,0 +1,556 @@
+// routes/shiftRoutes.js
+const express = require('express');
+const router = express.Router();
+const Shift = require('../models/Shift');
+const ShiftRoster = require('../models/ShiftRoster');
+const Employee = require('../models/Employee');
+const { protect, authorize } = require('../middleware/auth');
+const { startOfDay, buildSchedule } = require('../utils/shiftSchedule');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Shift & Roster Routes
+ *
+ * Shift definitions (working hours, grace period, half-day thresholds)
+ * and the rosters that give employees or departments their shift each
+ * day. Attendance records derive LATE / HALF_DAY from their punches
+ * against the shift of the day (models/Attendance.js).
+ *
+ * Base path: /api/shifts
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+// Fields a superadmin may set on a shift
+const EDITABLE_FIELDS = ['name', 'startTime', 'endTime', 'graceMinutes', 'halfDayLateMinutes', 'minFullDayMinutes'];
+
+const MAX_SCHEDULE_DAYS = 62;
+
+/**
+ * Parse an optional date body/query field to the start of its day
+ *
+ * @param {string} value - ISO date string
+ * @param {Date|null} fallback - Used when value is not given
+ * @returns {Date|null|undefined} - undefined if value is not a valid date
+ */
+function readDay(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : startOfDay(date);
+}
+
+// ============================================
+// @route   GET /api/shifts
+// @desc    List shifts
+// @access  Admin only
+// ============================================
+
+router.get('/', async (req, res) => {
+  try {
+    const shifts = await Shift.find().sort({ startTime: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      shifts,
+    });
+
+  } catch (error) {
+    console.error('[List Shifts Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching shifts',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/shifts
+// @desc    Define a shift
+// @access  Superadmin only
+//
+// Body: name, startTime, endTime ("HH:mm"; an end not after the start
+// crosses midnight), graceMinutes, halfDayLateMinutes, minFullDayMinutes
+// ============================================
+
+router.post('/', authorize('superadmin'), async (req, res) => {
+  try {
+    const shift = new Shift({ createdBy: req.user.username });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    }
+
+    try {
+      await shift.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    await shift.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'SHIFT_CREATED',
+      targetType: 'Shift',
+      targetId: shift._id,
+      metadata: Object.fromEntries(EDITABLE_FIELDS.map(field => [field, shift[field]])),
+    });
+
+    console.log(`✅ Shift created: ${shift.name} (${shift.startTime}-${shift.endTime}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      shift,
+    });
+
+  } catch (error) {
+    console.error('[Create Shift Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Shift ${req.body.name} already exists`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating shift',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/shifts/rosters
+// @desc    List rosters
+// @access  Admin only
+//
+// Query: employeeId, department, date (in effect that day; default
+// today), all=true (past and future rosters too)
+// ============================================
+
+router.get('/rosters', async (req, res) => {
+  try {
+    const { employeeId, department, all } = req.query;
+    const day = readDay(req.query.date, startOfDay(new Date()));
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a valid ISO date string',
+      });
+    }
+
+    const filter = all === 'true' ? {} : ShiftRoster.activeOn(day);
+    if (employeeId) filter.employeeId = employeeId;
+    if (department) filter.department = department;
+
+    const rosters = await ShiftRoster.find(filter)
+      .sort({ effectiveFrom: -1 })
+      .populate('shifts', 'name startTime endTime');
+
+    res.json({
+      success: true,
+      date: all === 'true' ? undefined : day,
+      count: rosters.length,
+      rosters,
+    });
+
+  } catch (error) {
+    console.error('[List Rosters Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rosters',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/shifts/rosters
+// @desc    Give an employee or a department a fixed or rotating shift
+// @access  Admin only
+//
+// Body: employeeId or department, shiftIds (rotation order; one shift is
+// a fixed shift), rotationDays (default 7), effectiveFrom (default today),
+// effectiveTo (optional, exclusive). Dates are whole days.
+// ============================================
+
+router.post('/rosters', async (req, res) => {
+  try {
+    const { employeeId, department, shiftIds, rotationDays } = req.body;
+    const effectiveFrom = readDay(req.body.effectiveFrom, startOfDay(new Date()));
+    const effectiveTo = readDay(req.body.effectiveTo, null);
+
+    if (Boolean(employeeId) === Boolean(department)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send either employeeId or department',
+      });
+    }
+
+    if (!Array.isArray(shiftIds) || shiftIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'shiftIds must list at least one shift',
+      });
+    }
+
+    if (!effectiveFrom || effectiveTo === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveFrom and effectiveTo must be valid ISO date strings',
+      });
+    }
+
+    const shifts = await Shift.find({ _id: { $in: shiftIds } }).select('_id');
+    const known = new Set(shifts.map(shift => String(shift._id)));
+    const unknown = shiftIds.filter(id => !known.has(String(id)));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown shifts: ${unknown.join(', ')}`,
+      });
+    }
+
+    const roster = new ShiftRoster({
+      scope: employeeId ? 'EMPLOYEE' : 'DEPARTMENT',
+      department,
+      shifts: shiftIds,
+      rotationDays,
+      effectiveFrom,
+      effectiveTo,
+      assignedBy: req.user.username,
+    });
+
+    if (employeeId) {
+      const employee = await Employee.findOne({ employeeId });
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: `Employee with ID ${employeeId} not found`,
+        });
+      }
+      roster.employee = employee._id;
+      roster.employeeId = employee.employeeId;
+    }
+
+    try {
+      await roster.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    const target = employeeId ? { employeeId } : { department };
+    const overlapping = await ShiftRoster.findOverlapping(target, effectiveFrom, effectiveTo);
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: `${employeeId || department} already has a roster in this period; end it first`,
+        rosterId: overlapping._id,
+      });
+    }
+
+    await roster.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'SHIFT_ROSTER_CREATED',
+      targetType: 'ShiftRoster',
+      targetId: roster._id,
+      employeeId: roster.employeeId,
+      metadata: {
+        department,
+        shifts: shiftIds,
+        rotationDays: roster.rotationDays,
+        effectiveFrom,
+        effectiveTo,
+      },
+    });
+
+    console.log(`✅ Roster created for ${employeeId || `department ${department}`} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Roster created successfully',
+      roster,
+    });
+
+  } catch (error) {
+    console.error('[Create Roster Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating roster',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/shifts/rosters/:id/end
+// @desc    End a roster
+// @access  Admin only
+//
+// Body: effectiveTo (default: tomorrow, i.e. today is its last day), reason
+// ============================================
+
+router.post('/rosters/:id/end', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const tomorrow = startOfDay(new Date());
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const effectiveTo = readDay(req.body.effectiveTo, tomorrow);
+
+    if (!effectiveTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be a valid ISO date string',
+      });
+    }
+
+    const roster = await ShiftRoster.findById(req.params.id);
+
+    if (!roster) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster not found',
+      });
+    }
+
+    if (roster.effectiveTo && roster.effectiveTo <= effectiveTo) {
+      return res.status(409).json({
+        success: false,
+        message: `Roster already ends on ${roster.effectiveTo.toISOString()}`,
+      });
+    }
+
+    if (effectiveTo <= roster.effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be after the first day of the roster',
+      });
+    }
+
+    roster.effectiveTo = effectiveTo;
+    roster.endedBy = req.user.username;
+    roster.endReason = reason;
+    await roster.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'SHIFT_ROSTER_ENDED',
+      targetType: 'ShiftRoster',
+      targetId: roster._id,
+      employeeId: roster.employeeId,
+      metadata: { department: roster.department, effectiveTo },
+    });
+
+    res.json({
+      success: true,
+      message: 'Roster ended successfully',
+      roster,
+    });
+
+  } catch (error) {
+    console.error('[End Roster Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending roster',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/shifts/schedule
+// @desc    An employee's shift day by day (rosters resolved)
+// @access  Admin only
+//
+// Query: employeeId (required), startDate (default today), days
+// (default 7, at most 62)
+// ============================================
+
+router.get('/schedule', async (req, res) => {
+  try {
+    const { employeeId } = req.query;
+    const from = readDay(req.query.startDate, startOfDay(new Date()));
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+
+    if (!employeeId || !from) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId and a valid startDate are required',
+      });
+    }
+
+    if (!(days >= 1 && days <= MAX_SCHEDULE_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${MAX_SCHEDULE_DAYS}`,
+      });
+    }
+
+    const employee = await Employee.findOne({ employeeId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee with ID ${employeeId} not found`,
+      });
+    }
+
+    const schedule = await buildSchedule(employee, from, days);
+
+    res.json({
+      success: true,
+      employeeId: employee.employeeId,
+      department: employee.department,
+      schedule: schedule.map(({ date, shift }) => ({
+        date,
+        shift: shift
+          ? { _id: shift.shift, name: shift.name, start: shift.start, end: shift.end, roster: shift.roster }
+          : null,
+      })),
+    });
+
+  } catch (error) {
+    console.error('[Shift Schedule Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building shift schedule',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   PUT /api/shifts/:id
+// @desc    Update a shift (days already recorded keep the old definition)
+// @access  Superadmin only
+// ============================================
+
+router.put('/:id', authorize('superadmin'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+      });
+    }
+
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== shift[field]) {
+        changes[field] = { from: shift[field], to: req.body[field] };
+        shift[field] = req.body[field];
+      }
+    }
+    shift.updatedBy = req.user.username;
+
+    try {
+      await shift.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    await shift.save();
+
+    if (Object.keys(changes).length > 0) {
+      await recordAuditEvent({
+        ...auditContext(req, req.body.reason),
+        action: 'SHIFT_UPDATED',
+        targetType: 'Shift',
+        targetId: shift._id,
+        metadata: { name: shift.name, changes },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      shift,
+    });
+
+  } catch (error) {
+    console.error('[Update Shift Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Shift ${req.body.name} already exists`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating shift',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   DELETE /api/shifts/:id
+// @desc    Delete a shift that no roster uses
+// @access  Superadmin only
+// ============================================
+
+router.delete('/:id', authorize('superadmin'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+      });
+    }
+
+    const rosters = await ShiftRoster.countDocuments({ shifts: shift._id });
+    if (rosters > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Shift ${shift.name} is used by ${rosters} roster(s)`,
+      });
+    }
+
+    await Shift.deleteOne({ _id: shift._id });
+
+    await recordAuditEvent({
+      ...auditContext(req, req.body && req.body.reason),
+      action: 'SHIFT_DELETED',
+      targetType: 'Shift',
+      targetId: shift._id,
+      metadata: { name: shift.name },
+    });
+
+    res.json({
+      success: true,
+      message: 'Shift deleted successfully',
+    });
+
+  } catch (error) {
+    console.error('[Delete Shift Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting shift',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
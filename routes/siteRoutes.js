@@ -0,0 +1,716 @@
+// routes/siteRoutes.js
+const express = require('express');
+const router = express.Router();
+const Site = require('../models/Site');
+const SiteAssignment = require('../models/SiteAssignment');
+const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
+const { protect, authorize } = require('../middleware/auth');
+const { toGeoPoint } = require('../utils/geofence');
+const { auditContext, recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Work Site Routes
+ *
+ * Sites with their location (GeoJSON), employees assigned to them over
+ * time (field staff rotating between sites), and attendance marked near
+ * a site. Attendance made at an assigned site is inside the employee's
+ * geofence (utils/geofence.js).
+ *
+ * Base path: /api/sites
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+const DEFAULT_NEARBY_RADIUS_METERS = 500;
+const MAX_NEARBY_RADIUS_METERS = 50000;
+
+/**
+ * Validate a { latitude, longitude } body field
+ *
+ * @returns {boolean}
+ */
+function isLocation(location) {
+  return Boolean(location) &&
+    Number.isFinite(location.latitude) && Math.abs(location.latitude) <= 90 &&
+    Number.isFinite(location.longitude) && Math.abs(location.longitude) <= 180;
+}
+
+/**
+ * Parse an optional date query/body field
+ *
+ * @param {string} value - ISO date string
+ * @param {Date} fallback - Used when value is not given
+ * @returns {Date|null} - null if value is not a valid date
+ */
+function readDate(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Site as returned by the API ({ latitude, longitude } next to the GeoJSON)
+ */
+function siteSummary(site) {
+  const [longitude, latitude] = site.location.coordinates;
+  return {
+    ...site.toObject(),
+    latitude,
+    longitude,
+  };
+}
+
+// ============================================
+// @route   GET /api/sites
+// @desc    List sites, optionally the ones near a point (nearest first)
+// @access  Admin only
+//
+// Query: status, latitude + longitude + maxDistance (meters, default 5000)
+// ============================================
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, latitude, longitude } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    let sites;
+    if (latitude !== undefined || longitude !== undefined) {
+      const point = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+      if (!isLocation(point)) {
+        return res.status(400).json({
+          success: false,
+          message: 'latitude and longitude must both be valid coordinates',
+        });
+      }
+
+      query.location = {
+        $near: {
+          $geometry: toGeoPoint(point),
+          $maxDistance: parseInt(req.query.maxDistance) || 5000,
+        },
+      };
+      sites = await Site.find(query);
+    } else {
+      sites = await Site.find(query).sort({ name: 1 });
+    }
+
+    const counts = await SiteAssignment.aggregate([
+      { $match: { site: { $in: sites.map(site => site._id) }, ...SiteAssignment.activeAt() } },
+      { $group: { _id: '$site', employees: { $sum: 1 } } },
+    ]);
+    const assignedBySite = new Map(counts.map(count => [String(count._id), count.employees]));
+
+    res.json({
+      success: true,
+      count: sites.length,
+      sites: sites.map(site => ({
+        ...siteSummary(site),
+        assignedEmployees: assignedBySite.get(String(site._id)) || 0,
+      })),
+    });
+
+  } catch (error) {
+    console.error('[List Sites Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sites',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/sites
+// @desc    Create a site
+// @access  Superadmin only
+//
+// Body: name, address, location { latitude, longitude }
+// ============================================
+
+router.post('/', authorize('superadmin'), async (req, res) => {
+  try {
+    const { name, address, location } = req.body;
+
+    if (!name || !isLocation(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Required fields: name, location (latitude, longitude)',
+      });
+    }
+
+    const site = new Site({
+      name,
+      address,
+      location: toGeoPoint(location),
+      createdBy: req.user.username,
+    });
+    await site.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'SITE_CREATED',
+      targetType: 'Site',
+      targetId: site._id,
+      metadata: { name: site.name, location },
+    });
+
+    console.log(`✅ Site created: ${site.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Site created successfully',
+      site: siteSummary(site),
+    });
+
+  } catch (error) {
+    console.error('[Create Site Error]:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Site ${req.body.name} already exists`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating site',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/sites/assignments
+// @desc    Sites an employee is assigned to
+// @access  Admin only
+//
+// Query: employeeId (required), date (default: now), all=true (every
+// assignment, past and future)
+// ============================================
+
+router.get('/assignments', async (req, res) => {
+  try {
+    const { employeeId, all } = req.query;
+    const at = readDate(req.query.date, new Date());
+
+    if (!employeeId || !at) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId and a valid date are required',
+      });
+    }
+
+    const employee = await Employee.findOne({ employeeId }).select('employeeId name site');
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee with ID ${employeeId} not found`,
+      });
+    }
+
+    const filter = all === 'true' ? { employeeId } : { employeeId, ...SiteAssignment.activeAt(at) };
+    const assignments = await SiteAssignment.find(filter)
+      .sort({ effectiveFrom: -1 })
+      .populate('site', 'name address location status');
+
+    res.json({
+      success: true,
+      employeeId: employee.employeeId,
+      employeeName: employee.name,
+      homeSite: employee.site,
+      date: all === 'true' ? undefined : at,
+      count: assignments.length,
+      assignments,
+    });
+
+  } catch (error) {
+    console.error('[Employee Sites Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching site assignments',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/sites/:id
+// @desc    Get a site with the employees assigned to it now
+// @access  Admin only
+// ============================================
+
+router.get('/:id', async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found',
+      });
+    }
+
+    const assignments = await SiteAssignment.find({ site: site._id, ...SiteAssignment.activeAt() })
+      .sort({ employeeId: 1 })
+      .populate('employee', 'name employeeId department jobRole');
+
+    res.json({
+      success: true,
+      site: siteSummary(site),
+      assignments,
+    });
+
+  } catch (error) {
+    console.error('[Get Site Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching site',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   PUT /api/sites/:id
+// @desc    Update a site's address or location, or close it
+// @access  Superadmin only
+//
+// Body: address, location { latitude, longitude }, status CLOSED (ends
+// the site's open assignments), reason. The name cannot be changed.
+// ============================================
+
+router.put('/:id', authorize('superadmin'), async (req, res) => {
+  try {
+    const { name, address, location, status, reason } = req.body;
+
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found',
+      });
+    }
+
+    if (name !== undefined && name !== site.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'A site cannot be renamed (employees, devices and geofences refer to it by name)',
+      });
+    }
+
+    if (location !== undefined && !isLocation(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'location must have a valid latitude and longitude',
+      });
+    }
+
+    if (status !== undefined && !['ACTIVE', 'CLOSED'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be ACTIVE or CLOSED',
+      });
+    }
+
+    const changes = {};
+    if (address !== undefined && address !== site.address) {
+      changes.address = { from: site.address, to: address };
+      site.address = address;
+    }
+    if (location !== undefined) {
+      changes.location = { to: location };
+      site.location = toGeoPoint(location);
+    }
+
+    let assignmentsEnded = 0;
+    if (status !== undefined && status !== site.status) {
+      changes.status = { from: site.status, to: status };
+
+      if (status === 'CLOSED') {
+        site.close(req.user.username);
+
+        const result = await SiteAssignment.updateMany(
+          { site: site._id, $or: [{ effectiveTo: null }, { effectiveTo: { $gt: site.closedAt } }] },
+          { effectiveTo: site.closedAt, endedBy: req.user.username, endReason: 'Site closed' }
+        );
+        assignmentsEnded = result.modifiedCount;
+      } else {
+        site.status = 'ACTIVE';
+        site.closedAt = undefined;
+        site.closedBy = undefined;
+      }
+    }
+
+    site.updatedBy = req.user.username;
+    await site.save();
+
+    if (Object.keys(changes).length > 0) {
+      await recordAuditEvent({
+        ...auditContext(req, reason),
+        action: 'SITE_UPDATED',
+        targetType: 'Site',
+        targetId: site._id,
+        metadata: { name: site.name, changes, assignmentsEnded },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Site updated successfully',
+      site: siteSummary(site),
+      assignmentsEnded,
+    });
+
+  } catch (error) {
+    console.error('[Update Site Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating site',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/sites/:id/assignments
+// @desc    Employees assigned to a site
+// @access  Admin only
+//
+// Query: date (default: now), all=true (every assignment, past and future)
+// ============================================
+
+router.get('/:id/assignments', async (req, res) => {
+  try {
+    const at = readDate(req.query.date, new Date());
+    if (!at) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a valid ISO date string',
+      });
+    }
+
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found',
+      });
+    }
+
+    const all = req.query.all === 'true';
+    const filter = all ? { site: site._id } : { site: site._id, ...SiteAssignment.activeAt(at) };
+    const assignments = await SiteAssignment.find(filter)
+      .sort({ effectiveFrom: -1 })
+      .populate('employee', 'name employeeId department jobRole');
+
+    res.json({
+      success: true,
+      site: site.name,
+      date: all ? undefined : at,
+      count: assignments.length,
+      assignments,
+    });
+
+  } catch (error) {
+    console.error('[List Site Assignments Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching site assignments',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/sites/:id/assignments
+// @desc    Assign an employee to a site for a period
+// @access  Admin only
+//
+// Body: employeeId, effectiveFrom (default: now), effectiveTo (optional,
+// exclusive; open-ended when not given)
+// ============================================
+
+router.post('/:id/assignments', async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+    const effectiveFrom = readDate(req.body.effectiveFrom, new Date());
+    const effectiveTo = readDate(req.body.effectiveTo, null);
+
+    if (!employeeId || !effectiveFrom || (req.body.effectiveTo && !effectiveTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeId is required; effectiveFrom and effectiveTo must be valid ISO date strings',
+      });
+    }
+
+    if (effectiveTo && effectiveTo <= effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be after effectiveFrom',
+      });
+    }
+
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found',
+      });
+    }
+
+    if (site.status === 'CLOSED') {
+      return res.status(409).json({
+        success: false,
+        message: `Site ${site.name} is closed`,
+      });
+    }
+
+    const employee = await Employee.findOne({ employeeId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: `Employee with ID ${employeeId} not found`,
+      });
+    }
+
+    const overlapping = await SiteAssignment.findOverlapping(employeeId, site._id, effectiveFrom, effectiveTo);
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: `Employee ${employeeId} is already assigned to ${site.name} in this period`,
+        assignmentId: overlapping._id,
+      });
+    }
+
+    const assignment = new SiteAssignment({
+      employee: employee._id,
+      employeeId: employee.employeeId,
+      site: site._id,
+      siteName: site.name,
+      effectiveFrom,
+      effectiveTo,
+      assignedBy: req.user.username,
+    });
+    await assignment.save();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'SITE_ASSIGNMENT_CREATED',
+      targetType: 'SiteAssignment',
+      targetId: assignment._id,
+      employeeId: employee.employeeId,
+      metadata: { site: site.name, effectiveFrom, effectiveTo },
+    });
+
+    console.log(`✅ ${employee.employeeId} assigned to site ${site.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Employee assigned to site successfully',
+      assignment,
+    });
+
+  } catch (error) {
+    console.error('[Assign Site Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning employee to site',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   POST /api/sites/:id/assignments/:assignmentId/end
+// @desc    End an assignment
+// @access  Admin only
+//
+// Body: effectiveTo (default: now), reason
+// ============================================
+
+router.post('/:id/assignments/:assignmentId/end', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const effectiveTo = readDate(req.body.effectiveTo, new Date());
+
+    if (!effectiveTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be a valid ISO date string',
+      });
+    }
+
+    const assignment = await SiteAssignment.findOne({
+      _id: req.params.assignmentId,
+      site: req.params.id,
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (assignment.effectiveTo && assignment.effectiveTo <= effectiveTo) {
+      return res.status(409).json({
+        success: false,
+        message: `Assignment already ends on ${assignment.effectiveTo.toISOString()}`,
+      });
+    }
+
+    if (effectiveTo <= assignment.effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be after the start of the assignment',
+      });
+    }
+
+    assignment.effectiveTo = effectiveTo;
+    assignment.endedBy = req.user.username;
+    assignment.endReason = reason;
+    await assignment.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, reason),
+      action: 'SITE_ASSIGNMENT_ENDED',
+      targetType: 'SiteAssignment',
+      targetId: assignment._id,
+      employeeId: assignment.employeeId,
+      metadata: { site: assignment.siteName, effectiveTo },
+    });
+
+    res.json({
+      success: true,
+      message: 'Assignment ended successfully',
+      assignment,
+    });
+
+  } catch (error) {
+    console.error('[End Site Assignment Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending site assignment',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// @route   GET /api/sites/:id/attendance/nearby
+// @desc    Attendance marked within a distance of a site on a day
+//          (nearest first)
+// @access  Admin only
+//
+// Query: radius (meters, default 500), date (default: today). Each record
+// has distanceFromSite (meters) and assigned: whether the employee was
+// assigned to the site that day (or has it as home site).
+// ============================================
+
+router.get('/:id/attendance/nearby', async (req, res) => {
+  try {
+    const radius = req.query.radius === undefined
+      ? DEFAULT_NEARBY_RADIUS_METERS
+      : parseFloat(req.query.radius);
+    const day = readDate(req.query.date, new Date());
+
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_METERS) {
+      return res.status(400).json({
+        success: false,
+        message: `radius must be between 0 and ${MAX_NEARBY_RADIUS_METERS} meters`,
+      });
+    }
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a valid ISO date string',
+      });
+    }
+
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found',
+      });
+    }
+
+    const dayStart = new Date(day);
+    dayStart.setHours(0, 0, 0, 0);
+    const nextDay = new Date(dayStart);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const records = await Attendance.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [...site.location.coordinates] },
+          key: 'locationPoint',
+          distanceField: 'distanceFromSite',
+          maxDistance: radius,
+          spherical: true,
+          query: { date: { $gte: dayStart, $lt: nextDay } },
+        },
+      },
+      {
+        $project: {
+          employeeId: 1,
+          employeeName: 1,
+          department: 1,
+          date: 1,
+          status: 1,
+          location: 1,
+          distanceFromSite: 1,
+          geofence: 1,
+          firstIn: 1,
+          lastOut: 1,
+          markedBy: 1,
+          createdAt: 1,
+        },
+      },
+    ]);
+
+    // Employees who belonged to the site that day
+    const [assignedIds, homeIds] = await Promise.all([
+      SiteAssignment.distinct('employeeId', {
+        site: site._id,
+        effectiveFrom: { $lt: nextDay },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: dayStart } }],
+      }),
+      Employee.distinct('employeeId', { site: site.name }),
+    ]);
+    const assigned = new Set([...assignedIds, ...homeIds]);
+
+    res.json({
+      success: true,
+      site: siteSummary(site),
+      date: dayStart,
+      radiusMeters: radius,
+      count: records.length,
+      attendance: records.map(record => ({
+        ...record,
+        distanceFromSite: Math.round(record.distanceFromSite),
+        assigned: assigned.has(record.employeeId),
+      })),
+    });
+
+  } catch (error) {
+    console.error('[Nearby Attendance Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching attendance near site',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,31 @@
 // routes/superadminRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const Attendance = require('../models/Attendance');
 const Employee = require('../models/Employee');
+const AuditEvent = require('../models/AuditEvent');
+const Fingerprint = require('../models/fingerprint');
+const DuplicateReview = require('../models/DuplicateReview');
+const Consent = require('../models/Consent');
+const EnrollmentSession = require('../models/EnrollmentSession');
+const ReenrollmentTask = require('../models/ReenrollmentTask');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const Device = require('../models/Device');
 const { authenticateToken, requireSuperadmin } = require('../middleware/auth');
+const { auditContext, recordAuditEvent, verifyAuditChain } = require('../utils/auditLog');
+const { getPublicKeyInfo, createSignedExport } = require('../utils/dataExport');
+const { loadWorkingCalendar } = require('../utils/workingCalendar');
+const {
+  METRICS: ENROLLMENT_METRICS,
+  computeEnrollmentAnalytics,
+  findEmployeesInBucket,
+} = require('../utils/enrollmentAnalytics');
 
 const router = express.Router();
 
+// Fingerprint fields shown in feeds (never the encrypted template)
+const FINGERPRINT_SUMMARY_FIELDS = 'fingerIndex fingerName status';
+
 // Apply authentication middleware to all superadmin routes
 router.use(authenticateToken);
 router.use(requireSuperadmin);
@@ -21,10 +41,12 @@ router.use(requireSuperadmin);
  * - employeeId: Filter by specific employee
  * - department: Filter by department
  * - status: Filter by attendance status
+ * - outsideGeofence: 'true' for marks made outside the employee's geofence
  * - page: Page number for pagination (default: 1)
  * - limit: Records per page (default: 50)
  * 
- * This endpoint returns the complete attendance feed including fingerprint templates.
+ * This endpoint returns the complete attendance feed including the fingerprint
+ * verification outcome of each mark (templates themselves are never returned).
  * This is the "Superadmin-accessible URL" mentioned in requirements.
  */
 router.get('/attendance', async (req, res) => {
@@ -35,6 +57,7 @@ router.get('/attendance', async (req, res) => {
       employeeId,
       department,
       status,
+      outsideGeofence,
       page = 1,
       limit = 50,
     } = req.query;
@@ -68,20 +91,26 @@ router.get('/attendance', async (req, res) => {
       filter.status = status;
     }
 
+    // Geofence filter
+    if (outsideGeofence === 'true') {
+      filter['geofence.status'] = 'OUTSIDE';
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Fetch attendance records with all fields including fingerprintTemplate
+    // Fetch attendance records with the verified finger
     const attendanceRecords = await Attendance.find(filter)
       .sort({ date: -1, createdAt: -1 }) // Most recent first
       .skip(skip)
       .limit(parseInt(limit))
-      .populate('employee', 'name employeeId department jobRole'); // Populate employee details
+      .populate('employee', 'name employeeId department jobRole') // Populate employee details
+      .populate('fingerprint', FINGERPRINT_SUMMARY_FIELDS);
 
     // Get total count for pagination
     const totalRecords = await Attendance.countDocuments(filter);
 
-    // Response with complete attendance data including fingerprint templates
+    // Response with complete attendance data including verification outcomes
     res.json({
       success: true,
       message: 'Attendance feed retrieved successfully',
@@ -106,13 +135,25 @@ router.get('/attendance', async (req, res) => {
         jobRole: record.jobRole,
         attendanceDate: record.date,
         attendanceStatus: record.status,
-        fingerprintTemplate: record.fingerprintTemplate, // ⚠️ Included for Superadmin
+        derivedStatus: record.derivedStatus,
+        statusOverride: record.statusOverride,
+        shift: record.shift && record.shift.name,
+        lateMinutes: record.lateMinutes,
+        fingerprint: record.fingerprint,
+        verification: record.verification,
         location: {
           latitude: record.location.latitude,
           longitude: record.location.longitude,
         },
+        distanceFromBase: record.distanceFromBase,
+        geofence: record.geofence,
         markedBy: record.markedBy,
         markedAt: record.createdAt,
+        firstIn: record.firstIn,
+        lastOut: record.lastOut,
+        workedMinutes: record.workedMinutes,
+        breakMinutes: record.breakMinutes,
+        punches: record.punches,
       })),
     });
 
@@ -131,7 +172,7 @@ router.get('/attendance', async (req, res) => {
  * @desc    Get complete attendance history for a specific employee
  * @access  Superadmin only
  * 
- * Returns all attendance records for one employee including fingerprint data
+ * Returns all attendance records for one employee including verification outcomes
  */
 router.get('/attendance/:employeeId', async (req, res) => {
   try {
@@ -152,10 +193,11 @@ router.get('/attendance/:employeeId', async (req, res) => {
       }
     }
 
-    // Fetch attendance records with fingerprint templates
+    // Fetch attendance records with the verified finger
     const attendanceRecords = await Attendance.find(query)
       .sort({ date: -1 })
-      .populate('employee', 'name department jobRole baseLocation');
+      .populate('employee', 'name department jobRole baseLocation')
+      .populate('fingerprint', FINGERPRINT_SUMMARY_FIELDS);
 
     if (attendanceRecords.length === 0) {
       return res.status(404).json({
@@ -164,12 +206,16 @@ router.get('/attendance/:employeeId', async (req, res) => {
       });
     }
 
-    // Calculate attendance statistics
-    const totalRecords = attendanceRecords.length;
-    const presentCount = attendanceRecords.filter(r => r.status === 'PRESENT').length;
-    const absentCount = attendanceRecords.filter(r => r.status === 'ABSENT').length;
-    const lateCount = attendanceRecords.filter(r => r.status === 'LATE').length;
-    const halfDayCount = attendanceRecords.filter(r => r.status === 'HALF_DAY').length;
+    // Calculate attendance statistics (working days only)
+    const calendar = await loadWorkingCalendar();
+    const employee = await Employee.findOne({ employeeId }).select('employeeId department site');
+    const workingRecords = calendar.workingRecords(attendanceRecords, employee ? [employee] : []);
+
+    const totalRecords = workingRecords.length;
+    const presentCount = workingRecords.filter(r => r.status === 'PRESENT').length;
+    const absentCount = workingRecords.filter(r => r.status === 'ABSENT').length;
+    const lateCount = workingRecords.filter(r => r.status === 'LATE').length;
+    const halfDayCount = workingRecords.filter(r => r.status === 'HALF_DAY').length;
 
     res.json({
       success: true,
@@ -177,20 +223,36 @@ router.get('/attendance/:employeeId', async (req, res) => {
       employeeDetails: attendanceRecords[0].employee,
       statistics: {
         totalRecords: totalRecords,
+        nonWorkingDayRecords: attendanceRecords.length - totalRecords,
         present: presentCount,
         absent: absentCount,
         late: lateCount,
         halfDay: halfDayCount,
-        attendancePercentage: ((presentCount + halfDayCount * 0.5) / totalRecords * 100).toFixed(2),
+        attendancePercentage: totalRecords > 0
+          ? ((presentCount + halfDayCount * 0.5) / totalRecords * 100).toFixed(2)
+          : 0,
+        workedHours: (attendanceRecords.reduce((sum, r) => sum + (r.workedMinutes || 0), 0) / 60).toFixed(2),
       },
       attendance: attendanceRecords.map(record => ({
         _id: record._id,
         date: record.date,
         status: record.status,
-        fingerprintTemplate: record.fingerprintTemplate, // ⚠️ Included for Superadmin
+        derivedStatus: record.derivedStatus,
+        statusOverride: record.statusOverride,
+        shift: record.shift && record.shift.name,
+        lateMinutes: record.lateMinutes,
+        fingerprint: record.fingerprint,
+        verification: record.verification,
         location: record.location,
+        distanceFromBase: record.distanceFromBase,
+        geofence: record.geofence,
         markedBy: record.markedBy,
         markedAt: record.createdAt,
+        firstIn: record.firstIn,
+        lastOut: record.lastOut,
+        workedMinutes: record.workedMinutes,
+        breakMinutes: record.breakMinutes,
+        punches: record.punches,
       })),
     });
 
@@ -206,16 +268,27 @@ router.get('/attendance/:employeeId', async (req, res) => {
 
 /**
  * @route   GET /api/superadmin/employees
- * @desc    Get all employees with their fingerprint data
+ * @desc    Get all employees with their fingerprint enrollment
  * @access  Superadmin only
  * 
- * Superadmin can view all employee records including fingerprint templates
+ * Superadmin can view all employee records with their ACTIVE enrolled fingers
+ * (templates are stored encrypted and never returned here)
  */
 router.get('/employees', async (req, res) => {
   try {
     const employees = await Employee.find()
       .sort({ createdAt: -1 });
 
+    const activeFingerprints = await Fingerprint.find({ status: 'ACTIVE' })
+      .select(FINGERPRINT_SUMMARY_FIELDS + ' employeeId');
+
+    const fingersByEmployee = new Map();
+    for (const fp of activeFingerprints) {
+      const fingers = fingersByEmployee.get(fp.employeeId) || [];
+      fingers.push({ _id: fp._id, fingerIndex: fp.fingerIndex, fingerName: fp.fingerName, status: fp.status });
+      fingersByEmployee.set(fp.employeeId, fingers);
+    }
+
     res.json({
       success: true,
       count: employees.length,
@@ -225,7 +298,7 @@ router.get('/employees', async (req, res) => {
         employeeId: emp.employeeId,
         jobRole: emp.jobRole,
         department: emp.department,
-        fingerprintTemplate: emp.fingerprintTemplate, // ⚠️ Included for Superadmin
+        enrolledFingers: fingersByEmployee.get(emp.employeeId) || [],
         baseLocation: emp.baseLocation,
         createdBy: emp.createdBy,
         createdAt: emp.createdAt,
@@ -263,32 +336,38 @@ router.get('/statistics', async (req, res) => {
       }
     }
 
-    // Get counts
+    // Get counts (rates count working days only)
     const totalEmployees = await Employee.countDocuments();
-    const totalAttendanceRecords = await Attendance.countDocuments(dateFilter);
-    const presentCount = await Attendance.countDocuments({ ...dateFilter, status: 'PRESENT' });
-    const absentCount = await Attendance.countDocuments({ ...dateFilter, status: 'ABSENT' });
-    const lateCount = await Attendance.countDocuments({ ...dateFilter, status: 'LATE' });
+    const allAttendanceRecords = await Attendance.countDocuments(dateFilter);
+    const workingCounts = await countWorkingAttendance(await loadWorkingCalendar(), dateFilter.date);
+
+    let totalAttendanceRecords = 0;
+    let presentCount = 0;
+    let absentCount = 0;
+    let lateCount = 0;
 
     // Get department-wise statistics
-    const departmentStats = await Attendance.aggregate([
-      { $match: dateFilter },
-      {
-        $group: {
-          _id: '$department',
-          totalRecords: { $sum: 1 },
-          presentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'PRESENT'] }, 1, 0] }
-          },
-        },
-      },
-    ]);
+    const departmentTotals = new Map();
+    workingCounts.forEach(({ _id, count, present, absent, late }) => {
+      totalAttendanceRecords += count;
+      presentCount += present;
+      absentCount += absent;
+      lateCount += late;
+
+      const item = departmentTotals.get(_id.department) ||
+        { _id: _id.department, totalRecords: 0, presentCount: 0 };
+      item.totalRecords += count;
+      item.presentCount += present;
+      departmentTotals.set(_id.department, item);
+    });
+    const departmentStats = [...departmentTotals.values()];
 
     res.json({
       success: true,
       statistics: {
         totalEmployees: totalEmployees,
         totalAttendanceRecords: totalAttendanceRecords,
+        nonWorkingDayRecords: allAttendanceRecords - totalAttendanceRecords,
         statusBreakdown: {
           present: presentCount,
           absent: absentCount,
@@ -430,6 +509,182 @@ router.get('/dashboard/overview', async (req, res) => {
   }
 });
 
+/**
+ * Start of a dashboard period counted back from today
+ *
+ * @param {string} period - day, week, month or year (default: month)
+ * @returns {Date}
+ */
+function periodStartDate(period) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  let startDate;
+  switch(period) {
+    case 'day':
+      startDate = new Date(today);
+      break;
+    case 'week':
+      startDate = new Date(today);
+      startDate.setDate(today.getDate() - 7);
+      break;
+    case 'month':
+      startDate = new Date(today);
+      startDate.setMonth(today.getMonth() - 1);
+      break;
+    case 'year':
+      startDate = new Date(today);
+      startDate.setFullYear(today.getFullYear() - 1);
+      break;
+    default:
+      startDate = new Date(today);
+      startDate.setMonth(today.getMonth() - 1);
+  }
+  return startDate;
+}
+
+/**
+ * Mongo date conditions covering a list of days (consecutive days merged)
+ *
+ * @param {Array<Date>} days - Starts of the days, in order
+ * @returns {Array<Object>} - [{ date: { $gte, $lt } }]
+ */
+function dayRangeConditions(days) {
+  const ranges = [];
+  days.forEach(day => {
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.date.$lt.getTime() === day.getTime()) {
+      last.date.$lt = next;
+    } else {
+      ranges.push({ date: { $gte: day, $lt: next } });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Attendance counts per employee and department
+ *
+ * @param {Object} match - Attendance filter
+ * @returns {Promise<Array>} - [{ _id: { employeeId, department }, employeeName, count, present, absent, late }]
+ */
+function countAttendance(match) {
+  return Attendance.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { employeeId: '$employeeId', department: '$department' },
+        employeeName: { $first: '$employeeName' },
+        count: { $sum: 1 },
+        present: {
+          $sum: { $cond: [{ $eq: ['$status', 'PRESENT'] }, 1, 0] }
+        },
+        absent: {
+          $sum: { $cond: [{ $eq: ['$status', 'ABSENT'] }, 1, 0] }
+        },
+        late: {
+          $sum: { $cond: [{ $eq: ['$status', 'LATE'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+}
+
+const COUNTED_FIELDS = ['count', 'present', 'absent', 'late'];
+
+/**
+ * Attendance counts per employee and department, working days only
+ *
+ * Mongo leaves out the organization's holidays and weekly offs. Employees
+ * whose site or department calendar differs are corrected afterwards:
+ * their records on days only the organization has off are added back,
+ * and those on days only they have off are taken out. Records of deleted
+ * employees are judged by their department.
+ *
+ * @param {Object} calendar - Working calendar (utils/workingCalendar.js)
+ * @param {Object} [dateRange] - Mongo condition on date ({ $gte, $lte }); all records when left out
+ * @returns {Promise<Array>} - See countAttendance
+ */
+async function countWorkingAttendance(calendar, dateRange) {
+  const inRange = dateRange ? { date: dateRange } : {};
+
+  const [first, last] = await Promise.all([1, -1].map(order => Attendance.findOne(inRange)
+    .sort({ date: order })
+    .select('date')
+    .lean()));
+  if (!first) return [];
+
+  const days = [];
+  const day = new Date(first.date);
+  day.setHours(0, 0, 0, 0);
+  for (; day <= last.date; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+  const organizationOff = days.filter(day => !calendar.isWorkingDay({}, day));
+
+  // Employees sharing a department and site share a calendar
+  const employees = await Employee.find().select('employeeId department site').lean();
+  const profiles = new Map();
+  employees.forEach(({ employeeId, department, site }) => {
+    const key = `${department || ''}|${site || ''}`;
+    const profile = profiles.get(key) ||
+      { employee: { department, site }, filter: { employeeId: { $in: [] } } };
+    profile.filter.employeeId.$in.push(employeeId);
+    profiles.set(key, profile);
+  });
+
+  const employeeIds = employees.map(employee => employee.employeeId);
+  const deletedDepartments = await Attendance.distinct('department', {
+    ...inRange,
+    employeeId: { $nin: employeeIds },
+  });
+  deletedDepartments.forEach(department => {
+    profiles.set(`deleted|${department}`, {
+      employee: { department },
+      filter: { employeeId: { $nin: employeeIds }, department },
+    });
+  });
+
+  const added = [];
+  const removed = [];
+  profiles.forEach(({ employee, filter }) => {
+    const workedDays = organizationOff.filter(day => calendar.isWorkingDay(employee, day));
+    const offDays = days.filter(day => !calendar.isWorkingDay(employee, day) && calendar.isWorkingDay({}, day));
+
+    if (workedDays.length > 0) added.push({ ...filter, $or: dayRangeConditions(workedDays) });
+    if (offDays.length > 0) removed.push({ ...filter, $or: dayRangeConditions(offDays) });
+  });
+
+  const match = { ...inRange };
+  if (organizationOff.length > 0) match.$nor = dayRangeConditions(organizationOff);
+
+  // The first and last day may be cut by the range: keep it on every query
+  const [counts, additions, removals] = await Promise.all([
+    countAttendance(match),
+    added.length > 0 ? countAttendance({ ...inRange, $or: added }) : [],
+    removed.length > 0 ? countAttendance({ ...inRange, $or: removed }) : [],
+  ]);
+
+  const totals = new Map();
+  const keyOf = ({ _id }) => `${_id.employeeId}|${_id.department}`;
+
+  [...counts, ...additions].forEach(item => {
+    const total = totals.get(keyOf(item));
+    if (!total) return totals.set(keyOf(item), { ...item });
+    COUNTED_FIELDS.forEach(field => { total[field] += item[field]; });
+  });
+  removals.forEach(item => {
+    const total = totals.get(keyOf(item));
+    if (!total) return;
+    COUNTED_FIELDS.forEach(field => { total[field] -= item[field]; });
+  });
+
+  return [...totals.values()].filter(total => total.count > 0);
+}
+
 /**
  * @route   GET /api/superadmin/dashboard/analytics
  * @desc    Get detailed analytics and insights
@@ -439,30 +694,7 @@ router.get('/dashboard/analytics', async (req, res) => {
   try {
     const { period = 'month' } = req.query; // day, week, month, year
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    let startDate;
-    switch(period) {
-      case 'day':
-        startDate = new Date(today);
-        break;
-      case 'week':
-        startDate = new Date(today);
-        startDate.setDate(today.getDate() - 7);
-        break;
-      case 'month':
-        startDate = new Date(today);
-        startDate.setMonth(today.getMonth() - 1);
-        break;
-      case 'year':
-        startDate = new Date(today);
-        startDate.setFullYear(today.getFullYear() - 1);
-        break;
-      default:
-        startDate = new Date(today);
-        startDate.setMonth(today.getMonth() - 1);
-    }
+    const startDate = periodStartDate(period);
 
     // Attendance by status
     const attendanceByStatus = await Attendance.aggregate([
@@ -475,55 +707,40 @@ router.get('/dashboard/analytics', async (req, res) => {
       }
     ]);
 
+    // Rates count working days only (no holidays or weekly offs)
+    const calendar = await loadWorkingCalendar();
+    const workingCounts = await countWorkingAttendance(calendar, { $gte: startDate });
+
     // Attendance by department
-    const attendanceByDepartment = await Attendance.aggregate([
-      { $match: { date: { $gte: startDate } } },
-      {
-        $group: {
-          _id: '$department',
-          count: { $sum: 1 },
-          present: {
-            $sum: { $cond: [{ $eq: ['$status', 'PRESENT'] }, 1, 0] }
-          },
-          absent: {
-            $sum: { $cond: [{ $eq: ['$status', 'ABSENT'] }, 1, 0] }
-          }
-        }
-      }
-    ]);
+    const departmentTotals = new Map();
+    workingCounts.forEach(({ _id, count, present, absent }) => {
+      const item = departmentTotals.get(_id.department) ||
+        { _id: _id.department, count: 0, present: 0, absent: 0 };
+      item.count += count;
+      item.present += present;
+      item.absent += absent;
+      departmentTotals.set(_id.department, item);
+    });
+    const attendanceByDepartment = [...departmentTotals.values()];
 
     // Top performing employees (highest attendance rate)
-    const employeeStats = await Attendance.aggregate([
-      { $match: { date: { $gte: startDate } } },
-      {
-        $group: {
-          _id: '$employeeId',
-          employeeName: { $first: '$employeeName' },
-          department: { $first: '$department' },
-          totalAttendance: { $sum: 1 },
-          present: {
-            $sum: { $cond: [{ $eq: ['$status', 'PRESENT'] }, 1, 0] }
-          }
-        }
-      },
-      {
-        $project: {
-          employeeId: '$_id',
-          employeeName: 1,
-          department: 1,
-          totalAttendance: 1,
-          present: 1,
-          attendanceRate: {
-            $multiply: [
-              { $divide: ['$present', '$totalAttendance'] },
-              100
-            ]
-          }
-        }
-      },
-      { $sort: { attendanceRate: -1 } },
-      { $limit: 10 }
-    ]);
+    const employeeTotals = new Map();
+    workingCounts.forEach(({ _id, employeeName, count, present }) => {
+      const item = employeeTotals.get(_id.employeeId) || {
+        employeeId: _id.employeeId,
+        employeeName,
+        department: _id.department,
+        totalAttendance: 0,
+        present: 0,
+      };
+      item.totalAttendance += count;
+      item.present += present;
+      employeeTotals.set(_id.employeeId, item);
+    });
+    const employeeStats = [...employeeTotals.values()]
+      .map(item => ({ ...item, attendanceRate: (item.present / item.totalAttendance) * 100 }))
+      .sort((a, b) => b.attendanceRate - a.attendanceRate)
+      .slice(0, 10);
 
     // Average attendance rate across all employees
     const avgAttendanceRate = employeeStats.length > 0
@@ -560,6 +777,124 @@ router.get('/dashboard/analytics', async (req, res) => {
   }
 });
 
+// Templates not verified for longer than this count as stale
+const DEFAULT_STALE_VERIFICATION_DAYS = 90;
+
+/**
+ * @route   GET /api/superadmin/dashboard/enrollment
+ * @desc    Fingerprint enrollment coverage and quality analytics
+ * @access  Superadmin only
+ * 
+ * Query parameters:
+ * - period: Window for revocations (day, week, month, year; default: month)
+ * - staleDays: Days without a verification before a finger is stale (default: 90)
+ * - department: Restrict to one department
+ * 
+ * Every bucket drills down to its employees via
+ * GET /api/superadmin/dashboard/enrollment/employees?metric=...&bucket=...
+ */
+router.get('/dashboard/enrollment', async (req, res) => {
+  try {
+    const { period = 'month', department } = req.query;
+    const staleDays = parseInt(req.query.staleDays) || DEFAULT_STALE_VERIFICATION_DAYS;
+
+    const analytics = await computeEnrollmentAnalytics({
+      since: periodStartDate(period),
+      staleDays,
+      department,
+    });
+
+    res.json({
+      success: true,
+      period,
+      department: department || null,
+      analytics,
+      drillDown: {
+        url: '/api/superadmin/dashboard/enrollment/employees',
+        metrics: {
+          coverage: Object.keys(analytics.coverage),
+          quality: Object.keys(analytics.quality.distribution),
+          revocations: analytics.revocations.byReason.map(item => item.reason),
+          devices: analytics.devices.map(item => item.device),
+          verification: Object.keys(analytics.verification.employees),
+        },
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching enrollment analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching enrollment analytics',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/superadmin/dashboard/enrollment/employees
+ * @desc    Employees behind one enrollment dashboard statistic
+ * @access  Superadmin only
+ * 
+ * Query parameters:
+ * - metric: coverage, quality, revocations, devices or verification
+ * - bucket: Bucket of the metric as returned by /dashboard/enrollment
+ *   (e.g. coverage=none, quality=0-19, devices=UNREGISTERED, verification=stale)
+ * - period, staleDays, department: As for /dashboard/enrollment
+ * - page, limit: Pagination (default: 1, 50)
+ */
+router.get('/dashboard/enrollment/employees', async (req, res) => {
+  try {
+    const { metric, bucket, period = 'month', department, page = 1, limit = 50 } = req.query;
+    const staleDays = parseInt(req.query.staleDays) || DEFAULT_STALE_VERIFICATION_DAYS;
+
+    if (!metric || !bucket) {
+      return res.status(400).json({
+        success: false,
+        message: 'metric and bucket are required',
+      });
+    }
+
+    if (!ENROLLMENT_METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `metric must be one of: ${ENROLLMENT_METRICS.join(', ')}`,
+      });
+    }
+
+    const employees = await findEmployeesInBucket({
+      metric,
+      bucket,
+      since: periodStartDate(period),
+      staleDays,
+      department,
+    });
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    res.json({
+      success: true,
+      metric,
+      bucket,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(employees.length / parseInt(limit)),
+        totalRecords: employees.length,
+        recordsPerPage: parseInt(limit),
+      },
+      employees: employees.slice(skip, skip + parseInt(limit)),
+    });
+
+  } catch (error) {
+    console.error('Error fetching enrollment drill-down:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching enrollment drill-down',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/superadmin/dashboard/alerts
  * @desc    Get system alerts (low attendance, missing data, etc.)
@@ -574,13 +909,19 @@ router.get('/dashboard/alerts', async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
+    // Only employees due at work count: holidays and weekly offs are skipped
+    const calendar = await loadWorkingCalendar();
+    const employees = await Employee.find().select('employeeId department site');
+    const expectedToday = employees.filter(e => calendar.isWorkingDay(e, today));
+
     // Check for low attendance today
-    const totalEmployees = await Employee.countDocuments();
-    const todayAttendance = await Attendance.countDocuments({
+    const todayRecords = calendar.workingRecords(await Attendance.find({
       date: { $gte: today, $lt: tomorrow }
-    });
+    }).select('employeeId department date'), employees);
+    const todayAttendance = todayRecords.length;
+    const totalEmployees = expectedToday.length;
 
-    const attendancePercentage = (todayAttendance / totalEmployees) * 100;
+    const attendancePercentage = totalEmployees > 0 ? (todayAttendance / totalEmployees) * 100 : 100;
     if (attendancePercentage < 80) {
       alerts.push({
         type: 'warning',
@@ -590,7 +931,7 @@ router.get('/dashboard/alerts', async (req, res) => {
       });
     }
 
-    // Check for employees with no attendance in last 7 days
+    // Check for employees with no attendance in last 7 days (who had a working day in them)
     const weekAgo = new Date(today);
     weekAgo.setDate(today.getDate() - 7);
 
@@ -598,8 +939,10 @@ router.get('/dashboard/alerts', async (req, res) => {
       date: { $gte: weekAgo }
     });
 
-    const allEmployeeIds = await Employee.distinct('employeeId');
-    const missingEmployees = allEmployeeIds.filter(id => !recentAttendance.includes(id));
+    const missingEmployees = employees
+      .filter(e => !recentAttendance.includes(e.employeeId))
+      .filter(e => calendar.countWorkingDays(e, weekAgo, today) > 0)
+      .map(e => e.employeeId);
 
     if (missingEmployees.length > 0) {
       alerts.push({
@@ -612,13 +955,10 @@ router.get('/dashboard/alerts', async (req, res) => {
     }
 
     // Check for departments with low attendance
-    const departments = await Employee.distinct('department');
+    const departments = [...new Set(expectedToday.map(e => e.department))];
     for (const dept of departments) {
-      const deptEmployees = await Employee.countDocuments({ department: dept });
-      const deptAttendance = await Attendance.countDocuments({
-        department: dept,
-        date: { $gte: today, $lt: tomorrow }
-      });
+      const deptEmployees = expectedToday.filter(e => e.department === dept).length;
+      const deptAttendance = todayRecords.filter(a => a.department === dept).length;
 
       const deptRate = (deptAttendance / deptEmployees) * 100;
       if (deptRate < 70 && deptEmployees > 0) {
@@ -651,4 +991,900 @@ router.get('/dashboard/alerts', async (req, res) => {
 });
 
 
+// ============================================
+// BIOMETRIC AUDIT LOG
+// ============================================
+
+// Query parameters accepted as audit log filters
+const AUDIT_FILTER_PARAMS = ['action', 'actor', 'employeeId', 'targetId', 'startDate', 'endDate'];
+
+/**
+ * Build an AuditEvent filter from query parameters
+ */
+function buildAuditFilter(query) {
+  const filter = {};
+
+  ['action', 'actor', 'employeeId', 'targetId'].forEach(key => {
+    if (query[key]) filter[key] = String(query[key]);
+  });
+
+  if (query.startDate || query.endDate) {
+    filter.timestamp = {};
+    if (query.startDate) {
+      filter.timestamp.$gte = new Date(query.startDate);
+    }
+    if (query.endDate) {
+      filter.timestamp.$lte = new Date(query.endDate);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const AUDIT_CSV_COLUMNS = [
+  'sequence', 'timestamp', 'actor', 'actorRole', 'action', 'targetType',
+  'targetId', 'employeeId', 'ip', 'reason', 'metadata', 'prevHash', 'hash',
+];
+
+/**
+ * @route   GET /api/superadmin/audit-events
+ * @desc    Query the biometric audit log
+ * @access  Superadmin only
+ * 
+ * Query parameters:
+ * - action, actor, employeeId, targetId: Exact-match filters
+ * - startDate, endDate: Event time range (ISO format)
+ * - page: Page number for pagination (default: 1)
+ * - limit: Events per page (default: 50)
+ */
+router.get('/audit-events', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req.query);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ sequence: -1 }) // Most recent first
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalEvents = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      message: 'Audit events retrieved successfully',
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEvents / parseInt(limit)),
+        totalRecords: totalEvents,
+        recordsPerPage: parseInt(limit),
+      },
+      events,
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit events',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/superadmin/audit-events/export
+ * @desc    Export audit events (oldest first, with hashes) as JSON or CSV
+ * @access  Superadmin only
+ * 
+ * Query parameters: same filters as /audit-events, plus
+ * - format: json (default) or csv
+ * 
+ * Exported hashes can be checked offline against the chain.
+ * The export itself is recorded as an AUDIT_LOG_EXPORTED event.
+ */
+router.get('/audit-events/export', async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or csv',
+      });
+    }
+
+    const filter = buildAuditFilter(req.query);
+    const events = await AuditEvent.find(filter).sort({ sequence: 1 }).lean();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'AUDIT_LOG_EXPORTED',
+      targetType: 'AuditEvent',
+      metadata: {
+        format,
+        filters: AUDIT_FILTER_PARAMS.filter(key => req.query[key]).map(key => `${key}=${req.query[key]}`),
+        eventCount: events.length,
+      },
+    });
+
+    const fileName = `audit-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      const lines = [AUDIT_CSV_COLUMNS.join(',')];
+      events.forEach(event => {
+        lines.push(AUDIT_CSV_COLUMNS.map(column => toCsvValue(
+          column === 'timestamp' ? event.timestamp.toISOString() : event[column]
+        )).join(','));
+      });
+
+      res.type('text/csv');
+      return res.send(lines.join('\n'));
+    }
+
+    res.json({
+      success: true,
+      exportedAt: new Date(),
+      eventCount: events.length,
+      events: events.map(({ _id, __v, ...event }) => event),
+    });
+
+  } catch (error) {
+    console.error('Error exporting audit events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting audit events',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/superadmin/audit-events/verify
+ * @desc    Verify the audit log hash chain
+ * @access  Superadmin only
+ * 
+ * Same check as scripts/verifyAuditChain.js.
+ */
+router.get('/audit-events/verify', async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? 'Audit chain is intact'
+        : `Audit chain broken at event #${result.brokenAt}`,
+      ...result,
+    });
+
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying audit chain',
+      error: error.message,
+    });
+  }
+});
+
+
+// ============================================
+// DUPLICATE ENROLLMENT REVIEW QUEUE
+// ============================================
+
+/**
+ * @route   GET /api/superadmin/duplicate-reviews
+ * @desc    List enrollments flagged as possible cross-employee duplicates
+ * @access  Superadmin only
+ * 
+ * Query parameters:
+ * - status: PENDING (default), APPROVED, REJECTED or ALL
+ * - employeeId: Filter by enrolled employee
+ * - page: Page number for pagination (default: 1)
+ * - limit: Reviews per page (default: 50)
+ */
+router.get('/duplicate-reviews', async (req, res) => {
+  try {
+    const { status = 'PENDING', employeeId, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status !== 'ALL') filter.status = status;
+    if (employeeId) filter.employeeId = employeeId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await DuplicateReview.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('employee', 'name employeeId department');
+
+    const totalReviews = await DuplicateReview.countDocuments(filter);
+
+    res.json({
+      success: true,
+      message: 'Duplicate reviews retrieved successfully',
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReviews / parseInt(limit)),
+        totalRecords: totalReviews,
+        recordsPerPage: parseInt(limit),
+      },
+      reviews,
+    });
+
+  } catch (error) {
+    console.error('Error fetching duplicate reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching duplicate reviews',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Load a pending review and its PENDING_REVIEW template
+ * 
+ * @returns {Promise<Object|null>} - { review, fingerprint }, or null if a response was sent
+ */
+async function loadPendingReview(req, res) {
+  const review = await DuplicateReview.findById(req.params.id);
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'Duplicate review not found',
+    });
+    return null;
+  }
+
+  if (review.status !== 'PENDING') {
+    res.status(409).json({
+      success: false,
+      message: `Review already ${review.status.toLowerCase()} by ${review.decidedBy}`,
+    });
+    return null;
+  }
+
+  const fingerprint = await Fingerprint.findById(review.fingerprint);
+
+  if (!fingerprint || fingerprint.status !== 'PENDING_REVIEW') {
+    res.status(409).json({
+      success: false,
+      message: `Template is no longer pending review (status: ${fingerprint ? fingerprint.status : 'deleted'})`,
+    });
+    return null;
+  }
+
+  return { review, fingerprint };
+}
+
+/**
+ * @route   POST /api/superadmin/duplicate-reviews/:id/approve
+ * @desc    Not a duplicate: activate the flagged template
+ * @access  Superadmin only
+ * 
+ * Body: { note }
+ * 
+ * A held re-enrollment revokes its predecessor in the same transaction
+ * (requires a replica set, e.g. Atlas), so the finger never ends up
+ * without an ACTIVE template.
+ */
+router.post('/duplicate-reviews/:id/approve', async (req, res) => {
+  try {
+    const loaded = await loadPendingReview(req, res);
+    if (!loaded) return;
+
+    const { review, fingerprint } = loaded;
+    const note = req.body.note;
+
+    let previous = null;
+
+    await mongoose.connection.transaction(async (session) => {
+      // Re-check inside the transaction: a concurrent decision wins
+      const pending = await DuplicateReview.exists({ _id: review._id, status: 'PENDING' }).session(session);
+      if (!pending) {
+        const error = new Error('Review was decided meanwhile');
+        error.status = 409;
+        throw error;
+      }
+
+      // A held re-enrollment replaces its predecessor now
+      previous = null;
+      if (fingerprint.replaces) {
+        const found = await Fingerprint.findById(fingerprint.replaces).session(session);
+
+        if (found && !found.replacedBy) {
+          const reason = 'Re-enrolled';
+          if (found.status === 'ACTIVE') {
+            found.revoke(req.user.username, reason);
+          }
+          found.replacedBy = fingerprint._id;
+          await found.setAuditContext(auditContext(req, reason)).save({ session });
+          previous = found;
+        }
+      }
+
+      fingerprint.status = 'ACTIVE';
+      await fingerprint
+        .setAuditContext(auditContext(req, note || 'Duplicate review approved'))
+        .save({ session });
+
+      review.status = 'APPROVED';
+      review.decidedBy = req.user.username;
+      review.decidedAt = new Date();
+      review.decisionNote = note;
+      await review.save({ session });
+    });
+
+    // Hooks are deferred inside the transaction (see Fingerprint.finishSave)
+    if (previous) await previous.finishSave();
+    await fingerprint.finishSave();
+
+    await recordAuditEvent({
+      ...auditContext(req, note),
+      action: 'DUPLICATE_REVIEW_APPROVED',
+      targetType: 'DuplicateReview',
+      targetId: review._id,
+      employeeId: review.employeeId,
+      metadata: { fingerprintId: String(fingerprint._id) },
+    });
+
+    res.json({
+      success: true,
+      message: 'Enrollment approved; template is now active',
+      review,
+    });
+
+  } catch (error) {
+    console.error('Error approving duplicate review:', error);
+
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The template is already enrolled as another active template (duplicate detected)',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving duplicate review',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/superadmin/duplicate-reviews/:id/reject
+ * @desc    Confirmed duplicate: revoke the flagged template
+ * @access  Superadmin only
+ * 
+ * Body: { note }
+ */
+router.post('/duplicate-reviews/:id/reject', async (req, res) => {
+  try {
+    const loaded = await loadPendingReview(req, res);
+    if (!loaded) return;
+
+    const { review, fingerprint } = loaded;
+    const note = req.body.note;
+    const reason = note || 'Duplicate enrollment rejected';
+
+    fingerprint.revoke(req.user.username, reason);
+    await fingerprint.setAuditContext(auditContext(req, reason)).save();
+
+    review.status = 'REJECTED';
+    review.decidedBy = req.user.username;
+    review.decidedAt = new Date();
+    review.decisionNote = note;
+    await review.save();
+
+    await recordAuditEvent({
+      ...auditContext(req, note),
+      action: 'DUPLICATE_REVIEW_REJECTED',
+      targetType: 'DuplicateReview',
+      targetId: review._id,
+      employeeId: review.employeeId,
+      metadata: { fingerprintId: String(fingerprint._id) },
+    });
+
+    res.json({
+      success: true,
+      message: 'Enrollment rejected; template revoked',
+      review,
+    });
+
+  } catch (error) {
+    console.error('Error rejecting duplicate review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting duplicate review',
+      error: error.message,
+    });
+  }
+});
+
+
+// ============================================
+// DEVICES
+// ============================================
+
+/**
+ * @route   GET /api/superadmin/devices/statistics
+ * @desc    Per-device usage and failure statistics
+ * @access  Superadmin only
+ * 
+ * Query: site, status, days (window for rejected captures, default 30),
+ * staleDays (devices not seen for longer are flagged, default 7)
+ * Counters are lifetime totals kept on each Device (utils/deviceRegistry.js).
+ */
+router.get('/devices/statistics', async (req, res) => {
+  try {
+    const { site, status } = req.query;
+    const days = parseInt(req.query.days) || 30;
+    const staleDays = parseInt(req.query.staleDays) || 7;
+
+    const query = {};
+    if (site) query.site = site;
+    if (status) query.status = status;
+
+    const devices = await Device.find(query)
+      .select('-versionHistory')
+      .sort({ site: 1, serialNumber: 1 });
+
+    const now = Date.now();
+    const staleBefore = now - staleDays * 24 * 60 * 60 * 1000;
+
+    const perDevice = devices.map(device => {
+      const failures = device.failures.attestation + device.failures.noMatch + device.failures.rejectedCaptures;
+      const captures = device.usage.captures;
+
+      return {
+        _id: device._id,
+        serialNumber: device.serialNumber,
+        vendor: device.vendor,
+        model: device.model,
+        label: device.label,
+        site: device.site,
+        status: device.status,
+        rdServiceVersion: device.rdServiceVersion,
+        firmwareVersion: device.firmwareVersion,
+        lastSeenAt: device.lastSeenAt,
+        lastSeenBy: device.lastSeenBy,
+        stale: device.status === 'ACTIVE' && (!device.lastSeenAt || device.lastSeenAt.getTime() < staleBefore),
+        usage: device.usage,
+        failures: device.failures,
+        failureRate: captures > 0 ? ((failures / captures) * 100).toFixed(2) : '0.00',
+      };
+    });
+
+    // Captures refused by the registry (disabled, unregistered, wrong certificate)
+    const since = new Date(now - days * 24 * 60 * 60 * 1000);
+    const rejections = await AuditEvent.aggregate([
+      { $match: { action: 'DEVICE_CAPTURE_REJECTED', timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: '$metadata.reason',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // Roll-up per site
+    const bySite = {};
+    for (const device of perDevice) {
+      const key = device.site || 'UNASSIGNED';
+      bySite[key] = bySite[key] || { site: key, devices: 0, active: 0, captures: 0, attendanceMarks: 0 };
+      bySite[key].devices += 1;
+      if (device.status === 'ACTIVE') bySite[key].active += 1;
+      bySite[key].captures += device.usage.captures;
+      bySite[key].attendanceMarks += device.usage.attendanceMarks;
+    }
+
+    res.json({
+      success: true,
+      summary: {
+        totalDevices: perDevice.length,
+        active: perDevice.filter(d => d.status === 'ACTIVE').length,
+        disabled: perDevice.filter(d => d.status === 'DISABLED').length,
+        stale: perDevice.filter(d => d.stale).length,
+        totalCaptures: perDevice.reduce((sum, d) => sum + d.usage.captures, 0),
+      },
+      rejectedCaptures: {
+        days,
+        byReason: rejections.map(item => ({
+          reason: item._id,
+          count: item.count
+        })),
+      },
+      bySite: Object.values(bySite),
+      devices: perDevice.sort((a, b) => b.failureRate - a.failureRate),
+    });
+
+  } catch (error) {
+    console.error('Error fetching device statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device statistics',
+      error: error.message
+    });
+  }
+});
+
+
+// ============================================
+// ORGANIZATION SETTINGS
+// ============================================
+
+/**
+ * @route   GET /api/superadmin/settings
+ * @desc    Current organization settings
+ * @access  Superadmin only
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await OrganizationSettings.getSettings();
+
+    res.json({
+      success: true,
+      settings,
+    });
+
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching settings',
+      error: error.message,
+    });
+  }
+});
+
+// Settings PUT /settings may change: [group, name], all boolean
+const EDITABLE_SETTINGS = [
+  ['attendance', 'requireBiometricVerification'],
+  ['devices', 'requireRegistration'],
+];
+
+/**
+ * @route   PUT /api/superadmin/settings
+ * @desc    Change organization settings
+ * @access  Superadmin only
+ * 
+ * Body: { attendance: { requireBiometricVerification },
+ *         devices: { requireRegistration }, reason }
+ * Every change is written to the audit log as SETTINGS_UPDATED.
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const requested = EDITABLE_SETTINGS.filter(([group, name]) =>
+      req.body[group] && req.body[group][name] !== undefined);
+
+    if (requested.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `At least one setting is required: ${EDITABLE_SETTINGS.map(path => path.join('.')).join(', ')}`,
+      });
+    }
+
+    const invalid = requested.filter(([group, name]) => typeof req.body[group][name] !== 'boolean');
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Settings must be booleans: ${invalid.map(path => path.join('.')).join(', ')}`,
+      });
+    }
+
+    const settings = await OrganizationSettings.getSettings();
+    const changes = [];
+
+    for (const [group, name] of requested) {
+      const previous = settings[group][name];
+      const value = req.body[group][name];
+
+      if (previous !== value) {
+        settings[group][name] = value;
+        changes.push({ setting: `${group}.${name}`, from: previous, to: value });
+      }
+    }
+
+    settings.updatedBy = req.user.username;
+    await settings.save();
+
+    for (const change of changes) {
+      console.log(`✅ ${change.setting} set to ${change.to} by ${req.user.username}`);
+
+      await recordAuditEvent({
+        ...auditContext(req, req.body.reason),
+        action: 'SETTINGS_UPDATED',
+        targetType: 'OrganizationSettings',
+        targetId: settings._id,
+        metadata: change,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings,
+    });
+
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating settings',
+      error: error.message,
+    });
+  }
+});
+
+
+// ============================================
+// DATA-SUBJECT REQUESTS (EXPORT / ERASURE)
+// ============================================
+
+/**
+ * @route   GET /api/superadmin/data-export/public-key
+ * @desc    Public key for verifying employee data exports
+ * @access  Superadmin only
+ */
+router.get('/data-export/public-key', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...getPublicKeyInfo(),
+    });
+
+  } catch (error) {
+    console.error('Error reading export signing key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reading export signing key',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/superadmin/employees/:employeeId/data-export
+ * @desc    Signed archive of everything held about an employee
+ * @access  Superadmin only
+ * 
+ * Contains the Employee record, Fingerprint metadata, consents,
+ * attendance, duplicate reviews and audit events (see utils/dataExport.js
+ * for the format and signature). Raw biometric templates are never
+ * exported; their presence is indicated instead.
+ */
+router.get('/employees/:employeeId/data-export', async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    const employee = await Employee.findOne({ employeeId }).lean();
+
+    const [fingerprints, consents, attendance, duplicateReviews, auditEvents] = await Promise.all([
+      Fingerprint.find({ employeeId })
+        .select('-encryptedTemplate -encryptedCanonicalTemplate -encryptedImage -wrappedDataKey')
+        .sort({ enrolledAt: 1 })
+        .lean(),
+      Consent.find({ employeeId }).sort({ givenAt: 1 }).lean(),
+      Attendance.find({ employeeId }).sort({ date: 1 }).lean(),
+      DuplicateReview.find({ employeeId }).sort({ createdAt: 1 }).lean(),
+      AuditEvent.find({ employeeId }).sort({ sequence: 1 }).lean(),
+    ]);
+
+    if (!employee && fingerprints.length === 0 && attendance.length === 0 && consents.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No data held for employee ${employeeId}`,
+      });
+    }
+
+    // Legacy plaintext templates: report presence, never the biometric itself
+    const withoutTemplate = ({ fingerprintTemplate, ...record }) => ({
+      ...record,
+      fingerprintTemplateHeld: Boolean(fingerprintTemplate),
+    });
+
+    const archive = createSignedExport({
+      employeeId,
+      generatedBy: req.user.username,
+      data: {
+        employee: employee ? withoutTemplate(employee) : null,
+        fingerprints,
+        consents,
+        attendance: attendance.map(withoutTemplate),
+        duplicateReviews,
+        auditEvents,
+      },
+    });
+
+    await recordAuditEvent({
+      ...auditContext(req, req.query.reason),
+      action: 'EMPLOYEE_DATA_EXPORTED',
+      targetType: 'Employee',
+      targetId: employee ? employee._id : undefined,
+      employeeId,
+      metadata: {
+        signatureKeyId: archive.signature.keyId,
+        fingerprints: fingerprints.length,
+        attendance: attendance.length,
+      },
+    });
+
+    const fileName = `employee-${employeeId}-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json(archive);
+
+  } catch (error) {
+    console.error('Error exporting employee data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting employee data',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/superadmin/employees/:employeeId/erase-biometrics
+ * @desc    Erase all biometric data held about an employee (irreversible)
+ * @access  Superadmin only
+ * 
+ * Body: { confirmEmployeeId, reason }
+ * - Fingerprint templates are crypto-shredded (data key, ciphertexts and
+ *   hash removed; metadata kept with status ERASED)
+ * - Legacy plaintext fingerprintTemplate (records not yet migrated by
+ *   scripts/migrateFingerprintsToEncrypted.js) is removed from the
+ *   Employee and from every Attendance record
+ * - Open enrollment sessions and re-enrollment tasks are cancelled,
+ *   active consent withdrawn
+ * - A BIOMETRIC_DATA_ERASED tombstone is written to the audit log
+ * 
+ * Non-biometric HR data (employee, attendance) is kept.
+ */
+router.post('/employees/:employeeId/erase-biometrics', async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { confirmEmployeeId, reason } = req.body;
+
+    if (confirmEmployeeId !== employeeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Erasure is irreversible: set confirmEmployeeId to the employee ID to confirm',
+      });
+    }
+
+    const context = auditContext(req, reason || 'Data-subject erasure request');
+
+    // ============================================
+    // 1. Crypto-shred fingerprint templates
+    // ============================================
+
+    const fingerprints = await Fingerprint.find({ employeeId, status: { $ne: 'ERASED' } });
+
+    for (const fp of fingerprints) {
+      fp.shred(req.user.username);
+      await fp.setAuditContext(context).save();
+    }
+
+    // Flagged duplicates of this employee no longer have a template to review
+    const closedReviews = await DuplicateReview.updateMany(
+      { employeeId, status: 'PENDING' },
+      {
+        $set: {
+          status: 'REJECTED',
+          decidedBy: req.user.username,
+          decidedAt: new Date(),
+          decisionNote: 'Biometric data erased',
+        },
+      }
+    );
+
+    const cancelledReenrollments = await ReenrollmentTask.cancelForEmployee(employeeId, 'Biometric data erased');
+
+    // ============================================
+    // 2. Discard enrollment samples
+    // ============================================
+
+    const sessions = await EnrollmentSession.find({ employeeId, status: 'OPEN' });
+
+    for (const session of sessions) {
+      session.status = 'CANCELLED';
+      session.cancelledAt = new Date();
+      session.cancelledBy = req.user.username;
+      session.wipeSamples();
+      await session.save();
+    }
+
+    // ============================================
+    // 3. Scrub legacy plaintext templates
+    // ============================================
+
+    // fingerprintTemplate is no longer in the schemas, but records not yet
+    // migrated may still hold it (strict: false keeps the $unset)
+    const employeeResult = await Employee.updateOne(
+      { employeeId },
+      {
+        $unset: { fingerprintTemplate: '' },
+        $set: { biometricsErasedAt: new Date() },
+      },
+      { strict: false }
+    );
+
+    const attendanceResult = await Attendance.updateMany(
+      { employeeId, fingerprintTemplate: { $exists: true } },
+      { $unset: { fingerprintTemplate: '' } },
+      { strict: false }
+    );
+
+    // ============================================
+    // 4. No further capture without new consent
+    // ============================================
+
+    const consent = await Consent.findActiveByEmployeeId(employeeId);
+    if (consent) {
+      consent.withdraw(req.user.username, 'Biometric data erased');
+      await consent.save();
+    }
+
+    // ============================================
+    // 5. Tombstone
+    // ============================================
+
+    const summary = {
+      fingerprintsErased: fingerprints.length,
+      enrollmentSessionsCancelled: sessions.length,
+      duplicateReviewsClosed: closedReviews.modifiedCount,
+      reenrollmentTasksCancelled: cancelledReenrollments,
+      employeeTemplateScrubbed: employeeResult.modifiedCount > 0,
+      attendanceTemplatesScrubbed: attendanceResult.modifiedCount,
+      consentWithdrawn: Boolean(consent),
+    };
+
+    await recordAuditEvent({
+      ...context,
+      action: 'BIOMETRIC_DATA_ERASED',
+      targetType: 'Employee',
+      employeeId,
+      metadata: summary,
+    });
+
+    res.json({
+      success: true,
+      message: `Biometric data erased for employee ${employeeId}`,
+      summary,
+    });
+
+  } catch (error) {
+    console.error('Error erasing biometric data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while erasing biometric data',
+      error: error.message,
+    });
+  }
+});
+
+
 module.exports = router;
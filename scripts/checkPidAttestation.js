@@ -0,0 +1,43 @@
+// scripts/checkPidAttestation.js
+const fs = require('fs');
+const { attestPidXml, loadTrustStore } = require('../utils/deviceAttestation');
+
+/**
+ * Check the device attestation of an RDService PID capture
+ *
+ * Usage: node scripts/checkPidAttestation.js <pid.xml> [trustStorePath]
+ *
+ * The trust store defaults to DEVICE_TRUST_STORE_PATH.
+ * Exits with code 1 if the capture does not attest.
+ */
+function check() {
+  const [pidPath, storePath] = process.argv.slice(2);
+
+  if (!pidPath) {
+    console.error('Usage: node scripts/checkPidAttestation.js <pid.xml> [trustStorePath]');
+    process.exit(1);
+  }
+
+  try {
+    const trustStore = loadTrustStore(storePath || process.env.DEVICE_TRUST_STORE_PATH);
+    const result = attestPidXml(fs.readFileSync(pidPath, 'utf8'), { trustStore });
+
+    console.log(`${result.attested ? '✅' : '❌'} ${result.status}${result.reason ? `: ${result.reason}` : ''}`);
+    if (result.certificate) {
+      console.log(`   📜 Subject: ${result.certificate.subject.replace(/\n/g, ', ')}`);
+      console.log(`   🏢 Issuer:  ${result.certificate.issuer.replace(/\n/g, ', ')}`);
+      console.log(`   🔑 SHA-256: ${result.certificate.fingerprint256}`);
+    }
+    console.log(`   🗂️  Trust store: ${trustStore.length} certificate(s)`);
+
+    if (!result.attested) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+check();
@@ -0,0 +1,113 @@
+// scripts/generateDeviceTestCertificates.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { signPidXml } = require('../utils/deviceAttestation');
+
+/**
+ * Generate local certificates and signed PID captures for testing
+ * device attestation (requires the openssl CLI)
+ *
+ * Usage:
+ *   node scripts/generateDeviceTestCertificates.js [outputDir] [--template <file>]
+ *
+ * Writes to outputDir (default ./device-test):
+ *   trust-store/test-ca.pem   Test device-provider CA (DEVICE_TRUST_STORE_PATH)
+ *   device.key / device.pem   Device certificate issued by the test CA
+ *   rogue.key / rogue.pem     Self-signed device certificate (not trusted)
+ *   pid-attested.xml          PID signed by the device          → ATTESTED
+ *   pid-untrusted.xml         PID signed by the rogue device    → UNTRUSTED_CERTIFICATE
+ *   pid-tampered.xml          Attested PID with a changed qScore → INVALID_SIGNATURE
+ *
+ * --template embeds a real ISO 19794-2 template in the PIDs (default:
+ * random bytes, enough for attestation but not for matching).
+ * Check a capture with scripts/checkPidAttestation.js.
+ */
+
+function parseArgs(argv) {
+  const args = { outputDir: './device-test' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--template') args.template = argv[++i];
+    else args.outputDir = argv[i];
+  }
+  return args;
+}
+
+function openssl(args) {
+  execFileSync('openssl', args, { stdio: 'pipe' });
+}
+
+const EC_KEY = ['-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:P-256', '-nodes'];
+
+function buildPidXml(certificatePem, templateBase64) {
+  const certificate = new crypto.X509Certificate(certificatePem);
+
+  return '<PidData>\n'
+    + '  <Resp errCode="0" errInfo="Success" fCount="1" fType="0" nmPoints="32" qScore="78"/>\n'
+    + `  <DeviceInfo dpId="MANTRA.MSIPL" rdsId="RENESAS.MANTRA.001" rdsVer="1.0.8" mi="MFS110" mc="${certificate.raw.toString('base64')}" dc="test-device">\n`
+    + '    <additional_info>\n'
+    + `      <Param name="srno" value="${parseInt(certificate.serialNumber.slice(-6), 16)}"/>\n`
+    + '    </additional_info>\n'
+    + '  </DeviceInfo>\n'
+    + `  <Data type="X">${templateBase64}</Data>\n`
+    + '</PidData>\n';
+}
+
+function generate() {
+  const { outputDir, template } = parseArgs(process.argv.slice(2));
+  const file = name => path.join(outputDir, name);
+
+  if (fs.existsSync(file('device.key'))) {
+    console.error(`❌ ${file('device.key')} already exists; refusing to overwrite`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(file('trust-store'), { recursive: true });
+
+  try {
+    // Test device-provider CA
+    openssl(['req', '-x509', ...EC_KEY, '-days', '365',
+      '-keyout', file('test-ca.key'), '-out', file('trust-store/test-ca.pem'),
+      '-subj', '/O=Test Device Provider/CN=Test RD Device CA',
+      '-addext', 'basicConstraints=critical,CA:TRUE',
+      '-addext', 'keyUsage=critical,keyCertSign']);
+
+    // Device certificate issued by the CA
+    openssl(['req', '-new', ...EC_KEY,
+      '-keyout', file('device.key'), '-out', file('device.csr'),
+      '-subj', '/O=Mantra/CN=MFS110 test device']);
+    openssl(['x509', '-req', '-days', '365',
+      '-in', file('device.csr'), '-CA', file('trust-store/test-ca.pem'), '-CAkey', file('test-ca.key'),
+      '-set_serial', `0x${crypto.randomBytes(8).toString('hex')}`,
+      '-out', file('device.pem')]);
+    fs.unlinkSync(file('device.csr'));
+
+    // Self-signed device nobody vouches for
+    openssl(['req', '-x509', ...EC_KEY, '-days', '365',
+      '-keyout', file('rogue.key'), '-out', file('rogue.pem'),
+      '-subj', '/O=Unknown/CN=Rogue device']);
+  } catch (error) {
+    console.error('❌ openssl failed:', error.stderr ? error.stderr.toString() : error.message);
+    process.exit(1);
+  }
+
+  const templateBase64 = template
+    ? fs.readFileSync(template).toString('base64')
+    : crypto.randomBytes(256).toString('base64');
+
+  const read = name => fs.readFileSync(file(name), 'utf8');
+
+  const attested = signPidXml(buildPidXml(read('device.pem'), templateBase64), read('device.key'));
+  fs.writeFileSync(file('pid-attested.xml'), attested);
+  fs.writeFileSync(file('pid-untrusted.xml'), signPidXml(buildPidXml(read('rogue.pem'), templateBase64), read('rogue.key')));
+  fs.writeFileSync(file('pid-tampered.xml'), attested.replace('qScore="78"', 'qScore="99"'));
+
+  console.log(`✅ Test CA:        ${file('trust-store/test-ca.pem')}`);
+  console.log(`✅ Device cert:    ${file('device.pem')}`);
+  console.log(`✅ Rogue cert:     ${file('rogue.pem')}`);
+  console.log(`✅ Sample PIDs:    ${file('pid-attested.xml')}, pid-untrusted.xml, pid-tampered.xml`);
+  console.log(`\nSet DEVICE_TRUST_STORE_PATH=${file('trust-store')}`);
+}
+
+generate();
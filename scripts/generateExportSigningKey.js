@@ -0,0 +1,36 @@
+// scripts/generateExportSigningKey.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Generate an Ed25519 key pair for signing data-subject exports
+ *
+ * Usage: node scripts/generateExportSigningKey.js [outputDir]
+ *
+ * Writes export-signing-key.pem (private, mode 0600) and
+ * export-signing-key.pub.pem. Point DATA_EXPORT_SIGNING_KEY_PATH at the
+ * private key; share the public key with whoever verifies exports.
+ */
+function generate() {
+  const outputDir = process.argv[2] || '.';
+  const privatePath = path.join(outputDir, 'export-signing-key.pem');
+  const publicPath = path.join(outputDir, 'export-signing-key.pub.pem');
+
+  if (fs.existsSync(privatePath)) {
+    console.error(`❌ ${privatePath} already exists; refusing to overwrite`);
+    process.exit(1);
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(publicPath, publicKey.export({ type: 'spki', format: 'pem' }));
+
+  console.log(`✅ Private key: ${privatePath}`);
+  console.log(`✅ Public key:  ${publicPath}`);
+  console.log(`\nSet DATA_EXPORT_SIGNING_KEY_PATH=${privatePath}`);
+}
+
+generate();
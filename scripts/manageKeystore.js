@@ -0,0 +1,81 @@
+// scripts/manageKeystore.js
+require('dotenv').config();
+const {
+  createKeystore,
+  addKey,
+  setActiveKey,
+  createKeystoreKeyProvider,
+} = require('../utils/keyProviders/keystoreKeyProvider');
+
+/**
+ * Manage the password-protected fingerprint keystore file
+ *
+ * Usage:
+ *   node scripts/manageKeystore.js init
+ *   node scripts/manageKeystore.js add <keyId> [--activate]
+ *   node scripts/manageKeystore.js import-legacy
+ *   node scripts/manageKeystore.js activate <keyId>
+ *   node scripts/manageKeystore.js list
+ *
+ * Uses FINGERPRINT_KEYSTORE_PATH and FINGERPRINT_KEYSTORE_PASSWORD.
+ * import-legacy copies FINGERPRINT_ENCRYPTION_KEY into the keystore so
+ * records created before envelope encryption stay readable.
+ */
+
+function manageKeystore() {
+  try {
+    const [command, keyId] = process.argv.slice(2);
+    const filePath = process.env.FINGERPRINT_KEYSTORE_PATH;
+    const password = process.env.FINGERPRINT_KEYSTORE_PASSWORD;
+
+    if (!filePath) {
+      throw new Error('FINGERPRINT_KEYSTORE_PATH is required');
+    }
+
+    switch (command) {
+      case 'init':
+        createKeystore(filePath, password);
+        console.log(`✅ Keystore created: ${filePath}`);
+        break;
+
+      case 'add':
+        if (!keyId) throw new Error('Usage: add <keyId> [--activate]');
+        addKey(filePath, password, keyId, { activate: process.argv.includes('--activate') });
+        console.log(`✅ Key added: ${keyId}`);
+        break;
+
+      case 'import-legacy': {
+        const legacy = process.env.FINGERPRINT_ENCRYPTION_KEY;
+        if (!legacy) throw new Error('FINGERPRINT_ENCRYPTION_KEY is not set');
+        addKey(filePath, password, 'legacy', { key: Buffer.from(legacy), legacy: true });
+        console.log('✅ Legacy key imported as "legacy"');
+        break;
+      }
+
+      case 'activate':
+        if (!keyId) throw new Error('Usage: activate <keyId>');
+        setActiveKey(filePath, keyId);
+        console.log(`✅ Active key: ${keyId}`);
+        break;
+
+      case 'list': {
+        const provider = createKeystoreKeyProvider({ path: filePath, password });
+        console.log('🔑 Keys:');
+        provider.listKeyIds().forEach(id => {
+          const marker = id === provider.getActiveKeyId() ? ' (active)' : '';
+          console.log(`   ${id}${marker}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error('Unknown command. Use: init | add | import-legacy | activate | list');
+    }
+
+  } catch (error) {
+    console.error('❌ Keystore command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+manageKeystore();
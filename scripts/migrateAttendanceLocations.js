@@ -0,0 +1,66 @@
+// scripts/migrateAttendanceLocations.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+
+/**
+ * Store the location of existing attendance records as a GeoJSON point
+ *
+ * Usage:
+ *   node scripts/migrateAttendanceLocations.js [--dry-run]
+ *
+ * New records get `locationPoint` on save; records written before it
+ * existed are invisible to the nearby-site queries until this has run.
+ * The points are computed in the database from `location`, in one update.
+ * The script is resumable: it only selects records without a point.
+ */
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+async function migrateAttendanceLocations() {
+  try {
+    const { dryRun } = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    if (dryRun) {
+      console.log('🔍 Dry run: nothing will be written');
+    }
+
+    const filter = {
+      'locationPoint.coordinates': { $exists: false },
+      'location.latitude': { $type: 'number' },
+      'location.longitude': { $type: 'number' },
+    };
+
+    const pending = await Attendance.countDocuments(filter);
+    console.log(`📊 Found ${pending} attendance records without a GeoJSON point`);
+
+    let migrated = 0;
+    if (!dryRun && pending > 0) {
+      const result = await Attendance.updateMany(filter, [{
+        $set: {
+          locationPoint: {
+            type: 'Point',
+            coordinates: ['$location.longitude', '$location.latitude'],
+          },
+        },
+      }]);
+      migrated = result.modifiedCount;
+    }
+
+    console.log('\n📈 Migration Summary:');
+    console.log(`   ✅ Points stored: ${migrated}`);
+
+    await mongoose.disconnect();
+
+  } catch (error) {
+    console.error('❌ Attendance location migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateAttendanceLocations();
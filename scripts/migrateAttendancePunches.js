@@ -0,0 +1,114 @@
+// scripts/migrateAttendancePunches.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+
+/**
+ * Turn single-mark attendance records into punch-based daily summaries
+ *
+ * Usage:
+ *   node scripts/migrateAttendancePunches.js [--dry-run]
+ *
+ * Records written before punches existed hold one mark per day. Each one
+ * that is not ABSENT and was marked on the attendance day itself gets that
+ * mark as its IN punch (time, location and verification of the mark), so
+ * first-in is known. Records marked on another day are kept as summaries
+ * without punches: the mark time says nothing about the arrival time.
+ *
+ * No OUT punch is invented, so migrated days report 0 worked minutes.
+ * The script is resumable: it only selects records without punches.
+ */
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+/**
+ * Whether a record was marked on its attendance day (server-local time)
+ */
+function markedOnTheDay(record) {
+  const day = new Date(record.date);
+  day.setHours(0, 0, 0, 0);
+  const nextDay = new Date(day);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  return record.createdAt >= day && record.createdAt < nextDay;
+}
+
+async function migrateAttendancePunches() {
+  try {
+    const { dryRun } = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    if (dryRun) {
+      console.log('🔍 Dry run: nothing will be written');
+    }
+
+    const filter = {
+      status: { $ne: 'ABSENT' },
+      'punches.0': { $exists: false },
+    };
+
+    const pending = await Attendance.countDocuments(filter);
+    console.log(`📊 Found ${pending} attendance records without punches`);
+
+    const stats = { migrated: 0, summaryOnly: 0, failed: 0 };
+
+    const cursor = Attendance.find(filter).cursor();
+
+    for await (const record of cursor) {
+      try {
+        if (!markedOnTheDay(record)) {
+          stats.summaryOnly++;
+          continue;
+        }
+
+        const { verification } = record;
+        record.addPunch({
+          type: 'IN',
+          time: record.createdAt,
+          location: record.location,
+          method: verification.method,
+          fingerprint: record.fingerprint,
+          verification: {
+            decision: verification.decision,
+            score: verification.score,
+            fingerIndex: verification.fingerIndex,
+            fingerName: verification.fingerName,
+            device: verification.device,
+            registeredDevice: verification.registeredDevice,
+          },
+          recordedBy: record.markedBy,
+        });
+
+        if (!dryRun) {
+          await record.save();
+        }
+        stats.migrated++;
+
+      } catch (error) {
+        console.error(`❌ Failed to migrate attendance ${record._id}:`, error.message);
+        stats.failed++;
+      }
+    }
+
+    console.log('\n📈 Migration Summary:');
+    console.log(`   ✅ Marks turned into IN punches: ${stats.migrated}`);
+    console.log(`   ⏭️  Marked on another day (summary only): ${stats.summaryOnly}`);
+    console.log(`   ❌ Failed: ${stats.failed}`);
+
+    await mongoose.disconnect();
+
+    if (stats.failed > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Attendance punch migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateAttendancePunches();
@@ -2,65 +2,263 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
 const Fingerprint = require('../models/fingerprint');
+const DuplicateReview = require('../models/DuplicateReview');
+const fingerprintKeys = require('../config/fingerprintKeys');
+const { getTemplateInfo } = require('../utils/fingerprint');
+const { parseMinutiae } = require('../utils/fingerprintMatcher');
+const { toCanonical } = require('../utils/templateConverter');
+const { findDuplicateEnrollments, summarizeDuplicates } = require('../utils/duplicateDetection');
+const { recordAuditEvent } = require('../utils/auditLog');
+
+/**
+ * Move legacy plaintext fingerprint templates into encrypted storage
+ *
+ * Usage:
+ *   node scripts/migrateFingerprintsToEncrypted.js [--dry-run]
+ *
+ * Employee.fingerprintTemplate and Attendance.fingerprintTemplate are no
+ * longer part of the schemas; this script migrates what older versions
+ * stored there:
+ * 1. Employees: the template is encrypted into a Fingerprint document
+ *    (ACTIVE if the employee has no active template yet, otherwise kept
+ *    REVOKED as superseded so the retention job purges it). Templates
+ *    that are not valid minutiae records are kept REVOKED, and those that
+ *    match another employee wait as PENDING_REVIEW for a superadmin
+ * 2. Attendance: the record is linked to the Fingerprint holding the same
+ *    template, with verification method LEGACY
+ * 3. The plaintext field is removed from both collections
+ *
+ * Templates of deleted or erased employees are dropped, not migrated.
+ * The script is resumable: it only selects documents that still hold a
+ * plaintext template, so an interrupted run can simply be started again.
+ */
+
+const MIGRATION_ACTOR = 'migration_script';
+
+const auditCtx = {
+  actor: MIGRATION_ACTOR,
+  actorRole: 'system',
+  reason: 'Plaintext template migration',
+};
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+/**
+ * Find the Fingerprint holding a template, storing it encrypted if none does
+ *
+ * @param {Object} employee - Employee document (lean)
+ * @param {string} template - Legacy template (Base64)
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { fingerprint, created }
+ */
+async function findOrStoreTemplate(employee, template, { dryRun }) {
+  let recordInfo = null;
+  try {
+    recordInfo = getTemplateInfo(template);
+  } catch (error) {
+    console.warn(`⚠️  Template of ${employee.employeeId} is not a valid minutiae record: ${error.message}`);
+  }
+
+  // Older versions only stored right index ISO templates
+  const fingerprint = new Fingerprint({
+    employee: employee._id,
+    employeeId: employee.employeeId,
+    fingerIndex: recordInfo && recordInfo.fingerIndex !== null ? recordInfo.fingerIndex : 1,
+    fingerName: recordInfo && recordInfo.fingerIndex !== null ? recordInfo.fingerName : 'RIGHT_INDEX',
+    format: recordInfo ? recordInfo.format : 'ISO_19794_2',
+    quality: recordInfo ? recordInfo.quality : undefined,
+    enrolledBy: MIGRATION_ACTOR,
+  });
+  fingerprint.setTemplate(template);
+
+  const existing = await Fingerprint.findOne({
+    employeeId: employee.employeeId,
+    templateHash: fingerprint.templateHash,
+  });
+
+  if (existing) {
+    return { fingerprint: existing, created: false };
+  }
+
+  // Only one template can be the employee's current one
+  const hasActive = await Fingerprint.exists({ employeeId: employee.employeeId, status: 'ACTIVE' });
+  let duplicates = [];
+
+  if (hasActive) {
+    fingerprint.revoke(MIGRATION_ACTOR, 'Legacy template superseded by a newer enrollment');
+  } else if (!recordInfo) {
+    fingerprint.revoke(MIGRATION_ACTOR, 'Legacy template is not a valid minutiae record');
+  } else {
+    // Same finger enrolled for another employee: a superadmin decides
+    duplicates = await findDuplicateEnrollments(
+      parseMinutiae(toCanonical(fingerprint.getTemplate())).minutiae,
+      employee.employeeId
+    );
+    if (duplicates.length > 0) fingerprint.status = 'PENDING_REVIEW';
+  }
+
+  if (!dryRun) {
+    await fingerprint.setAuditContext(auditCtx).save();
+
+    if (duplicates.length > 0) {
+      const review = await DuplicateReview.flag(fingerprint, duplicates, MIGRATION_ACTOR);
+
+      await recordAuditEvent({
+        ...auditCtx,
+        action: 'FINGERPRINT_DUPLICATE_FLAGGED',
+        targetType: 'DuplicateReview',
+        targetId: review._id,
+        employeeId: employee.employeeId,
+        metadata: { fingerprintId: String(fingerprint._id), duplicates: summarizeDuplicates(duplicates) },
+      });
+    }
+  }
+
+  return { fingerprint, created: true };
+}
 
 async function migrateFingerprints() {
   try {
+    const { dryRun } = parseArgs(process.argv.slice(2));
+
+    fingerprintKeys.assertConfigured();
+
     // Connect to database
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('✅ Connected to MongoDB');
 
-    // Get all employees
-    const employees = await Employee.find({});
-    console.log(`📊 Found ${employees.length} employees`);
+    if (dryRun) {
+      console.log('🔍 Dry run: nothing will be written');
+    }
 
-    let migrated = 0;
-    let skipped = 0;
-    let failed = 0;
+    const legacyFilter = { fingerprintTemplate: { $exists: true } };
+    const unsetTemplate = { $unset: { fingerprintTemplate: '' } };
+
+    // Employees are cached: attendance records look them up by employeeId
+    const employeesById = new Map();
+    const getEmployee = async (employeeId) => {
+      if (!employeesById.has(employeeId)) {
+        employeesById.set(employeeId, await Employee.findOne({ employeeId }).lean());
+      }
+      return employeesById.get(employeeId);
+    };
+
+    // ============================================
+    // 1. EMPLOYEES
+    // ============================================
+
+    const employeeStats = { migrated: 0, linked: 0, dropped: 0, failed: 0 };
+
+    // Raw collection access: the field is no longer in the schema
+    const employees = await Employee.collection
+      .find(legacyFilter)
+      .project({ employeeId: 1, fingerprintTemplate: 1, biometricsErasedAt: 1 })
+      .toArray();
+    console.log(`📊 Found ${employees.length} employees with a plaintext template`);
 
     for (const employee of employees) {
       try {
-        // Check if fingerprint already exists
-        const existing = await Fingerprint.findOne({
-          employeeId: employee.employeeId,
-          status: 'ACTIVE',
-        });
-
-        if (existing) {
-          console.log(`⏭️  Skipping ${employee.employeeId} - already has encrypted fingerprint`);
-          skipped++;
-          continue;
+        if (employee.biometricsErasedAt || !employee.fingerprintTemplate) {
+          console.log(`🗑️  Dropping template of ${employee.employeeId} (biometrics erased)`);
+          employeeStats.dropped++;
+        } else {
+          const { fingerprint, created } = await findOrStoreTemplate(employee, employee.fingerprintTemplate, { dryRun });
+
+          if (created) {
+            console.log(`✅ Migrated ${employee.employeeId} (${fingerprint.status})`);
+            employeeStats.migrated++;
+          } else {
+            console.log(`⏭️  ${employee.employeeId} - template already encrypted (${fingerprint._id})`);
+            employeeStats.linked++;
+          }
+        }
+
+        if (!dryRun) {
+          await Employee.collection.updateOne({ _id: employee._id }, unsetTemplate);
         }
 
-        // Create new encrypted fingerprint
-        const fingerprint = new Fingerprint({
-          employee: employee._id,
-          employeeId: employee.employeeId,
-          fingerIndex: 1,
-          fingerName: 'RIGHT_INDEX',
-          format: 'ISO_19794_2',
-          enrolledBy: 'migration_script',
-        });
+      } catch (error) {
+        console.error(`❌ Failed to migrate ${employee.employeeId}:`, error.message);
+        employeeStats.failed++;
+      }
+    }
+
+    // ============================================
+    // 2. ATTENDANCE RECORDS
+    // ============================================
+
+    const attendanceStats = { linked: 0, dropped: 0, failed: 0 };
 
-        fingerprint.setTemplate(employee.fingerprintTemplate);
-        await fingerprint.save();
+    // Many records share a template: resolve each one once
+    const fingerprintsByTemplate = new Map();
 
-        console.log(`✅ Migrated ${employee.employeeId}`);
-        migrated++;
+    const cursor = Attendance.collection
+      .find(legacyFilter)
+      .project({ employeeId: 1, fingerprintTemplate: 1 });
+
+    for await (const record of cursor) {
+      try {
+        const employee = await getEmployee(record.employeeId);
+        const update = { ...unsetTemplate };
+
+        if (!employee || employee.biometricsErasedAt || !record.fingerprintTemplate) {
+          // Biometric data must not outlive the employee or an erasure
+          attendanceStats.dropped++;
+        } else {
+          const cacheKey = `${record.employeeId}:${record.fingerprintTemplate}`;
+          let fingerprintId = fingerprintsByTemplate.get(cacheKey);
+
+          if (!fingerprintId) {
+            const { fingerprint, created } = await findOrStoreTemplate(employee, record.fingerprintTemplate, { dryRun });
+            if (created) {
+              console.log(`✅ Stored historical template of ${record.employeeId} (${fingerprint.status})`);
+            }
+            fingerprintId = fingerprint._id;
+            fingerprintsByTemplate.set(cacheKey, fingerprintId);
+          }
+
+          update.$set = {
+            fingerprint: fingerprintId,
+            verification: { method: 'LEGACY', decision: 'NOT_VERIFIED' },
+          };
+          attendanceStats.linked++;
+        }
+
+        if (!dryRun) {
+          await Attendance.collection.updateOne({ _id: record._id }, update);
+        }
 
       } catch (error) {
-        console.error(`❌ Failed to migrate ${employee.employeeId}:`, error.message);
-        failed++;
+        console.error(`❌ Failed to migrate attendance ${record._id}:`, error.message);
+        attendanceStats.failed++;
       }
     }
 
     console.log('\n📈 Migration Summary:');
-    console.log(`   ✅ Migrated: ${migrated}`);
-    console.log(`   ⏭️  Skipped: ${skipped}`);
-    console.log(`   ❌ Failed: ${failed}`);
+    console.log('   Employees:');
+    console.log(`   ✅ Migrated: ${employeeStats.migrated}`);
+    console.log(`   ⏭️  Already encrypted: ${employeeStats.linked}`);
+    console.log(`   🗑️  Dropped: ${employeeStats.dropped}`);
+    console.log(`   ❌ Failed: ${employeeStats.failed}`);
+    console.log('   Attendance records:');
+    console.log(`   🔗 Linked: ${attendanceStats.linked}`);
+    console.log(`   🗑️  Dropped: ${attendanceStats.dropped}`);
+    console.log(`   ❌ Failed: ${attendanceStats.failed}`);
+
+    if (employeeStats.failed + attendanceStats.failed > 0) {
+      console.log('\n⚠️  Failed documents still hold their plaintext template; fix and re-run.');
+    }
 
     await mongoose.disconnect();
 
+    if (employeeStats.failed + attendanceStats.failed > 0) {
+      process.exit(1);
+    }
+
   } catch (error) {
     console.error('❌ Migration failed:', error);
     process.exit(1);
@@ -68,4 +266,4 @@ async function migrateFingerprints() {
 }
 
 // Run migration
-migrateFingerprints();
\ No newline at end of file
+migrateFingerprints();
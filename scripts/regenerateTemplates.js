@@ -0,0 +1,108 @@
+// scripts/regenerateTemplates.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Fingerprint = require('../models/fingerprint');
+const fingerprintKeys = require('../config/fingerprintKeys');
+const { EXTRACTOR_VERSION } = require('../utils/minutiaeExtractor');
+
+/**
+ * Re-extract minutiae templates from stored finger images
+ *
+ * Usage:
+ *   node scripts/regenerateTemplates.js [--batch <size>]
+ *
+ * Run after bumping EXTRACTOR_VERSION (utils/minutiaeExtractor.js). Selects
+ * ACTIVE and PENDING_REVIEW records whose template came from an older
+ * extractor, plus records enrolled as raw ISO 19794-4 templates before
+ * images were decoded (their image is moved to encryptedImage).
+ *
+ * Resumable: regenerated records carry the current version and are not
+ * selected again. Records whose image yields too few minutiae keep their
+ * old template and are reported as failed.
+ */
+
+const auditCtx = {
+  actor: 'regeneration_script',
+  actorRole: 'system',
+  reason: `Template regenerated with minutiae extractor ${EXTRACTOR_VERSION}`,
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--batch') args.batch = parseInt(argv[++i]);
+  }
+  return args;
+}
+
+async function regenerateTemplates() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const batchSize = args.batch || 50;
+
+    fingerprintKeys.assertConfigured();
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log(`🔬 Minutiae extractor version: ${EXTRACTOR_VERSION}`);
+
+    const pendingFilter = {
+      status: { $in: ['ACTIVE', 'PENDING_REVIEW'] },
+      $or: [
+        { encryptedImage: { $exists: true }, extractorVersion: { $ne: EXTRACTOR_VERSION } },
+        { format: 'ISO_19794_4' },
+      ],
+    };
+
+    const pending = await Fingerprint.countDocuments(pendingFilter);
+    console.log(`📊 Templates to regenerate: ${pending}`);
+
+    let regenerated = 0;
+    let failed = 0;
+    let lastId = null;
+
+    // Walk by _id so failed records are skipped instead of retried forever
+    while (true) {
+      const filter = lastId ? { ...pendingFilter, _id: { $gt: lastId } } : pendingFilter;
+      const batch = await Fingerprint.find(filter).sort({ _id: 1 }).limit(batchSize);
+
+      if (batch.length === 0) break;
+
+      for (const fingerprint of batch) {
+        lastId = fingerprint._id;
+
+        try {
+          const result = fingerprint.regenerateTemplate();
+          await fingerprint.setAuditContext(auditCtx).save();
+          regenerated++;
+
+          console.log(`   🔄 ${fingerprint._id} (${fingerprint.employeeId}): ${result.minutiaeCount} minutiae`);
+        } catch (error) {
+          console.error(`❌ Failed to regenerate ${fingerprint._id} (${fingerprint.employeeId}):`, error.message);
+          failed++;
+        }
+      }
+
+      console.log(`   ... ${regenerated} regenerated so far`);
+    }
+
+    const remaining = await Fingerprint.countDocuments(pendingFilter);
+
+    console.log('\n📈 Regeneration Summary:');
+    console.log(`   ✅ Regenerated: ${regenerated}`);
+    console.log(`   ❌ Failed: ${failed}`);
+    console.log(`   ⏳ Remaining on older extractors: ${remaining}`);
+
+    await mongoose.disconnect();
+
+    if (remaining > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Template regeneration failed:', error);
+    process.exit(1);
+  }
+}
+
+regenerateTemplates();
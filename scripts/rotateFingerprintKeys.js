@@ -0,0 +1,110 @@
+// scripts/rotateFingerprintKeys.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Fingerprint = require('../models/fingerprint');
+const fingerprintKeys = require('../config/fingerprintKeys');
+
+/**
+ * Re-wrap every fingerprint data key under a new master key
+ *
+ * Usage:
+ *   node scripts/rotateFingerprintKeys.js [--to <keyId>] [--batch <size>]
+ *
+ * 1. Add the new key to the key provider (keep the old ones):
+ *    FINGERPRINT_MASTER_KEYS, or scripts/manageKeystore.js add
+ * 2. Make it the active key and restart the server
+ * 3. Run this script (default target: the active key)
+ * 4. Once it reports 0 remaining, the old key can be removed
+ *
+ * The script is resumable: it only selects records whose keyId differs
+ * from the target, so an interrupted run can simply be started again.
+ * Legacy records (encrypted before envelope encryption) are re-encrypted
+ * under a fresh data key.
+ */
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to') args.to = argv[++i];
+    if (argv[i] === '--batch') args.batch = parseInt(argv[++i]);
+  }
+  return args;
+}
+
+async function rotateKeys() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    fingerprintKeys.assertConfigured();
+    const targetKeyId = args.to || fingerprintKeys.getActiveKeyId();
+    const batchSize = args.batch || 100;
+
+    // Fail fast if the target key is not configured
+    if (!fingerprintKeys.hasKey(targetKeyId)) {
+      throw new Error(`Target key "${targetKeyId}" is not available from the ${fingerprintKeys.getProvider().name} key provider`);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log(`🔑 Target master key: ${targetKeyId}`);
+
+    // Erased records hold no key or template to rotate
+    const pendingFilter = {
+      status: { $ne: 'ERASED' },
+      $or: [
+        { keyId: { $ne: targetKeyId } },
+        { wrappedDataKey: { $exists: false } },
+      ],
+    };
+
+    const pending = await Fingerprint.countDocuments(pendingFilter);
+    console.log(`📊 Records to rotate: ${pending}`);
+
+    let rotated = 0;
+    let failed = 0;
+    let lastId = null;
+
+    // Walk by _id so failed records are skipped instead of retried forever
+    while (true) {
+      const filter = lastId ? { ...pendingFilter, _id: { $gt: lastId } } : pendingFilter;
+      const batch = await Fingerprint.find(filter).sort({ _id: 1 }).limit(batchSize);
+
+      if (batch.length === 0) break;
+
+      for (const fingerprint of batch) {
+        lastId = fingerprint._id;
+
+        try {
+          if (fingerprint.rewrapDataKey(targetKeyId)) {
+            await fingerprint.save();
+            rotated++;
+          }
+        } catch (error) {
+          console.error(`❌ Failed to rotate ${fingerprint._id} (${fingerprint.employeeId}):`, error.message);
+          failed++;
+        }
+      }
+
+      console.log(`   ... ${rotated} rotated so far`);
+    }
+
+    const remaining = await Fingerprint.countDocuments(pendingFilter);
+
+    console.log('\n📈 Rotation Summary:');
+    console.log(`   ✅ Rotated: ${rotated}`);
+    console.log(`   ❌ Failed: ${failed}`);
+    console.log(`   ⏳ Remaining under other keys: ${remaining}`);
+
+    await mongoose.disconnect();
+
+    if (remaining > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error);
+    process.exit(1);
+  }
+}
+
+rotateKeys();
@@ -0,0 +1,32 @@
+// scripts/runBiometricRetention.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runRetention } = require('../jobs/biometricRetention');
+
+/**
+ * Run one biometric retention pass (for cron / manual use)
+ *
+ * Usage: node scripts/runBiometricRetention.js
+ */
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await runRetention();
+
+    console.log('\n📈 Retention Summary:');
+    console.log(`   ⌛ Expired (age): ${summary.expiredByAge}`);
+    console.log(`   👤 Expired (employee removed): ${summary.expiredEmployeeRemoved}`);
+    console.log(`   🚫 Expired (consent withdrawn): ${summary.expiredConsentWithdrawn}`);
+    console.log(`   🗑️  Purged: ${summary.purged}`);
+
+    await mongoose.disconnect();
+
+  } catch (error) {
+    console.error('❌ Retention run failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,39 @@
+// scripts/runTemplateExpiry.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runTemplateExpiry } = require('../jobs/templateExpiry');
+
+/**
+ * Run one template expiry pass (for cron / manual use)
+ *
+ * Usage: node scripts/runTemplateExpiry.js
+ */
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await runTemplateExpiry();
+
+    console.log('\n📈 Template Expiry Summary:');
+    console.log(`   ⌛ Expired (lifetime): ${summary.expiredByLifetime}`);
+    console.log(`   📉 Expired (quality decay): ${summary.expiredByDecay}`);
+    console.log(`   🔔 Re-enrollment notices: ${summary.noticed}`);
+    console.log(`   🚫 Worklist entries cancelled: ${summary.cancelled}`);
+
+    console.log('\n📋 Employees to re-enroll:');
+    const departments = Object.entries(summary.worklist);
+    if (departments.length === 0) console.log('   (none)');
+    departments.forEach(([department, employees]) => {
+      console.log(`   ${department}: ${employees}`);
+    });
+
+    await mongoose.disconnect();
+
+  } catch (error) {
+    console.error('❌ Template expiry run failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
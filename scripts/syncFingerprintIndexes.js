@@ -0,0 +1,47 @@
+// scripts/syncFingerprintIndexes.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Fingerprint = require('../models/fingerprint');
+const EnrollmentSession = require('../models/EnrollmentSession');
+
+/**
+ * Bring the fingerprints and enrollment sessions indexes in line with the
+ * schemas
+ *
+ * Needed once after upgrading to ACTIVE-only template uniqueness: the old
+ * global unique index on templateHash (templateHash_1) rejects
+ * re-enrollment of a revoked template until it is dropped. Also replaces
+ * the old session TTL index (expiresAt_1), which deleted finalized and
+ * cancelled sessions too, with the OPEN-only one.
+ *
+ * Usage: node scripts/syncFingerprintIndexes.js
+ */
+async function syncIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    for (const Model of [Fingerprint, EnrollmentSession]) {
+      const dropped = await Model.syncIndexes();
+      console.log(`\n📂 ${Model.collection.collectionName}`);
+
+      if (dropped.length > 0) {
+        console.log(`🗑️  Dropped indexes: ${dropped.join(', ')}`);
+      } else {
+        console.log('✅ No obsolete indexes found');
+      }
+
+      const indexes = await Model.listIndexes();
+      console.log('📇 Current indexes:');
+      indexes.forEach(index => console.log(`   - ${index.name}`));
+    }
+
+    await mongoose.disconnect();
+
+  } catch (error) {
+    console.error('❌ Index sync failed:', error);
+    process.exit(1);
+  }
+}
+
+syncIndexes();
@@ -0,0 +1,43 @@
+// scripts/verifyAuditChain.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { verifyAuditChain } = require('../utils/auditLog');
+
+/**
+ * Verify the biometric audit log hash chain
+ *
+ * Recomputes every event hash in sequence order and checks the links.
+ * Exits with code 1 if the chain is broken (event modified, removed,
+ * inserted or reordered).
+ *
+ * Usage: node scripts/verifyAuditChain.js
+ */
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await verifyAuditChain({
+      onProgress: checked => console.log(`   ... ${checked} events checked`),
+    });
+
+    await mongoose.disconnect();
+
+    if (!result.valid) {
+      console.error(`\n❌ Audit chain BROKEN at event #${result.brokenAt} (${result.eventId})`);
+      console.error(`   Reason: ${result.reason}`);
+      console.error(`   Events verified before the break: ${result.checked}`);
+      process.exit(1);
+    }
+
+    console.log('\n✅ Audit chain intact');
+    console.log(`   📜 Events: ${result.checked}`);
+    console.log(`   🔗 Head hash: ${result.headHash}`);
+
+  } catch (error) {
+    console.error('❌ Audit chain verification failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,40 @@
+// scripts/verifyDataExport.js
+const fs = require('fs');
+const { verifySignedExport } = require('../utils/dataExport');
+
+/**
+ * Verify the signature of an employee data export
+ *
+ * Usage: node scripts/verifyDataExport.js <export.json> <public-key.pem>
+ *
+ * Exits with code 1 if the signature does not match.
+ */
+function verify() {
+  const [exportPath, publicKeyPath] = process.argv.slice(2);
+
+  if (!exportPath || !publicKeyPath) {
+    console.error('Usage: node scripts/verifyDataExport.js <export.json> <public-key.pem>');
+    process.exit(1);
+  }
+
+  try {
+    const archive = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+    const valid = verifySignedExport(archive, fs.readFileSync(publicKeyPath));
+
+    if (!valid) {
+      console.error('❌ Signature INVALID: the export was modified or signed with another key');
+      process.exit(1);
+    }
+
+    console.log('✅ Signature valid');
+    console.log(`   👤 Employee: ${archive.payload.employeeId}`);
+    console.log(`   🕒 Generated: ${archive.payload.generatedAt} by ${archive.payload.generatedBy}`);
+    console.log(`   🔑 Key: ${archive.signature.keyId} (${archive.signature.algorithm})`);
+
+  } catch (error) {
+    console.error('❌ Verification failed:', error.message);
+    process.exit(1);
+  }
+}
+
+verify();
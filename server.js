@@ -4,17 +4,30 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const fingerprintKeys = require('./config/fingerprintKeys');
+const { assertTrustStoreLoaded } = require('./utils/deviceAttestation');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const superadminRoutes = require('./routes/superadminRoutes');
 const fingerprintRoutes = require('./routes/fingerprintRoutes'); // ✅ NEW
+const consentRoutes = require('./routes/consentRoutes');
+const enrollmentSessionRoutes = require('./routes/enrollmentSessionRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const geofenceRoutes = require('./routes/geofenceRoutes');
+const siteRoutes = require('./routes/siteRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
 
 // ✅ Startup seeding
 const { ensureInitialUsers } = require('./controllers/setupController');
 const setupRoutes = require('./routes/setupRoutes');
 
+// ✅ Scheduled jobs
+const { scheduleRetention } = require('./jobs/biometricRetention');
+const { scheduleTemplateExpiry } = require('./jobs/templateExpiry');
+
 const app = express();
 
 // Middleware
@@ -45,6 +58,13 @@ app.get('/', (req, res) => {
       admin: '/api/admin',
       superadmin: '/api/superadmin',
       fingerprints: '/api/fingerprints', // ✅ NEW
+      consents: '/api/consents',
+      enrollmentSessions: '/api/enrollment-sessions',
+      devices: '/api/devices',
+      geofences: '/api/geofences',
+      sites: '/api/sites',
+      shifts: '/api/shifts',
+      calendars: '/api/calendars',
       setup: '/api/setup',
     },
   });
@@ -55,6 +75,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/superadmin', superadminRoutes);
 app.use('/api/fingerprints', fingerprintRoutes); // ✅ NEW
+app.use('/api/consents', consentRoutes);
+app.use('/api/enrollment-sessions', enrollmentSessionRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/geofences', geofenceRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/calendars', calendarRoutes);
 
 // Optional manual seed route (protected by SETUP_KEY if provided)
 app.use('/api/setup', setupRoutes);
@@ -79,12 +106,24 @@ app.use((err, req, res, next) => {
 });
 
 async function start() {
+  // ✅ Refuse to start without a fingerprint master key
+  fingerprintKeys.assertConfigured();
+
+  // ✅ Refuse to start with an unreadable device trust store
+  assertTrustStoreLoaded();
+
   // ✅ Connect DB once
   await connectDB();
 
   // ✅ Auto-create superadmin/admin from .env
   await ensureInitialUsers();
 
+  // ✅ Expire/purge biometric templates per retention policy
+  scheduleRetention();
+
+  // ✅ Expire aged/decayed templates and build the re-enrollment worklist
+  scheduleTemplateExpiry();
+
   const PORT = process.env.PORT || 5000;
   app.listen(PORT, () => {
     console.log('');
@@ -0,0 +1,178 @@
+// test/attendance.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const Attendance = require('../models/Attendance');
+const Shift = require('../models/Shift');
+
+const { summarizePunches } = Attendance;
+
+/**
+ * Server-local time on 1 (or, past 24:00, 2) March 2026
+ */
+function at(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return new Date(2026, 2, 1, hours, minutes);
+}
+
+/**
+ * Punches from "IN 09:00"-style strings
+ */
+function punches(...entries) {
+  return entries.map(entry => {
+    const [type, time] = entry.split(' ');
+    return { type, time: at(time) };
+  });
+}
+
+test('a single work period is first in to last out', () => {
+  const summary = summarizePunches(punches('IN 09:00', 'OUT 17:30'));
+
+  assert.deepStrictEqual(summary, {
+    firstIn: at('09:00'),
+    lastOut: at('17:30'),
+    workedMinutes: 510,
+    breakMinutes: 0,
+    openPunchAt: null,
+  });
+});
+
+test('the time between an OUT and the next IN is a break', () => {
+  const summary = summarizePunches(punches('IN 09:00', 'OUT 13:00', 'IN 13:45', 'OUT 18:00'));
+
+  assert.strictEqual(summary.workedMinutes, 495);
+  assert.strictEqual(summary.breakMinutes, 45);
+  assert.deepStrictEqual(summary.lastOut, at('18:00'));
+});
+
+test('punches are summarized in time order whatever order they arrive in', () => {
+  const summary = summarizePunches(punches('OUT 18:00', 'IN 13:45', 'OUT 13:00', 'IN 09:00'));
+
+  assert.deepStrictEqual(summary.firstIn, at('09:00'));
+  assert.strictEqual(summary.workedMinutes, 495);
+  assert.strictEqual(summary.breakMinutes, 45);
+});
+
+test('repeated punches are folded without creating a break', () => {
+  // Second IN and first OUT are duplicates of a forgotten punch
+  const summary = summarizePunches(punches('IN 09:00', 'IN 09:05', 'OUT 12:00', 'OUT 17:00'));
+
+  assert.deepStrictEqual(summary.firstIn, at('09:00'));
+  assert.deepStrictEqual(summary.lastOut, at('17:00'));
+  assert.strictEqual(summary.workedMinutes, 480);
+  assert.strictEqual(summary.breakMinutes, 0);
+});
+
+test('an OUT before any IN is ignored', () => {
+  const summary = summarizePunches(punches('OUT 08:00', 'IN 09:00', 'OUT 17:00'));
+
+  assert.deepStrictEqual(summary.firstIn, at('09:00'));
+  assert.strictEqual(summary.workedMinutes, 480);
+});
+
+test('an open IN is reported and not counted as worked time', () => {
+  const summary = summarizePunches(punches('IN 09:00', 'OUT 13:00', 'IN 14:00'));
+
+  assert.deepStrictEqual(summary.openPunchAt, at('14:00'));
+  assert.deepStrictEqual(summary.lastOut, at('13:00'));
+  assert.strictEqual(summary.workedMinutes, 240);
+  assert.strictEqual(summary.breakMinutes, 60);
+});
+
+test('a night shift closes on the next calendar day', () => {
+  const summary = summarizePunches(punches('IN 22:00', 'OUT 26:00', 'IN 26:30', 'OUT 30:15'));
+
+  assert.deepStrictEqual(summary.firstIn, at('22:00'));
+  assert.deepStrictEqual(summary.lastOut, new Date(2026, 2, 2, 6, 15));
+  assert.strictEqual(summary.workedMinutes, 465);
+  assert.strictEqual(summary.breakMinutes, 30);
+  assert.strictEqual(summary.openPunchAt, null);
+});
+
+test('a day without punches has no summary times', () => {
+  assert.deepStrictEqual(summarizePunches([]), {
+    firstIn: undefined,
+    lastOut: undefined,
+    workedMinutes: 0,
+    breakMinutes: 0,
+    openPunchAt: null,
+  });
+});
+
+// ============================================
+// SHIFT CLASSIFICATION
+// ============================================
+
+const DAY = new Date(2026, 2, 1);
+
+/**
+ * Attendance.shift snapshot of a shift on 1 March 2026
+ */
+function snapshot(startTime, endTime, options = {}) {
+  const shift = new Shift({
+    name: `${startTime}-${endTime}`,
+    startTime,
+    endTime,
+    graceMinutes: 10,
+    halfDayLateMinutes: 120,
+    ...options,
+  });
+  const { start, end } = shift.windowOn(DAY);
+
+  return {
+    start,
+    end,
+    graceMinutes: shift.graceMinutes,
+    halfDayLateMinutes: shift.halfDayLateMinutes,
+    minFullDayMinutes: shift.minFullDayMinutes,
+  };
+}
+
+/**
+ * Classify a day's punches against a shift
+ */
+function classify(shift, ...entries) {
+  return Attendance.classifyAgainstShift(shift, summarizePunches(punches(...entries)));
+}
+
+test('arriving within the grace period is PRESENT', () => {
+  const shift = snapshot('09:00', '17:00');
+
+  assert.deepStrictEqual(classify(shift, 'IN 08:45'), { status: 'PRESENT', lateMinutes: 0 });
+  assert.deepStrictEqual(classify(shift, 'IN 09:10'), { status: 'PRESENT', lateMinutes: 10 });
+});
+
+test('arriving after the grace period is LATE, after the half-day threshold HALF_DAY', () => {
+  const shift = snapshot('09:00', '17:00');
+
+  assert.deepStrictEqual(classify(shift, 'IN 09:11'), { status: 'LATE', lateMinutes: 11 });
+  assert.deepStrictEqual(classify(shift, 'IN 11:00'), { status: 'LATE', lateMinutes: 120 });
+  assert.deepStrictEqual(classify(shift, 'IN 11:01'), { status: 'HALF_DAY', lateMinutes: 121 });
+});
+
+test('a closed day short of the minimum worked minutes is HALF_DAY', () => {
+  const shift = snapshot('09:00', '17:00', { minFullDayMinutes: 420 });
+
+  assert.strictEqual(classify(shift, 'IN 09:00', 'OUT 13:00').status, 'HALF_DAY');
+  assert.strictEqual(classify(shift, 'IN 09:00', 'OUT 16:00').status, 'PRESENT');
+
+  // Still at work: the day is not judged on worked minutes yet
+  assert.strictEqual(classify(shift, 'IN 09:00', 'OUT 13:00', 'IN 13:30').status, 'PRESENT');
+});
+
+test('a night shift ends on the next day and judges lateness from its own start', () => {
+  const shift = snapshot('22:00', '06:00', { minFullDayMinutes: 420 });
+
+  assert.deepStrictEqual(shift.start, at('22:00'));
+  assert.deepStrictEqual(shift.end, new Date(2026, 2, 2, 6, 0));
+
+  assert.deepStrictEqual(classify(shift, 'IN 21:55', 'OUT 30:00'), { status: 'PRESENT', lateMinutes: 0 });
+  assert.deepStrictEqual(classify(shift, 'IN 22:30', 'OUT 30:00'), { status: 'LATE', lateMinutes: 30 });
+  assert.deepStrictEqual(classify(shift, 'IN 24:30'), { status: 'HALF_DAY', lateMinutes: 150 });
+});
+
+test('a night shift closed after midnight counts the hours worked across it', () => {
+  const shift = snapshot('22:00', '06:00', { minFullDayMinutes: 420 });
+
+  assert.strictEqual(classify(shift, 'IN 22:00', 'OUT 27:00').status, 'HALF_DAY');
+  assert.strictEqual(classify(shift, 'IN 22:00', 'OUT 26:00', 'IN 26:30', 'OUT 30:00').status, 'PRESENT');
+});
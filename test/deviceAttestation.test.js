@@ -0,0 +1,201 @@
+// test/deviceAttestation.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const {
+  attestPidXml,
+  loadTrustStore,
+  assertTrustStoreLoaded,
+  signPidXml,
+} = require('../utils/deviceAttestation');
+
+/**
+ * Device attestation against locally generated certificates (openssl CLI,
+ * as scripts/generateDeviceTestCertificates.js)
+ */
+
+const EC_KEY = ['-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:P-256', '-nodes'];
+const RSA_KEY = ['-newkey', 'rsa:2048', '-nodes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+const file = name => path.join(dir, name);
+const read = name => fs.readFileSync(file(name), 'utf8');
+
+function openssl(args) {
+  execFileSync('openssl', args, { stdio: 'pipe' });
+}
+
+/**
+ * Device certificate issued by the test CA
+ */
+function issueDevice(name, keyArgs) {
+  openssl(['req', '-new', ...keyArgs,
+    '-keyout', file(`${name}.key`), '-out', file(`${name}.csr`),
+    '-subj', `/O=Mantra/CN=${name}`]);
+  openssl(['x509', '-req', '-days', '30',
+    '-in', file(`${name}.csr`), '-CA', file('trust-store/test-ca.pem'), '-CAkey', file('test-ca.key'),
+    '-set_serial', `0x${crypto.randomBytes(8).toString('hex')}`,
+    '-out', file(`${name}.pem`)]);
+}
+
+/**
+ * Device certificate issued by the test CA that expired in 2020
+ * (openssl x509 cannot backdate; openssl ca can)
+ */
+function issueExpiredDevice(name) {
+  fs.writeFileSync(file('ca.cnf'), [
+    '[ca]', 'default_ca = test',
+    '[test]', `database = ${file('index.txt')}`, `new_certs_dir = ${dir}`, `serial = ${file('serial.txt')}`,
+    'default_md = sha256', 'policy = any',
+    '[any]', 'commonName = supplied',
+  ].join('\n'));
+  fs.writeFileSync(file('index.txt'), '');
+  fs.writeFileSync(file('serial.txt'), `${crypto.randomBytes(8).toString('hex')}\n`);
+
+  openssl(['req', '-new', ...EC_KEY,
+    '-keyout', file(`${name}.key`), '-out', file(`${name}.csr`),
+    '-subj', `/O=Mantra/CN=${name}`]);
+  openssl(['ca', '-batch', '-notext', '-config', file('ca.cnf'),
+    '-cert', file('trust-store/test-ca.pem'), '-keyfile', file('test-ca.key'),
+    '-startdate', '20200101000000Z', '-enddate', '20200201000000Z',
+    '-in', file(`${name}.csr`), '-out', file(`${name}.pem`)]);
+}
+
+/**
+ * Self-signed device certificate
+ */
+function selfSigned(name, keyArgs) {
+  openssl(['req', '-x509', ...keyArgs, '-days', '30',
+    '-keyout', file(`${name}.key`), '-out', file(`${name}.pem`),
+    '-subj', `/O=Unknown/CN=${name}`]);
+}
+
+function buildPidXml(certificatePem) {
+  const certificate = new crypto.X509Certificate(certificatePem);
+
+  return '<PidData>\n'
+    + '  <Resp errCode="0" errInfo="Success" fCount="1" fType="0" nmPoints="32" qScore="78"/>\n'
+    + `  <DeviceInfo dpId="MANTRA.MSIPL" rdsId="RENESAS.MANTRA.001" rdsVer="1.0.8" mi="MFS110" mc="${certificate.raw.toString('base64')}" dc="test-device"/>\n`
+    + `  <Data type="X">${crypto.randomBytes(64).toString('base64')}</Data>\n`
+    + '</PidData>\n';
+}
+
+/**
+ * PID XML carrying a device's certificate, signed with a key
+ */
+function signedPid(device, signer = device) {
+  return signPidXml(buildPidXml(read(`${device}.pem`)), read(`${signer}.key`));
+}
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-attestation-'));
+  fs.mkdirSync(file('trust-store'));
+
+  // Test device-provider CA (ECDSA)
+  openssl(['req', '-x509', ...EC_KEY, '-days', '30',
+    '-keyout', file('test-ca.key'), '-out', file('trust-store/test-ca.pem'),
+    '-subj', '/O=Test Device Provider/CN=Test RD Device CA',
+    '-addext', 'basicConstraints=critical,CA:TRUE',
+    '-addext', 'keyUsage=critical,keyCertSign']);
+
+  issueDevice('ec-device', EC_KEY);
+  issueDevice('rsa-device', RSA_KEY);
+  issueExpiredDevice('expired-device');
+  selfSigned('rogue', EC_KEY);
+
+  // Self-signed RSA device pinned directly in the trust store
+  selfSigned('pinned', RSA_KEY);
+  fs.copyFileSync(file('pinned.pem'), file('trust-store/pinned.pem'));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the trust store loads every certificate of a directory', () => {
+  assert.strictEqual(loadTrustStore(file('trust-store')).length, 2);
+});
+
+test('an ECDSA device issued by a trusted CA attests', () => {
+  const result = attestPidXml(signedPid('ec-device'), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'ATTESTED');
+  assert.ok(result.attested);
+});
+
+test('an RSA device issued by a trusted ECDSA CA attests', () => {
+  const result = attestPidXml(signedPid('rsa-device'), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'ATTESTED');
+});
+
+test('a self-signed RSA device pinned in the trust store attests', () => {
+  const result = attestPidXml(signedPid('pinned'), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'ATTESTED');
+});
+
+test('a device nobody vouches for is untrusted', () => {
+  const result = attestPidXml(signedPid('rogue'), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'UNTRUSTED_CERTIFICATE');
+  assert.ok(!result.attested);
+});
+
+test('a changed PID no longer verifies', () => {
+  const tampered = signedPid('ec-device').replace('qScore="78"', 'qScore="99"');
+  const result = attestPidXml(tampered, { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'INVALID_SIGNATURE');
+});
+
+test('a PID signed with another key than its certificate\'s does not verify', () => {
+  const result = attestPidXml(signedPid('ec-device', 'rogue'), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'INVALID_SIGNATURE');
+});
+
+test('an expired device certificate does not attest', () => {
+  const result = attestPidXml(signedPid('expired-device'), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'CERTIFICATE_EXPIRED');
+});
+
+test('a device certificate used after its validity does not attest', () => {
+  const certificate = new crypto.X509Certificate(read('ec-device.pem'));
+  const afterExpiry = new Date(Date.parse(certificate.validTo) + DAY_MS);
+
+  const result = attestPidXml(signedPid('ec-device'), {
+    trustStore: loadTrustStore(file('trust-store')),
+    now: afterExpiry,
+  });
+
+  assert.strictEqual(result.status, 'CERTIFICATE_EXPIRED');
+});
+
+test('an unsigned PID does not attest', () => {
+  const result = attestPidXml(buildPidXml(read('ec-device.pem')), { trustStore: loadTrustStore(file('trust-store')) });
+
+  assert.strictEqual(result.status, 'UNSIGNED');
+});
+
+test('a wrong trust store path fails at startup', () => {
+  const configured = process.env.DEVICE_TRUST_STORE_PATH;
+
+  try {
+    process.env.DEVICE_TRUST_STORE_PATH = file('missing');
+    assert.throws(() => assertTrustStoreLoaded(), /Device trust store cannot be loaded/);
+
+    process.env.DEVICE_TRUST_STORE_PATH = file('trust-store');
+    assert.strictEqual(assertTrustStoreLoaded(), 2);
+  } finally {
+    if (configured === undefined) delete process.env.DEVICE_TRUST_STORE_PATH;
+    else process.env.DEVICE_TRUST_STORE_PATH = configured;
+  }
+});
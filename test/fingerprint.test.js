@@ -0,0 +1,154 @@
+// test/fingerprint.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTemplate, isValidTemplate, getTemplateInfo } = require('../utils/fingerprint');
+
+const TYPE_CODES = { OTHER: 0, RIDGE_ENDING: 1, BIFURCATION: 2 };
+
+/**
+ * Build a single-view minutiae record byte by byte
+ * Angles are given in the record's own units (ISO: 360/256°, ANSI: 2°).
+ *
+ * @param {Object} options - { format, longHeader, fingerPosition, quality, minutiae: [{ type, x, y, angle }] }
+ */
+function buildRecord({ format, longHeader = false, fingerPosition = 2, quality = 80, minutiae }) {
+  const headerLength = format === 'ISO_19794_2' ? 24 : (longHeader ? 30 : 26);
+  const buffer = Buffer.alloc(headerLength + 4 + minutiae.length * 6 + 2);
+
+  buffer.write('FMR\0', 0, 'latin1');
+  buffer.write(' 20\0', 4, 'latin1');
+
+  if (format === 'ISO_19794_2') {
+    buffer.writeUInt32BE(buffer.length, 8);
+  } else if (longHeader) {
+    buffer.writeUInt16BE(0, 8);
+    buffer.writeUInt32BE(buffer.length, 10);
+  } else {
+    buffer.writeUInt16BE(buffer.length, 8);
+  }
+
+  // ANSI CBEFF product identifier sits just before the fixed fields
+  let offset = headerLength - 12;
+  if (format === 'ANSI_378') {
+    buffer.writeUInt16BE(0x0031, offset - 4);
+    buffer.writeUInt16BE(0x0101, offset - 2);
+  }
+
+  buffer.writeUInt16BE(0x0123, offset);       // capture equipment
+  buffer.writeUInt16BE(300, offset + 2);      // width
+  buffer.writeUInt16BE(400, offset + 4);      // height
+  buffer.writeUInt16BE(197, offset + 6);      // x resolution
+  buffer.writeUInt16BE(197, offset + 8);      // y resolution
+  buffer.writeUInt8(1, offset + 10);          // finger views
+
+  offset = headerLength;
+  buffer.writeUInt8(fingerPosition, offset);
+  buffer.writeUInt8(0, offset + 1);
+  buffer.writeUInt8(quality, offset + 2);
+  buffer.writeUInt8(minutiae.length, offset + 3);
+  offset += 4;
+
+  for (const m of minutiae) {
+    buffer.writeUInt16BE((TYPE_CODES[m.type] << 14) | m.x, offset);
+    buffer.writeUInt16BE(m.y, offset + 2);
+    buffer.writeUInt8(m.angle, offset + 4);
+    buffer.writeUInt8(50, offset + 5);
+    offset += 6;
+  }
+
+  // Extended data length
+  buffer.writeUInt16BE(0, offset);
+  return buffer;
+}
+
+const MINUTIAE = [
+  { type: 'RIDGE_ENDING', x: 120, y: 80, angle: 64 },
+  { type: 'BIFURCATION', x: 45, y: 310, angle: 90 },
+];
+
+test('an ISO 19794-2 record is detected by its 4-byte length field', () => {
+  const record = parseTemplate(buildRecord({ format: 'ISO_19794_2', minutiae: MINUTIAE }));
+
+  assert.strictEqual(record.format, 'ISO_19794_2');
+  assert.strictEqual(record.version, '20');
+  assert.strictEqual(record.productId, null);
+  assert.strictEqual(record.captureEquipmentId, 0x0123);
+  assert.deepStrictEqual(record.imageSize, { width: 300, height: 400 });
+  assert.deepStrictEqual(record.resolution, { x: 197, y: 197 });
+});
+
+test('an ANSI 378 record is detected by its 2-byte length field', () => {
+  const record = parseTemplate(buildRecord({ format: 'ANSI_378', minutiae: MINUTIAE }));
+
+  assert.strictEqual(record.format, 'ANSI_378');
+  assert.deepStrictEqual(record.productId, { owner: 0x0031, type: 0x0101 });
+  assert.deepStrictEqual(record.imageSize, { width: 300, height: 400 });
+});
+
+test('an ANSI 378 record with the long length header is detected', () => {
+  const template = buildRecord({ format: 'ANSI_378', longHeader: true, minutiae: MINUTIAE });
+  const record = parseTemplate(template);
+
+  assert.strictEqual(record.format, 'ANSI_378');
+  assert.strictEqual(record.recordLength, template.length);
+  assert.strictEqual(record.views[0].minutiae.length, 2);
+});
+
+test('ISO angles are read in 360/256 degree units', () => {
+  const [first, second] = parseTemplate(buildRecord({ format: 'ISO_19794_2', minutiae: MINUTIAE }))
+    .views[0].minutiae;
+
+  assert.strictEqual(first.angle, 90);
+  assert.strictEqual(second.angle, 126.5625);
+});
+
+test('ANSI angles are read in 2 degree units', () => {
+  const [first, second] = parseTemplate(buildRecord({ format: 'ANSI_378', minutiae: MINUTIAE }))
+    .views[0].minutiae;
+
+  assert.strictEqual(first.angle, 128);
+  assert.strictEqual(second.angle, 180);
+});
+
+test('minutia type, position and finger view are decoded', () => {
+  const view = parseTemplate(buildRecord({ format: 'ISO_19794_2', fingerPosition: 7, quality: 65, minutiae: MINUTIAE }))
+    .views[0];
+
+  assert.strictEqual(view.fingerPosition, 7);
+  assert.strictEqual(view.fingerIndex, 6);
+  assert.strictEqual(view.fingerName, 'LEFT_INDEX');
+  assert.strictEqual(view.quality, 65);
+  assert.deepStrictEqual(
+    view.minutiae.map(m => [m.type, m.x, m.y]),
+    [['RIDGE_ENDING', 120, 80], ['BIFURCATION', 45, 310]]
+  );
+});
+
+test('Base64 input parses like the raw bytes', () => {
+  const template = buildRecord({ format: 'ANSI_378', minutiae: MINUTIAE });
+
+  assert.deepStrictEqual(parseTemplate(template.toString('base64')), parseTemplate(template));
+  assert.strictEqual(getTemplateInfo(template.toString('base64')).fingerName, 'RIGHT_INDEX');
+});
+
+test('a length field that matches neither layout is rejected', () => {
+  const template = buildRecord({ format: 'ISO_19794_2', minutiae: MINUTIAE });
+  template.writeUInt32BE(template.length + 6, 8);
+
+  assert.throws(() => parseTemplate(template), /Record length field does not match/);
+});
+
+test('malformed records are not valid templates', () => {
+  const template = buildRecord({ format: 'ISO_19794_2', minutiae: MINUTIAE });
+
+  const noIdentifier = Buffer.from(template);
+  noIdentifier.write('XYZ\0', 0, 'latin1');
+
+  const badFinger = buildRecord({ format: 'ISO_19794_2', fingerPosition: 11, minutiae: MINUTIAE });
+
+  assert.ok(isValidTemplate(template));
+  assert.ok(!isValidTemplate(noIdentifier));
+  assert.ok(!isValidTemplate(badFinger));
+  assert.ok(!isValidTemplate(template.subarray(0, 20)));
+  assert.throws(() => parseTemplate(badFinger), /invalid finger position 11/);
+});
@@ -0,0 +1,82 @@
+// test/fingerprintMatcher.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchMinutiae, isMatch } = require('../utils/fingerprintMatcher');
+
+/**
+ * Deterministic pseudo-random numbers (tests must not flake)
+ */
+function seeded(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Random minutiae on a 300 x 400 px finger, angles in radians
+ * (counter-clockwise, as parseMinutiae returns them)
+ */
+function randomMinutiae(count, seed) {
+  const random = seeded(seed);
+  return Array.from({ length: count }, () => ({
+    x: 20 + random() * 260,
+    y: 20 + random() * 360,
+    angle: random() * 2 * Math.PI - Math.PI,
+    type: random() < 0.5 ? 'RIDGE_ENDING' : 'BIFURCATION',
+  }));
+}
+
+/**
+ * The same finger placed rotated on the scanner: the image turns
+ * counter-clockwise about its center (image y runs down) and so do the
+ * minutia directions
+ */
+function rotateFinger(minutiae, degrees, center = { x: 150, y: 200 }) {
+  const rotation = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  return minutiae.map(m => {
+    const x = m.x - center.x;
+    const y = m.y - center.y;
+    return {
+      ...m,
+      x: center.x + x * cos + y * sin,
+      y: center.y - x * sin + y * cos,
+      angle: Math.atan2(Math.sin(m.angle + rotation), Math.cos(m.angle + rotation)),
+    };
+  });
+}
+
+test('a template matches itself', () => {
+  const gallery = randomMinutiae(40, 1);
+  const result = matchMinutiae(gallery, gallery);
+
+  assert.strictEqual(result.score, 100);
+  assert.ok(isMatch(result));
+});
+
+for (const degrees of [5, 10, 20, -15, -30]) {
+  test(`a probe rotated ${degrees}° matches`, () => {
+    const gallery = randomMinutiae(40, 1);
+    const result = matchMinutiae(rotateFinger(gallery, degrees), gallery);
+
+    assert.ok(result.score >= 90, `score ${result.score}`);
+    assert.ok(isMatch(result));
+  });
+}
+
+test('a rotated and shifted probe matches', () => {
+  const gallery = randomMinutiae(40, 1);
+  const probe = rotateFinger(gallery, 12).map(m => ({ ...m, x: m.x + 25, y: m.y - 18 }));
+
+  assert.ok(isMatch(matchMinutiae(probe, gallery)));
+});
+
+test('a different finger does not match', () => {
+  const result = matchMinutiae(randomMinutiae(40, 2), randomMinutiae(40, 1));
+
+  assert.ok(!isMatch(result), `score ${result.score}`);
+});
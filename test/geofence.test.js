@@ -0,0 +1,139 @@
+// test/geofence.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  GEOFENCE_MODE,
+  distanceMeters,
+  isInsidePolygon,
+  toGeoPoint,
+  fromGeoPoint,
+  readGeofence,
+  checkAttendanceLocation,
+} = require('../utils/geofence');
+
+// Meters per degree of latitude on the haversine sphere
+const METERS_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+const OFFICE = { latitude: 12.9716, longitude: 77.5946 };
+
+/**
+ * A point some meters north and east of the office
+ */
+function offset(north, east = 0) {
+  return {
+    latitude: OFFICE.latitude + north / METERS_PER_DEGREE,
+    longitude: OFFICE.longitude + east / (METERS_PER_DEGREE * Math.cos((OFFICE.latitude * Math.PI) / 180)),
+  };
+}
+
+// Square of about 200 m around the office
+const SQUARE = [offset(-100, -100), offset(-100, 100), offset(100, 100), offset(100, -100)];
+
+test('distances are great-circle meters', () => {
+  assert.strictEqual(distanceMeters(OFFICE, OFFICE), 0);
+  assert.ok(Math.abs(distanceMeters(OFFICE, offset(150)) - 150) < 0.01);
+  assert.ok(Math.abs(distanceMeters(OFFICE, offset(0, 300)) - 300) < 0.1);
+
+  // Bengaluru → Chennai, about 290 km
+  const chennai = { latitude: 13.0827, longitude: 80.2707 };
+  assert.ok(Math.abs(distanceMeters(OFFICE, chennai) / 1000 - 290) < 5);
+});
+
+test('points inside a polygon are inside, points beyond an edge are not', () => {
+  assert.ok(isInsidePolygon(OFFICE, SQUARE));
+  assert.ok(isInsidePolygon(offset(90, -90), SQUARE));
+  assert.ok(!isInsidePolygon(offset(110, 0), SQUARE));
+  assert.ok(!isInsidePolygon(offset(0, -110), SQUARE));
+});
+
+test('a concave polygon leaves its notch outside', () => {
+  // U shape: the notch between the arms is not part of the site
+  const uShape = [
+    offset(-100, -100), offset(-100, 100), offset(100, 100), offset(100, 50),
+    offset(-50, 50), offset(-50, -50), offset(100, -50), offset(100, -100),
+  ];
+
+  assert.ok(isInsidePolygon(offset(50, 75), uShape));
+  assert.ok(isInsidePolygon(offset(-75, 0), uShape));
+  assert.ok(!isInsidePolygon(offset(50, 0), uShape));
+});
+
+test('GeoJSON points store longitude first', () => {
+  const point = toGeoPoint({ latitude: '12.9716', longitude: '77.5946' });
+
+  assert.deepStrictEqual(point, { type: 'Point', coordinates: [77.5946, 12.9716] });
+  assert.deepStrictEqual(fromGeoPoint(point), OFFICE);
+});
+
+test('radius and polygon definitions are validated', () => {
+  assert.deepStrictEqual(
+    readGeofence({ shape: 'RADIUS', center: OFFICE, radiusMeters: '150' }),
+    { shape: 'RADIUS', center: OFFICE, radiusMeters: 150 }
+  );
+  assert.deepStrictEqual(
+    readGeofence({ shape: 'RADIUS', radiusMeters: 150 }, { requireCenter: false }),
+    { shape: 'RADIUS', radiusMeters: 150 }
+  );
+  assert.strictEqual(readGeofence({ shape: 'POLYGON', polygon: SQUARE }).polygon.length, 4);
+
+  assert.throws(() => readGeofence({ shape: 'CIRCLE' }), /shape must be one of/);
+  assert.throws(() => readGeofence({ shape: 'RADIUS', center: OFFICE, radiusMeters: 0 }), /positive number/);
+  assert.throws(() => readGeofence({ shape: 'RADIUS', radiusMeters: 150 }), /center must have/);
+  assert.throws(
+    () => readGeofence({ shape: 'RADIUS', center: { latitude: 91, longitude: 0 }, radiusMeters: 150 }),
+    /center must have/
+  );
+  assert.throws(() => readGeofence({ shape: 'POLYGON', polygon: SQUARE.slice(0, 2) }), /at least 3 points/);
+});
+
+test('a mark inside the employee radius is INSIDE', async () => {
+  const employee = {
+    employeeId: 'EMP001',
+    baseLocation: OFFICE,
+    geofence: { shape: 'RADIUS', radiusMeters: 200 },
+  };
+
+  const result = await checkAttendanceLocation(employee, offset(150));
+
+  if (GEOFENCE_MODE === 'off') {
+    assert.strictEqual(result.geofence.status, 'NOT_CHECKED');
+    return;
+  }
+  assert.strictEqual(result.geofence.status, 'INSIDE');
+  assert.strictEqual(result.geofence.source, 'EMPLOYEE');
+  assert.strictEqual(result.distanceFromBase, 150);
+  assert.strictEqual(result.rejected, false);
+});
+
+test('a mark outside the employee radius is OUTSIDE, and refused only when enforced', async () => {
+  const employee = {
+    employeeId: 'EMP001',
+    baseLocation: OFFICE,
+    geofence: { shape: 'RADIUS', center: offset(1000), radiusMeters: 200 },
+  };
+
+  // Close to the base location, but the geofence has its own center
+  const result = await checkAttendanceLocation(employee, offset(50));
+
+  assert.strictEqual(result.distanceFromBase, 50);
+  if (GEOFENCE_MODE === 'off') return;
+  assert.strictEqual(result.geofence.status, 'OUTSIDE');
+  assert.strictEqual(result.geofence.radiusMeters, 200);
+  assert.strictEqual(result.rejected, GEOFENCE_MODE === 'enforce');
+});
+
+test('an employee polygon decides inside and outside by its edges', async () => {
+  const employee = {
+    employeeId: 'EMP002',
+    baseLocation: OFFICE,
+    geofence: { shape: 'POLYGON', polygon: SQUARE },
+  };
+
+  const inside = await checkAttendanceLocation(employee, offset(95, 95));
+  const outside = await checkAttendanceLocation(employee, offset(105, 0));
+
+  if (GEOFENCE_MODE === 'off') return;
+  assert.strictEqual(inside.geofence.status, 'INSIDE');
+  assert.strictEqual(inside.geofence.shape, 'POLYGON');
+  assert.strictEqual(outside.geofence.status, 'OUTSIDE');
+});
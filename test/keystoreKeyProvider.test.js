@@ -0,0 +1,123 @@
+// test/keystoreKeyProvider.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  createKeystore,
+  addKey,
+  setActiveKey,
+  createKeystoreKeyProvider,
+} = require('../utils/keyProviders/keystoreKeyProvider');
+
+const PASSWORD = 'correct horse battery staple';
+
+let dir;
+let keystorePath;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-keystore-'));
+  keystorePath = path.join(dir, 'keystore.json');
+
+  createKeystore(keystorePath, PASSWORD);
+  addKey(keystorePath, PASSWORD, '2026-01');
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the keystore file holds sealed keys only and is readable by its owner', () => {
+  const data = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+
+  assert.strictEqual(data.activeKeyId, '2026-01');
+  assert.strictEqual(data.kdf.name, 'scrypt');
+  assert.strictEqual(data.keys.length, 1);
+  assert.ok(!data.keys[0].sealedKey.includes(PASSWORD));
+
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(keystorePath).mode & 0o777, 0o600);
+  }
+});
+
+test('a data key wrapped by one provider unwraps after reopening the keystore', () => {
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = createKeystoreKeyProvider({ path: keystorePath, password: PASSWORD })
+    .wrapKey(dataKey, '2026-01');
+
+  const reopened = createKeystoreKeyProvider({ path: keystorePath, password: PASSWORD });
+
+  assert.strictEqual(reopened.name, 'keystore');
+  assert.strictEqual(reopened.getActiveKeyId(), '2026-01');
+  assert.deepStrictEqual(reopened.listKeyIds(), ['2026-01']);
+  assert.deepStrictEqual(reopened.unwrapKey(wrapped, '2026-01'), dataKey);
+});
+
+test('the wrong password does not open the keystore', () => {
+  assert.throws(
+    () => createKeystoreKeyProvider({ path: keystorePath, password: 'wrong password' }),
+    /Failed to unlock keystore/
+  );
+  assert.throws(
+    () => addKey(keystorePath, 'wrong password', '2026-02'),
+    /Failed to unlock keystore/
+  );
+  assert.throws(
+    () => createKeystoreKeyProvider({ path: keystorePath, password: '' }),
+    /Keystore password is required/
+  );
+});
+
+test('a wrapped key is bound to the master key id that wrapped it', () => {
+  const otherPath = path.join(dir, 'bound.json');
+  createKeystore(otherPath, PASSWORD);
+  addKey(otherPath, PASSWORD, 'old');
+  addKey(otherPath, PASSWORD, 'new', { activate: true });
+
+  const provider = createKeystoreKeyProvider({ path: otherPath, password: PASSWORD });
+  const wrapped = provider.wrapKey(crypto.randomBytes(32), 'old');
+
+  assert.strictEqual(provider.getActiveKeyId(), 'new');
+  assert.throws(() => provider.unwrapKey(wrapped, 'new'));
+  assert.throws(() => provider.unwrapKey(wrapped, 'missing'), /master key "missing" is not configured/);
+});
+
+test('rotating the active key keeps older keys available', () => {
+  const rotationPath = path.join(dir, 'rotation.json');
+  createKeystore(rotationPath, PASSWORD);
+  addKey(rotationPath, PASSWORD, 'old');
+  addKey(rotationPath, PASSWORD, 'new', { activate: true });
+
+  const before = createKeystoreKeyProvider({ path: rotationPath, password: PASSWORD });
+  const wrapped = before.wrapKey(crypto.randomBytes(32), 'new');
+
+  setActiveKey(rotationPath, 'old');
+  const after = createKeystoreKeyProvider({ path: rotationPath, password: PASSWORD });
+
+  assert.strictEqual(after.getActiveKeyId(), 'old');
+  assert.strictEqual(after.unwrapKey(wrapped, 'new').length, 32);
+  assert.throws(() => setActiveKey(rotationPath, 'missing'), /Key "missing" not found/);
+});
+
+test('an imported legacy key is exposed unchanged', () => {
+  const legacyPath = path.join(dir, 'legacy.json');
+  const legacyKey = Buffer.from('0123456789abcdef0123456789abcdef');
+
+  createKeystore(legacyPath, PASSWORD);
+  addKey(legacyPath, PASSWORD, 'legacy', { key: legacyKey, legacy: true });
+
+  const provider = createKeystoreKeyProvider({ path: legacyPath, password: PASSWORD });
+  assert.deepStrictEqual(provider.getLegacyKey(), legacyKey);
+  assert.throws(() => addKey(legacyPath, PASSWORD, 'short', { key: Buffer.alloc(16) }), /must be 32 bytes/);
+  assert.throws(() => addKey(legacyPath, PASSWORD, 'legacy'), /already exists/);
+});
+
+test('an existing keystore is never overwritten', () => {
+  assert.throws(() => createKeystore(keystorePath, PASSWORD), /Keystore already exists/);
+  assert.throws(
+    () => createKeystoreKeyProvider({ path: path.join(dir, 'missing.json'), password: PASSWORD }),
+    /Keystore not found/
+  );
+});
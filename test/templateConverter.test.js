@@ -0,0 +1,126 @@
+// test/templateConverter.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTemplate } = require('../utils/fingerprint');
+const {
+  encodeTemplate,
+  convertTemplate,
+  ansiToIso,
+  isoToAnsi,
+  toCanonical,
+} = require('../utils/templateConverter');
+
+/**
+ * A parsed record (as parseTemplate returns it) with the given finger views
+ * Minutia angles are right angles so both formats hold them exactly.
+ */
+function makeRecord(viewCount = 1, minutiaeCount = 30) {
+  const types = ['RIDGE_ENDING', 'BIFURCATION', 'OTHER'];
+
+  return {
+    productId: { owner: 0x0031, type: 0x0101 },
+    captureEquipmentId: 0x0123,
+    imageSize: { width: 300, height: 400 },
+    resolution: { x: 197, y: 197 },
+    views: Array.from({ length: viewCount }, (_, v) => ({
+      fingerPosition: 1 + (v % 10),
+      viewNumber: Math.floor(v / 10),
+      impressionType: 0,
+      quality: 70,
+      minutiae: Array.from({ length: minutiaeCount }, (_, i) => ({
+        type: types[i % 3],
+        x: 10 + ((i * 37) % 280),
+        y: 10 + ((i * 53) % 380),
+        angle: (i * 90) % 360,
+        quality: 40 + (i % 50),
+      })),
+    })),
+  };
+}
+
+/**
+ * The parts of a record both formats carry
+ */
+function portable(record) {
+  return {
+    captureEquipmentId: record.captureEquipmentId,
+    imageSize: record.imageSize,
+    resolution: record.resolution,
+    views: record.views,
+  };
+}
+
+test('ISO → ANSI → ISO restores the original bytes', () => {
+  const iso = encodeTemplate(makeRecord(), 'ISO_19794_2');
+  const ansi = isoToAnsi(iso);
+
+  assert.strictEqual(parseTemplate(ansi).format, 'ANSI_378');
+  assert.deepStrictEqual(ansiToIso(ansi), iso);
+});
+
+test('ANSI → ISO → ANSI keeps the minutiae and header fields', () => {
+  const ansi = encodeTemplate(makeRecord(2), 'ANSI_378');
+  const iso = ansiToIso(ansi);
+  const back = parseTemplate(isoToAnsi(iso));
+
+  assert.strictEqual(parseTemplate(iso).format, 'ISO_19794_2');
+  assert.deepStrictEqual(portable(back), portable(parseTemplate(ansi)));
+});
+
+test('angles survive the change of angle unit within one ANSI step', () => {
+  const record = makeRecord(1, 0);
+  record.views[0].minutiae = Array.from({ length: 255 }, (_, i) => ({
+    type: 'RIDGE_ENDING', x: 100, y: 100, angle: i * (360 / 256), quality: 50,
+  }));
+
+  const iso = encodeTemplate(record, 'ISO_19794_2');
+  const original = parseTemplate(iso).views[0].minutiae;
+  const converted = parseTemplate(isoToAnsi(iso)).views[0].minutiae;
+  const restored = parseTemplate(ansiToIso(isoToAnsi(iso))).views[0].minutiae;
+
+  converted.forEach((m, i) => {
+    const difference = Math.abs(m.angle - original[i].angle) % 360;
+    assert.ok(Math.min(difference, 360 - difference) <= 1, `minutia ${i}: ${m.angle} vs ${original[i].angle}`);
+  });
+  restored.forEach((m, i) => {
+    const difference = Math.abs(m.angle - original[i].angle) % 360;
+    assert.ok(Math.min(difference, 360 - difference) <= 2, `minutia ${i}: ${m.angle} vs ${original[i].angle}`);
+  });
+});
+
+test('ANSI records over 64KB use the long length header', () => {
+  const ansi = encodeTemplate(makeRecord(45, 250), 'ANSI_378');
+
+  assert.ok(ansi.length > 0xffff);
+  assert.strictEqual(ansi.readUInt16BE(8), 0);
+  assert.strictEqual(ansi.readUInt32BE(10), ansi.length);
+  assert.deepStrictEqual(portable(parseTemplate(ansiToIso(ansi))), portable(parseTemplate(ansi)));
+});
+
+test('a template already in the target format is returned unchanged', () => {
+  const iso = encodeTemplate(makeRecord(), 'ISO_19794_2');
+  const ansi = encodeTemplate(makeRecord(), 'ANSI_378');
+
+  assert.strictEqual(toCanonical(iso), iso);
+  assert.strictEqual(convertTemplate(ansi, 'ANSI_378'), ansi);
+  assert.strictEqual(parseTemplate(toCanonical(ansi)).format, 'ISO_19794_2');
+});
+
+test('extended data blocks are dropped on conversion', () => {
+  const iso = encodeTemplate(makeRecord(1, 5), 'ISO_19794_2');
+
+  // Append a 4-byte extended data block to the only view
+  const extended = Buffer.concat([iso.subarray(0, iso.length - 2), Buffer.from([0, 4, 1, 2, 3, 4])]);
+  extended.writeUInt32BE(extended.length, 8);
+
+  const ansi = isoToAnsi(extended);
+  assert.strictEqual(ansi.length, 26 + 4 + 5 * 6 + 2);
+  assert.deepStrictEqual(parseTemplate(ansi).views, parseTemplate(extended).views);
+});
+
+test('unsupported target formats and malformed templates are rejected', () => {
+  const iso = encodeTemplate(makeRecord(), 'ISO_19794_2');
+
+  assert.throws(() => convertTemplate(iso, 'WSQ'), /Cannot encode template as WSQ/);
+  assert.throws(() => toCanonical(Buffer.from('not a template')), /too short|FMR/);
+});
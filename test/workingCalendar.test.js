@@ -0,0 +1,147 @@
+// test/workingCalendar.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const { buildWorkingCalendar } = require('../utils/workingCalendar');
+
+const { isWeeklyOffOn } = HolidayCalendar;
+
+const SATURDAY = 6;
+const SUNDAY = 0;
+
+/**
+ * Server-local day of March 2026 (1 March is a Sunday)
+ */
+function march(date, hours = 0) {
+  return new Date(2026, 2, date, hours);
+}
+
+/**
+ * Days of March 2026 a weekly off falls on
+ */
+function offDays(off) {
+  return Array.from({ length: 31 }, (_, i) => i + 1).filter(date => isWeeklyOffOn(off, march(date)));
+}
+
+test('a weekday alone is off every week', () => {
+  assert.deepStrictEqual(offDays({ weekday: SUNDAY }), [1, 8, 15, 22, 29]);
+  assert.deepStrictEqual(offDays({ weekday: SATURDAY, weeksOfMonth: [] }), [7, 14, 21, 28]);
+});
+
+test('weeksOfMonth keeps the nth occurrences of the weekday', () => {
+  assert.deepStrictEqual(offDays({ weekday: SATURDAY, weeksOfMonth: [2, 4] }), [14, 28]);
+  assert.deepStrictEqual(offDays({ weekday: SUNDAY, weeksOfMonth: [1, 5] }), [1, 29]);
+  assert.deepStrictEqual(offDays({ weekday: SATURDAY, weeksOfMonth: [5] }), []);
+});
+
+test('alternateFrom is off every other week, starting with its own week', () => {
+  assert.deepStrictEqual(offDays({ weekday: SATURDAY, alternateFrom: march(7) }), [7, 21]);
+
+  // Anchored a week earlier: the other Saturdays
+  assert.deepStrictEqual(offDays({ weekday: SATURDAY, alternateFrom: new Date(2026, 1, 28) }), [14, 28]);
+
+  // Any day of the starting week, at any time of day
+  assert.deepStrictEqual(offDays({ weekday: SATURDAY, alternateFrom: march(4, 15) }), [7, 21]);
+});
+
+test('alternate weeks also run backwards from alternateFrom', () => {
+  const off = { weekday: SATURDAY, alternateFrom: march(21) };
+
+  assert.ok(isWeeklyOffOn(off, new Date(2026, 1, 21)));
+  assert.ok(!isWeeklyOffOn(off, new Date(2026, 1, 28)));
+  assert.ok(isWeeklyOffOn(off, march(7, 18)));
+});
+
+const ORGANIZATION = {
+  name: 'Organization',
+  scope: 'ORGANIZATION',
+  holidays: [{ date: march(3), name: 'Holi' }],
+  weeklyOffs: [{ weekday: SUNDAY }, { weekday: SATURDAY, weeksOfMonth: [2, 4] }],
+};
+
+const PLANT = {
+  name: 'Plant',
+  scope: 'SITE',
+  site: 'Plant',
+  holidays: [{ date: march(19), name: 'Local festival' }],
+  weeklyOffs: [{ weekday: SUNDAY, alternateFrom: march(1) }],
+};
+
+const SUPPORT = {
+  name: 'Support',
+  scope: 'DEPARTMENT',
+  department: 'Support',
+  holidays: [],
+  weeklyOffs: [],
+};
+
+const calendar = buildWorkingCalendar([SUPPORT, PLANT, ORGANIZATION]);
+
+test('organization holidays and weekly offs apply to everyone without their own', () => {
+  const employee = { department: 'Sales', site: 'Head Office' };
+
+  assert.deepStrictEqual(calendar.nonWorkingReason(employee, march(3, 10)), {
+    type: 'HOLIDAY', name: 'Holi', calendar: 'Organization',
+  });
+  assert.deepStrictEqual(calendar.nonWorkingReason(employee, march(14)), {
+    type: 'WEEKLY_OFF', name: 'Saturday', calendar: 'Organization',
+  });
+  assert.ok(calendar.isWorkingDay(employee, march(7)));
+  assert.ok(!calendar.isWorkingDay(employee, march(8)));
+});
+
+test('holidays add up while the most specific weekly offs win', () => {
+  const plant = { department: 'Production', site: 'Plant' };
+
+  assert.ok(!calendar.isWorkingDay(plant, march(3)));
+  assert.strictEqual(calendar.nonWorkingReason(plant, march(19)).name, 'Local festival');
+
+  // Alternate Sundays only; the organization's Saturdays do not apply
+  assert.strictEqual(calendar.nonWorkingReason(plant, march(15)).calendar, 'Plant');
+  assert.ok(calendar.isWorkingDay(plant, march(8)));
+  assert.ok(calendar.isWorkingDay(plant, march(14)));
+});
+
+test('an empty weekly off list means no weekly off', () => {
+  const support = { department: 'Support', site: 'Plant' };
+
+  assert.ok(calendar.isWorkingDay(support, march(8)));
+  assert.ok(calendar.isWorkingDay(support, march(14)));
+  assert.ok(!calendar.isWorkingDay(support, march(3)));
+  assert.ok(!calendar.isWorkingDay(support, march(19)));
+});
+
+test('working days are counted per employee over a period', () => {
+  // March 2026: 31 days, 5 Sundays, 2 off Saturdays, Holi
+  assert.strictEqual(calendar.countWorkingDays({}, march(1), march(31)), 23);
+
+  // 3 alternate Sundays off, Holi and the local festival
+  assert.strictEqual(calendar.countWorkingDays({ site: 'Plant' }, march(1), march(31)), 26);
+
+  // No weekly offs, organization holidays still apply
+  assert.strictEqual(calendar.countWorkingDays({ department: 'Support' }, march(1), march(31)), 30);
+
+  // Whole days: the first counts from its midnight
+  assert.strictEqual(calendar.countWorkingDays({}, march(2, 12), march(2, 8)), 1);
+  assert.strictEqual(calendar.countWorkingDays({}, march(5), march(4)), 0);
+});
+
+test('records on a non-working day of their employee are left out', () => {
+  const employees = [
+    { employeeId: 'EMP001', department: 'Sales', site: 'Head Office' },
+    { employeeId: 'EMP002', department: 'Support', site: 'Plant' },
+  ];
+  const records = [
+    { employeeId: 'EMP001', department: 'Sales', date: march(14, 9) },
+    { employeeId: 'EMP001', department: 'Sales', date: march(13, 9) },
+    { employeeId: 'EMP002', department: 'Support', date: march(14, 9) },
+    // Not in the employee list: judged by the record's department
+    { employeeId: 'EMP003', department: 'Support', date: march(8, 9) },
+    { employeeId: 'EMP004', department: 'Sales', date: march(8, 9) },
+  ];
+
+  assert.deepStrictEqual(
+    calendar.workingRecords(records, employees).map(r => `${r.employeeId} ${r.date.getDate()}`),
+    ['EMP001 13', 'EMP002 14', 'EMP003 8']
+  );
+});
@@ -0,0 +1,140 @@
+// utils/dataExport.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { stableStringify } = require('./auditLog');
+
+/**
+ * Signed Data-Subject Export Archives
+ *
+ * An export is a JSON document:
+ *
+ *   {
+ *     "payload":   { format, version, generatedAt, generatedBy, employeeId, data },
+ *     "signature": { algorithm, keyId, value }
+ *   }
+ *
+ * The signature covers the canonical form of `payload` (JSON with object
+ * keys sorted, no whitespace) and is made with the private key at
+ * DATA_EXPORT_SIGNING_KEY_PATH (PEM, Ed25519 or RSA). Recipients verify it
+ * with the public key from GET /api/superadmin/data-export/public-key or
+ * scripts/verifyDataExport.js.
+ *
+ * Create a key pair with scripts/generateExportSigningKey.js.
+ */
+
+const EXPORT_FORMAT = 'employee-data-export';
+const EXPORT_VERSION = 1;
+
+let signingKey = null;
+
+/**
+ * Load the signing key (cached)
+ *
+ * @returns {KeyObject} - Private key
+ * @throws {Error} - If DATA_EXPORT_SIGNING_KEY_PATH is not configured
+ */
+function getSigningKey() {
+  if (!signingKey) {
+    const keyPath = process.env.DATA_EXPORT_SIGNING_KEY_PATH;
+    if (!keyPath) {
+      throw new Error('Data export signing key is not configured (DATA_EXPORT_SIGNING_KEY_PATH)');
+    }
+    signingKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+  }
+  return signingKey;
+}
+
+/**
+ * Digest algorithm for crypto.sign/verify (Ed25519 signs the message directly)
+ */
+function digestFor(key) {
+  return key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+}
+
+/**
+ * Short identifier of a public key (SHA-256 of its DER encoding)
+ */
+function getKeyId(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Public half of the signing key
+ *
+ * @returns {Object} - { keyId, algorithm, publicKey (PEM) }
+ */
+function getPublicKeyInfo() {
+  const publicKey = crypto.createPublicKey(getSigningKey());
+
+  return {
+    keyId: getKeyId(publicKey),
+    algorithm: publicKey.asymmetricKeyType,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+}
+
+/**
+ * Build and sign an export archive
+ *
+ * @param {Object} options
+ * @param {string} options.employeeId - Data subject
+ * @param {string} options.generatedBy - Superadmin username
+ * @param {Object} options.data - Records to export (Mongoose docs or plain objects)
+ * @returns {Object} - { payload, signature }
+ */
+function createSignedExport({ employeeId, generatedBy, data }) {
+  const key = getSigningKey();
+
+  // Plain JSON (dates as ISO strings, ObjectIds as hex) so the
+  // recipient canonicalizes exactly what we signed
+  const payload = JSON.parse(JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    generatedAt: new Date(),
+    generatedBy,
+    employeeId,
+    data,
+  }));
+
+  const value = crypto.sign(digestFor(key), Buffer.from(stableStringify(payload)), key);
+
+  return {
+    payload,
+    signature: {
+      algorithm: key.asymmetricKeyType,
+      keyId: getKeyId(crypto.createPublicKey(key)),
+      value: value.toString('base64'),
+    },
+  };
+}
+
+/**
+ * Verify an export archive
+ *
+ * @param {Object} archive - Parsed export ({ payload, signature })
+ * @param {string|Buffer|KeyObject} publicKey - Signer's public key
+ * @returns {boolean} - True if the signature is valid
+ */
+function verifySignedExport(archive, publicKey) {
+  if (!archive || !archive.payload || !archive.signature) {
+    return false;
+  }
+
+  const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+
+  return crypto.verify(
+    digestFor(key),
+    Buffer.from(stableStringify(archive.payload)),
+    key,
+    Buffer.from(archive.signature.value, 'base64')
+  );
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  getPublicKeyInfo,
+  createSignedExport,
+  verifySignedExport,
+};
@@ -0,0 +1,447 @@
+// utils/deviceAttestation.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseXml, findElement, canonicalizeXml } = require('./rdService');
+const { auditContext, recordAuditEvent } = require('./auditLog');
+
+/**
+ * RDService Device Attestation
+ *
+ * Registered RDService devices sign the PID block with their device key
+ * (enveloped XML-DSig <Signature> inside <PidData>). The device
+ * certificate travels in DeviceInfo@mc (or Signature/KeyInfo). A capture
+ * is ATTESTED when:
+ * 1. The signature covers the whole PID (Reference URI="", enveloped)
+ *    and verifies with the device certificate's public key
+ * 2. The device certificate is currently valid
+ * 3. The certificate is in the trust store, or was issued by a
+ *    certificate in it (vendor / device-provider CA)
+ *
+ * Trust store: DEVICE_TRUST_STORE_PATH, a PEM bundle or a directory of
+ * .pem/.crt/.cer files (device certificates or vendor CAs).
+ *
+ * DEVICE_ATTESTATION_MODE decides what happens to captures:
+ * - off      not checked
+ * - record   (default) checked; the outcome is stored with the capture
+ * - enforce  captures that do not attest are rejected (403)
+ *
+ * scripts/generateDeviceTestCertificates.js creates a local CA, a device
+ * certificate and signed sample PIDs to try this out.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const ATTESTATION_MODES = ['off', 'record', 'enforce'];
+
+const ATTESTATION_MODE = (() => {
+  const mode = (process.env.DEVICE_ATTESTATION_MODE || 'record').toLowerCase();
+  if (!ATTESTATION_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown DEVICE_ATTESTATION_MODE "${mode}", using "record"`);
+    return 'record';
+  }
+  return mode;
+})();
+
+const DSIG_NAMESPACE = 'http://www.w3.org/2000/09/xmldsig#';
+
+const ENVELOPED_SIGNATURE_TRANSFORM = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+
+const CANONICALIZATION_METHODS = [
+  'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+];
+
+const DIGEST_ALGORITHMS = {
+  'http://www.w3.org/2001/04/xmlenc#sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmlenc#sha512': 'sha512',
+};
+
+const SIGNATURE_ALGORITHMS = {
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512': 'sha512',
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha512': 'sha512',
+};
+
+// ============================================
+// TRUST STORE
+// ============================================
+
+const CERTIFICATE_EXTENSIONS = ['.pem', '.crt', '.cer'];
+
+let trustStore = null;
+
+/**
+ * Read certificates from a PEM bundle or a DER file
+ *
+ * @param {Buffer} contents - File contents
+ * @returns {Array<X509Certificate>}
+ */
+function readCertificates(contents) {
+  const text = contents.toString('utf8');
+  const blocks = text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+
+  if (blocks) {
+    return blocks.map(block => new crypto.X509Certificate(block));
+  }
+  return [new crypto.X509Certificate(contents)];
+}
+
+/**
+ * Load the trust store from a PEM bundle or a directory of certificates
+ *
+ * @param {string} storePath - File or directory (default: DEVICE_TRUST_STORE_PATH)
+ * @returns {Array<X509Certificate>} - Trusted certificates
+ */
+function loadTrustStore(storePath = process.env.DEVICE_TRUST_STORE_PATH) {
+  if (!storePath) {
+    return [];
+  }
+
+  const files = fs.statSync(storePath).isDirectory()
+    ? fs.readdirSync(storePath)
+      .filter(file => CERTIFICATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map(file => path.join(storePath, file))
+    : [storePath];
+
+  return files.flatMap(file => readCertificates(fs.readFileSync(file)));
+}
+
+/**
+ * Get the configured trust store (loaded once)
+ *
+ * @returns {Array<X509Certificate>}
+ */
+function getTrustStore() {
+  if (!trustStore) {
+    trustStore = loadTrustStore();
+    if (trustStore.length === 0 && ATTESTATION_MODE !== 'off') {
+      console.warn('⚠️ Device trust store is empty (DEVICE_TRUST_STORE_PATH); no device can attest');
+    }
+  }
+  return trustStore;
+}
+
+/**
+ * Re-read the trust store (after certificates were added or removed)
+ */
+function reloadTrustStore() {
+  trustStore = null;
+  return getTrustStore();
+}
+
+/**
+ * Load the trust store, throwing if it cannot be read
+ * Called at server startup: a wrong DEVICE_TRUST_STORE_PATH would
+ * otherwise fail every capture request.
+ *
+ * @returns {number} - Trusted certificates loaded
+ */
+function assertTrustStoreLoaded() {
+  if (ATTESTATION_MODE === 'off') return 0;
+
+  try {
+    return reloadTrustStore().length;
+  } catch (error) {
+    trustStore = null;
+    throw new Error(
+      `Device trust store cannot be loaded from DEVICE_TRUST_STORE_PATH (${process.env.DEVICE_TRUST_STORE_PATH}): ${error.message}`
+    );
+  }
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+function describeCertificate(certificate) {
+  return {
+    subject: certificate.subject,
+    issuer: certificate.issuer,
+    serialNumber: certificate.serialNumber,
+    fingerprint256: certificate.fingerprint256,
+    validTo: certificate.validTo,
+  };
+}
+
+function outcome(status, reason, certificate) {
+  return {
+    attested: status === 'ATTESTED',
+    status,
+    reason,
+    certificate: certificate ? describeCertificate(certificate) : null,
+  };
+}
+
+function isCurrent(certificate, now) {
+  return new Date(certificate.validFrom) <= now && now <= new Date(certificate.validTo);
+}
+
+/**
+ * Whether a device certificate chains to the trust store
+ * Trusted if pinned directly, or issued by a trusted (current) certificate.
+ */
+function isTrusted(certificate, store, now) {
+  return store.some(trusted => {
+    if (trusted.fingerprint256 === certificate.fingerprint256) {
+      return true;
+    }
+    return isCurrent(trusted, now)
+      && certificate.checkIssued(trusted)
+      && certificate.verify(trusted.publicKey);
+  });
+}
+
+// Elements parsePidXml reads capture data from
+const PID_DATA_ELEMENTS = ['Resp', 'DeviceInfo', 'Data', 'Pid', 'Bio'];
+
+function countElements(element, name) {
+  const own = element.name === name || element.name.endsWith(`:${name}`) ? 1 : 0;
+  return element.children.reduce((count, child) => count + countElements(child, name), own);
+}
+
+function readBase64(element) {
+  return Buffer.from((element ? element.text : '').replace(/\s+/g, ''), 'base64');
+}
+
+/**
+ * Verify the signature and device certificate of an RDService PID XML
+ *
+ * @param {string} xml - <PidData> XML
+ * @param {Object} options - { trustStore, now } (defaults: configured store, current time)
+ * @returns {Object} - { attested, status, reason, certificate }
+ *   status: ATTESTED | UNSIGNED | NO_CERTIFICATE | INVALID_CERTIFICATE |
+ *           INVALID_SIGNATURE | CERTIFICATE_EXPIRED | UNTRUSTED_CERTIFICATE
+ */
+function attestPidXml(xml, { trustStore: store = getTrustStore(), now = new Date() } = {}) {
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (error) {
+    return outcome('INVALID_SIGNATURE', `Malformed PID XML: ${error.message}`);
+  }
+
+  const signature = findElement(root, 'Signature');
+  if (!signature) {
+    return outcome('UNSIGNED', 'PID XML carries no signature');
+  }
+
+  // The enveloped signature is excluded from the digest: it must not be
+  // able to smuggle in capture data the PID parser would pick up
+  if (countElements(root, 'Signature') !== 1 || !root.children.includes(signature)
+    || PID_DATA_ELEMENTS.some(name => findElement(signature, name))) {
+    return outcome('INVALID_SIGNATURE', 'Unexpected Signature placement in PID XML');
+  }
+
+  // Device certificate: DeviceInfo@mc, else KeyInfo/X509Data
+  const deviceInfo = findElement(root, 'DeviceInfo');
+  const keyInfoCertificate = findElement(signature, 'X509Certificate');
+  const encodedCertificate = (deviceInfo && deviceInfo.attributes.mc)
+    || (keyInfoCertificate && keyInfoCertificate.text);
+
+  if (!encodedCertificate) {
+    return outcome('NO_CERTIFICATE', 'No device certificate (DeviceInfo@mc) in PID XML');
+  }
+
+  let certificate;
+  try {
+    certificate = new crypto.X509Certificate(Buffer.from(encodedCertificate.replace(/\s+/g, ''), 'base64'));
+  } catch (error) {
+    return outcome('INVALID_CERTIFICATE', `Device certificate cannot be read: ${error.message}`);
+  }
+
+  // ============================================
+  // SIGNATURE
+  // ============================================
+
+  const signedInfo = findElement(signature, 'SignedInfo');
+  const reference = signedInfo && findElement(signedInfo, 'Reference');
+  if (!reference) {
+    return outcome('INVALID_SIGNATURE', 'Signature has no SignedInfo/Reference', certificate);
+  }
+
+  const c14nMethod = findElement(signedInfo, 'CanonicalizationMethod');
+  if (!c14nMethod || !CANONICALIZATION_METHODS.includes(c14nMethod.attributes.Algorithm)) {
+    return outcome('INVALID_SIGNATURE', 'Unsupported canonicalization method', certificate);
+  }
+
+  // Only a signature over the whole PID proves the template came from the device
+  const transforms = reference.children
+    .filter(child => child.name.endsWith('Transforms'))
+    .flatMap(child => child.children.map(transform => transform.attributes.Algorithm));
+  if (reference.attributes.URI !== '' || !transforms.includes(ENVELOPED_SIGNATURE_TRANSFORM)) {
+    return outcome('INVALID_SIGNATURE', 'Signature does not cover the whole PID block', certificate);
+  }
+
+  const digestMethod = findElement(reference, 'DigestMethod');
+  const digestAlgorithm = digestMethod && DIGEST_ALGORITHMS[digestMethod.attributes.Algorithm];
+  const signatureMethod = findElement(signedInfo, 'SignatureMethod');
+  const signatureAlgorithm = signatureMethod && SIGNATURE_ALGORITHMS[signatureMethod.attributes.Algorithm];
+  if (!digestAlgorithm || !signatureAlgorithm) {
+    return outcome('INVALID_SIGNATURE', 'Unsupported digest or signature algorithm', certificate);
+  }
+
+  const digest = crypto.createHash(digestAlgorithm)
+    .update(canonicalizeXml(xml, { exclude: 'Signature' }), 'utf8')
+    .digest();
+  const expectedDigest = readBase64(findElement(reference, 'DigestValue'));
+  if (expectedDigest.length !== digest.length || !crypto.timingSafeEqual(expectedDigest, digest)) {
+    return outcome('INVALID_SIGNATURE', 'PID data does not match the signed digest', certificate);
+  }
+
+  const publicKey = certificate.publicKey;
+  const signatureValid = crypto.verify(
+    signatureAlgorithm,
+    Buffer.from(canonicalizeXml(xml, { element: 'SignedInfo' }), 'utf8'),
+    // XML-DSig ECDSA signatures are r || s, not DER
+    { key: publicKey, dsaEncoding: publicKey.asymmetricKeyType === 'ec' ? 'ieee-p1363' : 'der' },
+    readBase64(findElement(signature, 'SignatureValue'))
+  );
+  if (!signatureValid) {
+    return outcome('INVALID_SIGNATURE', 'Signature does not verify with the device certificate', certificate);
+  }
+
+  // ============================================
+  // CERTIFICATE
+  // ============================================
+
+  if (!isCurrent(certificate, now)) {
+    return outcome('CERTIFICATE_EXPIRED', `Device certificate valid ${certificate.validFrom} - ${certificate.validTo}`, certificate);
+  }
+
+  if (!isTrusted(certificate, store, now)) {
+    return outcome('UNTRUSTED_CERTIFICATE', 'Device certificate is not in the trust store', certificate);
+  }
+
+  return outcome('ATTESTED', null, certificate);
+}
+
+/**
+ * Attest a capture submitted to the API
+ * A template sent next to (or instead of) the PID XML is not covered by the
+ * device signature and never attests.
+ *
+ * @param {Object} capture - { pidXml, templateBase64, pid } (pid: parsed PID, if any)
+ * @returns {Object|null} - attestPidXml outcome plus { rejected }; null when mode is off
+ */
+function attestCapture({ pidXml, templateBase64, pid } = {}) {
+  if (ATTESTATION_MODE === 'off') {
+    return null;
+  }
+
+  let result;
+  if (!pidXml) {
+    result = outcome('UNSIGNED', 'Bare template without RDService PID XML');
+  } else if (templateBase64 && pid && templateBase64 !== pid.templateBase64) {
+    result = outcome('UNSIGNED', 'Template does not come from the signed PID block');
+  } else {
+    result = attestPidXml(pidXml);
+  }
+
+  return {
+    ...result,
+    rejected: ATTESTATION_MODE === 'enforce' && !result.attested,
+  };
+}
+
+/**
+ * Attestation fields stored on a device subdocument
+ *
+ * @param {Object|null} attestation - attestCapture outcome
+ * @returns {Object} - { attested, attestationStatus, certificateFingerprint }
+ */
+function attestationFields(attestation) {
+  if (!attestation) return {};
+
+  return {
+    attested: attestation.attested,
+    attestationStatus: attestation.status,
+    certificateFingerprint: attestation.certificate ? attestation.certificate.fingerprint256 : undefined,
+  };
+}
+
+/**
+ * Log a capture rejected because its device did not attest (enforce mode)
+ *
+ * @param {Object} req - Express request (actor, ip)
+ * @param {Object} attestation - attestCapture outcome
+ * @param {Object} details - { employeeId, purpose } (ENROLLMENT, VERIFICATION, ...)
+ */
+async function recordAttestationRejected(req, attestation, { employeeId, purpose }) {
+  console.warn(`⚠️ ${purpose} capture rejected: device attestation ${attestation.status} (${attestation.reason})`);
+
+  await recordAuditEvent({
+    ...auditContext(req),
+    action: 'DEVICE_ATTESTATION_FAILED',
+    targetType: 'Device',
+    targetId: attestation.certificate ? attestation.certificate.fingerprint256 : undefined,
+    employeeId,
+    metadata: {
+      purpose,
+      status: attestation.status,
+      reason: attestation.reason,
+      certificateSubject: attestation.certificate ? attestation.certificate.subject : null,
+    },
+  });
+}
+
+// ============================================
+// SIGNING (device simulation / test tooling)
+// ============================================
+
+/**
+ * Sign a PID XML the way an RDService device does
+ * Used by scripts/generateDeviceTestCertificates.js to produce test captures.
+ *
+ * @param {string} xml - Unsigned <PidData> XML
+ * @param {KeyObject|string} privateKey - Device private key (RSA or EC)
+ * @returns {string} - PID XML with an enveloped <Signature>
+ */
+function signPidXml(xml, privateKey) {
+  const key = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+  const isEc = key.asymmetricKeyType === 'ec';
+
+  const digest = crypto.createHash('sha256').update(canonicalizeXml(xml), 'utf8').digest('base64');
+
+  const signedInfo = `<SignedInfo xmlns="${DSIG_NAMESPACE}">`
+    + `<CanonicalizationMethod Algorithm="${CANONICALIZATION_METHODS[0]}"></CanonicalizationMethod>`
+    + `<SignatureMethod Algorithm="http://www.w3.org/2001/04/xmldsig-more#${isEc ? 'ecdsa' : 'rsa'}-sha256"></SignatureMethod>`
+    + '<Reference URI="">'
+    + `<Transforms><Transform Algorithm="${ENVELOPED_SIGNATURE_TRANSFORM}"></Transform></Transforms>`
+    + '<DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"></DigestMethod>'
+    + `<DigestValue>${digest}</DigestValue>`
+    + '</Reference>'
+    + '</SignedInfo>';
+
+  const signatureValue = crypto.sign(
+    'sha256',
+    Buffer.from(canonicalizeXml(signedInfo, { element: 'SignedInfo' }), 'utf8'),
+    { key, dsaEncoding: isEc ? 'ieee-p1363' : 'der' }
+  ).toString('base64');
+
+  const signature = `<Signature xmlns="${DSIG_NAMESPACE}">`
+    + signedInfo.replace(` xmlns="${DSIG_NAMESPACE}"`, '')
+    + `<SignatureValue>${signatureValue}</SignatureValue>`
+    + '</Signature>';
+
+  const closing = xml.lastIndexOf('</PidData>');
+  if (closing === -1) {
+    throw new Error('PidData element not found');
+  }
+  return xml.slice(0, closing) + signature + xml.slice(closing);
+}
+
+module.exports = {
+  ATTESTATION_MODE,
+  loadTrustStore,
+  getTrustStore,
+  reloadTrustStore,
+  assertTrustStoreLoaded,
+  attestPidXml,
+  attestCapture,
+  attestationFields,
+  recordAttestationRejected,
+  signPidXml,
+};
@@ -0,0 +1,186 @@
+// utils/deviceRegistry.js
+const Device = require('../models/Device');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const { auditContext, recordAuditEvent } = require('./auditLog');
+const {
+  attestCapture,
+  attestationFields,
+  recordAttestationRejected,
+} = require('./deviceAttestation');
+
+/**
+ * Capture Device Checks
+ *
+ * Every capture (enrollment, verification, identification, attendance)
+ * passes through checkCaptureDevice, which:
+ *
+ *   1. Checks the device attestation (DEVICE_ATTESTATION_MODE)
+ *   2. Links the capture to its registered Device (models/Device.js)
+ *   3. Refuses captures from DISABLED devices, from unregistered devices
+ *      when devices.requireRegistration is set, and from registered
+ *      devices presenting a different certificate than the pinned one, or
+ *      none: a pinned device is only recognised by an attested capture
+ *   4. Records last-seen, RDService version and usage counters
+ */
+
+/**
+ * Why a capture's registered device is refused, if it is
+ *
+ * @returns {Object|null} - { reason, message }
+ */
+async function registrationProblem(registeredDevice, device, attestation) {
+  if (!registeredDevice) {
+    const settings = await OrganizationSettings.getSettings();
+    if (!settings.devices.requireRegistration) return null;
+
+    const serial = device && device.serialNumber;
+    return {
+      reason: 'DEVICE_NOT_REGISTERED',
+      message: serial
+        ? `Device ${serial} is not registered`
+        : 'Capture does not identify a registered device',
+    };
+  }
+
+  if (registeredDevice.status === 'DISABLED') {
+    return {
+      reason: 'DEVICE_DISABLED',
+      message: `Device ${registeredDevice.serialNumber} is disabled: ${registeredDevice.disabledReason}`,
+    };
+  }
+
+  const presented = attestation && attestation.attested && attestation.certificate
+    ? attestation.certificate.fingerprint256
+    : null;
+
+  // Claiming the serial number of a pinned device is not enough
+  if (!presented && registeredDevice.certificateFingerprint) {
+    return {
+      reason: 'DEVICE_NOT_ATTESTED',
+      message: `Device ${registeredDevice.serialNumber} only accepts attested captures`,
+    };
+  }
+
+  if (presented && registeredDevice.certificateFingerprint
+    && presented !== registeredDevice.certificateFingerprint) {
+    return {
+      reason: 'CERTIFICATE_MISMATCH',
+      message: `Device ${registeredDevice.serialNumber} presented a certificate other than the registered one`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Log a capture refused because of its device registration
+ */
+async function recordDeviceRejected(req, problem, { registeredDevice, device, employeeId, purpose }) {
+  console.warn(`⚠️ ${purpose} capture rejected: ${problem.message}`);
+
+  await recordAuditEvent({
+    ...auditContext(req),
+    action: 'DEVICE_CAPTURE_REJECTED',
+    targetType: 'Device',
+    targetId: registeredDevice ? String(registeredDevice._id) : (device && device.serialNumber),
+    employeeId,
+    metadata: {
+      purpose,
+      reason: problem.reason,
+      vendor: device ? device.vendor : undefined,
+      serialNumber: device ? device.serialNumber : undefined,
+    },
+  });
+}
+
+/**
+ * Check the device a capture came from
+ *
+ * @param {Object} req - Express request (actor, ip)
+ * @param {Object} capture - { pidXml, templateBase64, pid, deviceInfo, employeeId, purpose }
+ *   (templateBase64: a template sent next to the PID XML; pid: parsed PID;
+ *   purpose: ENROLLMENT, REENROLLMENT, VERIFICATION, IDENTIFICATION, ATTENDANCE)
+ * @returns {Promise<Object>} - { attestation, registeredDevice, device, rejection }
+ *   device: fields to store on the capture; rejection: body of a 403
+ *   response when the capture must be refused (already logged)
+ */
+async function checkCaptureDevice(req, { pidXml, templateBase64, pid, deviceInfo, employeeId, purpose }) {
+  const attestation = attestCapture({ pidXml, templateBase64, pid });
+
+  // An attested capture's device details come from the signed PID
+  const claimed = attestation && attestation.attested && pid && pid.device ? pid.device : deviceInfo;
+  const device = attestation ? { ...claimed, ...attestationFields(attestation) } : claimed;
+
+  // Only a verified certificate may select a device by its fingerprint
+  const registeredDevice = await Device.findForCapture({
+    ...claimed,
+    certificateFingerprint: attestation && attestation.attested ? attestation.certificate.fingerprint256 : undefined,
+  });
+
+  if (attestation && attestation.rejected) {
+    await recordAttestationRejected(req, attestation, { employeeId, purpose });
+    await trackDeviceUse(registeredDevice, 'ATTESTATION_FAILED');
+
+    return {
+      attestation,
+      registeredDevice,
+      device,
+      rejection: {
+        message: `Device attestation failed: ${attestation.status}`,
+        attestation: { status: attestation.status, reason: attestation.reason },
+      },
+    };
+  }
+
+  const problem = await registrationProblem(registeredDevice, device, attestation);
+  if (problem) {
+    await recordDeviceRejected(req, problem, { registeredDevice, device, employeeId, purpose });
+
+    return {
+      attestation,
+      // The capture was not proven to come from the device: not counted against it
+      registeredDevice: problem.reason === 'DEVICE_NOT_ATTESTED' ? null : registeredDevice,
+      device,
+      rejection: {
+        message: problem.message,
+        device: { status: problem.reason },
+      },
+    };
+  }
+
+  if (registeredDevice) {
+    registeredDevice.lastSeenAt = new Date();
+    registeredDevice.lastSeenBy = req.user.username;
+    registeredDevice.$inc('usage.captures', 1);
+    if (registeredDevice.recordVersions({ rdServiceVersion: device && device.rdServiceVersion })) {
+      console.log(`🔄 Device ${registeredDevice.serialNumber} now runs RDService ${registeredDevice.rdServiceVersion}`);
+    }
+    await registeredDevice.save();
+  }
+
+  return { attestation, registeredDevice, device, rejection: null };
+}
+
+/**
+ * Count a capture outcome against its registered device
+ * Counters are statistics only; a failure here never fails the request.
+ *
+ * @param {Object|ObjectId|null} registeredDevice - Device document or _id (no-op when null)
+ * @param {string} outcome - ENROLLMENT, VERIFICATION, IDENTIFICATION, ATTENDANCE,
+ *   ATTESTATION_FAILED, NO_MATCH or CAPTURE_REJECTED
+ */
+async function trackDeviceUse(registeredDevice, outcome) {
+  if (!registeredDevice) return;
+
+  const deviceId = registeredDevice._id || registeredDevice;
+  try {
+    await Device.trackUse(deviceId, outcome);
+  } catch (error) {
+    console.error(`❌ Device usage not recorded for ${deviceId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  checkCaptureDevice,
+  trackDeviceUse,
+};
@@ -0,0 +1,87 @@
+// utils/duplicateDetection.js
+const fingerprintIndex = require('./fingerprintIndex');
+const { MATCH_THRESHOLD, MIN_PAIRED_MINUTIAE, matchMinutiae } = require('./fingerprintMatcher');
+
+/**
+ * Cross-Employee Duplicate Detection
+ *
+ * templateHash only catches byte-identical resubmissions; two captures of
+ * the same finger never hash the same. Before a template is enrolled it is
+ * matched against the ACTIVE templates of every OTHER employee (the 1:N
+ * candidate index), so one person cannot be enrolled under two IDs.
+ *
+ * On a hit, FINGERPRINT_DUPLICATE_ACTION decides:
+ * - block  (default) refuse the enrollment
+ * - review enroll as PENDING_REVIEW and queue a DuplicateReview for a
+ *          superadmin (routes/superadminRoutes.js)
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const DUPLICATE_THRESHOLD = parseInt(process.env.FINGERPRINT_DUPLICATE_THRESHOLD) || MATCH_THRESHOLD;
+
+const DUPLICATE_ACTIONS = ['block', 'review'];
+
+const DUPLICATE_ACTION = (() => {
+  const action = (process.env.FINGERPRINT_DUPLICATE_ACTION || 'block').toLowerCase();
+  if (!DUPLICATE_ACTIONS.includes(action)) {
+    console.warn(`⚠️ Unknown FINGERPRINT_DUPLICATE_ACTION "${action}", using "block"`);
+    return 'block';
+  }
+  return action;
+})();
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Find ACTIVE templates of other employees that match a probe
+ *
+ * @param {Array} minutiae - Probe minutiae (canonical, from parseMinutiae)
+ * @param {string} employeeId - Employee being enrolled (excluded)
+ * @returns {Promise<Array>} - [{ fingerprintId, employeeId, fingerIndex, fingerName, score, pairedMinutiae }], best first
+ */
+async function findDuplicateEnrollments(minutiae, employeeId) {
+  const candidates = await fingerprintIndex.getCandidates();
+  const duplicates = [];
+
+  for (const candidate of candidates) {
+    if (candidate.employeeId === employeeId) continue;
+
+    const result = matchMinutiae(minutiae, candidate.minutiae);
+
+    if (result.score >= DUPLICATE_THRESHOLD && result.pairedMinutiae >= MIN_PAIRED_MINUTIAE) {
+      duplicates.push({
+        fingerprintId: candidate.fingerprintId,
+        employeeId: candidate.employeeId,
+        fingerIndex: candidate.fingerIndex,
+        fingerName: candidate.fingerName,
+        ...result,
+      });
+    }
+  }
+
+  return duplicates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Duplicate matches as returned to admins and stored on audit events
+ */
+function summarizeDuplicates(duplicates) {
+  return duplicates.map(d => ({
+    fingerprintId: String(d.fingerprintId),
+    employeeId: d.employeeId,
+    fingerName: d.fingerName,
+    score: d.score,
+  }));
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  DUPLICATE_ACTION,
+  findDuplicateEnrollments,
+  summarizeDuplicates,
+};
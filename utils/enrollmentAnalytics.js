@@ -0,0 +1,322 @@
+// utils/enrollmentAnalytics.js
+const Fingerprint = require('../models/fingerprint');
+const Employee = require('../models/Employee');
+const Device = require('../models/Device');
+
+/**
+ * Enrollment Coverage & Quality Analytics
+ *
+ * Backs GET /api/superadmin/dashboard/enrollment and its drill-down
+ * (.../dashboard/enrollment/employees). Every statistic is split into
+ * buckets; the drill-down lists the employees in one bucket, using the
+ * same classification as the summary so the two always agree.
+ *
+ * Metrics and buckets:
+ *   coverage      none | one | multiple        (distinct ACTIVE fingers)
+ *   quality       0-19 | 20-39 | ... | 80-100 | UNKNOWN  (ACTIVE templates)
+ *   revocations   normalized revocation reason (templates revoked in the period)
+ *   devices       Device _id | UNREGISTERED    (capture device of ACTIVE templates)
+ *   verification  never | stale | recent       (latest verification of any ACTIVE finger)
+ */
+
+const METRICS = ['coverage', 'quality', 'revocations', 'devices', 'verification'];
+
+const QUALITY_BUCKETS = [
+  { label: '0-19', min: 0, max: 19 },
+  { label: '20-39', min: 20, max: 39 },
+  { label: '40-59', min: 40, max: 59 },
+  { label: '60-79', min: 60, max: 79 },
+  { label: '80-100', min: 80, max: 100 },
+];
+
+const UNREGISTERED_DEVICE = 'UNREGISTERED';
+
+/**
+ * Quality bucket label of a template
+ */
+function qualityBucket(quality) {
+  if (quality === undefined || quality === null) return 'UNKNOWN';
+  const bucket = QUALITY_BUCKETS.find(b => quality >= b.min && quality <= b.max);
+  return bucket ? bucket.label : 'UNKNOWN';
+}
+
+/**
+ * Revocation reasons without the ids some of them carry
+ * ("Replaced by enrollment session 65f0..." → "Replaced by enrollment session")
+ */
+function normalizeRevokeReason(reason) {
+  return (reason || 'No reason provided').replace(/\s+[0-9a-f]{24}$/i, '').trim();
+}
+
+/**
+ * Coverage bucket of an employee
+ */
+function coverageBucket(facts) {
+  const fingers = facts ? facts.fingers : 0;
+  if (fingers === 0) return 'none';
+  return fingers === 1 ? 'one' : 'multiple';
+}
+
+/**
+ * Verification staleness bucket of an employee with ACTIVE fingers
+ */
+function verificationBucket(facts, staleBefore) {
+  if (!facts.lastVerifiedAt) return 'never';
+  return facts.lastVerifiedAt < staleBefore ? 'stale' : 'recent';
+}
+
+/**
+ * Per-employee facts about ACTIVE templates
+ *
+ * @param {Array|null} employeeIds - Restrict to these employees (null: all)
+ * @returns {Promise<Map>} - employeeId → { fingers, templates, qualities,
+ *   devices, lastVerifiedAt, verificationCount }
+ */
+async function getActiveTemplateFacts(employeeIds = null) {
+  const match = { status: 'ACTIVE' };
+  if (employeeIds) match.employeeId = { $in: employeeIds };
+
+  const rows = await Fingerprint.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$employeeId',
+        // Templates without a finger position count as separate fingers
+        fingers: { $addToSet: { $ifNull: ['$fingerIndex', '$_id'] } },
+        templates: { $sum: 1 },
+        qualities: { $push: '$quality' },
+        devices: { $addToSet: '$registeredDevice' },
+        lastVerifiedAt: { $max: '$lastVerifiedAt' },
+        verificationCount: { $sum: '$verificationCount' },
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id, {
+    fingers: row.fingers.length,
+    templates: row.templates,
+    qualities: row.qualities.filter(q => q !== undefined && q !== null),
+    devices: row.devices.map(d => (d ? String(d) : UNREGISTERED_DEVICE)),
+    lastVerifiedAt: row.lastVerifiedAt || null,
+    verificationCount: row.verificationCount,
+  }]));
+}
+
+/**
+ * Employees in scope (optionally one department)
+ */
+function findEmployees(department) {
+  const query = department ? { department } : {};
+  return Employee.find(query).select('employeeId name department jobRole').sort({ employeeId: 1 });
+}
+
+/**
+ * Templates revoked since a date
+ */
+function findRevocations(since, employeeIds) {
+  return Fingerprint.find({
+    status: 'REVOKED',
+    revokedAt: { $gte: since },
+    employeeId: { $in: employeeIds },
+  }).select('employeeId fingerIndex fingerName revokeReason revokedAt revokedBy');
+}
+
+/**
+ * Compute the enrollment dashboard
+ *
+ * @param {Object} options - { since (revocation window start), staleDays, department }
+ * @returns {Promise<Object>} - { coverage, quality, revocations, devices, verification }
+ */
+async function computeEnrollmentAnalytics({ since, staleDays, department }) {
+  const employees = await findEmployees(department);
+  const employeeIds = employees.map(e => e.employeeId);
+  const facts = await getActiveTemplateFacts(department ? employeeIds : null);
+  const staleBefore = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+
+  // Coverage
+  const coverage = { none: 0, one: 0, multiple: 0 };
+  employees.forEach(e => { coverage[coverageBucket(facts.get(e.employeeId))] += 1; });
+
+  // Quality distribution of ACTIVE templates
+  const quality = {};
+  [...QUALITY_BUCKETS.map(b => b.label), 'UNKNOWN'].forEach(label => { quality[label] = 0; });
+  let qualitySum = 0;
+  let qualityCount = 0;
+  let totalTemplates = 0;
+  for (const employee of employees) {
+    const f = facts.get(employee.employeeId);
+    if (!f) continue;
+    totalTemplates += f.templates;
+    f.qualities.forEach(q => {
+      quality[qualityBucket(q)] += 1;
+      qualitySum += q;
+      qualityCount += 1;
+    });
+    quality.UNKNOWN += f.templates - f.qualities.length;
+  }
+
+  // Revocations in the period
+  const revoked = await findRevocations(since, employeeIds);
+  const reasons = {};
+  revoked.forEach(fp => {
+    const reason = normalizeRevokeReason(fp.revokeReason);
+    reasons[reason] = (reasons[reason] || 0) + 1;
+  });
+
+  // Enrollments per capture device
+  const perDevice = {};
+  const deviceRows = await Fingerprint.aggregate([
+    { $match: { status: 'ACTIVE', employeeId: { $in: employeeIds } } },
+    {
+      $group: {
+        _id: '$registeredDevice',
+        templates: { $sum: 1 },
+        employees: { $addToSet: '$employeeId' },
+      }
+    }
+  ]);
+  const registered = await Device.find({ _id: { $in: deviceRows.map(row => row._id).filter(Boolean) } })
+    .select('serialNumber vendor model label site status');
+  deviceRows.forEach(row => {
+    const key = row._id ? String(row._id) : UNREGISTERED_DEVICE;
+    const device = registered.find(d => String(d._id) === key);
+    perDevice[key] = {
+      device: key,
+      serialNumber: device ? device.serialNumber : null,
+      label: device ? device.label : null,
+      site: device ? device.site : null,
+      status: device ? device.status : null,
+      templates: row.templates,
+      employees: row.employees.length,
+    };
+  });
+
+  // Verification staleness of employees with ACTIVE fingers
+  const verification = { never: 0, stale: 0, recent: 0 };
+  let verificationCount = 0;
+  employees.forEach(e => {
+    const f = facts.get(e.employeeId);
+    if (!f) return;
+    verification[verificationBucket(f, staleBefore)] += 1;
+    verificationCount += f.verificationCount;
+  });
+
+  return {
+    totalEmployees: employees.length,
+    coverage,
+    quality: {
+      totalTemplates,
+      averageQuality: qualityCount > 0 ? (qualitySum / qualityCount).toFixed(2) : null,
+      distribution: quality,
+    },
+    revocations: {
+      since,
+      revoked: revoked.length,
+      // Share of templates active during the period that were revoked
+      revocationRate: totalTemplates + revoked.length > 0
+        ? ((revoked.length / (totalTemplates + revoked.length)) * 100).toFixed(2)
+        : '0.00',
+      byReason: Object.entries(reasons)
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count),
+    },
+    devices: Object.values(perDevice).sort((a, b) => b.templates - a.templates),
+    verification: {
+      staleDays,
+      staleBefore,
+      totalVerifications: verificationCount,
+      employees: verification,
+    },
+  };
+}
+
+/**
+ * Employees in one bucket of a metric (dashboard drill-down)
+ *
+ * @param {Object} options - { metric, bucket, since, staleDays, department }
+ * @returns {Promise<Array>} - Employees with the facts that put them in the bucket
+ * @throws {Error} - Unknown metric (message suitable for a 400 response)
+ */
+async function findEmployeesInBucket({ metric, bucket, since, staleDays, department }) {
+  if (!METRICS.includes(metric)) {
+    throw new Error(`metric must be one of: ${METRICS.join(', ')}`);
+  }
+
+  const employees = await findEmployees(department);
+  const facts = await getActiveTemplateFacts(department ? employees.map(e => e.employeeId) : null);
+  const staleBefore = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+
+  const summary = (employee, extra = {}) => {
+    const f = facts.get(employee.employeeId);
+    return {
+      employeeId: employee.employeeId,
+      name: employee.name,
+      department: employee.department,
+      jobRole: employee.jobRole,
+      activeFingers: f ? f.fingers : 0,
+      lastVerifiedAt: f ? f.lastVerifiedAt : null,
+      verificationCount: f ? f.verificationCount : 0,
+      ...extra,
+    };
+  };
+
+  switch (metric) {
+    case 'coverage':
+      return employees
+        .filter(e => coverageBucket(facts.get(e.employeeId)) === bucket)
+        .map(e => summary(e));
+
+    case 'quality':
+      return employees
+        .filter(e => {
+          const f = facts.get(e.employeeId);
+          if (!f) return false;
+          if (bucket === 'UNKNOWN') return f.qualities.length < f.templates;
+          return f.qualities.some(q => qualityBucket(q) === bucket);
+        })
+        .map(e => summary(e, { qualities: facts.get(e.employeeId).qualities }));
+
+    case 'devices':
+      return employees
+        .filter(e => {
+          const f = facts.get(e.employeeId);
+          return Boolean(f) && f.devices.includes(bucket);
+        })
+        .map(e => summary(e));
+
+    case 'verification':
+      return employees
+        .filter(e => {
+          const f = facts.get(e.employeeId);
+          return Boolean(f) && verificationBucket(f, staleBefore) === bucket;
+        })
+        .map(e => summary(e));
+
+    case 'revocations': {
+      const revoked = (await findRevocations(since, employees.map(e => e.employeeId)))
+        .filter(fp => normalizeRevokeReason(fp.revokeReason) === bucket);
+
+      return employees
+        .filter(e => revoked.some(fp => fp.employeeId === e.employeeId))
+        .map(e => summary(e, {
+          revocations: revoked
+            .filter(fp => fp.employeeId === e.employeeId)
+            .map(fp => ({
+              fingerprintId: fp._id,
+              fingerName: fp.fingerName,
+              revokeReason: fp.revokeReason,
+              revokedAt: fp.revokedAt,
+              revokedBy: fp.revokedBy,
+            })),
+        }));
+    }
+  }
+}
+
+module.exports = {
+  METRICS,
+  QUALITY_BUCKETS,
+  UNREGISTERED_DEVICE,
+  computeEnrollmentAnalytics,
+  findEmployeesInBucket,
+};
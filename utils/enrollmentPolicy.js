@@ -0,0 +1,131 @@
+// utils/enrollmentPolicy.js
+const { FINGER_NAMES } = require('./fingerprint');
+const { matchMinutiae } = require('./fingerprintMatcher');
+
+/**
+ * Enrollment Quality Policy
+ *
+ * A single poor capture makes every later verification unreliable, so
+ * enrollment sessions (routes/enrollmentSessionRoutes.js) only commit
+ * templates once the employee has:
+ * - at least ENROLLMENT_MIN_FINGERS distinct fingers
+ * - ENROLLMENT_SAMPLES_PER_FINGER accepted samples for each of them
+ * - every sample at or above ENROLLMENT_MIN_QUALITY
+ *
+ * The samples of a finger are consolidated into one enrolled template:
+ * the sample that agrees best with the others (highest total match score).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const DEFAULT_POLICY = {
+  minFingers: parseInt(process.env.ENROLLMENT_MIN_FINGERS) || 2,
+  samplesPerFinger: parseInt(process.env.ENROLLMENT_SAMPLES_PER_FINGER) || 3,
+  minQuality: parseInt(process.env.ENROLLMENT_MIN_QUALITY) || 60,
+};
+
+// Open sessions are discarded (with their samples) after this long
+const SESSION_TTL_MINUTES = parseInt(process.env.ENROLLMENT_SESSION_TTL_MINUTES) || 30;
+
+// ============================================
+// PROGRESS
+// ============================================
+
+/**
+ * Work out how far a session is from satisfying its policy
+ *
+ * @param {Object} policy - { minFingers, samplesPerFinger, minQuality }
+ * @param {Array} samples - Accepted samples ({ fingerIndex, fingerName })
+ * @returns {Object} - { complete, fingers, completeFingers, fingersNeeded, message }
+ */
+function evaluateProgress(policy, samples) {
+  const byFinger = new Map();
+
+  samples.forEach(sample => {
+    const entry = byFinger.get(sample.fingerIndex) || {
+      fingerIndex: sample.fingerIndex,
+      fingerName: sample.fingerName || FINGER_NAMES[sample.fingerIndex + 1],
+      samples: 0,
+    };
+    entry.samples += 1;
+    byFinger.set(sample.fingerIndex, entry);
+  });
+
+  const fingers = [...byFinger.values()]
+    .sort((a, b) => a.fingerIndex - b.fingerIndex)
+    .map(finger => ({
+      ...finger,
+      samplesNeeded: Math.max(0, policy.samplesPerFinger - finger.samples),
+      complete: finger.samples >= policy.samplesPerFinger,
+    }));
+
+  const completeFingers = fingers.filter(f => f.complete).length;
+  const fingersNeeded = Math.max(0, policy.minFingers - completeFingers);
+  const complete = fingersNeeded === 0;
+
+  let message;
+  if (complete) {
+    message = 'Enrollment policy satisfied; session can be finalized';
+  } else {
+    const pending = fingers.filter(f => !f.complete);
+    const parts = pending.map(f => `${f.samplesNeeded} more sample(s) of ${f.fingerName}`);
+    const newFingers = fingersNeeded - pending.length;
+    if (newFingers > 0) {
+      parts.push(`${newFingers} more finger(s) with ${policy.samplesPerFinger} sample(s) each`);
+    }
+    message = `Still needed: ${parts.join(', ')}`;
+  }
+
+  return {
+    complete,
+    fingers,
+    completeFingers,
+    fingersNeeded,
+    message,
+  };
+}
+
+// ============================================
+// CONSOLIDATION
+// ============================================
+
+/**
+ * Pick the representative sample of one finger
+ *
+ * @param {Array} samples - [{ minutiae, quality }] for the same finger
+ * @returns {Object} - { index, agreement } index of the chosen sample and
+ *                     its mean match score against the other samples
+ */
+function consolidateSamples(samples) {
+  if (samples.length === 1) {
+    return { index: 0, agreement: null };
+  }
+
+  let best = null;
+
+  samples.forEach((sample, i) => {
+    let total = 0;
+    samples.forEach((other, j) => {
+      if (i !== j) total += matchMinutiae(sample.minutiae, other.minutiae).score;
+    });
+
+    const agreement = total / (samples.length - 1);
+
+    if (!best ||
+        agreement > best.agreement ||
+        (agreement === best.agreement && (sample.quality || 0) > (samples[best.index].quality || 0))) {
+      best = { index: i, agreement };
+    }
+  });
+
+  return { index: best.index, agreement: Math.round(best.agreement) };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  SESSION_TTL_MINUTES,
+  evaluateProgress,
+  consolidateSamples,
+};
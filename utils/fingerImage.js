@@ -0,0 +1,420 @@
+// utils/fingerImage.js
+const zlib = require('zlib');
+const { FINGER_NAMES } = require('./fingerprint');
+const { DEFAULT_BITRATE, encodeWsq, decodeWsq } = require('./wsq');
+
+/**
+ * ISO/IEC 19794-4 (2005) Finger Image Records
+ *
+ * Image records ("FIR\0") carry the captured finger images themselves
+ * rather than minutiae. They are kept (WSQ-compressed and encrypted, see
+ * models/fingerprint.js) so templates can be regenerated from them when
+ * the minutiae extractor improves (utils/minutiaeExtractor.js), and so
+ * admins can review captures as thumbnails.
+ *
+ * Record layout:
+ *   General header (32 bytes): "FIR\0", " 10\0", record length (6 bytes),
+ *   capture device id, acquisition level, finger count, scale units,
+ *   scan resolution (h, v), image resolution (h, v), pixel depth,
+ *   compression algorithm, reserved
+ *   Per finger view (14-byte header + image data): data block length,
+ *   finger position, view count, view number, quality, impression type,
+ *   width, height, reserved
+ *
+ * Supported image data: uncompressed (any depth up to 16 bits) and WSQ.
+ */
+
+const FORMAT_IDENTIFIER = 'FIR\0';
+const SUPPORTED_VERSIONS = [' 10\0'];
+
+const GENERAL_HEADER_LENGTH = 32;
+const VIEW_HEADER_LENGTH = 14;
+
+// Compression algorithm codes (record header)
+const COMPRESSION_ALGORITHMS = ['UNCOMPRESSED', 'BIT_PACKED', 'WSQ', 'JPEG', 'JPEG2000', 'PNG'];
+
+// Scale units: 1 = pixels per inch, 2 = pixels per centimetre
+const SCALE_UNITS_PPI = 1;
+const SCALE_UNITS_PPCM = 2;
+
+// Compression applied before an image record is stored
+const STORAGE_BITRATE = parseFloat(process.env.FINGERPRINT_IMAGE_WSQ_BITRATE) || DEFAULT_BITRATE;
+
+const DEFAULT_THUMBNAIL_SIZE = 160;
+
+/**
+ * Convert record input to a Buffer
+ */
+function toBuffer(record) {
+  if (Buffer.isBuffer(record)) return record;
+  if (typeof record === 'string') return Buffer.from(record, 'base64');
+  throw new Error('Image record must be a Buffer or Base64 string');
+}
+
+/**
+ * Check for the finger image record identifier
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isImageRecord(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.toString('latin1', 0, 4) === FORMAT_IDENTIFIER;
+}
+
+/**
+ * Parse an ISO 19794-4 finger image record
+ *
+ * @param {Buffer|string} record - Raw bytes or Base64 string
+ * @returns {Object} - { format, version, recordLength, captureDeviceId, acquisitionLevel,
+ *   scaleUnits, scanResolution: { x, y }, resolution: { x, y } (pixels/inch),
+ *   pixelDepth, compression, views: [{ fingerPosition, fingerIndex, fingerName,
+ *   viewCount, viewNumber, quality, impressionType, width, height, data }] }
+ * @throws {Error} - If the record is malformed
+ */
+function parseImageRecord(record) {
+  const buffer = toBuffer(record);
+
+  if (buffer.length < GENERAL_HEADER_LENGTH) {
+    throw new Error(`Image record too short (${buffer.length} bytes)`);
+  }
+
+  // ============================================
+  // GENERAL HEADER
+  // ============================================
+
+  if (!isImageRecord(buffer)) {
+    throw new Error('Missing "FIR" format identifier');
+  }
+
+  const version = buffer.toString('latin1', 4, 8);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported image record version "${version.replace(/\0/g, '').trim()}"`);
+  }
+
+  const recordLength = buffer.readUIntBE(8, 6);
+  if (recordLength !== buffer.length) {
+    throw new Error(`Record length field does not match record size (${buffer.length} bytes)`);
+  }
+
+  const scaleUnits = buffer.readUInt8(19);
+  if (scaleUnits !== SCALE_UNITS_PPI && scaleUnits !== SCALE_UNITS_PPCM) {
+    throw new Error(`Invalid scale units ${scaleUnits}`);
+  }
+
+  // Resolutions are reported in pixels per inch whatever the record uses
+  const toPpi = value => (scaleUnits === SCALE_UNITS_PPCM ? Math.round(value * 2.54) : value);
+
+  const viewCount = buffer.readUInt8(18);
+  const pixelDepth = buffer.readUInt8(28);
+  const compressionCode = buffer.readUInt8(29);
+
+  if (viewCount === 0) {
+    throw new Error('Record contains no finger views');
+  }
+
+  if (pixelDepth === 0 || pixelDepth > 16) {
+    throw new Error(`Invalid pixel depth ${pixelDepth}`);
+  }
+
+  if (compressionCode >= COMPRESSION_ALGORITHMS.length) {
+    throw new Error(`Unknown compression algorithm ${compressionCode}`);
+  }
+
+  const resolution = { x: toPpi(buffer.readUInt16BE(24)), y: toPpi(buffer.readUInt16BE(26)) };
+  if (resolution.x === 0 || resolution.y === 0) {
+    throw new Error('Record has zero image resolution');
+  }
+
+  // ============================================
+  // FINGER VIEWS
+  // ============================================
+
+  let offset = GENERAL_HEADER_LENGTH;
+  const views = [];
+
+  for (let v = 0; v < viewCount; v++) {
+    if (offset + VIEW_HEADER_LENGTH > recordLength) {
+      throw new Error(`Finger view ${v + 1} is truncated`);
+    }
+
+    const blockLength = buffer.readUInt32BE(offset);
+    const fingerPosition = buffer.readUInt8(offset + 4);
+    const quality = buffer.readUInt8(offset + 7);
+    const width = buffer.readUInt16BE(offset + 9);
+    const height = buffer.readUInt16BE(offset + 11);
+
+    if (blockLength < VIEW_HEADER_LENGTH || offset + blockLength > recordLength) {
+      throw new Error(`Finger view ${v + 1} has invalid data length ${blockLength}`);
+    }
+
+    // Multi-finger slaps and palms cannot be turned into one finger's template
+    if (fingerPosition >= FINGER_NAMES.length) {
+      throw new Error(`Finger view ${v + 1} has unsupported finger position ${fingerPosition} (single fingers only)`);
+    }
+
+    if (width === 0 || height === 0) {
+      throw new Error(`Finger view ${v + 1} has an empty image`);
+    }
+
+    views.push({
+      fingerPosition,
+      fingerIndex: fingerPosition > 0 ? fingerPosition - 1 : null,
+      fingerName: FINGER_NAMES[fingerPosition],
+      viewCount: buffer.readUInt8(offset + 5),
+      viewNumber: buffer.readUInt8(offset + 6),
+      // 0-100; other values (254 "not computed", 255 "failed") are unknown
+      quality: quality <= 100 ? quality : null,
+      impressionType: buffer.readUInt8(offset + 8),
+      width,
+      height,
+      data: buffer.subarray(offset + VIEW_HEADER_LENGTH, offset + blockLength),
+    });
+
+    offset += blockLength;
+  }
+
+  if (offset !== recordLength) {
+    throw new Error(`Record has ${recordLength - offset} unexpected trailing bytes`);
+  }
+
+  return {
+    format: 'ISO_19794_4',
+    version: version.replace(/\0/g, '').trim(),
+    recordLength,
+    captureDeviceId: buffer.readUInt16BE(14),
+    acquisitionLevel: buffer.readUInt16BE(16),
+    scaleUnits: SCALE_UNITS_PPI,
+    scanResolution: { x: toPpi(buffer.readUInt16BE(20)), y: toPpi(buffer.readUInt16BE(22)) },
+    resolution,
+    pixelDepth,
+    compression: COMPRESSION_ALGORITHMS[compressionCode],
+    views,
+  };
+}
+
+/**
+ * Encode a parsed record (see parseImageRecord) as an ISO 19794-4 record
+ * Resolutions are written in pixels per inch.
+ *
+ * @param {Object} record - Parsed record with view image data
+ * @returns {Buffer} - Record bytes
+ */
+function encodeImageRecord(record) {
+  const viewBuffers = record.views.map(view => {
+    const header = Buffer.alloc(VIEW_HEADER_LENGTH);
+    header.writeUInt32BE(VIEW_HEADER_LENGTH + view.data.length, 0);
+    header.writeUInt8(view.fingerPosition, 4);
+    header.writeUInt8(view.viewCount || record.views.length, 5);
+    header.writeUInt8(view.viewNumber || 1, 6);
+    header.writeUInt8(view.quality === null || view.quality === undefined ? 254 : view.quality, 7);
+    header.writeUInt8(view.impressionType || 0, 8);
+    header.writeUInt16BE(view.width, 9);
+    header.writeUInt16BE(view.height, 11);
+    return Buffer.concat([header, view.data]);
+  });
+
+  const header = Buffer.alloc(GENERAL_HEADER_LENGTH);
+  const recordLength = GENERAL_HEADER_LENGTH + viewBuffers.reduce((sum, b) => sum + b.length, 0);
+  const scanResolution = record.scanResolution || record.resolution;
+
+  header.write(FORMAT_IDENTIFIER, 0, 'latin1');
+  header.write(' 10\0', 4, 'latin1');
+  header.writeUIntBE(recordLength, 8, 6);
+  header.writeUInt16BE(record.captureDeviceId || 0, 14);
+  header.writeUInt16BE(record.acquisitionLevel || 0, 16);
+  header.writeUInt8(record.views.length, 18);
+  header.writeUInt8(SCALE_UNITS_PPI, 19);
+  header.writeUInt16BE(scanResolution.x, 20);
+  header.writeUInt16BE(scanResolution.y, 22);
+  header.writeUInt16BE(record.resolution.x, 24);
+  header.writeUInt16BE(record.resolution.y, 26);
+  header.writeUInt8(record.pixelDepth, 28);
+  header.writeUInt8(COMPRESSION_ALGORITHMS.indexOf(record.compression), 29);
+
+  return Buffer.concat([header, ...viewBuffers]);
+}
+
+/**
+ * Decode the image of one finger view to 8-bit grayscale
+ *
+ * @param {Object} record - Parsed record
+ * @param {number} [viewIndex] - View to decode (default: first)
+ * @returns {Object} - { width, height, ppi, pixels: Uint8Array }
+ * @throws {Error} - For compression algorithms we cannot decode
+ */
+function decodeViewImage(record, viewIndex = 0) {
+  const view = record.views[viewIndex];
+  if (!view) {
+    throw new Error(`Record has no finger view ${viewIndex + 1}`);
+  }
+
+  const ppi = record.resolution.x;
+
+  if (record.compression === 'WSQ') {
+    const image = decodeWsq(view.data);
+    if (image.width !== view.width || image.height !== view.height) {
+      throw new Error(`WSQ image is ${image.width}x${image.height}, view header says ${view.width}x${view.height}`);
+    }
+    return { width: image.width, height: image.height, ppi, pixels: image.pixels };
+  }
+
+  if (record.compression === 'UNCOMPRESSED') {
+    const count = view.width * view.height;
+    const bytesPerPixel = record.pixelDepth > 8 ? 2 : 1;
+
+    if (view.data.length !== count * bytesPerPixel) {
+      throw new Error(`Finger view holds ${view.data.length} bytes, expected ${count * bytesPerPixel}`);
+    }
+
+    // Rescale other depths to 8 bits
+    const maxValue = Math.pow(2, record.pixelDepth) - 1;
+    const pixels = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      const value = bytesPerPixel === 2 ? view.data.readUInt16BE(i * 2) : view.data[i];
+      pixels[i] = record.pixelDepth === 8 ? value : Math.round((Math.min(value, maxValue) * 255) / maxValue);
+    }
+    return { width: view.width, height: view.height, ppi, pixels };
+  }
+
+  throw new Error(`${record.compression} finger images are not supported`);
+}
+
+/**
+ * Re-encode an image record with WSQ-compressed views, for storage
+ * Records that are already WSQ-compressed are returned unchanged.
+ *
+ * @param {Buffer|string} record - Raw bytes or Base64 string
+ * @param {Object} [options] - { bitrate (bits/pixel) }
+ * @returns {Object} - { record: Buffer, compressed: boolean, originalSize, size }
+ */
+function compressImageRecord(record, { bitrate = STORAGE_BITRATE } = {}) {
+  const buffer = toBuffer(record);
+  const parsed = parseImageRecord(buffer);
+
+  if (parsed.compression === 'WSQ') {
+    return { record: buffer, compressed: false, originalSize: buffer.length, size: buffer.length };
+  }
+
+  const views = parsed.views.map((view, i) => {
+    const image = decodeViewImage(parsed, i);
+    return {
+      ...view,
+      data: encodeWsq(image.pixels, { width: image.width, height: image.height, bitrate, ppi: image.ppi }),
+    };
+  });
+
+  const compressed = encodeImageRecord({ ...parsed, pixelDepth: 8, compression: 'WSQ', views });
+
+  return { record: compressed, compressed: true, originalSize: buffer.length, size: compressed.length };
+}
+
+/**
+ * Get image record metadata (first finger view)
+ *
+ * @param {Buffer|string} record - Raw bytes or Base64 string
+ * @returns {Object} - Metadata about the record
+ * @throws {Error} - If the record is malformed
+ */
+function getImageInfo(record) {
+  const parsed = parseImageRecord(record);
+  const view = parsed.views[0];
+
+  return {
+    length: parsed.recordLength,
+    format: parsed.format,
+    version: parsed.version,
+    compression: parsed.compression,
+    resolution: parsed.resolution,
+    fingerViews: parsed.views.length,
+    fingerPosition: view.fingerPosition,
+    fingerIndex: view.fingerIndex,
+    fingerName: view.fingerName,
+    width: view.width,
+    height: view.height,
+    quality: view.quality,
+  };
+}
+
+// ============================================
+// THUMBNAILS (PNG)
+// ============================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const b of buffer) crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Render a grayscale image as a PNG thumbnail
+ * Images are shrunk (box filter) to fit maxSize, never enlarged.
+ *
+ * @param {Object} image - { width, height, pixels } (see decodeViewImage)
+ * @param {number} [maxSize] - Longest side in pixels (default 160)
+ * @returns {Object} - { png: Buffer, width, height }
+ */
+function renderThumbnail(image, maxSize = DEFAULT_THUMBNAIL_SIZE) {
+  const factor = Math.max(1, Math.max(image.width, image.height) / maxSize);
+  const width = Math.max(1, Math.round(image.width / factor));
+  const height = Math.max(1, Math.round(image.height / factor));
+
+  // One filter byte (0: none) before each row
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) sum += image.pixels[sy * image.width + sx];
+      }
+      raw[y * (width + 1) + 1 + x] = Math.round(sum / ((y1 - y0) * (x1 - x0)));
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.writeUInt8(8, 8); // Bit depth
+  ihdr.writeUInt8(0, 9); // Grayscale
+
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+
+  return { png, width, height };
+}
+
+module.exports = {
+  COMPRESSION_ALGORITHMS,
+  DEFAULT_THUMBNAIL_SIZE,
+  isImageRecord,
+  parseImageRecord,
+  encodeImageRecord,
+  decodeViewImage,
+  compressImageRecord,
+  getImageInfo,
+  renderThumbnail,
+};
@@ -8,9 +8,9 @@
  * ⚠️ IMPORTANT SDK INTEGRATION NOTES ⚠️
  * 
  * Current Implementation:
- * - fingerprintTemplate is treated as an opaque string
- * - No validation or transformation is performed
- * - Template is stored exactly as received from the device
+ * - Templates are parsed as ISO 19794-2 or ANSI INCITS 378 minutiae records
+ * - Header, record length and finger views are validated on enrollment
+ * - Template bytes are stored exactly as received (encrypted, see models/fingerprint.js)
  * 
  * Real-World Integration Points:
  * 
@@ -53,66 +53,283 @@
  *      * Implement access logging for template access
  *      * Consider GDPR/CCPA compliance if applicable
  * 
- * 5. VERIFICATION (Not implemented in this system):
- *    - To verify identity, you would:
- *      a) Capture live fingerprint with SDK
- *      b) Get stored template from database
- *      c) Use SDK's match/verify function
- *      d) SDK returns match score/confidence
- *    
- *    Example verification (pseudo-code):
- *    ```
- *    const liveTemplate = await scanner.capture();
- *    const storedTemplate = employee.fingerprintTemplate;
- *    const matchResult = await scanner.match(liveTemplate, storedTemplate);
- *    
- *    if (matchResult.score > threshold) {
- *      // Verified!
- *    }
- *    ```
+ * 5. VERIFICATION (server-side, see utils/fingerprintMatcher.js):
+ *    - MFS110 RDService does not match on the device, so:
+ *      a) Capture live fingerprint with SDK (probe template)
+ *      b) POST it to /api/fingerprints/verify (1:1) or /identify (1:N)
+ *      c) Server decrypts ACTIVE templates and runs the minutiae matcher
+ *      d) Response carries the match score and decision
  */
 
+// ============================================
+// ISO 19794-2 / ANSI INCITS 378 RECORD PARSER
+// ============================================
+
+// Both formats start with "FMR\0" followed by the version " 20\0"
+const FORMAT_IDENTIFIER = 'FMR\0';
+const SUPPORTED_VERSIONS = [' 20\0'];
+
+// Header sizes (bytes) up to and including the reserved byte
+const ISO_HEADER_LENGTH = 24;          // 4-byte record length
+const ANSI_HEADER_LENGTH = 26;         // 2-byte record length
+const ANSI_LONG_HEADER_LENGTH = 30;    // 2-byte zero + 4-byte record length
+
+const FINGER_VIEW_HEADER_LENGTH = 4;
+const MINUTIA_LENGTH = 6;
+
+// Degrees per angle unit stored in the minutia record
+const ANGLE_UNIT = {
+  ISO_19794_2: 360 / 256,
+  ANSI_378: 2,
+};
+
+// Finger position codes (ISO/ANSI table) → Fingerprint model fields
+// Code 0 is "unknown finger"; 1-5 right thumb→little, 6-10 left thumb→little
+const FINGER_NAMES = [
+  'UNKNOWN',
+  'RIGHT_THUMB', 'RIGHT_INDEX', 'RIGHT_MIDDLE', 'RIGHT_RING', 'RIGHT_PINKY',
+  'LEFT_THUMB', 'LEFT_INDEX', 'LEFT_MIDDLE', 'LEFT_RING', 'LEFT_PINKY',
+];
+
+const MINUTIA_TYPES = ['OTHER', 'RIDGE_ENDING', 'BIFURCATION'];
+
 /**
- * Validate fingerprint template format (basic check)
- * In production, use SDK-specific validation
- * 
- * @param {string} template - The fingerprint template string
- * @returns {boolean} - Whether template appears valid
+ * Convert template input to a Buffer
+ *
+ * @param {Buffer|string} template - Raw bytes or Base64 string
+ * @returns {Buffer}
  */
-function isValidTemplate(template) {
-  // Basic validation: check if it's a non-empty string
-  if (!template || typeof template !== 'string') {
-    return false;
+function toBuffer(template) {
+  if (Buffer.isBuffer(template)) return template;
+  if (typeof template === 'string') return Buffer.from(template, 'base64');
+  throw new Error('Template must be a Buffer or Base64 string');
+}
+
+/**
+ * Work out the record format and header layout from the length field
+ *
+ * ISO 19794-2 stores a 4-byte record length at offset 8. ANSI 378 stores a
+ * 2-byte length there, or 0x0000 followed by a 4-byte length for records
+ * larger than 64KB. Whichever field equals the actual buffer size wins.
+ *
+ * @param {Buffer} buffer - Template bytes
+ * @returns {Object} - { format, recordLength, headerLength }
+ */
+function detectLayout(buffer) {
+  const isoLength = buffer.readUInt32BE(8);
+  if (isoLength === buffer.length) {
+    return { format: 'ISO_19794_2', recordLength: isoLength, headerLength: ISO_HEADER_LENGTH };
   }
 
-  // Check minimum length (templates are typically >100 characters)
-  if (template.length < 50) {
-    return false;
+  const ansiLength = buffer.readUInt16BE(8);
+  if (ansiLength === buffer.length) {
+    return { format: 'ANSI_378', recordLength: ansiLength, headerLength: ANSI_HEADER_LENGTH };
   }
 
-  // In production, add SDK-specific validation here
-  // For example, check if it's valid base64, has correct header, etc.
+  if (ansiLength === 0 && buffer.length >= ANSI_LONG_HEADER_LENGTH) {
+    const ansiLongLength = buffer.readUInt32BE(10);
+    if (ansiLongLength === buffer.length) {
+      return { format: 'ANSI_378', recordLength: ansiLongLength, headerLength: ANSI_LONG_HEADER_LENGTH };
+    }
+  }
 
-  return true;
+  throw new Error(`Record length field does not match template size (${buffer.length} bytes)`);
 }
 
 /**
- * Get template metadata (if SDK provides it)
- * This is a placeholder for SDK-specific functionality
- * 
- * @param {string} template - The fingerprint template
+ * Parse an ISO 19794-2 (2005) or ANSI INCITS 378 (2004) finger minutiae record
+ *
+ * @param {Buffer|string} template - Raw bytes or Base64 string
+ * @returns {Object} - Parsed record:
+ *   { format, version, recordLength, captureEquipmentId, imageSize: { width, height },
+ *     resolution: { x, y } (pixels/cm), views: [{ fingerPosition, fingerIndex, fingerName,
+ *     viewNumber, impressionType, quality, minutiae: [{ type, x, y, angle (degrees), quality }] }] }
+ * @throws {Error} - If the record is malformed
+ */
+function parseTemplate(template) {
+  const buffer = toBuffer(template);
+
+  if (buffer.length < ISO_HEADER_LENGTH) {
+    throw new Error(`Template too short (${buffer.length} bytes)`);
+  }
+
+  // ============================================
+  // RECORD HEADER
+  // ============================================
+
+  if (buffer.toString('latin1', 0, 4) !== FORMAT_IDENTIFIER) {
+    throw new Error('Missing "FMR" format identifier');
+  }
+
+  const version = buffer.toString('latin1', 4, 8);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported record version "${version.replace(/\0/g, '').trim()}"`);
+  }
+
+  const { format, recordLength, headerLength } = detectLayout(buffer);
+
+  // Fixed fields (capture equipment → reserved) occupy the last 12 header bytes.
+  // ANSI inserts a 4-byte CBEFF product identifier just before them.
+  let offset = headerLength - 12;
+  let productId = null;
+  if (format === 'ANSI_378') {
+    productId = {
+      owner: buffer.readUInt16BE(offset - 4),
+      type: buffer.readUInt16BE(offset - 2),
+    };
+  }
+
+  const captureEquipment = buffer.readUInt16BE(offset);
+  const width = buffer.readUInt16BE(offset + 2);
+  const height = buffer.readUInt16BE(offset + 4);
+  const xResolution = buffer.readUInt16BE(offset + 6);
+  const yResolution = buffer.readUInt16BE(offset + 8);
+  const viewCount = buffer.readUInt8(offset + 10);
+
+  if (viewCount === 0) {
+    throw new Error('Record contains no finger views');
+  }
+
+  if (xResolution === 0 || yResolution === 0) {
+    throw new Error('Record has zero image resolution');
+  }
+
+  // ============================================
+  // FINGER VIEWS
+  // ============================================
+
+  offset = headerLength;
+  const views = [];
+
+  for (let v = 0; v < viewCount; v++) {
+    if (offset + FINGER_VIEW_HEADER_LENGTH > recordLength) {
+      throw new Error(`Finger view ${v + 1} is truncated`);
+    }
+
+    const fingerPosition = buffer.readUInt8(offset);
+    const viewByte = buffer.readUInt8(offset + 1);
+    const quality = buffer.readUInt8(offset + 2);
+    const minutiaeCount = buffer.readUInt8(offset + 3);
+
+    if (fingerPosition >= FINGER_NAMES.length) {
+      throw new Error(`Finger view ${v + 1} has invalid finger position ${fingerPosition}`);
+    }
+
+    if (quality > 100) {
+      throw new Error(`Finger view ${v + 1} has invalid quality ${quality}`);
+    }
+
+    offset += FINGER_VIEW_HEADER_LENGTH;
+
+    if (offset + minutiaeCount * MINUTIA_LENGTH > recordLength) {
+      throw new Error(`Finger view ${v + 1} minutiae data is truncated`);
+    }
+
+    const minutiae = [];
+    for (let i = 0; i < minutiaeCount; i++) {
+      const xField = buffer.readUInt16BE(offset);
+      const yField = buffer.readUInt16BE(offset + 2);
+      const typeCode = xField >> 14;
+
+      if (typeCode >= MINUTIA_TYPES.length) {
+        throw new Error(`Finger view ${v + 1} minutia ${i + 1} has invalid type`);
+      }
+
+      minutiae.push({
+        type: MINUTIA_TYPES[typeCode],
+        x: xField & 0x3fff,
+        y: yField & 0x3fff,
+        angle: buffer.readUInt8(offset + 4) * ANGLE_UNIT[format],
+        quality: buffer.readUInt8(offset + 5),
+      });
+
+      offset += MINUTIA_LENGTH;
+    }
+
+    // Extended data block (length may be zero)
+    if (offset + 2 > recordLength) {
+      throw new Error(`Finger view ${v + 1} is missing its extended data length`);
+    }
+    const extendedLength = buffer.readUInt16BE(offset);
+    offset += 2 + extendedLength;
+
+    if (offset > recordLength) {
+      throw new Error(`Finger view ${v + 1} extended data is truncated`);
+    }
+
+    views.push({
+      fingerPosition,
+      fingerIndex: fingerPosition > 0 ? fingerPosition - 1 : null,
+      fingerName: FINGER_NAMES[fingerPosition],
+      viewNumber: viewByte >> 4,
+      impressionType: viewByte & 0x0f,
+      quality,
+      minutiae,
+    });
+  }
+
+  if (offset !== recordLength) {
+    throw new Error(`Record has ${recordLength - offset} unexpected trailing bytes`);
+  }
+
+  return {
+    format,
+    version: version.replace(/\0/g, '').trim(),
+    recordLength,
+    productId,
+    captureEquipmentId: captureEquipment & 0x0fff,
+    imageSize: { width, height },
+    resolution: { x: xResolution, y: yResolution },
+    views,
+  };
+}
+
+/**
+ * Validate a fingerprint template
+ * Returns true only for well-formed ISO 19794-2 / ANSI 378 records
+ *
+ * @param {Buffer|string} template - Raw bytes or Base64 string
+ * @returns {boolean} - Whether the template parses cleanly
+ */
+function isValidTemplate(template) {
+  try {
+    parseTemplate(template);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get template metadata from the parsed record header
+ * Values describe the first finger view when the record holds several.
+ *
+ * @param {Buffer|string} template - Raw bytes or Base64 string
  * @returns {Object} - Metadata about the template
+ * @throws {Error} - If the record is malformed
  */
 function getTemplateInfo(template) {
+  const record = parseTemplate(template);
+  const view = record.views[0];
+
   return {
-    length: template.length,
-    type: 'Unknown (SDK-specific)', // Would be detected by SDK
-    format: 'Unknown (SDK-specific)', // ISO/ANSI/Proprietary
-    quality: 'Unknown (SDK-specific)', // Quality score if available
+    length: record.recordLength,
+    format: record.format,
+    version: record.version,
+    imageSize: record.imageSize,
+    resolution: record.resolution,
+    fingerViews: record.views.length,
+    fingerPosition: view.fingerPosition,
+    fingerIndex: view.fingerIndex,
+    fingerName: view.fingerName,
+    minutiaeCount: view.minutiae.length,
+    quality: view.quality,
   };
 }
 
 module.exports = {
+  FINGER_NAMES,
+  parseTemplate,
   isValidTemplate,
   getTemplateInfo,
 };
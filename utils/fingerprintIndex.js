@@ -0,0 +1,122 @@
+// utils/fingerprintIndex.js
+const mongoose = require('mongoose');
+const { parseMinutiae } = require('./fingerprintMatcher');
+const { CONVERTIBLE_FORMATS } = require('./templateConverter');
+
+/**
+ * In-memory Candidate Index for 1:N Identification
+ *
+ * Decrypting and parsing every ACTIVE template on each identification
+ * request does not scale to thousands of enrollees, so the decoded minutiae
+ * are cached here and reused until the index is invalidated.
+ *
+ * - The index is built lazily on first use (decrypted on load)
+ * - The Fingerprint model invalidates it whenever a template is enrolled,
+ *   revoked or otherwise changes status
+ * - Concurrent callers share the same rebuild
+ *
+ * ⚠️ The cache holds decoded biometric data in process memory only.
+ * It is never persisted or exposed through the API.
+ */
+
+let entries = null;        // Array of candidate entries, null when stale
+let loading = null;        // In-flight rebuild promise
+let generation = 0;        // Bumped on every invalidation
+let loadedAt = null;
+
+/**
+ * Build the candidate list from all ACTIVE minutiae templates
+ * (canonical ISO 19794-2 form, whichever scanner captured them)
+ *
+ * @returns {Promise<Array>} - [{ fingerprintId, employee, employeeId, fingerIndex, fingerName, minutiae }]
+ */
+async function build() {
+  // Resolved lazily: the Fingerprint model requires this module
+  const Fingerprint = mongoose.model('Fingerprint');
+
+  const fingerprints = await Fingerprint.find({
+    status: 'ACTIVE',
+    format: { $in: CONVERTIBLE_FORMATS },
+  });
+
+  const built = [];
+
+  for (const fp of fingerprints) {
+    try {
+      const record = parseMinutiae(fp.getCanonicalTemplate());
+
+      built.push({
+        fingerprintId: fp._id,
+        employee: fp.employee,
+        employeeId: fp.employeeId,
+        fingerIndex: fp.fingerIndex,
+        fingerName: fp.fingerName,
+        minutiae: record.minutiae,
+      });
+    } catch (error) {
+      console.error(`[Fingerprint Index] Skipping template ${fp._id}: ${error.message}`);
+    }
+  }
+
+  return built;
+}
+
+/**
+ * Get the current candidate list, rebuilding it if stale
+ *
+ * @returns {Promise<Array>} - Candidate entries
+ */
+async function getCandidates() {
+  if (entries) return entries;
+
+  if (!loading) {
+    const startedGeneration = generation;
+
+    const promise = build()
+      .then(built => {
+        // Only publish if nothing was invalidated while we were loading
+        if (startedGeneration === generation) {
+          entries = built;
+          loadedAt = new Date();
+          console.log(`[Fingerprint Index] Loaded ${built.length} candidate templates`);
+        }
+        return built;
+      })
+      .finally(() => {
+        if (loading === promise) loading = null;
+      });
+
+    loading = promise;
+  }
+
+  return loading;
+}
+
+/**
+ * Mark the index as stale (next lookup rebuilds it)
+ */
+function invalidate() {
+  generation += 1;
+  entries = null;
+  loading = null;
+  loadedAt = null;
+}
+
+/**
+ * Index status for diagnostics
+ *
+ * @returns {Object} - { loaded, size, loadedAt }
+ */
+function getStatus() {
+  return {
+    loaded: Boolean(entries),
+    size: entries ? entries.length : 0,
+    loadedAt,
+  };
+}
+
+module.exports = {
+  getCandidates,
+  invalidate,
+  getStatus,
+};
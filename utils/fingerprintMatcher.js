@@ -0,0 +1,281 @@
+// utils/fingerprintMatcher.js
+const { parseTemplate } = require('./fingerprint');
+
+/**
+ * Server-side Minutiae Matcher
+ *
+ * Pure-JavaScript matcher for ISO 19794-2 / ANSI 378 minutiae templates.
+ * Our MFS110 sites cannot match on the device, so verification is done here.
+ *
+ * Algorithm (alignment + pairing):
+ * 1. Every (probe, gallery) minutia pair votes for a rigid transform
+ *    (rotation + translation) in a coarse Hough accumulator
+ * 2. The strongest alignments are applied to the probe minutiae
+ * 3. Aligned minutiae are paired greedily with gallery minutiae that fall
+ *    inside the distance and direction tolerances
+ * 4. The best pairing count is normalized into a 0-100 score
+ *
+ * ⚠️ Scores are only comparable between templates from the same matcher.
+ * Tune FINGERPRINT_MATCH_THRESHOLD with real captures from your sites.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Decision threshold (0-100). Scores >= threshold are treated as a match.
+const MATCH_THRESHOLD = parseInt(process.env.FINGERPRINT_MATCH_THRESHOLD) || 40;
+
+// Minimum number of paired minutiae for a match (regardless of score)
+const MIN_PAIRED_MINUTIAE = parseInt(process.env.FINGERPRINT_MIN_PAIRED_MINUTIAE) || 8;
+
+// Reference resolution used to normalize coordinates (500 dpi ≈ 197 px/cm)
+const REFERENCE_RESOLUTION = 197;
+
+const DEFAULT_OPTIONS = {
+  distanceTolerance: 15,              // pixels at 500 dpi (~0.75 mm)
+  angleTolerance: Math.PI / 12,       // 15 degrees
+  rotationBin: Math.PI / 18,          // 10 degrees
+  translationBin: 10,                 // pixels
+  maxAlignments: 5,                   // alignments refined per comparison
+};
+
+// ============================================
+// TEMPLATE DECODING
+// ============================================
+
+/**
+ * Extract matcher-ready minutiae from an ISO 19794-2 / ANSI 378 record
+ *
+ * Only the first finger view is used. Coordinates are normalized to
+ * REFERENCE_RESOLUTION and angles converted to radians.
+ *
+ * @param {Buffer} buffer - Raw template bytes
+ * @returns {Object} - { format, resolution, fingerPosition, minutiae: [{ x, y, angle, type, quality }] }
+ * @throws {Error} - If the buffer is not a valid minutiae record
+ */
+function parseMinutiae(buffer) {
+  const record = parseTemplate(buffer);
+  const view = record.views[0];
+
+  const xScale = REFERENCE_RESOLUTION / record.resolution.x;
+  const yScale = REFERENCE_RESOLUTION / record.resolution.y;
+
+  return {
+    format: record.format,
+    resolution: record.resolution,
+    fingerPosition: view.fingerPosition,
+    minutiae: view.minutiae.map(m => ({
+      type: m.type,
+      x: m.x * xScale,
+      y: m.y * yScale,
+      angle: (m.angle * Math.PI) / 180,
+      quality: m.quality,
+    })),
+  };
+}
+
+// ============================================
+// GEOMETRY HELPERS
+// ============================================
+
+/**
+ * Normalize an angle into the range [-PI, PI)
+ */
+function normalizeAngle(angle) {
+  let a = angle % (2 * Math.PI);
+  if (a >= Math.PI) a -= 2 * Math.PI;
+  if (a < -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+
+/**
+ * Rotate a point counter-clockwise on the image, the same way ISO 19794-2
+ * minutia angles turn (image y runs down)
+ */
+function rotatePoint(x, y, cos, sin) {
+  return {
+    x: x * cos + y * sin,
+    y: -x * sin + y * cos,
+  };
+}
+
+/**
+ * Apply a rigid transform to a list of minutiae
+ */
+function transform(minutiae, { rotation, dx, dy }) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  return minutiae.map(m => {
+    const rotated = rotatePoint(m.x, m.y, cos, sin);
+    return {
+      x: rotated.x + dx,
+      y: rotated.y + dy,
+      angle: normalizeAngle(m.angle + rotation),
+      type: m.type,
+    };
+  });
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Find candidate alignments via Hough voting
+ *
+ * @returns {Array} - Up to maxAlignments transforms, best first
+ */
+function findAlignments(probe, gallery, options) {
+  const accumulator = new Map();
+
+  for (const p of probe) {
+    for (const g of gallery) {
+      const rotation = normalizeAngle(g.angle - p.angle);
+      const cos = Math.cos(rotation);
+      const sin = Math.sin(rotation);
+      const rotated = rotatePoint(p.x, p.y, cos, sin);
+      const dx = g.x - rotated.x;
+      const dy = g.y - rotated.y;
+
+      const key = [
+        Math.round(rotation / options.rotationBin),
+        Math.round(dx / options.translationBin),
+        Math.round(dy / options.translationBin),
+      ].join(':');
+
+      const bin = accumulator.get(key);
+      if (bin) {
+        bin.votes += 1;
+        bin.dx += dx;
+        bin.dy += dy;
+        bin.sin += Math.sin(rotation);
+        bin.cos += Math.cos(rotation);
+      } else {
+        accumulator.set(key, {
+          votes: 1,
+          dx,
+          dy,
+          sin: Math.sin(rotation),
+          cos: Math.cos(rotation),
+        });
+      }
+    }
+  }
+
+  // Average the transforms that fell into each of the strongest bins
+  return [...accumulator.values()]
+    .sort((a, b) => b.votes - a.votes)
+    .slice(0, options.maxAlignments)
+    .map(bin => ({
+      rotation: Math.atan2(bin.sin, bin.cos),
+      dx: bin.dx / bin.votes,
+      dy: bin.dy / bin.votes,
+    }));
+}
+
+/**
+ * Count one-to-one minutia pairs between aligned probe and gallery
+ */
+function countPairs(alignedProbe, gallery, options) {
+  const candidates = [];
+
+  alignedProbe.forEach((p, i) => {
+    gallery.forEach((g, j) => {
+      const distance = Math.hypot(p.x - g.x, p.y - g.y);
+      if (distance > options.distanceTolerance) return;
+
+      const angleDiff = Math.abs(normalizeAngle(p.angle - g.angle));
+      if (angleDiff > options.angleTolerance) return;
+
+      candidates.push({ i, j, distance });
+    });
+  });
+
+  // Greedy assignment: closest pairs first, each minutia used once
+  candidates.sort((a, b) => a.distance - b.distance);
+
+  const usedProbe = new Set();
+  const usedGallery = new Set();
+  let pairs = 0;
+
+  for (const { i, j } of candidates) {
+    if (usedProbe.has(i) || usedGallery.has(j)) continue;
+    usedProbe.add(i);
+    usedGallery.add(j);
+    pairs += 1;
+  }
+
+  return pairs;
+}
+
+/**
+ * Compare two minutiae sets
+ *
+ * @param {Array} probeMinutiae - Minutiae from the live capture
+ * @param {Array} galleryMinutiae - Minutiae from the enrolled template
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - { score (0-100), pairedMinutiae }
+ */
+function matchMinutiae(probeMinutiae, galleryMinutiae, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  if (probeMinutiae.length === 0 || galleryMinutiae.length === 0) {
+    return { score: 0, pairedMinutiae: 0 };
+  }
+
+  let bestPairs = 0;
+
+  for (const alignment of findAlignments(probeMinutiae, galleryMinutiae, opts)) {
+    const aligned = transform(probeMinutiae, alignment);
+    bestPairs = Math.max(bestPairs, countPairs(aligned, galleryMinutiae, opts));
+  }
+
+  // Dice coefficient over both minutiae sets, scaled to 0-100
+  const score = Math.round(
+    (200 * bestPairs) / (probeMinutiae.length + galleryMinutiae.length)
+  );
+
+  return { score, pairedMinutiae: bestPairs };
+}
+
+/**
+ * Compare two raw templates
+ *
+ * @param {Buffer} probe - Live capture template bytes
+ * @param {Buffer} gallery - Enrolled (decrypted) template bytes
+ * @param {Object} [options] - Matcher options
+ * @returns {Object} - { score, pairedMinutiae, isMatch }
+ */
+function matchTemplates(probe, gallery, options = {}) {
+  const probeRecord = parseMinutiae(probe);
+  const galleryRecord = parseMinutiae(gallery);
+
+  const result = matchMinutiae(probeRecord.minutiae, galleryRecord.minutiae, options);
+
+  return {
+    ...result,
+    isMatch: isMatch(result, options.threshold),
+  };
+}
+
+/**
+ * Apply the match decision rule to a matcher result
+ *
+ * @param {Object} result - { score, pairedMinutiae }
+ * @param {number} [threshold] - Overrides MATCH_THRESHOLD
+ * @returns {boolean}
+ */
+function isMatch(result, threshold = MATCH_THRESHOLD) {
+  return result.score >= threshold && result.pairedMinutiae >= MIN_PAIRED_MINUTIAE;
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  MIN_PAIRED_MINUTIAE,
+  parseMinutiae,
+  matchMinutiae,
+  matchTemplates,
+  isMatch,
+};
@@ -0,0 +1,110 @@
+// utils/fingerprintVerification.js
+const Fingerprint = require('../models/fingerprint');
+const { parseMinutiae, matchMinutiae, isMatch } = require('./fingerprintMatcher');
+const { parsePidXml } = require('./rdService');
+const { CONVERTIBLE_FORMATS, toCanonical } = require('./templateConverter');
+
+/**
+ * 1:1 Fingerprint Verification
+ *
+ * Shared by POST /api/fingerprints/verify and attendance marking
+ * (POST /api/admin/attendance/mark): a live probe is matched against the
+ * employee's ACTIVE encrypted templates. Callers record the audit event.
+ */
+
+/**
+ * Read a probe from a request body
+ * Accepts a raw template (base64) or an RDService PID XML capture.
+ * Callers check the capture's device with utils/deviceRegistry.js.
+ *
+ * @param {Object} body - { probeTemplateBase64, pidXml, format }
+ * @returns {Object} - { pid, record } (pid is null without PID XML)
+ * @throws {Error} - Message suitable for a 400 response
+ */
+function readProbe({ probeTemplateBase64, pidXml, format } = {}) {
+  let pid = null;
+  if (pidXml) {
+    try {
+      pid = parsePidXml(pidXml);
+    } catch (error) {
+      throw new Error(`Invalid PID XML: ${error.message}`);
+    }
+  }
+
+  probeTemplateBase64 = probeTemplateBase64 || (pid && pid.templateBase64);
+
+  if (!probeTemplateBase64) {
+    throw new Error('probeTemplateBase64 or pidXml is required');
+  }
+
+  if (format && !CONVERTIBLE_FORMATS.includes(format)) {
+    throw new Error(`Probe format must be one of: ${CONVERTIBLE_FORMATS.join(', ')}`);
+  }
+
+  // Probes from either scanner are normalized to the canonical format
+  try {
+    const record = parseMinutiae(toCanonical(Buffer.from(probeTemplateBase64, 'base64')));
+    return { pid, record };
+  } catch (error) {
+    throw new Error(`Invalid probe template: ${error.message}`);
+  }
+}
+
+/**
+ * Match a probe against an employee's ACTIVE templates
+ * A match is recorded as a success on the matched template. A failure is
+ * only recorded when the caller named the finger (fingerIndex): without
+ * it, a NO_MATCH may be a wrong finger, another person or a mistyped
+ * employeeId, and must not count against a genuine template (failures feed
+ * the quality-decay rule in jobs/templateExpiry.js).
+ *
+ * @param {String} employeeId - Employee ID
+ * @param {Array} probeMinutiae - Minutiae of the parsed probe
+ * @param {Object} options - { fingerIndex } to restrict to one finger
+ * @returns {Promise<Object>} - { enrolled, candidates, best, matched, decision, score }
+ */
+async function verifyEmployeeFingerprint(employeeId, probeMinutiae, { fingerIndex } = {}) {
+  const query = { employeeId, status: 'ACTIVE', format: { $in: CONVERTIBLE_FORMATS } };
+  if (fingerIndex !== undefined && fingerIndex !== null) {
+    query.fingerIndex = parseInt(fingerIndex);
+  }
+
+  const fingerprints = await Fingerprint.find(query);
+
+  const candidates = [];
+
+  for (const fp of fingerprints) {
+    try {
+      const galleryRecord = parseMinutiae(fp.getCanonicalTemplate());
+      const result = matchMinutiae(probeMinutiae, galleryRecord.minutiae);
+
+      candidates.push({ fingerprint: fp, ...result });
+    } catch (error) {
+      console.error(`[Fingerprint Verify] Skipping template ${fp._id}: ${error.message}`);
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  const best = candidates[0] || null;
+  const matched = Boolean(best) && isMatch(best);
+  const fingerKnown = query.fingerIndex !== undefined;
+
+  if (best && (matched || fingerKnown)) {
+    best.fingerprint.recordVerification(matched, best.score);
+    await best.fingerprint.save();
+  }
+
+  return {
+    enrolled: fingerprints.length,
+    candidates,
+    best,
+    matched,
+    decision: matched ? 'MATCH' : 'NO_MATCH',
+    score: best ? best.score : 0,
+  };
+}
+
+module.exports = {
+  readProbe,
+  verifyEmployeeFingerprint,
+};
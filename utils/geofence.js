@@ -0,0 +1,289 @@
+// utils/geofence.js
+const Geofence = require('../models/Geofence');
+const Site = require('../models/Site');
+const SiteAssignment = require('../models/SiteAssignment');
+
+/**
+ * Attendance Geofencing
+ *
+ * Checks where an attendance mark or punch was made against the area the
+ * employee is expected to be in. The geofence is, in order of preference:
+ *   EMPLOYEE       the employee's own geofence (Employee.geofence; a radius
+ *                  without a center is centred on the base location)
+ *   SITE           the geofences of the employee's site (Employee.site) and
+ *                  of the sites they are assigned to at the time
+ *                  (models/SiteAssignment.js); inside any one of them is
+ *                  inside. A site without a Geofence counts as
+ *                  GEOFENCE_DEFAULT_RADIUS_METERS around its location.
+ *   BASE_LOCATION  GEOFENCE_DEFAULT_RADIUS_METERS around the base location
+ *
+ * A geofence is a RADIUS (center + radiusMeters) or a POLYGON (at least
+ * three { latitude, longitude } points). The distance from the base
+ * location is always computed and stored on the record.
+ *
+ * GEOFENCE_MODE decides what happens to locations outside:
+ *   off      no check (status NOT_CHECKED)
+ *   flag     accepted and stored with status OUTSIDE (default)
+ *   enforce  refused
+ */
+
+const GEOFENCE_MODES = ['off', 'flag', 'enforce'];
+const SHAPES = ['RADIUS', 'POLYGON'];
+
+const GEOFENCE_MODE = (() => {
+  const mode = (process.env.GEOFENCE_MODE || 'flag').toLowerCase();
+  if (!GEOFENCE_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown GEOFENCE_MODE "${mode}", using "flag"`);
+    return 'flag';
+  }
+  return mode;
+})();
+
+const DEFAULT_RADIUS_METERS = parseInt(process.env.GEOFENCE_DEFAULT_RADIUS_METERS) || 200;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// ============================================
+// GEOMETRY
+// ============================================
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ *
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} - Distance in meters
+ */
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Whether a point lies inside a polygon (ray casting on latitude/longitude;
+ * accurate for site-sized areas away from the antimeridian)
+ *
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygon - [{ latitude, longitude }, ...] (not closed)
+ * @returns {boolean}
+ */
+function isInsidePolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) /
+        (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * GeoJSON point of a { latitude, longitude } pair
+ *
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Object} - { type: 'Point', coordinates: [longitude, latitude] }
+ */
+function toGeoPoint(location) {
+  return { type: 'Point', coordinates: [Number(location.longitude), Number(location.latitude)] };
+}
+
+/**
+ * { latitude, longitude } pair of a GeoJSON point
+ *
+ * @param {Object} point - GeoJSON point
+ * @returns {Object} - { latitude, longitude }
+ */
+function fromGeoPoint(point) {
+  return { latitude: point.coordinates[1], longitude: point.coordinates[0] };
+}
+
+/**
+ * Whether a value is a { latitude, longitude } pair in range
+ */
+function isCoordinate(value) {
+  return Boolean(value) &&
+    Number.isFinite(value.latitude) && Math.abs(value.latitude) <= 90 &&
+    Number.isFinite(value.longitude) && Math.abs(value.longitude) <= 180;
+}
+
+// ============================================
+// DEFINITIONS
+// ============================================
+
+/**
+ * Validate and normalize a geofence from a request body
+ *
+ * @param {Object} input - { shape, center, radiusMeters, polygon }
+ * @param {Object} options - { requireCenter: false for employee radii
+ *   (centred on the base location) }
+ * @returns {Object} - { shape, center, radiusMeters, polygon }
+ * @throws {Error} - Message suitable for a 400 response
+ */
+function readGeofence(input, { requireCenter = true } = {}) {
+  if (!input || !SHAPES.includes(input.shape)) {
+    throw new Error(`geofence.shape must be one of: ${SHAPES.join(', ')}`);
+  }
+
+  if (input.shape === 'RADIUS') {
+    const radiusMeters = Number(input.radiusMeters);
+    if (!Number.isFinite(radiusMeters) || radiusMeters <= 0) {
+      throw new Error('geofence.radiusMeters must be a positive number');
+    }
+
+    if (requireCenter || input.center) {
+      if (!isCoordinate(input.center)) {
+        throw new Error('geofence.center must have a valid latitude and longitude');
+      }
+      return {
+        shape: 'RADIUS',
+        center: { latitude: input.center.latitude, longitude: input.center.longitude },
+        radiusMeters,
+      };
+    }
+
+    return { shape: 'RADIUS', radiusMeters };
+  }
+
+  const { polygon } = input;
+  if (!Array.isArray(polygon) || polygon.length < 3 || !polygon.every(isCoordinate)) {
+    throw new Error('geofence.polygon must have at least 3 points with a valid latitude and longitude');
+  }
+
+  return {
+    shape: 'POLYGON',
+    polygon: polygon.map(p => ({ latitude: p.latitude, longitude: p.longitude })),
+  };
+}
+
+/**
+ * Geofences that apply to an employee at a time
+ *
+ * @param {Object} employee - Employee document
+ * @param {Date} [at] - Time of the mark or punch (default: now)
+ * @returns {Promise<Array>} - [{ source, site, shape, center, radiusMeters, polygon }]
+ */
+async function resolveGeofences(employee, at = new Date()) {
+  const own = employee.geofence;
+  if (own && own.shape) {
+    return [{
+      source: 'EMPLOYEE',
+      shape: own.shape,
+      center: own.center && own.center.latitude !== undefined ? own.center : employee.baseLocation,
+      radiusMeters: own.radiusMeters,
+      polygon: own.polygon,
+    }];
+  }
+
+  const assigned = await SiteAssignment.siteNamesFor(employee.employeeId, at);
+  const siteNames = [...new Set([employee.site, ...assigned])].filter(Boolean);
+
+  if (siteNames.length > 0) {
+    const siteGeofences = await Geofence.find({ site: { $in: siteNames } });
+    const fenced = new Set(siteGeofences.map(geofence => geofence.site));
+
+    const fences = siteGeofences.map(geofence => ({
+      source: 'SITE',
+      site: geofence.site,
+      shape: geofence.shape,
+      center: geofence.center,
+      radiusMeters: geofence.radiusMeters,
+      polygon: geofence.polygon,
+    }));
+
+    const unfenced = siteNames.filter(name => !fenced.has(name));
+    if (unfenced.length > 0) {
+      const sites = await Site.find({ name: { $in: unfenced }, status: 'ACTIVE' });
+      sites.forEach(site => fences.push({
+        source: 'SITE',
+        site: site.name,
+        shape: 'RADIUS',
+        center: fromGeoPoint(site.location),
+        radiusMeters: DEFAULT_RADIUS_METERS,
+      }));
+    }
+
+    if (fences.length > 0) return fences;
+  }
+
+  return [{
+    source: 'BASE_LOCATION',
+    shape: 'RADIUS',
+    center: employee.baseLocation,
+    radiusMeters: DEFAULT_RADIUS_METERS,
+  }];
+}
+
+/**
+ * Whether a point lies inside a geofence
+ */
+function isInside(point, fence) {
+  return fence.shape === 'POLYGON'
+    ? isInsidePolygon(point, fence.polygon)
+    : distanceMeters(fence.center, point) <= fence.radiusMeters;
+}
+
+// ============================================
+// CHECK
+// ============================================
+
+/**
+ * Check the location of an attendance mark or punch
+ *
+ * @param {Object} employee - Employee document
+ * @param {Object} location - { latitude, longitude }
+ * @param {Date} [at] - Time of the mark or punch (default: now)
+ * @returns {Promise<Object>} - { distanceFromBase (meters), geofence: { status,
+ *   source, site, shape, radiusMeters }, rejected }. The geofence is the
+ *   one the location is inside, or the first that applies.
+ */
+async function checkAttendanceLocation(employee, location, at = new Date()) {
+  const point = { latitude: Number(location.latitude), longitude: Number(location.longitude) };
+  const distanceFromBase = isCoordinate(employee.baseLocation)
+    ? Math.round(distanceMeters(employee.baseLocation, point))
+    : undefined;
+
+  if (GEOFENCE_MODE === 'off') {
+    return { distanceFromBase, geofence: { status: 'NOT_CHECKED' }, rejected: false };
+  }
+
+  const fences = await resolveGeofences(employee, at);
+  const containing = fences.find(candidate => isInside(point, candidate));
+  const inside = Boolean(containing);
+  const fence = containing || fences[0];
+
+  return {
+    distanceFromBase,
+    geofence: {
+      status: inside ? 'INSIDE' : 'OUTSIDE',
+      source: fence.source,
+      site: fence.site,
+      shape: fence.shape,
+      radiusMeters: fence.radiusMeters,
+    },
+    rejected: GEOFENCE_MODE === 'enforce' && !inside,
+  };
+}
+
+module.exports = {
+  GEOFENCE_MODE,
+  DEFAULT_RADIUS_METERS,
+  distanceMeters,
+  isInsidePolygon,
+  toGeoPoint,
+  fromGeoPoint,
+  readGeofence,
+  resolveGeofences,
+  checkAttendanceLocation,
+};
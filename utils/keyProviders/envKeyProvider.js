@@ -0,0 +1,88 @@
+// utils/keyProviders/envKeyProvider.js
+const { createLocalKeyProvider } = require('./localKeyProvider');
+
+/**
+ * Environment Variable Key Provider
+ *
+ * - FINGERPRINT_MASTER_KEYS     Comma-separated "keyId:key" pairs. Keys are
+ *                               32 bytes, given as hex (64 chars) or base64.
+ *                               e.g. "2025-01:9f2c...,2026-01:ab41..."
+ * - FINGERPRINT_ACTIVE_KEY_ID   Key id used to wrap NEW data keys
+ *                               (default: last key in FINGERPRINT_MASTER_KEYS)
+ * - FINGERPRINT_ENCRYPTION_KEY  Legacy single key (32 characters). Needed to
+ *                               read records encrypted before envelope
+ *                               encryption. Also used as master key
+ *                               "legacy" when no other key is configured.
+ */
+
+const LEGACY_KEY_ID = 'legacy';
+
+/**
+ * Decode a 256-bit key from hex or base64
+ */
+function decodeKey(keyId, value) {
+  const trimmed = String(value).trim();
+
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`Master key "${keyId}" must be 32 bytes (hex or base64)`);
+  }
+
+  return key;
+}
+
+/**
+ * Create a provider from environment variables
+ *
+ * @param {Object} [env] - Environment (default: process.env)
+ * @returns {Object} - Key provider
+ */
+function createEnvKeyProvider(env = process.env) {
+  const keys = new Map();
+  let legacyKey = null;
+
+  if (env.FINGERPRINT_ENCRYPTION_KEY) {
+    // Legacy key was passed straight to createCipheriv as a string
+    legacyKey = Buffer.from(env.FINGERPRINT_ENCRYPTION_KEY);
+    if (legacyKey.length !== 32) {
+      throw new Error('FINGERPRINT_ENCRYPTION_KEY must be exactly 32 bytes');
+    }
+    keys.set(LEGACY_KEY_ID, legacyKey);
+  }
+
+  const entries = (env.FINGERPRINT_MASTER_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  let lastKeyId = null;
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('FINGERPRINT_MASTER_KEYS entries must look like "keyId:key"');
+    }
+
+    lastKeyId = entry.slice(0, separator).trim();
+    keys.set(lastKeyId, decodeKey(lastKeyId, entry.slice(separator + 1)));
+  }
+
+  const activeKeyId = env.FINGERPRINT_ACTIVE_KEY_ID ||
+    lastKeyId ||
+    (legacyKey ? LEGACY_KEY_ID : null);
+
+  return createLocalKeyProvider({
+    name: 'env',
+    keys,
+    activeKeyId,
+    legacyKey,
+  });
+}
+
+module.exports = {
+  LEGACY_KEY_ID,
+  createEnvKeyProvider,
+};
@@ -0,0 +1,190 @@
+// utils/keyProviders/keystoreKeyProvider.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { seal, unseal, createLocalKeyProvider } = require('./localKeyProvider');
+
+/**
+ * Password-Protected Keystore File Provider
+ *
+ * Master keys live in a JSON file, each sealed (AES-256-GCM) under a key
+ * derived from a password with scrypt. Suitable for single-server
+ * deployments, and for tests (create a throwaway keystore in a temp dir).
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "kdf": { "name": "scrypt", "salt": "<base64>", "N": 16384, "r": 8, "p": 1 },
+ *   "activeKeyId": "2026-01",
+ *   "legacyKeyId": null,
+ *   "keys": [{ "keyId": "2026-01", "createdAt": "...", "sealedKey": "<base64>" }]
+ * }
+ *
+ * Manage it with scripts/manageKeystore.js.
+ */
+
+const KEYSTORE_VERSION = 1;
+const DEFAULT_KDF = { name: 'scrypt', N: 16384, r: 8, p: 1 };
+
+/**
+ * Derive the keystore encryption key from the password
+ */
+function deriveKey(password, kdf) {
+  if (!password) {
+    throw new Error('Keystore password is required');
+  }
+
+  return crypto.scryptSync(password, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+  });
+}
+
+function readKeystore(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Keystore not found: ${filePath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (data.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version ${data.version}`);
+  }
+  return data;
+}
+
+/**
+ * Write atomically (temp file + rename), readable by owner only
+ */
+function writeKeystore(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Create an empty keystore file
+ *
+ * @param {string} filePath - Where to write the keystore
+ * @param {string} password - Keystore password
+ * @returns {Object} - Keystore data
+ */
+function createKeystore(filePath, password) {
+  if (fs.existsSync(filePath)) {
+    throw new Error(`Keystore already exists: ${filePath}`);
+  }
+
+  const data = {
+    version: KEYSTORE_VERSION,
+    kdf: { ...DEFAULT_KDF, salt: crypto.randomBytes(16).toString('base64') },
+    activeKeyId: null,
+    legacyKeyId: null,
+    keys: [],
+  };
+
+  // Verify the password derives before touching disk
+  deriveKey(password, data.kdf);
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  writeKeystore(filePath, data);
+  return data;
+}
+
+/**
+ * Add a master key to the keystore
+ *
+ * @param {string} filePath - Keystore path
+ * @param {string} password - Keystore password
+ * @param {string} keyId - New key id
+ * @param {Object} [options]
+ * @param {Buffer} [options.key] - Key material (default: random 32 bytes)
+ * @param {boolean} [options.activate] - Make it the active key
+ * @param {boolean} [options.legacy] - Mark it as the pre-envelope legacy key
+ */
+function addKey(filePath, password, keyId, { key, activate = false, legacy = false } = {}) {
+  const data = readKeystore(filePath);
+  const kek = deriveKey(password, data.kdf);
+
+  // Unlocks every existing key, so a wrong password fails here
+  loadKeys(data, kek);
+
+  if (data.keys.some(k => k.keyId === keyId)) {
+    throw new Error(`Key "${keyId}" already exists in keystore`);
+  }
+
+  const material = key || crypto.randomBytes(32);
+  if (material.length !== 32) {
+    throw new Error('Master keys must be 32 bytes');
+  }
+
+  data.keys.push({
+    keyId,
+    createdAt: new Date().toISOString(),
+    sealedKey: seal(material, kek, Buffer.from(keyId)).toString('base64'),
+  });
+
+  if (activate || !data.activeKeyId) data.activeKeyId = keyId;
+  if (legacy) data.legacyKeyId = keyId;
+
+  writeKeystore(filePath, data);
+  return data;
+}
+
+/**
+ * Change the active key
+ */
+function setActiveKey(filePath, keyId) {
+  const data = readKeystore(filePath);
+
+  if (!data.keys.some(k => k.keyId === keyId)) {
+    throw new Error(`Key "${keyId}" not found in keystore`);
+  }
+
+  data.activeKeyId = keyId;
+  writeKeystore(filePath, data);
+  return data;
+}
+
+/**
+ * Decrypt all master keys
+ */
+function loadKeys(data, kek) {
+  const keys = new Map();
+
+  for (const entry of data.keys) {
+    try {
+      keys.set(entry.keyId, unseal(Buffer.from(entry.sealedKey, 'base64'), kek, Buffer.from(entry.keyId)));
+    } catch (error) {
+      throw new Error('Failed to unlock keystore (wrong password or corrupted file)');
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Create a provider from a keystore file
+ *
+ * @param {Object} options
+ * @param {string} options.path - Keystore path
+ * @param {string} options.password - Keystore password
+ * @returns {Object} - Key provider
+ */
+function createKeystoreKeyProvider({ path: filePath, password }) {
+  const data = readKeystore(filePath);
+  const keys = loadKeys(data, deriveKey(password, data.kdf));
+
+  return createLocalKeyProvider({
+    name: 'keystore',
+    keys,
+    activeKeyId: data.activeKeyId,
+    legacyKey: data.legacyKeyId ? keys.get(data.legacyKeyId) : null,
+  });
+}
+
+module.exports = {
+  createKeystore,
+  addKey,
+  setActiveKey,
+  createKeystoreKeyProvider,
+};
@@ -0,0 +1,83 @@
+// utils/keyProviders/localKeyProvider.js
+const crypto = require('crypto');
+
+/**
+ * Local Key Provider (shared implementation)
+ *
+ * Wraps data keys with master keys held in process memory. Used by the
+ * env-var and keystore-file providers, which only differ in where the
+ * master keys come from.
+ *
+ * KEY PROVIDER INTERFACE (what config/fingerprintKeys.js expects):
+ * - name                          Provider name for logs
+ * - getActiveKeyId()              Key id used to wrap new data keys (or null)
+ * - hasKey(keyId)                 Whether a master key id is available
+ * - listKeyIds()                  All available master key ids
+ * - wrapKey(dataKey, keyId)       Encrypt a data key → Buffer
+ * - unwrapKey(wrappedKey, keyId)  Decrypt a data key → Buffer
+ * - getLegacyKey()                Raw pre-envelope key (Buffer) or null
+ *
+ * An HSM or cloud KMS provider only needs to implement the same methods;
+ * master keys never have to leave the device.
+ */
+
+/**
+ * AES-256-GCM with the key id bound as AAD
+ * Output: iv(16) + authTag(16) + ciphertext
+ */
+function seal(plaintext, key, aad) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(sealed, key, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.slice(0, 16));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.slice(16, 32));
+
+  return Buffer.concat([decipher.update(sealed.slice(32)), decipher.final()]);
+}
+
+/**
+ * Create a provider over in-memory master keys
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name
+ * @param {Map<string, Buffer>} options.keys - Master keys by id (32 bytes each)
+ * @param {string|null} options.activeKeyId - Key used for new data keys
+ * @param {Buffer|null} [options.legacyKey] - Pre-envelope key, if any
+ * @returns {Object} - Key provider
+ */
+function createLocalKeyProvider({ name, keys, activeKeyId, legacyKey = null }) {
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`Active key id "${activeKeyId}" is not available in the ${name} provider`);
+  }
+
+  function getMasterKey(keyId) {
+    const key = keys.get(keyId);
+    if (!key) {
+      throw new Error(`Fingerprint master key "${keyId}" is not configured`);
+    }
+    return key;
+  }
+
+  return {
+    name,
+    getActiveKeyId: () => activeKeyId || null,
+    hasKey: keyId => keys.has(keyId),
+    listKeyIds: () => [...keys.keys()],
+    wrapKey: (dataKey, keyId) => seal(dataKey, getMasterKey(keyId), Buffer.from(keyId)),
+    unwrapKey: (wrappedKey, keyId) => unseal(wrappedKey, getMasterKey(keyId), Buffer.from(keyId)),
+    getLegacyKey: () => legacyKey,
+  };
+}
+
+module.exports = {
+  seal,
+  unseal,
+  createLocalKeyProvider,
+};
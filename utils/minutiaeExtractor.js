@@ -0,0 +1,501 @@
+// utils/minutiaeExtractor.js
+const { encodeTemplate } = require('./templateConverter');
+const { MIN_PAIRED_MINUTIAE } = require('./fingerprintMatcher');
+const { compressImageRecord, parseImageRecord, decodeViewImage } = require('./fingerImage');
+
+/**
+ * Minutiae Extraction from Finger Images
+ *
+ * Turns a grayscale finger image (utils/fingerImage.js) into an
+ * ISO 19794-2 minutiae template the matcher can use:
+ *
+ *   1. Segmentation: blocks with enough contrast are foreground
+ *   2. Ridge orientation per block (gradient structure tensor)
+ *   3. Smoothing along the ridges, binarization against the local mean
+ *   4. Thinning to a one-pixel skeleton (Zhang-Suen)
+ *   5. Crossing number: 1 = ridge ending, 3 = bifurcation
+ *   6. Clean-up: minutiae near the print border and pairs closer than a
+ *      ridge gap (breaks, spurs, bridges) are dropped
+ *
+ * Directions follow ISO 19794-2: counter-clockwise from the x axis. A ridge
+ * ending points along its ridge; a bifurcation points between its forks.
+ *
+ * Templates record the EXTRACTOR_VERSION that produced them; bump it when
+ * the algorithm changes so scripts/regenerateTemplates.js re-extracts every
+ * template that has its finger image stored.
+ */
+
+const EXTRACTOR_VERSION = '1.0';
+
+// Tuned at 500 ppi; scaled to the image resolution
+const REFERENCE_PPI = 500;
+const BLOCK_SIZE = 16;
+const SMOOTHING_LENGTH = 7;       // Samples averaged along a ridge
+const TRACE_LENGTH = 10;          // Skeleton steps followed to measure direction
+const MIN_MINUTIA_DISTANCE = 8;   // Closer pairs are artefacts
+const MAX_MINUTIAE = 100;
+
+// Templates with fewer minutiae than the matcher needs to decide a match are useless
+const MIN_MINUTIAE = MIN_PAIRED_MINUTIAE;
+
+// ============================================
+// SEGMENTATION AND ORIENTATION
+// ============================================
+
+/**
+ * Per-block contrast, ridge orientation and coherence
+ *
+ * @returns {Object} - { cols, rows, contrast, orientation (radians, ridge
+ *   direction in image coordinates), coherence (0-1) }
+ */
+function analyzeBlocks(image, block) {
+  const { width, height, pixels } = image;
+  const cols = Math.ceil(width / block);
+  const rows = Math.ceil(height / block);
+  const contrast = new Float64Array(cols * rows);
+  const gxx = new Float64Array(cols * rows);
+  const gyy = new Float64Array(cols * rows);
+  const gxy = new Float64Array(cols * rows);
+  const counts = new Float64Array(cols * rows);
+  const sums = new Float64Array(cols * rows);
+  const squares = new Float64Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const b = Math.floor(y / block) * cols + Math.floor(x / block);
+      const v = pixels[y * width + x];
+      counts[b]++;
+      sums[b] += v;
+      squares[b] += v * v;
+
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) continue;
+
+      // Sobel gradients
+      const at = (dx, dy) => pixels[(y + dy) * width + x + dx];
+      const gx = (at(1, -1) + 2 * at(1, 0) + at(1, 1)) - (at(-1, -1) + 2 * at(-1, 0) + at(-1, 1));
+      const gy = (at(-1, 1) + 2 * at(0, 1) + at(1, 1)) - (at(-1, -1) + 2 * at(0, -1) + at(1, -1));
+      gxx[b] += gx * gx;
+      gyy[b] += gy * gy;
+      gxy[b] += gx * gy;
+    }
+  }
+
+  for (let b = 0; b < cols * rows; b++) {
+    const mean = sums[b] / counts[b];
+    contrast[b] = Math.sqrt(Math.max(0, squares[b] / counts[b] - mean * mean));
+  }
+
+  // Average the doubled-angle gradient field over 3x3 blocks
+  const orientation = new Float64Array(cols * rows);
+  const coherence = new Float64Array(cols * rows);
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      let sxx = 0;
+      let syy = 0;
+      let sxy = 0;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const rr = r + dr;
+          const cc = c + dc;
+          if (rr < 0 || cc < 0 || rr >= rows || cc >= cols) continue;
+          const b = rr * cols + cc;
+          sxx += gxx[b];
+          syy += gyy[b];
+          sxy += gxy[b];
+        }
+      }
+
+      const b = r * cols + c;
+      // Dominant gradient direction; ridges run perpendicular to it
+      orientation[b] = 0.5 * Math.atan2(2 * sxy, sxx - syy) + Math.PI / 2;
+      coherence[b] = sxx + syy > 0 ? Math.sqrt((sxx - syy) ** 2 + 4 * sxy * sxy) / (sxx + syy) : 0;
+    }
+  }
+
+  return { cols, rows, contrast, orientation, coherence };
+}
+
+/**
+ * Foreground blocks: enough contrast and a clear ridge direction,
+ * without isolated specks or holes
+ */
+function segment(blocks) {
+  const { cols, rows, contrast, coherence } = blocks;
+  const sorted = Array.from(contrast).sort((a, b) => a - b);
+  const threshold = Math.max(8, 0.25 * sorted[Math.floor(sorted.length * 0.95)]);
+
+  let mask = new Uint8Array(cols * rows);
+  for (let b = 0; b < mask.length; b++) {
+    mask[b] = contrast[b] >= threshold && coherence[b] >= 0.2 ? 1 : 0;
+  }
+
+  const neighbours = (m, r, c) => {
+    let n = 0;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if ((dr || dc) && r + dr >= 0 && c + dc >= 0 && r + dr < rows && c + dc < cols) n += m[(r + dr) * cols + c + dc];
+      }
+    }
+    return n;
+  };
+
+  const smoothed = new Uint8Array(mask.length);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const n = neighbours(mask, r, c);
+      smoothed[r * cols + c] = mask[r * cols + c] ? (n >= 3 ? 1 : 0) : (n >= 6 ? 1 : 0);
+    }
+  }
+  mask = smoothed;
+
+  // Minutiae are only trusted one block inside the print
+  const inner = new Uint8Array(mask.length);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      inner[r * cols + c] = mask[r * cols + c] && neighbours(mask, r, c) === 8 ? 1 : 0;
+    }
+  }
+
+  return { mask, inner };
+}
+
+// ============================================
+// BINARIZATION AND THINNING
+// ============================================
+
+/**
+ * Ridge map: 1 where a foreground pixel is darker than its neighbourhood
+ * after smoothing along the ridge direction
+ */
+function binarize(image, blocks, mask, block) {
+  const { width, height, pixels } = image;
+  const { cols, orientation } = blocks;
+  const smoothed = new Float64Array(width * height);
+  const half = Math.floor(SMOOTHING_LENGTH / 2);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const b = Math.floor(y / block) * cols + Math.floor(x / block);
+      if (!mask[b]) continue;
+
+      const dx = Math.cos(orientation[b]);
+      const dy = Math.sin(orientation[b]);
+      let sum = 0;
+      let count = 0;
+      for (let t = -half; t <= half; t++) {
+        const sx = Math.round(x + t * dx);
+        const sy = Math.round(y + t * dy);
+        if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+        sum += pixels[sy * width + sx];
+        count++;
+      }
+      smoothed[y * width + x] = sum / count;
+    }
+  }
+
+  // Local mean over a block-sized window (integral image)
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += smoothed[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+    }
+  }
+
+  const ridges = new Uint8Array(width * height);
+  const radius = Math.floor(block / 2);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const b = Math.floor(y / block) * cols + Math.floor(x / block);
+      if (!mask[b]) continue;
+
+      const x0 = Math.max(0, x - radius);
+      const y0 = Math.max(0, y - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const y1 = Math.min(height, y + radius + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+
+      ridges[y * width + x] = smoothed[y * width + x] < mean ? 1 : 0;
+    }
+  }
+
+  return ridges;
+}
+
+// Neighbour offsets, clockwise from north: P2..P9 in Zhang-Suen notation
+const NEIGHBOURS = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+function neighbourValues(map, width, height, x, y) {
+  return NEIGHBOURS.map(([dx, dy]) => {
+    const nx = x + dx;
+    const ny = y + dy;
+    return nx < 0 || ny < 0 || nx >= width || ny >= height ? 0 : map[ny * width + nx];
+  });
+}
+
+/**
+ * Zhang-Suen thinning (in place)
+ */
+function thin(map, width, height) {
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    for (let pass = 0; pass < 2; pass++) {
+      const remove = [];
+
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          if (!map[y * width + x]) continue;
+
+          const p = neighbourValues(map, width, height, x, y);
+          const count = p.reduce((a, b) => a + b, 0);
+          if (count < 2 || count > 6) continue;
+
+          let transitions = 0;
+          for (let i = 0; i < 8; i++) {
+            if (!p[i] && p[(i + 1) % 8]) transitions++;
+          }
+          if (transitions !== 1) continue;
+
+          const [p2, , p4, , p6, , p8] = p;
+          if (pass === 0 ? (p2 && p4 && p6) || (p4 && p6 && p8) : (p2 && p4 && p8) || (p2 && p6 && p8)) continue;
+
+          remove.push(y * width + x);
+        }
+      }
+
+      remove.forEach(i => { map[i] = 0; });
+      if (remove.length > 0) changed = true;
+    }
+  }
+}
+
+// ============================================
+// MINUTIAE
+// ============================================
+
+/**
+ * Follow the skeleton from a minutia through one of its neighbours
+ *
+ * @returns {Object} - { x, y, steps } (last point reached)
+ */
+function trace(skeleton, width, height, start, first, blocked) {
+  const visited = new Set([start.y * width + start.x, ...blocked]);
+  let x = first.x;
+  let y = first.y;
+  let steps = 1;
+  visited.add(y * width + x);
+
+  while (steps < TRACE_LENGTH) {
+    const next = NEIGHBOURS
+      .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+      .filter(p => p.x >= 0 && p.y >= 0 && p.x < width && p.y < height)
+      .filter(p => skeleton[p.y * width + p.x] && !visited.has(p.y * width + p.x));
+
+    // Stop at the end of the ridge or at another branch point
+    if (next.length !== 1) break;
+
+    x = next[0].x;
+    y = next[0].y;
+    visited.add(y * width + x);
+    steps++;
+  }
+
+  return { x, y, steps };
+}
+
+/**
+ * Direction (degrees, ISO convention) of a skeleton minutia
+ */
+function minutiaDirection(skeleton, width, height, x, y, type) {
+  const p = neighbourValues(skeleton, width, height, x, y);
+
+  // First pixel of each run of skeleton neighbours starts a branch
+  const starts = [];
+  for (let i = 0; i < 8; i++) {
+    if (p[i] && !p[(i + 7) % 8]) starts.push({ x: x + NEIGHBOURS[i][0], y: y + NEIGHBOURS[i][1] });
+  }
+  if (starts.length === 0) return null;
+
+  const blocked = starts.map(s => s.y * width + s.x);
+  const branches = starts.map((s, i) => trace(skeleton, width, height, { x, y }, s, blocked.filter((_, j) => j !== i)));
+  const angleOf = b => Math.atan2(-(b.y - y), b.x - x);
+
+  let direction;
+  if (type === 'RIDGE_ENDING' || branches.length < 3) {
+    if (branches[0].steps < 3) return null;
+    direction = angleOf(branches[0]);
+  } else {
+    // The two forks are the branches closest in direction
+    let best = null;
+    for (let i = 0; i < branches.length; i++) {
+      for (let j = i + 1; j < branches.length; j++) {
+        let diff = Math.abs(angleOf(branches[i]) - angleOf(branches[j]));
+        if (diff > Math.PI) diff = 2 * Math.PI - diff;
+        if (!best || diff < best.diff) best = { diff, pair: [branches[i], branches[j]] };
+      }
+    }
+    const [a, b] = best.pair;
+    direction = Math.atan2(Math.sin(angleOf(a)) + Math.sin(angleOf(b)), Math.cos(angleOf(a)) + Math.cos(angleOf(b)));
+  }
+
+  return ((direction * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Extract minutiae from a grayscale finger image
+ *
+ * @param {Object} image - { width, height, ppi, pixels: Uint8Array } (utils/fingerImage.decodeViewImage)
+ * @returns {Object} - { minutiae: [{ type, x, y, angle (degrees), quality }], quality (0-100) }
+ */
+function extractMinutiae(image) {
+  const { width, height } = image;
+  const scale = (image.ppi || REFERENCE_PPI) / REFERENCE_PPI;
+  const block = Math.max(8, Math.round(BLOCK_SIZE * scale));
+  const minDistance = MIN_MINUTIA_DISTANCE * scale;
+
+  const blocks = analyzeBlocks(image, block);
+  const { mask, inner } = segment(blocks);
+
+  const foreground = Array.from(mask).filter(Boolean).length;
+  if (foreground === 0) {
+    return { minutiae: [], quality: 0 };
+  }
+
+  const skeleton = binarize(image, blocks, mask, block);
+  thin(skeleton, width, height);
+
+  // Crossing number on the skeleton
+  let candidates = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (!skeleton[y * width + x]) continue;
+
+      const b = Math.floor(y / block) * blocks.cols + Math.floor(x / block);
+      if (!inner[b]) continue;
+
+      const p = neighbourValues(skeleton, width, height, x, y);
+      let crossings = 0;
+      for (let i = 0; i < 8; i++) crossings += Math.abs(p[i] - p[(i + 1) % 8]);
+      crossings /= 2;
+
+      const type = crossings === 1 ? 'RIDGE_ENDING' : (crossings === 3 ? 'BIFURCATION' : null);
+      if (!type) continue;
+
+      const angle = minutiaDirection(skeleton, width, height, x, y, type);
+      if (angle === null) continue;
+
+      candidates.push({
+        type,
+        x,
+        y,
+        angle,
+        quality: Math.max(1, Math.min(100, Math.round(
+          100 * blocks.coherence[b] * Math.min(1, blocks.contrast[b] / 40)
+        ))),
+      });
+    }
+  }
+
+  // Pairs closer than a ridge gap are breaks, spurs or bridges: drop both
+  const tooClose = new Set();
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (Math.hypot(candidates[i].x - candidates[j].x, candidates[i].y - candidates[j].y) < minDistance) {
+        tooClose.add(i);
+        tooClose.add(j);
+      }
+    }
+  }
+  candidates = candidates.filter((_, i) => !tooClose.has(i));
+
+  const minutiae = candidates
+    .sort((a, b) => b.quality - a.quality)
+    .slice(0, MAX_MINUTIAE)
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  // Image quality: ridge clarity over the print area
+  let coherenceSum = 0;
+  mask.forEach((m, b) => { if (m) coherenceSum += blocks.coherence[b]; });
+
+  return {
+    minutiae,
+    quality: Math.round((100 * coherenceSum) / foreground),
+  };
+}
+
+/**
+ * Build an ISO 19794-2 template from a finger image
+ *
+ * @param {Object} image - { width, height, ppi, pixels }
+ * @param {Object} [view] - { fingerPosition, impressionType, quality } from the image record
+ * @returns {Object} - { template: Buffer, minutiaeCount, quality, extractorVersion }
+ * @throws {Error} - If too few minutiae are found for the template to be matchable
+ */
+function extractTemplate(image, view = {}) {
+  const { minutiae, quality: imageQuality } = extractMinutiae(image);
+
+  if (minutiae.length < MIN_MINUTIAE) {
+    throw new Error(`Only ${minutiae.length} minutiae found (at least ${MIN_MINUTIAE} are needed)`);
+  }
+
+  // The capture's own quality score wins over our estimate
+  const quality = view.quality !== undefined && view.quality !== null ? view.quality : imageQuality;
+  const pixelsPerCm = Math.round((image.ppi || REFERENCE_PPI) / 2.54);
+
+  const template = encodeTemplate({
+    captureEquipmentId: 0,
+    imageSize: { width: image.width, height: image.height },
+    resolution: { x: pixelsPerCm, y: pixelsPerCm },
+    views: [{
+      fingerPosition: view.fingerPosition || 0,
+      viewNumber: 0,
+      impressionType: view.impressionType || 0,
+      quality,
+      minutiae: minutiae.slice(0, 255),
+    }],
+  }, 'ISO_19794_2');
+
+  return {
+    template,
+    minutiaeCount: minutiae.length,
+    quality,
+    extractorVersion: EXTRACTOR_VERSION,
+  };
+}
+
+/**
+ * Minutiae template for an ISO 19794-4 image record, plus the record
+ * compressed for storage
+ * Minutiae come from the compressed image, so a later regeneration from
+ * the stored record starts from exactly the same pixels.
+ *
+ * @param {Buffer|string} record - Image record bytes or Base64 string
+ * @returns {Object} - { template, imageRecord, view, minutiaeCount, quality, extractorVersion }
+ * @throws {Error} - If the record is malformed, cannot be decoded or yields too few minutiae
+ */
+function templateFromImageRecord(record) {
+  const { record: imageRecord } = compressImageRecord(record);
+  const parsed = parseImageRecord(imageRecord);
+  const view = parsed.views[0];
+
+  return {
+    ...extractTemplate(decodeViewImage(parsed), view),
+    imageRecord,
+    view,
+  };
+}
+
+module.exports = {
+  EXTRACTOR_VERSION,
+  MIN_MINUTIAE,
+  extractMinutiae,
+  extractTemplate,
+  templateFromImageRecord,
+};
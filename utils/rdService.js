@@ -0,0 +1,413 @@
+// utils/rdService.js
+/**
+ * Mantra RDService PID XML Ingestion
+ *
+ * The MFS110 RDService returns a PID XML block instead of a bare template:
+ *
+ *   <PidData>
+ *     <Resp errCode="0" errInfo="Success" fCount="1" fType="0" nmPoints="32" qScore="78"/>
+ *     <DeviceInfo dpId="MANTRA.MSIPL" rdsId="RENESAS.MANTRA.001" rdsVer="1.0.8"
+ *                 mi="MFS110" mc="..." dc="...">
+ *       <additional_info>
+ *         <Param name="srno" value="4461234"/>
+ *       </additional_info>
+ *     </DeviceInfo>
+ *     <Data type="X">...base64 template...</Data>
+ *   </PidData>
+ *
+ * The template may also arrive as a decoded Pid block with
+ * <Bios><Bio type="FMR" posh="LEFT_INDEX">...</Bio></Bios>, which carries
+ * the finger position as well.
+ *
+ * A minimal XML reader is used: RDService output is small, flat and
+ * attribute-heavy, and we only need elements, attributes and text.
+ */
+
+const { FINGER_NAMES } = require('./fingerprint');
+
+// ============================================
+// MINIMAL XML READER
+// ============================================
+
+const ENTITIES = {
+  '&lt;': '<',
+  '&gt;': '>',
+  '&amp;': '&',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(?:(lt|gt|amp|quot|apos)|#(\d+)|#x([0-9a-fA-F]+));/g, (match, named, dec, hex) => {
+    if (named) return ENTITIES[match];
+    return String.fromCodePoint(dec ? parseInt(dec, 10) : parseInt(hex, 16));
+  });
+}
+
+const TAG_PATTERN = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function readAttributes(rawAttributes) {
+  const attributes = {};
+  const attrPattern = new RegExp(ATTRIBUTE_PATTERN.source, 'g');
+  let attr;
+  while ((attr = attrPattern.exec(rawAttributes)) !== null) {
+    attributes[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+  }
+  return attributes;
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Parse XML into a tree of { name, attributes, children, text }
+ *
+ * @param {string} xml - XML document
+ * @returns {Object} - Root element
+ * @throws {Error} - On malformed XML
+ */
+function parseXml(xml) {
+  const source = String(xml)
+    .replace(/<\?[\s\S]*?\?>/g, '')       // XML declaration / processing instructions
+    .replace(/<!--[\s\S]*?-->/g, '');     // comments
+
+  const root = { name: '#root', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = new RegExp(TAG_PATTERN.source, 'g');
+
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const [, closing, name, rawAttributes, selfClosing] = match;
+    const current = stack[stack.length - 1];
+
+    current.text += decodeEntities(source.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    if (closing) {
+      if (current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+      continue;
+    }
+
+    const element = { name, attributes: readAttributes(rawAttributes), children: [], text: '' };
+    current.children.push(element);
+
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  if (root.children.length === 0) {
+    throw new Error('No XML elements found');
+  }
+
+  return root.children[0];
+}
+
+/**
+ * Depth-first search for the first element with a given name
+ * Namespace prefixes are ignored (Signature matches ds:Signature).
+ */
+function findElement(element, name) {
+  if (!element) return null;
+  if (element.name === name || localName(element.name) === name) return element;
+
+  for (const child of element.children) {
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ============================================
+// CANONICAL XML (XML-DSig)
+// ============================================
+
+function escapeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r/g, '&#xD;');
+}
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;')
+    .replace(/\n/g, '&#xA;')
+    .replace(/\r/g, '&#xD;');
+}
+
+function isNamespaceDeclaration(name) {
+  return name === 'xmlns' || name.startsWith('xmlns:');
+}
+
+function serializeStartTag(name, attributes) {
+  const names = Object.keys(attributes);
+  const namespaces = names.filter(isNamespaceDeclaration).sort();
+  const others = names.filter(attrName => !isNamespaceDeclaration(attrName)).sort();
+
+  const serialized = [...namespaces, ...others]
+    .map(attrName => ` ${attrName}="${escapeAttribute(attributes[attrName])}"`)
+    .join('');
+
+  return `<${name}${serialized}>`;
+}
+
+/**
+ * Canonical form of an XML document or of one of its elements
+ *
+ * Inclusive Canonical XML 1.0 without comments, for the flat,
+ * attribute-only markup RDService produces (no DTDs, CDATA or mixed
+ * content): attributes sorted with namespace declarations first, empty
+ * elements expanded, whitespace and line endings normalized as in C14N.
+ *
+ * @param {string} xml - XML document
+ * @param {Object} options
+ *   - element: canonicalize only the first element with this (local) name;
+ *              in-scope namespace declarations are copied onto it
+ *   - exclude: drop elements with this (local) name (enveloped signature)
+ * @returns {string} - Canonical XML
+ * @throws {Error} - If the requested element is not found
+ */
+function canonicalizeXml(xml, { element, exclude } = {}) {
+  const source = String(xml)
+    .replace(/\r\n?/g, '\n')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const tagPattern = new RegExp(TAG_PATTERN.source, 'g');
+  const namespaceStack = [{}];  // In-scope namespace declarations per open element
+  let output = '';
+  let depth = 0;                // Open elements (whole document)
+  let startDepth = null;        // Depth at which the selected element opened
+  let excludeDepth = null;      // Depth at which an excluded element opened
+  let done = false;
+  let lastIndex = 0;
+  let match;
+
+  const emitting = () => !done && excludeDepth === null && (!element || startDepth !== null);
+
+  while ((match = tagPattern.exec(source)) !== null && !done) {
+    const [, closing, name, rawAttributes, selfClosing] = match;
+
+    // Text between tags (text outside the document element is not output)
+    const text = source.slice(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+    if (depth > 0 && emitting()) {
+      output += escapeText(decodeEntities(text));
+    }
+
+    if (closing) {
+      if (emitting()) output += `</${name}>`;
+      depth--;
+      namespaceStack.pop();
+      if (excludeDepth !== null && depth === excludeDepth) excludeDepth = null;
+      if (startDepth !== null && depth === startDepth) done = true;
+      continue;
+    }
+
+    const attributes = readAttributes(rawAttributes);
+    const inScope = { ...namespaceStack[namespaceStack.length - 1] };
+    Object.keys(attributes).filter(isNamespaceDeclaration).forEach(attrName => {
+      inScope[attrName] = attributes[attrName];
+    });
+
+    if (exclude && excludeDepth === null && localName(name) === exclude) {
+      excludeDepth = depth;
+    }
+
+    let outputAttributes = attributes;
+    if (element && startDepth === null && excludeDepth === null && localName(name) === element) {
+      startDepth = depth;
+      outputAttributes = { ...inScope, ...attributes };
+    }
+
+    if (emitting()) {
+      output += serializeStartTag(name, outputAttributes);
+      if (selfClosing) output += `</${name}>`;
+    }
+
+    if (selfClosing) {
+      if (excludeDepth !== null && depth === excludeDepth) excludeDepth = null;
+      if (startDepth !== null && depth === startDepth) done = true;
+    } else {
+      depth++;
+      namespaceStack.push(inScope);
+    }
+  }
+
+  if (element && startDepth === null) {
+    throw new Error(`${element} element not found`);
+  }
+
+  return output;
+}
+
+// ============================================
+// RDSERVICE BLOCKS
+// ============================================
+
+// dpId prefix → vendor name used on the Fingerprint.device subdocument
+const VENDORS = {
+  MANTRA: 'Mantra',
+  PRECISION: 'Precision',
+  STARTEK: 'Startek',
+  MORPHO: 'Morpho',
+};
+
+// RDService "posh" finger names → Fingerprint model fingerName
+const POSH_FINGERS = {
+  RIGHT_THUMB: 'RIGHT_THUMB',
+  RIGHT_INDEX: 'RIGHT_INDEX',
+  RIGHT_MIDDLE: 'RIGHT_MIDDLE',
+  RIGHT_RING: 'RIGHT_RING',
+  RIGHT_LITTLE: 'RIGHT_PINKY',
+  LEFT_THUMB: 'LEFT_THUMB',
+  LEFT_INDEX: 'LEFT_INDEX',
+  LEFT_MIDDLE: 'LEFT_MIDDLE',
+  LEFT_RING: 'LEFT_RING',
+  LEFT_LITTLE: 'LEFT_PINKY',
+  UNKNOWN: 'UNKNOWN',
+};
+
+/**
+ * Read a DeviceInfo element into Fingerprint.device fields
+ *
+ * @param {Object} element - Parsed <DeviceInfo> element
+ * @returns {Object} - { vendor, model, serialNumber, rdServiceId, rdServiceVersion, dpId }
+ */
+function readDeviceInfo(element) {
+  const attrs = element.attributes;
+
+  // Serial number lives in <additional_info><Param name="srno" .../>
+  const params = {};
+  const additional = findElement(element, 'additional_info');
+  if (additional) {
+    additional.children
+      .filter(child => child.name === 'Param')
+      .forEach(param => {
+        params[param.attributes.name] = param.attributes.value;
+      });
+  }
+
+  const dpId = attrs.dpId || '';
+  const vendorKey = dpId.split('.')[0].toUpperCase();
+
+  return {
+    vendor: VENDORS[vendorKey] || dpId.split('.')[0] || undefined,
+    model: attrs.mi || undefined,
+    serialNumber: params.srno || undefined,
+    rdServiceId: attrs.rdsId || undefined,
+    rdServiceVersion: attrs.rdsVer || undefined,
+    dpId: dpId || undefined,
+  };
+}
+
+/**
+ * Parse a standalone DeviceInfo XML block (RDService DEVICEINFO call)
+ *
+ * @param {string} xml - <DeviceInfo> XML
+ * @returns {Object} - Device fields (see readDeviceInfo)
+ */
+function parseDeviceInfoXml(xml) {
+  const element = findElement(parseXml(xml), 'DeviceInfo');
+  if (!element) {
+    throw new Error('DeviceInfo element not found');
+  }
+  return readDeviceInfo(element);
+}
+
+/**
+ * Parse an RDService PID XML capture
+ *
+ * @param {string} xml - <PidData> XML from RDService CAPTURE
+ * @returns {Object} - { templateBase64, qScore, nmPoints, fingerIndex, fingerName, device, timestamp }
+ *   (fingerIndex only when posh names a finger)
+ * @throws {Error} - If the XML is malformed, the capture failed or carries no template
+ */
+function parsePidXml(xml) {
+  const root = parseXml(xml);
+
+  // Capture status
+  const resp = findElement(root, 'Resp');
+  if (!resp) {
+    throw new Error('Resp element not found');
+  }
+
+  const errCode = resp.attributes.errCode;
+  if (errCode !== undefined && errCode !== '0') {
+    throw new Error(`RDService capture failed (${errCode}): ${resp.attributes.errInfo || 'Unknown error'}`);
+  }
+
+  // Template: prefer a decoded <Bio type="FMR"> block, else <Data>
+  let templateBase64 = null;
+  let fingerName;
+  let timestamp;
+
+  const bio = findElement(root, 'Bio');
+  if (bio && bio.text) {
+    templateBase64 = bio.text.replace(/\s+/g, '');
+    fingerName = POSH_FINGERS[(bio.attributes.posh || '').toUpperCase()];
+  } else {
+    const data = findElement(root, 'Data');
+    if (data && data.text) {
+      templateBase64 = data.text.replace(/\s+/g, '');
+    }
+  }
+
+  if (!templateBase64) {
+    throw new Error('PID XML contains no template data');
+  }
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(templateBase64)) {
+    throw new Error('PID template data is not Base64');
+  }
+
+  const pid = findElement(root, 'Pid');
+  if (pid && pid.attributes.ts) {
+    timestamp = pid.attributes.ts;
+  }
+
+  const qScore = resp.attributes.qScore !== undefined ? parseInt(resp.attributes.qScore) : undefined;
+  const nmPoints = resp.attributes.nmPoints !== undefined ? parseInt(resp.attributes.nmPoints) : undefined;
+
+  const deviceInfo = findElement(root, 'DeviceInfo');
+
+  // FINGER_NAMES starts with UNKNOWN; fingerIndex 0 is the right thumb
+  const fingerIndex = fingerName && fingerName !== 'UNKNOWN'
+    ? FINGER_NAMES.indexOf(fingerName) - 1
+    : undefined;
+
+  return {
+    templateBase64,
+    qScore: Number.isNaN(qScore) ? undefined : qScore,
+    nmPoints: Number.isNaN(nmPoints) ? undefined : nmPoints,
+    fingerIndex,
+    fingerName,
+    device: deviceInfo ? readDeviceInfo(deviceInfo) : null,
+    timestamp,
+  };
+}
+
+module.exports = {
+  parseXml,
+  findElement,
+  canonicalizeXml,
+  parsePidXml,
+  parseDeviceInfoXml,
+};
@@ -0,0 +1,102 @@
+// utils/reenrollmentWorklist.js
+const Fingerprint = require('../models/fingerprint');
+const Employee = require('../models/Employee');
+const ReenrollmentTask = require('../models/ReenrollmentTask');
+
+/**
+ * Re-enrollment Worklist
+ *
+ * Groups the OPEN re-enrollment tasks (models/ReenrollmentTask.js) by
+ * department and employee, so a site admin sees whom to rescan and which
+ * fingers. Backs GET /api/admin/reenrollment/worklist and the summary
+ * logged by jobs/templateExpiry.js.
+ *
+ * Per finger, templateStatus tells whether the template still works:
+ *   ACTIVE   lifetime ends soon (dueAt); rescan before then
+ *   EXPIRED  expired by the job; the finger can no longer be verified
+ *   PURGED   expired template already deleted by the retention job
+ */
+
+const REASONS = ['LIFETIME', 'QUALITY_DECAY'];
+
+/**
+ * Build the worklist
+ *
+ * @param {Object} options - { department, reason, now }
+ * @returns {Promise<Object>} - { totalEmployees, totalFingers, overdue, departments }
+ */
+async function buildWorklist({ department, reason, now = new Date() } = {}) {
+  const taskFilter = { status: 'OPEN' };
+  if (reason) taskFilter.reason = reason;
+
+  const tasks = await ReenrollmentTask.find(taskFilter).sort({ dueAt: 1 });
+
+  const employeeFilter = { employeeId: { $in: [...new Set(tasks.map(t => t.employeeId))] } };
+  if (department) employeeFilter.department = department;
+
+  const employees = await Employee.find(employeeFilter)
+    .select('employeeId name department jobRole')
+    .sort({ employeeId: 1 });
+
+  const templates = await Fingerprint.find({ _id: { $in: tasks.map(t => t.fingerprint) } })
+    .select('status');
+  const templateStatus = new Map(templates.map(fp => [String(fp._id), fp.status]));
+
+  const byDepartment = new Map();
+  let totalFingers = 0;
+  let overdue = 0;
+
+  for (const employee of employees) {
+    const fingers = tasks
+      .filter(t => t.employeeId === employee.employeeId)
+      .map(t => ({
+        taskId: t._id,
+        fingerprintId: t.fingerprint,
+        fingerIndex: t.fingerIndex,
+        fingerName: t.fingerName,
+        reason: t.reason,
+        dueAt: t.dueAt,
+        overdue: t.dueAt <= now,
+        templateStatus: templateStatus.get(String(t.fingerprint)) || 'PURGED',
+        successRate: t.successRate,
+        attempts: t.attempts,
+        requestedAt: t.createdAt,
+      }));
+
+    totalFingers += fingers.length;
+    overdue += fingers.filter(f => f.overdue).length;
+
+    if (!byDepartment.has(employee.department)) {
+      byDepartment.set(employee.department, []);
+    }
+    byDepartment.get(employee.department).push({
+      employeeId: employee.employeeId,
+      name: employee.name,
+      jobRole: employee.jobRole,
+      // Tasks are sorted by dueAt, so the first finger is the most urgent
+      dueAt: fingers[0].dueAt,
+      fingers,
+    });
+  }
+
+  const departments = [...byDepartment.entries()]
+    .map(([name, list]) => ({
+      department: name,
+      employees: list.length,
+      fingers: list.reduce((sum, e) => sum + e.fingers.length, 0),
+      worklist: list.sort((a, b) => a.dueAt - b.dueAt),
+    }))
+    .sort((a, b) => String(a.department).localeCompare(String(b.department)));
+
+  return {
+    totalEmployees: employees.length,
+    totalFingers,
+    overdue,
+    departments,
+  };
+}
+
+module.exports = {
+  REASONS,
+  buildWorklist,
+};
@@ -0,0 +1,123 @@
+// utils/shiftSchedule.js
+const Shift = require('../models/Shift');
+const ShiftRoster = require('../models/ShiftRoster');
+
+/**
+ * Shift Schedule
+ *
+ * Finds the shift an employee works on a day: the roster of the employee
+ * in effect that day, otherwise the roster of their department
+ * (models/ShiftRoster.js). The result is the snapshot kept on the
+ * Attendance record (Attendance.shift), from which the record derives its
+ * status; later changes to the shift do not touch past days.
+ */
+
+/**
+ * Start of the (server-local) day of a time
+ *
+ * @param {Date} time - Any time of the day
+ * @returns {Date}
+ */
+function startOfDay(time) {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Roster that applies to an employee on a day
+ *
+ * @param {Object} employee - Employee document
+ * @param {Date} day - Start of the day
+ * @returns {Promise<Object|null>} - ShiftRoster document
+ */
+async function findRoster(employee, day) {
+  const own = await ShiftRoster.findOne({
+    scope: 'EMPLOYEE',
+    employeeId: employee.employeeId,
+    ...ShiftRoster.activeOn(day),
+  }).sort({ effectiveFrom: -1 });
+  if (own) return own;
+
+  return ShiftRoster.findOne({
+    scope: 'DEPARTMENT',
+    department: employee.department,
+    ...ShiftRoster.activeOn(day),
+  }).sort({ effectiveFrom: -1 });
+}
+
+/**
+ * Shift an employee works on an attendance day
+ *
+ * @param {Object} employee - Employee document
+ * @param {Date} time - Any time of the attendance day
+ * @returns {Promise<Object|null>} - { shift, name, start, end, graceMinutes,
+ *   halfDayLateMinutes, minFullDayMinutes, roster }, or null without a roster
+ */
+async function resolveShift(employee, time) {
+  const day = startOfDay(time);
+
+  const roster = await findRoster(employee, day);
+  if (!roster) return null;
+
+  const shift = await Shift.findById(roster.shiftIdOn(day));
+  if (!shift) return null;
+
+  const { start, end } = shift.windowOn(day);
+  return {
+    shift: shift._id,
+    name: shift.name,
+    start,
+    end,
+    graceMinutes: shift.graceMinutes,
+    halfDayLateMinutes: shift.halfDayLateMinutes,
+    minFullDayMinutes: shift.minFullDayMinutes,
+    roster: roster._id,
+  };
+}
+
+/**
+ * Attendance day a punch belongs to: the previous day while the previous
+ * day's night shift is still running, otherwise the day of the punch
+ *
+ * @param {Object} employee - Employee document
+ * @param {Date} time - Time of the punch
+ * @returns {Promise<Date>} - Start of the attendance day
+ */
+async function attendanceDayFor(employee, time) {
+  const day = startOfDay(time);
+  const previousDay = new Date(day);
+  previousDay.setDate(previousDay.getDate() - 1);
+
+  const previous = await resolveShift(employee, previousDay);
+  if (previous && time < previous.end) return previousDay;
+
+  return day;
+}
+
+/**
+ * Shifts of an employee day by day
+ *
+ * @param {Object} employee - Employee document
+ * @param {Date} from - First day
+ * @param {number} days - Number of days
+ * @returns {Promise<Array>} - [{ date, shift: snapshot or null }]
+ */
+async function buildSchedule(employee, from, days) {
+  const schedule = [];
+  const day = startOfDay(from);
+
+  for (let i = 0; i < days; i++) {
+    schedule.push({ date: new Date(day), shift: await resolveShift(employee, day) });
+    day.setDate(day.getDate() + 1);
+  }
+
+  return schedule;
+}
+
+module.exports = {
+  startOfDay,
+  resolveShift,
+  attendanceDayFor,
+  buildSchedule,
+};
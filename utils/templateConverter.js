@@ -0,0 +1,166 @@
+// utils/templateConverter.js
+const { parseTemplate } = require('./fingerprint');
+
+/**
+ * Template Format Conversion (ANSI INCITS 378 ⇄ ISO 19794-2)
+ *
+ * Our sites run a mix of Mantra MFS110 (ISO 19794-2) and Precision PB100
+ * (ANSI 378) scanners. Both formats carry the same minutiae data, so
+ * conversion is a re-encode of the parsed record:
+ * - Header layout differs (ANSI has a 2/6-byte length and a CBEFF product ID)
+ * - Minutia angle units differ (ISO: 360/256 degrees, ANSI: 2 degrees)
+ *
+ * ISO 19794-2 is the CANONICAL format used for matching and export.
+ *
+ * ⚠️ Vendor extended data blocks (ridge counts, core/delta) are dropped
+ * on conversion; their encoding is not guaranteed to be portable.
+ */
+
+const CANONICAL_FORMAT = 'ISO_19794_2';
+const CONVERTIBLE_FORMATS = ['ISO_19794_2', 'ANSI_378'];
+
+// Degrees per stored angle unit, and number of units in a full circle
+const ANGLE_ENCODING = {
+  ISO_19794_2: { unit: 360 / 256, modulo: 256 },
+  ANSI_378: { unit: 2, modulo: 180 },
+};
+
+const MINUTIA_TYPE_CODES = {
+  OTHER: 0,
+  RIDGE_ENDING: 1,
+  BIFURCATION: 2,
+};
+
+/**
+ * Encode a parsed record (see parseTemplate) as a binary template
+ *
+ * @param {Object} record - Parsed record from utils/fingerprint.parseTemplate
+ * @param {string} format - 'ISO_19794_2' or 'ANSI_378'
+ * @returns {Buffer} - Encoded template bytes
+ */
+function encodeTemplate(record, format) {
+  if (!CONVERTIBLE_FORMATS.includes(format)) {
+    throw new Error(`Cannot encode template as ${format}`);
+  }
+
+  const { unit, modulo } = ANGLE_ENCODING[format];
+
+  // ============================================
+  // FINGER VIEWS
+  // ============================================
+
+  const viewBuffers = record.views.map(view => {
+    const buffer = Buffer.alloc(4 + view.minutiae.length * 6 + 2);
+
+    buffer.writeUInt8(view.fingerPosition, 0);
+    buffer.writeUInt8(((view.viewNumber & 0x0f) << 4) | (view.impressionType & 0x0f), 1);
+    buffer.writeUInt8(view.quality, 2);
+    buffer.writeUInt8(view.minutiae.length, 3);
+
+    view.minutiae.forEach((m, i) => {
+      const offset = 4 + i * 6;
+      const typeCode = MINUTIA_TYPE_CODES[m.type] || 0;
+
+      buffer.writeUInt16BE((typeCode << 14) | (m.x & 0x3fff), offset);
+      buffer.writeUInt16BE(m.y & 0x3fff, offset + 2);
+      buffer.writeUInt8(Math.round(m.angle / unit) % modulo, offset + 4);
+      buffer.writeUInt8(m.quality, offset + 5);
+    });
+
+    // Extended data length: 0 (see module notes)
+    buffer.writeUInt16BE(0, buffer.length - 2);
+    return buffer;
+  });
+
+  const viewsLength = viewBuffers.reduce((sum, b) => sum + b.length, 0);
+
+  // ============================================
+  // RECORD HEADER
+  // ============================================
+
+  let header;
+
+  if (format === 'ISO_19794_2') {
+    header = Buffer.alloc(24);
+    header.writeUInt32BE(header.length + viewsLength, 8);
+  } else {
+    // Records over 64KB use 0x0000 followed by a 4-byte length
+    const shortLength = 26 + viewsLength;
+    header = Buffer.alloc(shortLength <= 0xffff ? 26 : 30);
+
+    if (header.length === 26) {
+      header.writeUInt16BE(shortLength, 8);
+    } else {
+      header.writeUInt16BE(0, 8);
+      header.writeUInt32BE(header.length + viewsLength, 10);
+    }
+
+    const productId = record.productId || { owner: 0, type: 0 };
+    header.writeUInt16BE(productId.owner, header.length - 16);
+    header.writeUInt16BE(productId.type, header.length - 14);
+  }
+
+  // Fixed fields occupy the last 12 header bytes in both formats
+  const offset = header.length - 12;
+  header.write('FMR\0', 0, 'latin1');
+  header.write(' 20\0', 4, 'latin1');
+  header.writeUInt16BE(record.captureEquipmentId & 0x0fff, offset);
+  header.writeUInt16BE(record.imageSize.width, offset + 2);
+  header.writeUInt16BE(record.imageSize.height, offset + 4);
+  header.writeUInt16BE(record.resolution.x, offset + 6);
+  header.writeUInt16BE(record.resolution.y, offset + 8);
+  header.writeUInt8(record.views.length, offset + 10);
+  header.writeUInt8(0, offset + 11);
+
+  return Buffer.concat([header, ...viewBuffers]);
+}
+
+/**
+ * Convert a minutiae template to another format
+ * Templates already in the target format are returned unchanged.
+ *
+ * @param {Buffer} template - ISO 19794-2 or ANSI 378 template bytes
+ * @param {string} targetFormat - 'ISO_19794_2' or 'ANSI_378'
+ * @returns {Buffer} - Template bytes in the target format
+ * @throws {Error} - If the template is malformed or the target unsupported
+ */
+function convertTemplate(template, targetFormat) {
+  const record = parseTemplate(template);
+
+  if (record.format === targetFormat) {
+    return template;
+  }
+
+  return encodeTemplate(record, targetFormat);
+}
+
+/**
+ * Convert ANSI 378 → ISO 19794-2
+ */
+function ansiToIso(template) {
+  return convertTemplate(template, 'ISO_19794_2');
+}
+
+/**
+ * Convert ISO 19794-2 → ANSI 378
+ */
+function isoToAnsi(template) {
+  return convertTemplate(template, 'ANSI_378');
+}
+
+/**
+ * Normalize a template into the canonical format (ISO 19794-2)
+ */
+function toCanonical(template) {
+  return convertTemplate(template, CANONICAL_FORMAT);
+}
+
+module.exports = {
+  CANONICAL_FORMAT,
+  CONVERTIBLE_FORMATS,
+  encodeTemplate,
+  convertTemplate,
+  ansiToIso,
+  isoToAnsi,
+  toCanonical,
+};
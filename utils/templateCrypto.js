@@ -0,0 +1,74 @@
+// utils/templateCrypto.js
+const crypto = require('crypto');
+
+/**
+ * Template Encryption Primitives
+ *
+ * Shared by everything that stores biometric data at rest (Fingerprint
+ * documents, enrollment session samples). Data keys are per record and
+ * wrapped by the master key provider (config/fingerprintKeys.js).
+ */
+
+/**
+ * Encrypt data
+ * Algorithm: AES-256-GCM (Galois/Counter Mode)
+ * 
+ * @param {Buffer} plaintext - Raw bytes
+ * @param {Buffer} key - 256-bit key
+ * @param {Buffer} [aad] - Additional authenticated data
+ * @returns {Buffer} - Concatenated buffer: [iv(16) + authTag(16) + ciphertext]
+ */
+function encryptTemplate(plaintext, key, aad) {
+  const iv = crypto.randomBytes(16); // 128-bit IV
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) cipher.setAAD(aad);
+  
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final()
+  ]);
+  
+  const authTag = cipher.getAuthTag(); // 128-bit authentication tag
+  
+  // Combine: iv + authTag + ciphertext
+  return Buffer.concat([iv, authTag, ciphertext]);
+}
+
+/**
+ * Decrypt data
+ * 
+ * @param {Buffer} encrypted - Encrypted buffer from database
+ * @param {Buffer} key - 256-bit key
+ * @param {Buffer} [aad] - Additional authenticated data
+ * @returns {Buffer} - Decrypted bytes
+ */
+function decryptTemplate(encrypted, key, aad) {
+  const iv = encrypted.slice(0, 16);
+  const authTag = encrypted.slice(16, 32);
+  const ciphertext = encrypted.slice(32);
+  
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(authTag);
+  
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Generate SHA-256 hash of template
+ * 
+ * @param {Buffer} templateBuffer - Raw template bytes
+ * @returns {string} - Hex-encoded hash
+ */
+function hashTemplate(templateBuffer) {
+  return crypto.createHash('sha256').update(templateBuffer).digest('hex');
+}
+
+module.exports = {
+  encryptTemplate,
+  decryptTemplate,
+  hashTemplate,
+};
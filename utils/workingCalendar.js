@@ -0,0 +1,142 @@
+// utils/workingCalendar.js
+const HolidayCalendar = require('../models/HolidayCalendar');
+
+/**
+ * Working Calendar
+ *
+ * Tells whether a day is a working day for an employee, from the holiday
+ * calendars that apply to them (models/HolidayCalendar.js): the
+ * organization's, their site's (Employee.site) and their department's.
+ * Attendance rates and absence alerts only count working days.
+ *
+ * Load once per request, then ask per employee and day:
+ *
+ *   const calendar = await loadWorkingCalendar();
+ *   calendar.isWorkingDay(employee, date);
+ */
+
+const SCOPE_ORDER = ['DEPARTMENT', 'SITE', 'ORGANIZATION']; // Most specific first
+
+/**
+ * Local calendar day key of a date
+ */
+function dayKey(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+}
+
+/**
+ * Working calendar over a set of holiday calendars
+ *
+ * @param {Array} calendars - HolidayCalendar documents
+ * @returns {Object} - { nonWorkingReason, isWorkingDay, workingRecords, countWorkingDays }
+ */
+function buildWorkingCalendar(calendars) {
+  const rules = new Map(); // department|site → { holidays, weeklyOffs }
+
+  /**
+   * Holidays and weekly offs of an employee (cached per department and site)
+   */
+  function rulesFor({ department, site } = {}) {
+    const key = `${department || ''}|${site || ''}`;
+    if (rules.has(key)) return rules.get(key);
+
+    const applicable = calendars
+      .filter(calendar => calendar.scope === 'ORGANIZATION' ||
+        (calendar.scope === 'SITE' && site && calendar.site === site) ||
+        (calendar.scope === 'DEPARTMENT' && department && calendar.department === department))
+      .sort((a, b) => SCOPE_ORDER.indexOf(a.scope) - SCOPE_ORDER.indexOf(b.scope));
+
+    const holidays = new Map();
+    applicable.forEach(calendar => calendar.holidays.forEach(holiday => {
+      const date = dayKey(holiday.date);
+      if (!holidays.has(date)) holidays.set(date, { name: holiday.name, calendar: calendar.name });
+    }));
+
+    const weeklyCalendar = applicable.find(calendar => Array.isArray(calendar.weeklyOffs));
+
+    const entry = {
+      holidays,
+      weeklyOffs: weeklyCalendar ? weeklyCalendar.weeklyOffs : [],
+      weeklyCalendar: weeklyCalendar ? weeklyCalendar.name : undefined,
+    };
+    rules.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Why a day is not a working day for an employee
+   *
+   * @param {Object} employee - { department, site } (Employee or Attendance)
+   * @param {Date} date - Any time of the day
+   * @returns {Object|null} - { type: HOLIDAY | WEEKLY_OFF, name, calendar },
+   *   or null on a working day
+   */
+  function nonWorkingReason(employee, date) {
+    const day = new Date(date);
+    const { holidays, weeklyOffs, weeklyCalendar } = rulesFor(employee);
+
+    const holiday = holidays.get(dayKey(day));
+    if (holiday) return { type: 'HOLIDAY', ...holiday };
+
+    if (weeklyOffs.some(off => HolidayCalendar.isWeeklyOffOn(off, day))) {
+      return { type: 'WEEKLY_OFF', name: day.toLocaleString('en-US', { weekday: 'long' }), calendar: weeklyCalendar };
+    }
+
+    return null;
+  }
+
+  function isWorkingDay(employee, date) {
+    return !nonWorkingReason(employee, date);
+  }
+
+  /**
+   * Attendance records made on a working day of their employee
+   *
+   * @param {Array} records - Attendance records (employeeId, department, date)
+   * @param {Array} employees - Employees (employeeId, department, site); records
+   *   of employees not listed are judged by their department
+   * @returns {Array}
+   */
+  function workingRecords(records, employees = []) {
+    const byId = new Map(employees.map(employee => [employee.employeeId, employee]));
+    return records.filter(record => isWorkingDay(byId.get(record.employeeId) || record, record.date));
+  }
+
+  /**
+   * Working days of an employee in a period
+   *
+   * @param {Object} employee - { department, site } ({} for the organization calendar)
+   * @param {Date} from - First day
+   * @param {Date} to - Last day (inclusive)
+   * @returns {number}
+   */
+  function countWorkingDays(employee, from, to) {
+    let count = 0;
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+
+    while (day <= to) {
+      if (isWorkingDay(employee, day)) count += 1;
+      day.setDate(day.getDate() + 1);
+    }
+    return count;
+  }
+
+  return { nonWorkingReason, isWorkingDay, workingRecords, countWorkingDays };
+}
+
+/**
+ * Load every holiday calendar into a working calendar
+ *
+ * @returns {Promise<Object>} - See buildWorkingCalendar
+ */
+async function loadWorkingCalendar() {
+  const calendars = await HolidayCalendar.find();
+  return buildWorkingCalendar(calendars);
+}
+
+module.exports = {
+  buildWorkingCalendar,
+  loadWorkingCalendar,
+};
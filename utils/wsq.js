@@ -0,0 +1,1233 @@
+// utils/wsq.js
+/**
+ * WSQ Gray-scale Fingerprint Image Compression
+ *
+ * Encoder and decoder for the FBI Wavelet Scalar Quantization format
+ * (IAFIS-IC-0110 v3), the compression used by ISO 19794-4 finger image
+ * records (compression algorithm 2). Layout follows the NIST NBIS
+ * reference implementation:
+ *
+ *   SOI, COM (NIST_COM), DTT (9/7 wavelet filters), DQT (64 subbands),
+ *   DHT + SOB for block 1 (subbands 0-18), DHT + SOB for blocks 2 and 3
+ *   (subbands 19-51, 52-59), EOI. Subbands 60-63 are never coded.
+ *
+ * Images are 8-bit grayscale, row-major, top-left origin.
+ */
+
+// ============================================
+// MARKERS AND CONSTANTS
+// ============================================
+
+const MARKERS = {
+  SOI: 0xffa0,
+  EOI: 0xffa1,
+  SOF: 0xffa2,
+  SOB: 0xffa3,
+  DTT: 0xffa4,
+  DQT: 0xffa5,
+  DHT: 0xffa6,
+  DRT: 0xffa7,
+  COM: 0xffa8,
+};
+
+const W_TREE_LENGTH = 20;
+const Q_TREE_LENGTH = 64;
+const NUM_SUBBANDS = 60;
+
+// First subband of blocks 1, 2 and 3 (block 3 ends at NUM_SUBBANDS)
+const BLOCK_STARTS = [0, 19, 52];
+
+// Huffman symbols: 1-100 zero runs, 101-106 escapes, 107-254 coefficients -73..74
+const MAX_HUFF_ZERO_RUN = 100;
+const MAX_HUFF_COEFF = 74;
+const COEFF_SYMBOL_OFFSET = 180;
+const ESCAPE = {
+  POS_8: 101,
+  NEG_8: 102,
+  POS_16: 103,
+  NEG_16: 104,
+  ZRUN_8: 105,
+  ZRUN_16: 106,
+};
+
+// Analysis filters of the FBI 9/7 biorthogonal wavelet, centre tap first
+const LOW_PASS = [
+  0.85269867900940344, 0.37740285561265380, -0.11062440441842342,
+  -0.02384946501938000, 0.03782845550699546,
+];
+const HIGH_PASS = [
+  0.78848561640566439, -0.41809227322221221, -0.04068941760955844,
+  0.06453888262893845,
+];
+
+const BIN_CENTER = 0.44;
+const DEFAULT_BITRATE = 0.75;     // Bits per pixel; 0.75 ≈ 15:1, the FBI setting
+const DEFAULT_PPI = 500;
+const MIN_DIMENSION = 64;
+const ENCODER_NUMBER = 2;
+const SOFTWARE_NUMBER = 0;
+
+// Bit allocation (NBIS quant.c)
+const VARIANCE_THRESHOLD = 1.01;
+const ZERO_BIN_FACTOR = 1.2;
+
+// ============================================
+// SUBBAND TREES
+// ============================================
+
+/**
+ * Split one region into four (one level of the wavelet tree)
+ */
+function wTree4(tree, start1, start2, lenx, leny, x, y, stop1) {
+  const p1 = start1;
+  const p2 = start2;
+  const evenx = lenx % 2;
+  const eveny = leny % 2;
+
+  Object.assign(tree[p1], { x, y, lenx, leny });
+
+  tree[p2].x = x;
+  tree[p2 + 2].x = x;
+  tree[p2].y = y;
+  tree[p2 + 1].y = y;
+
+  if (evenx === 0) {
+    tree[p2].lenx = lenx / 2;
+    tree[p2 + 1].lenx = tree[p2].lenx;
+  } else if (p1 === 4) {
+    tree[p2].lenx = (lenx - 1) / 2;
+    tree[p2 + 1].lenx = tree[p2].lenx + 1;
+  } else {
+    tree[p2].lenx = (lenx + 1) / 2;
+    tree[p2 + 1].lenx = tree[p2].lenx - 1;
+  }
+  tree[p2 + 1].x = tree[p2].lenx + x;
+  if (!stop1) {
+    tree[p2 + 3].lenx = tree[p2 + 1].lenx;
+    tree[p2 + 3].x = tree[p2 + 1].x;
+  }
+  tree[p2 + 2].lenx = tree[p2].lenx;
+
+  if (eveny === 0) {
+    tree[p2].leny = leny / 2;
+    tree[p2 + 2].leny = tree[p2].leny;
+  } else if (p1 === 5) {
+    tree[p2].leny = (leny - 1) / 2;
+    tree[p2 + 2].leny = tree[p2].leny + 1;
+  } else {
+    tree[p2].leny = (leny + 1) / 2;
+    tree[p2 + 2].leny = tree[p2].leny - 1;
+  }
+  tree[p2 + 2].y = tree[p2].leny + y;
+  if (!stop1) {
+    tree[p2 + 3].leny = tree[p2 + 2].leny;
+    tree[p2 + 3].y = tree[p2 + 2].y;
+  }
+  tree[p2 + 1].leny = tree[p2].leny;
+}
+
+/**
+ * Wavelet decomposition tree: the 20 regions split, in order
+ *
+ * @returns {Array} - [{ x, y, lenx, leny, invRow, invCol }]
+ */
+function buildWTree(width, height) {
+  const tree = Array.from({ length: W_TREE_LENGTH }, () => ({
+    x: 0, y: 0, lenx: 0, leny: 0, invRow: false, invCol: false,
+  }));
+
+  [2, 4, 7, 9, 11, 13, 16, 18].forEach(node => { tree[node].invRow = true; });
+  [3, 5, 8, 9, 12, 13, 17, 18].forEach(node => { tree[node].invCol = true; });
+
+  wTree4(tree, 0, 1, width, height, 0, 0, true);
+
+  const half = len => (len % 2 === 0 ? [len / 2, len / 2] : [(len + 1) / 2, (len - 1) / 2]);
+  const [lenx, lenx2] = half(tree[1].lenx);
+  const [leny, leny2] = half(tree[1].leny);
+
+  wTree4(tree, 4, 6, lenx2, leny, lenx, 0, false);
+  wTree4(tree, 5, 10, lenx, leny2, 0, leny, false);
+  wTree4(tree, 14, 15, lenx, leny, 0, 0, false);
+
+  tree[19].x = 0;
+  tree[19].y = 0;
+  tree[19].lenx = half(tree[15].lenx)[0];
+  tree[19].leny = half(tree[15].leny)[0];
+
+  return tree;
+}
+
+/**
+ * Split one region into sixteen subbands
+ */
+function qTree16(tree, start, lenx, leny, x, y, rw, cl) {
+  const p = start;
+  let tempx;
+  let temp2x;
+  let tempy;
+  let temp2y;
+
+  if (lenx % 2 === 0) {
+    tempx = lenx / 2;
+    temp2x = tempx;
+  } else if (cl) {
+    temp2x = (lenx + 1) / 2;
+    tempx = temp2x - 1;
+  } else {
+    tempx = (lenx + 1) / 2;
+    temp2x = tempx - 1;
+  }
+
+  if (leny % 2 === 0) {
+    tempy = leny / 2;
+    temp2y = tempy;
+  } else if (rw) {
+    temp2y = (leny + 1) / 2;
+    tempy = temp2y - 1;
+  } else {
+    tempy = (leny + 1) / 2;
+    temp2y = tempy - 1;
+  }
+
+  // Each quadrant of the region is split into four; odd lengths give the
+  // extra sample to the low half of low bands and the high half of high bands
+  const quadrant = (q, qx, qy, qlenx, qleny, lowX, lowY) => {
+    const [ax, bx] = qlenx % 2 === 0
+      ? [qlenx / 2, qlenx / 2]
+      : (lowX ? [(qlenx + 1) / 2, (qlenx - 1) / 2] : [(qlenx - 1) / 2, (qlenx + 1) / 2]);
+    const [ay, by] = qleny % 2 === 0
+      ? [qleny / 2, qleny / 2]
+      : (lowY ? [(qleny + 1) / 2, (qleny - 1) / 2] : [(qleny - 1) / 2, (qleny + 1) / 2]);
+
+    tree[q] = { x: qx, y: qy, lenx: ax, leny: ay };
+    tree[q + 1] = { x: qx + ax, y: qy, lenx: bx, leny: ay };
+    tree[q + 2] = { x: qx, y: qy + ay, lenx: ax, leny: by };
+    tree[q + 3] = { x: qx + ax, y: qy + ay, lenx: bx, leny: by };
+  };
+
+  quadrant(p, x, y, tempx, tempy, true, true);
+  quadrant(p + 4, x + tempx, y, temp2x, tempy, false, true);
+  quadrant(p + 8, x, y + tempy, tempx, temp2y, true, false);
+  quadrant(p + 12, x + tempx, y + tempy, temp2x, temp2y, false, false);
+}
+
+/**
+ * Split one region into four subbands
+ */
+function qTree4(tree, start, lenx, leny, x, y) {
+  const ax = lenx % 2 === 0 ? lenx / 2 : (lenx + 1) / 2;
+  const ay = leny % 2 === 0 ? leny / 2 : (leny + 1) / 2;
+
+  tree[start] = { x, y, lenx: ax, leny: ay };
+  tree[start + 1] = { x: x + ax, y, lenx: lenx - ax, leny: ay };
+  tree[start + 2] = { x, y: y + ay, lenx: ax, leny: leny - ay };
+  tree[start + 3] = { x: x + ax, y: y + ay, lenx: lenx - ax, leny: leny - ay };
+}
+
+/**
+ * Quantization tree: position and size of the 64 subbands
+ * Later splits overwrite the coarse entries they refine.
+ *
+ * @returns {Array} - [{ x, y, lenx, leny }]
+ */
+function buildQTree(wTree) {
+  const tree = new Array(Q_TREE_LENGTH);
+
+  qTree16(tree, 3, wTree[14].lenx, wTree[14].leny, wTree[14].x, wTree[14].y, false, false);
+  qTree16(tree, 19, wTree[4].lenx, wTree[4].leny, wTree[4].x, wTree[4].y, false, true);
+  qTree16(tree, 48, wTree[0].lenx, wTree[0].leny, wTree[0].x, wTree[0].y, false, false);
+  qTree16(tree, 35, wTree[5].lenx, wTree[5].leny, wTree[5].x, wTree[5].y, true, false);
+  qTree4(tree, 0, wTree[19].lenx, wTree[19].leny, wTree[19].x, wTree[19].y);
+
+  return tree;
+}
+
+// ============================================
+// WAVELET TRANSFORM
+// ============================================
+
+/**
+ * Full symmetric filter from its centre-first half
+ */
+function expandFilter(half) {
+  return [...half.slice(1).reverse(), ...half];
+}
+
+/**
+ * Whole-sample symmetric extension of an index into [0, length)
+ */
+function reflect(index, length) {
+  if (length === 1) return 0;
+  const period = 2 * (length - 1);
+  let i = ((index % period) + period) % period;
+  if (i >= length) i = period - i;
+  return i;
+}
+
+/**
+ * Filter and decimate one line into its low and high halves
+ * Low band samples sit on even positions, high band samples on odd ones.
+ */
+function analyzeLine(data, offset, length, step, filters, inverted, scratch) {
+  const { low, high } = filters;
+  const lowHalf = (low.length - 1) / 2;
+  const highHalf = (high.length - 1) / 2;
+  const lowCount = Math.ceil(length / 2);
+  const highCount = length - lowCount;
+
+  for (let i = 0; i < length; i++) scratch[i] = data[offset + i * step];
+
+  const lowStart = inverted ? highCount : 0;
+  const highStart = inverted ? 0 : lowCount;
+
+  for (let k = 0; k < lowCount; k++) {
+    let sum = 0;
+    for (let t = 0; t < low.length; t++) {
+      sum += low[t] * scratch[reflect(2 * k - lowHalf + t, length)];
+    }
+    data[offset + (lowStart + k) * step] = sum;
+  }
+
+  for (let k = 0; k < highCount; k++) {
+    let sum = 0;
+    for (let t = 0; t < high.length; t++) {
+      sum += high[t] * scratch[reflect(2 * k + 1 - highHalf + t, length)];
+    }
+    data[offset + (highStart + k) * step] = sum;
+  }
+}
+
+/**
+ * Inverse of analyzeLine
+ * Synthesis filters are the analysis filters of the other band with
+ * alternating signs; subbands are extended with the symmetry the
+ * analysis extension gives them.
+ */
+function synthesizeLine(data, offset, length, step, filters, inverted, scratch) {
+  const { low, high } = filters;
+  const lowHalf = (low.length - 1) / 2;
+  const highHalf = (high.length - 1) / 2;
+  const lowCount = Math.ceil(length / 2);
+  const highCount = length - lowCount;
+  const lowStart = inverted ? highCount : 0;
+  const highStart = inverted ? 0 : lowCount;
+
+  for (let i = 0; i < length; i++) scratch[i] = data[offset + i * step];
+
+  const lowAt = position => scratch[lowStart + reflect(position, length) / 2];
+  const highAt = position => scratch[highStart + (reflect(position, length) - 1) / 2];
+
+  for (let n = 0; n < length; n++) {
+    let sum = 0;
+
+    // Low band through the high-pass filter with alternating signs
+    for (let m = -highHalf; m <= highHalf; m++) {
+      const position = n - m;
+      if (position % 2 !== 0) continue;
+      const sign = m % 2 === 0 ? 1 : -1;
+      sum += sign * high[m + highHalf] * lowAt(position);
+    }
+
+    // High band through the low-pass filter with alternating signs
+    if (length > 1) {
+      for (let m = -lowHalf; m <= lowHalf; m++) {
+        const position = n - m;
+        if (Math.abs(position % 2) !== 1) continue;
+        const sign = m % 2 === 0 ? 1 : -1;
+        sum += sign * low[m + lowHalf] * highAt(position);
+      }
+    }
+
+    data[offset + n * step] = sum;
+  }
+}
+
+/**
+ * Decompose an image into its 64 subbands (in place)
+ */
+function decompose(data, width, wTree, filters) {
+  const scratch = new Float64Array(Math.max(...wTree.map(n => Math.max(n.lenx, n.leny))));
+
+  for (const node of wTree) {
+    for (let row = 0; row < node.leny; row++) {
+      analyzeLine(data, (node.y + row) * width + node.x, node.lenx, 1, filters, node.invRow, scratch);
+    }
+    for (let col = 0; col < node.lenx; col++) {
+      analyzeLine(data, node.y * width + node.x + col, node.leny, width, filters, node.invCol, scratch);
+    }
+  }
+}
+
+/**
+ * Rebuild an image from its subbands (in place)
+ */
+function reconstruct(data, width, wTree, filters) {
+  const scratch = new Float64Array(Math.max(...wTree.map(n => Math.max(n.lenx, n.leny))));
+
+  for (let i = wTree.length - 1; i >= 0; i--) {
+    const node = wTree[i];
+    for (let col = 0; col < node.lenx; col++) {
+      synthesizeLine(data, node.y * width + node.x + col, node.leny, width, filters, node.invCol, scratch);
+    }
+    for (let row = 0; row < node.leny; row++) {
+      synthesizeLine(data, (node.y + row) * width + node.x, node.lenx, 1, filters, node.invRow, scratch);
+    }
+  }
+}
+
+// ============================================
+// QUANTIZATION
+// ============================================
+
+/**
+ * Subband variances (NBIS: central region first, whole subband when
+ * the low bands are nearly flat)
+ */
+function subbandVariances(data, width, qTree) {
+  const variance = (node, cropped) => {
+    const x0 = cropped ? node.x + Math.floor(node.lenx / 8) : node.x;
+    const y0 = cropped ? node.y + Math.floor((9 * node.leny) / 32) : node.y;
+    const lenx = cropped ? Math.floor((3 * node.lenx) / 4) : node.lenx;
+    const leny = cropped ? Math.floor((7 * node.leny) / 16) : node.leny;
+    const count = lenx * leny;
+    if (count < 2) return 0;
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (let y = y0; y < y0 + leny; y++) {
+      for (let x = x0; x < x0 + lenx; x++) {
+        const v = data[y * width + x];
+        sum += v;
+        sumSquares += v * v;
+      }
+    }
+    return (sumSquares - (sum * sum) / count) / (count - 1);
+  };
+
+  let variances = qTree.slice(0, NUM_SUBBANDS).map(node => variance(node, true));
+  const lowBandSum = variances.slice(0, 4).reduce((a, b) => a + b, 0);
+  if (lowBandSum < 20000) {
+    variances = qTree.slice(0, NUM_SUBBANDS).map(node => variance(node, false));
+  }
+  return variances;
+}
+
+/**
+ * Bin widths for a target bit rate (NBIS quant.c bit allocation)
+ *
+ * @returns {Object} - { binWidths, zeroBins } for all 64 subbands (0: not coded)
+ */
+function allocateBins(variances, bitrate) {
+  // Relative subband sizes and perceptual weights
+  const size = i => (i < 4 ? 1 / 1024 : (i < 51 ? 1 / 256 : 1 / 16));
+  const weight = { 52: 1.32, 53: 1.08, 54: 1.42, 55: 1.08, 56: 1.32, 57: 1.42, 58: 1.08, 59: 1.08 };
+
+  const initial = variances.map((v, i) => (i < 4 ? 1 : 10 / ((weight[i] || 1) * Math.log(v))));
+  const sigma = variances.map(v => Math.sqrt(Math.max(v, 0)));
+
+  let coded = variances.map((v, i) => i).filter(i => variances[i] >= VARIANCE_THRESHOLD);
+  let q = 1;
+
+  while (coded.length > 0) {
+    const s = coded.reduce((sum, i) => sum + size(i), 0);
+    const p = coded.reduce((product, i) => product * Math.pow(sigma[i] / initial[i], size(i)), 1);
+    q = (Math.pow(2, bitrate / s - 1) / 2.5) / Math.pow(p, 1 / s);
+
+    const dropped = coded.filter(i => initial[i] / q >= 5 * sigma[i]);
+    if (dropped.length === 0) break;
+    coded = coded.filter(i => !dropped.includes(i));
+  }
+
+  const binWidths = new Array(Q_TREE_LENGTH).fill(0);
+  coded.forEach(i => { binWidths[i] = initial[i] / q; });
+
+  return {
+    binWidths,
+    zeroBins: binWidths.map(w => w * ZERO_BIN_FACTOR),
+  };
+}
+
+/**
+ * Quantize the coded subbands of each block, in subband then raster order
+ *
+ * @returns {Array<Int32Array>} - Quantized coefficients of blocks 1-3
+ */
+function quantize(data, width, qTree, table) {
+  return blockSubbands(table.binWidths).map(subbands => {
+    const count = subbands.reduce((sum, i) => sum + qTree[i].lenx * qTree[i].leny, 0);
+    const out = new Int32Array(count);
+    let k = 0;
+
+    subbands.forEach(i => {
+      const node = qTree[i];
+      const bin = table.binWidths[i];
+      const halfZero = table.zeroBins[i] / 2;
+
+      for (let y = node.y; y < node.y + node.leny; y++) {
+        for (let x = node.x; x < node.x + node.lenx; x++) {
+          const c = data[y * width + x];
+          let value = 0;
+          if (c > halfZero) value = Math.trunc((c - halfZero) / bin + 1);
+          else if (c < -halfZero) value = Math.trunc((c + halfZero) / bin - 1);
+          out[k++] = Math.max(-0xffff, Math.min(0xffff, value));
+        }
+      }
+    });
+
+    return out;
+  });
+}
+
+/**
+ * Write dequantized coefficients back into their subbands
+ */
+function dequantize(blocks, data, width, qTree, table) {
+  blockSubbands(table.binWidths).forEach((subbands, b) => {
+    const values = blocks[b];
+    let k = 0;
+
+    subbands.forEach(i => {
+      const node = qTree[i];
+      const bin = table.binWidths[i];
+      const halfZero = table.zeroBins[i] / 2;
+
+      for (let y = node.y; y < node.y + node.leny; y++) {
+        for (let x = node.x; x < node.x + node.lenx; x++) {
+          const q = values[k++];
+          let c = 0;
+          if (q > 0) c = bin * (q - table.binCenter) + halfZero;
+          else if (q < 0) c = bin * (q + table.binCenter) - halfZero;
+          data[y * width + x] = c;
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Coded subbands (non-zero bin width) of each block
+ */
+function blockSubbands(binWidths) {
+  return BLOCK_STARTS.map((start, b) => {
+    const end = b + 1 < BLOCK_STARTS.length ? BLOCK_STARTS[b + 1] : NUM_SUBBANDS;
+    const subbands = [];
+    for (let i = start; i < end; i++) {
+      if (binWidths[i] !== 0) subbands.push(i);
+    }
+    return subbands;
+  });
+}
+
+// ============================================
+// HUFFMAN CODING
+// ============================================
+
+/**
+ * Run-length symbols of a block: [{ symbol, bits, length }]
+ */
+function blockSymbols(values) {
+  const symbols = [];
+  let run = 0;
+
+  const flushRun = () => {
+    while (run > 0) {
+      const chunk = Math.min(run, 0xffff);
+      if (chunk <= MAX_HUFF_ZERO_RUN) symbols.push({ symbol: chunk });
+      else if (chunk <= 0xff) symbols.push({ symbol: ESCAPE.ZRUN_8, bits: chunk, length: 8 });
+      else symbols.push({ symbol: ESCAPE.ZRUN_16, bits: chunk, length: 16 });
+      run -= chunk;
+    }
+  };
+
+  for (const value of values) {
+    if (value === 0) {
+      run++;
+      continue;
+    }
+    flushRun();
+
+    if (value > MAX_HUFF_COEFF) {
+      symbols.push(value <= 0xff
+        ? { symbol: ESCAPE.POS_8, bits: value, length: 8 }
+        : { symbol: ESCAPE.POS_16, bits: value, length: 16 });
+    } else if (value < -(MAX_HUFF_COEFF - 1)) {
+      symbols.push(-value <= 0xff
+        ? { symbol: ESCAPE.NEG_8, bits: -value, length: 8 }
+        : { symbol: ESCAPE.NEG_16, bits: -value, length: 16 });
+    } else {
+      symbols.push({ symbol: COEFF_SYMBOL_OFFSET + value });
+    }
+  }
+  flushRun();
+
+  return symbols;
+}
+
+/**
+ * Huffman table (code length counts and symbols) for symbol frequencies
+ * JPEG Annex K.2/K.3: code lengths are limited to 16 bits and the
+ * all-ones code is reserved.
+ *
+ * @param {Array<number>} frequencies - Count per symbol (0-255)
+ * @returns {Object} - { bits: counts for lengths 1-16, values }
+ */
+function buildHuffmanTable(frequencies) {
+  const freq = [...frequencies, 1]; // Reserved symbol 256
+  const codeSize = new Array(freq.length).fill(0);
+  const others = new Array(freq.length).fill(-1);
+
+  while (true) {
+    let v1 = -1;
+    let v2 = -1;
+    for (let i = 0; i < freq.length; i++) {
+      if (freq[i] > 0 && (v1 < 0 || freq[i] <= freq[v1])) v1 = i;
+    }
+    for (let i = 0; i < freq.length; i++) {
+      if (freq[i] > 0 && i !== v1 && (v2 < 0 || freq[i] <= freq[v2])) v2 = i;
+    }
+    if (v2 < 0) break;
+
+    freq[v1] += freq[v2];
+    freq[v2] = 0;
+
+    codeSize[v1]++;
+    while (others[v1] >= 0) {
+      v1 = others[v1];
+      codeSize[v1]++;
+    }
+    others[v1] = v2;
+
+    codeSize[v2]++;
+    while (others[v2] >= 0) {
+      v2 = others[v2];
+      codeSize[v2]++;
+    }
+  }
+
+  const bits = new Array(33).fill(0);
+  codeSize.forEach(size => { if (size > 0) bits[size]++; });
+
+  for (let i = 32; i > 16; i--) {
+    while (bits[i] > 0) {
+      let j = i - 2;
+      while (bits[j] === 0) j--;
+      bits[i] -= 2;
+      bits[i - 1]++;
+      bits[j + 1] += 2;
+      bits[j]--;
+    }
+  }
+
+  // Drop the reserved symbol's code
+  let longest = 16;
+  while (longest > 0 && bits[longest] === 0) longest--;
+  if (longest > 0) bits[longest]--;
+
+  const values = [];
+  for (let size = 1; size <= 32; size++) {
+    for (let symbol = 0; symbol < 256; symbol++) {
+      if (codeSize[symbol] === size) values.push(symbol);
+    }
+  }
+
+  return { bits: bits.slice(1, 17), values };
+}
+
+/**
+ * Canonical codes of a table
+ *
+ * @returns {Map} - symbol → { code, length }
+ */
+function huffmanCodes({ bits, values }) {
+  const codes = new Map();
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < bits[length - 1]; i++) {
+      codes.set(values[k++], { code, length });
+      code++;
+    }
+    code <<= 1;
+  }
+
+  return codes;
+}
+
+/**
+ * Decoding tables (JPEG F.2.2.3)
+ */
+function huffmanDecoder({ bits, values }) {
+  const maxCode = new Array(18).fill(-1);
+  const minCode = new Array(17).fill(0);
+  const valuePointer = new Array(17).fill(0);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    if (bits[length - 1] > 0) {
+      valuePointer[length] = k;
+      minCode[length] = code;
+      code += bits[length - 1];
+      k += bits[length - 1];
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  maxCode[17] = Infinity;
+
+  return { maxCode, minCode, valuePointer, values };
+}
+
+// ============================================
+// BIT STREAMS
+// ============================================
+
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.buffer = Buffer.alloc(4096);
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.buffer.length) {
+      this.chunks.push(this.buffer);
+      this.buffer = Buffer.alloc(this.buffer.length * 2);
+      this.length = 0;
+    }
+    this.buffer[this.length++] = value & 0xff;
+  }
+
+  ushort(value) {
+    this.byte(value >> 8);
+    this.byte(value);
+  }
+
+  uint(value) {
+    this.ushort(Math.floor(value / 0x10000));
+    this.ushort(value % 0x10000);
+  }
+
+  bytes(buffer) {
+    for (const b of buffer) this.byte(b);
+  }
+
+  // Entropy-coded bits, with 0x00 stuffed after every 0xFF byte
+  bits(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.bitBuffer = (this.bitBuffer << 1) | ((value >> i) & 1);
+      this.bitCount++;
+      if (this.bitCount === 8) {
+        this.byte(this.bitBuffer);
+        if (this.bitBuffer === 0xff) this.byte(0);
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  // Pad the last byte of a block with ones
+  flushBits() {
+    if (this.bitCount > 0) this.bits(0xff, 8 - this.bitCount);
+  }
+
+  toBuffer() {
+    return Buffer.concat([...this.chunks, this.buffer.subarray(0, this.length)]);
+  }
+}
+
+class ByteReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(count) {
+    if (this.offset + count > this.buffer.length) {
+      throw new Error('WSQ data is truncated');
+    }
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.buffer[this.offset++];
+  }
+
+  ushort() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16BE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  uint() {
+    this.ensure(4);
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  bit() {
+    if (this.bitCount === 0) {
+      const b = this.byte();
+      if (b === 0xff) {
+        const next = this.byte();
+        if (next !== 0) throw new Error(`Unexpected marker 0xFF${next.toString(16).toUpperCase()} in coded data`);
+      }
+      this.bitBuffer = b;
+      this.bitCount = 8;
+    }
+    this.bitCount--;
+    return (this.bitBuffer >> this.bitCount) & 1;
+  }
+
+  bits(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+    return value;
+  }
+
+  // Discard the padding bits at the end of a block
+  alignToByte() {
+    this.bitCount = 0;
+  }
+
+  decode(table) {
+    let code = this.bit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | this.bit();
+      length++;
+      if (length > 16) throw new Error('Invalid Huffman code in WSQ data');
+    }
+    return table.values[table.valuePointer[length] + code - table.minCode[length]];
+  }
+}
+
+// ============================================
+// TABLE SEGMENTS
+// ============================================
+
+/**
+ * Scaled-integer encoding of a non-negative float: value / 10^scale
+ */
+function toScaled(value, max) {
+  if (value === 0) return { scale: 0, value: 0 };
+  let scale = 0;
+  let scaled = value;
+  while (scaled < max) {
+    scale++;
+    scaled *= 10;
+  }
+  scale--;
+  return { scale, value: Math.min(max, Math.round(scaled / 10)) };
+}
+
+function fromScaled(scale, value) {
+  return value / Math.pow(10, scale);
+}
+
+function writeTransformTable(out) {
+  out.ushort(MARKERS.DTT);
+  out.ushort(2 + 2 + (LOW_PASS.length + HIGH_PASS.length) * 6);
+  out.byte(LOW_PASS.length * 2 - 1);
+  out.byte(HIGH_PASS.length * 2 - 1);
+
+  [...LOW_PASS, ...HIGH_PASS].forEach(coefficient => {
+    const { scale, value } = toScaled(Math.abs(coefficient), 0xffffffff);
+    out.byte(coefficient < 0 ? 1 : 0);
+    out.byte(scale);
+    out.uint(value);
+  });
+}
+
+function readTransformTable(reader) {
+  reader.ushort(); // Segment length
+  const lowLength = reader.byte();
+  const highLength = reader.byte();
+
+  if (lowLength % 2 === 0 || highLength % 2 === 0) {
+    throw new Error('Even-length WSQ wavelet filters are not supported');
+  }
+
+  const readHalf = length => Array.from({ length: (length + 1) / 2 }, () => {
+    const sign = reader.byte();
+    const scale = reader.byte();
+    const value = fromScaled(scale, reader.uint());
+    return sign ? -value : value;
+  });
+
+  return {
+    low: expandFilter(readHalf(lowLength)),
+    high: expandFilter(readHalf(highLength)),
+  };
+}
+
+function writeQuantizationTable(out, table) {
+  out.ushort(MARKERS.DQT);
+  out.ushort(2 + 3 + Q_TREE_LENGTH * 6);
+
+  const center = toScaled(BIN_CENTER, 0xffff);
+  out.byte(center.scale);
+  out.ushort(center.value);
+
+  for (let i = 0; i < Q_TREE_LENGTH; i++) {
+    const bin = toScaled(table.binWidths[i], 0xffff);
+    const zero = toScaled(table.zeroBins[i], 0xffff);
+    out.byte(bin.scale);
+    out.ushort(bin.value);
+    out.byte(zero.scale);
+    out.ushort(zero.value);
+  }
+}
+
+function readQuantizationTable(reader) {
+  reader.ushort(); // Segment length
+  const binCenter = fromScaled(reader.byte(), reader.ushort());
+  const binWidths = [];
+  const zeroBins = [];
+
+  for (let i = 0; i < Q_TREE_LENGTH; i++) {
+    binWidths.push(fromScaled(reader.byte(), reader.ushort()));
+    zeroBins.push(fromScaled(reader.byte(), reader.ushort()));
+  }
+
+  return { binCenter, binWidths, zeroBins };
+}
+
+function writeHuffmanTable(out, id, table) {
+  out.ushort(MARKERS.DHT);
+  out.ushort(2 + 1 + 16 + table.values.length);
+  out.byte(id);
+  table.bits.forEach(count => out.byte(count));
+  table.values.forEach(value => out.byte(value));
+}
+
+/**
+ * Read a DHT segment (may hold several tables)
+ */
+function readHuffmanTables(reader, tables) {
+  const end = reader.offset + reader.ushort();
+
+  while (reader.offset < end) {
+    const id = reader.byte();
+    const bits = Array.from({ length: 16 }, () => reader.byte());
+    const count = bits.reduce((a, b) => a + b, 0);
+    const values = Array.from({ length: count }, () => reader.byte());
+    tables[id] = huffmanDecoder({ bits, values });
+  }
+}
+
+function writeFrameHeader(out, { width, height, shift, scale }) {
+  out.ushort(MARKERS.SOF);
+  out.ushort(17);
+  out.byte(0);   // Black
+  out.byte(255); // White
+  out.ushort(height);
+  out.ushort(width);
+
+  const m = toScaled(shift, 0xffff);
+  const r = toScaled(scale, 0xffff);
+  out.byte(m.scale);
+  out.ushort(m.value);
+  out.byte(r.scale);
+  out.ushort(r.value);
+
+  out.byte(ENCODER_NUMBER);
+  out.ushort(SOFTWARE_NUMBER);
+}
+
+function readFrameHeader(reader) {
+  reader.ushort(); // Segment length
+  const black = reader.byte();
+  const white = reader.byte();
+  const height = reader.ushort();
+  const width = reader.ushort();
+  const shift = fromScaled(reader.byte(), reader.ushort());
+  const scale = fromScaled(reader.byte(), reader.ushort());
+  reader.byte();   // Encoder number
+  reader.ushort(); // Software implementation number
+
+  return { black, white, width, height, shift, scale };
+}
+
+function writeComment(out, text) {
+  const body = Buffer.from(text, 'latin1');
+  out.ushort(MARKERS.COM);
+  out.ushort(2 + body.length);
+  out.bytes(body);
+}
+
+// ============================================
+// ENCODER
+// ============================================
+
+/**
+ * Compress an 8-bit grayscale image
+ *
+ * @param {Uint8Array|Buffer} pixels - width × height gray levels, row-major
+ * @param {Object} options - { width, height, bitrate (bits/pixel, default 0.75), ppi (default 500) }
+ * @returns {Buffer} - WSQ file bytes
+ * @throws {Error} - If the image is too small or the pixel count is wrong
+ */
+function encodeWsq(pixels, { width, height, bitrate = DEFAULT_BITRATE, ppi = DEFAULT_PPI }) {
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    throw new Error(`WSQ images must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels`);
+  }
+  if (width > 0xffff || height > 0xffff) {
+    throw new Error('WSQ images are limited to 65535 pixels per side');
+  }
+  if (pixels.length !== width * height) {
+    throw new Error(`Expected ${width * height} pixels, got ${pixels.length}`);
+  }
+
+  // Shift to zero mean and scale into [-128, 128]
+  let sum = 0;
+  let min = 255;
+  let max = 0;
+  for (const p of pixels) {
+    sum += p;
+    if (p < min) min = p;
+    if (p > max) max = p;
+  }
+  const shift = sum / pixels.length;
+  const scale = Math.max(shift - min, max - shift) / 128 || 1;
+
+  const data = new Float64Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) data[i] = (pixels[i] - shift) / scale;
+
+  // Header fields are stored with limited precision; transform with those values
+  const stored = {
+    shift: fromScaled(toScaled(shift, 0xffff).scale, toScaled(shift, 0xffff).value),
+    scale: fromScaled(toScaled(scale, 0xffff).scale, toScaled(scale, 0xffff).value),
+  };
+
+  const filters = { low: expandFilter(LOW_PASS), high: expandFilter(HIGH_PASS) };
+  const wTree = buildWTree(width, height);
+  const qTree = buildQTree(wTree);
+
+  decompose(data, width, wTree, filters);
+
+  const table = allocateBins(subbandVariances(data, width, qTree), bitrate);
+  const stored64 = {
+    binWidths: table.binWidths.map(w => { const s = toScaled(w, 0xffff); return fromScaled(s.scale, s.value); }),
+    zeroBins: table.zeroBins.map(z => { const s = toScaled(z, 0xffff); return fromScaled(s.scale, s.value); }),
+  };
+  const blocks = quantize(data, width, qTree, stored64);
+
+  const out = new ByteWriter();
+  out.ushort(MARKERS.SOI);
+  writeComment(out, [
+    'NIST_COM 7',
+    `PIX_WIDTH ${width}`,
+    `PIX_HEIGHT ${height}`,
+    'PIX_DEPTH 8',
+    `PPI ${ppi}`,
+    'LOSSY 1',
+    'COLORSPACE GRAY',
+  ].join('\n'));
+  writeTransformTable(out);
+  writeQuantizationTable(out, stored64);
+  writeFrameHeader(out, { width, height, ...stored });
+
+  // Block 1 has its own table; blocks 2 and 3 share the second one
+  const symbols = blocks.map(blockSymbols);
+  const tableGroups = [[0], [1, 2]];
+
+  tableGroups.forEach((group, id) => {
+    const frequencies = new Array(256).fill(0);
+    group.forEach(b => symbols[b].forEach(s => { frequencies[s.symbol]++; }));
+    const huffman = buildHuffmanTable(frequencies);
+    const codes = huffmanCodes(huffman);
+
+    writeHuffmanTable(out, id, huffman);
+
+    group.forEach(b => {
+      out.ushort(MARKERS.SOB);
+      out.ushort(3);
+      out.byte(id);
+
+      symbols[b].forEach(s => {
+        const { code, length } = codes.get(s.symbol);
+        out.bits(code, length);
+        if (s.length) out.bits(s.bits, s.length);
+      });
+      out.flushBits();
+    });
+  });
+
+  out.ushort(MARKERS.EOI);
+  return out.toBuffer();
+}
+
+// ============================================
+// DECODER
+// ============================================
+
+/**
+ * Decode one block's coefficients
+ */
+function decodeBlock(reader, table, count) {
+  const values = new Int32Array(count);
+  let k = 0;
+
+  while (k < count) {
+    const symbol = reader.decode(table);
+    let run = 0;
+
+    if (symbol > 0 && symbol <= MAX_HUFF_ZERO_RUN) run = symbol;
+    else if (symbol === ESCAPE.ZRUN_8) run = reader.bits(8);
+    else if (symbol === ESCAPE.ZRUN_16) run = reader.bits(16);
+    else if (symbol === ESCAPE.POS_8) values[k++] = reader.bits(8);
+    else if (symbol === ESCAPE.NEG_8) values[k++] = -reader.bits(8);
+    else if (symbol === ESCAPE.POS_16) values[k++] = reader.bits(16);
+    else if (symbol === ESCAPE.NEG_16) values[k++] = -reader.bits(16);
+    else if (symbol > ESCAPE.ZRUN_16 && symbol < 0xff) values[k++] = symbol - COEFF_SYMBOL_OFFSET;
+    else throw new Error(`Invalid WSQ coefficient symbol ${symbol}`);
+
+    if (run > count - k) throw new Error('WSQ zero run overflows its block');
+    k += run; // Zero-filled already
+  }
+
+  reader.alignToByte();
+  return values;
+}
+
+/**
+ * Read the PPI from a NIST_COM comment, if there is one
+ */
+function commentPpi(text) {
+  if (!text.startsWith('NIST_COM')) return null;
+  const match = /^PPI\s+(-?\d+)/m.exec(text);
+  const ppi = match ? parseInt(match[1]) : null;
+  return ppi > 0 ? ppi : null;
+}
+
+/**
+ * Check for the WSQ start-of-image marker
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isWsq(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 2 && buffer.readUInt16BE(0) === MARKERS.SOI;
+}
+
+/**
+ * Decompress a WSQ file
+ *
+ * @param {Buffer} buffer - WSQ file bytes
+ * @returns {Object} - { width, height, ppi (null if not recorded), pixels: Uint8Array }
+ * @throws {Error} - If the data is not valid WSQ
+ */
+function decodeWsq(buffer) {
+  if (!isWsq(buffer)) {
+    throw new Error('Missing WSQ start-of-image marker');
+  }
+
+  const reader = new ByteReader(buffer);
+  reader.ushort();
+
+  let filters = null;
+  let quantization = null;
+  let frame = null;
+  let ppi = null;
+  const huffmanTables = [];
+  const blocks = [];
+  let expected = null;
+
+  while (true) {
+    const marker = reader.ushort();
+
+    if (marker === MARKERS.EOI) break;
+
+    switch (marker) {
+      case MARKERS.DTT:
+        filters = readTransformTable(reader);
+        break;
+
+      case MARKERS.DQT:
+        quantization = readQuantizationTable(reader);
+        break;
+
+      case MARKERS.DHT:
+        readHuffmanTables(reader, huffmanTables);
+        break;
+
+      case MARKERS.COM: {
+        const length = reader.ushort();
+        reader.ensure(length - 2);
+        const text = buffer.toString('latin1', reader.offset, reader.offset + length - 2);
+        ppi = ppi || commentPpi(text);
+        reader.offset += length - 2;
+        break;
+      }
+
+      case MARKERS.DRT:
+        reader.offset += reader.ushort() - 2;
+        break;
+
+      case MARKERS.SOF:
+        frame = readFrameHeader(reader);
+        break;
+
+      case MARKERS.SOB: {
+        reader.ushort(); // Segment length
+        const id = reader.byte();
+
+        if (!frame || !filters || !quantization) {
+          throw new Error('WSQ block before its frame, transform or quantization table');
+        }
+        if (!huffmanTables[id]) {
+          throw new Error(`WSQ block uses undefined Huffman table ${id}`);
+        }
+        if (blocks.length === BLOCK_STARTS.length) {
+          throw new Error('WSQ data has too many blocks');
+        }
+
+        if (!expected) {
+          const qTree = buildQTree(buildWTree(frame.width, frame.height));
+          expected = blockSubbands(quantization.binWidths)
+            .map(subbands => subbands.reduce((sum, i) => sum + qTree[i].lenx * qTree[i].leny, 0));
+        }
+
+        blocks.push(decodeBlock(reader, huffmanTables[id], expected[blocks.length]));
+        break;
+      }
+
+      default:
+        throw new Error(`Unexpected WSQ marker 0x${marker.toString(16).toUpperCase()}`);
+    }
+  }
+
+  if (!frame) throw new Error('WSQ data has no frame header');
+  while (blocks.length < BLOCK_STARTS.length) blocks.push(new Int32Array(expected ? expected[blocks.length] : 0));
+
+  const { width, height } = frame;
+  const wTree = buildWTree(width, height);
+  const qTree = buildQTree(wTree);
+  const data = new Float64Array(width * height);
+
+  dequantize(blocks, data, width, qTree, quantization);
+  reconstruct(data, width, wTree, filters);
+
+  const pixels = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const value = Math.round(data[i] * frame.scale + frame.shift);
+    pixels[i] = Math.max(frame.black, Math.min(frame.white, value));
+  }
+
+  return { width, height, ppi, pixels };
+}
+
+module.exports = {
+  DEFAULT_BITRATE,
+  encodeWsq,
+  decodeWsq,
+  isWsq,
+};